@@ -1,11 +1,12 @@
 #!/bin/bash
 
 # Install Commit Journal Hook
-# Installs the universal post-commit hook for automated journal generation
+# Installs the universal post-commit hook for automated journal generation,
+# plus a post-rewrite hook that keeps entries in sync after amend and rebase
 
 set -e  # Exit on any error
 
-echo "🔧 Installing Commit Story post-commit hook..."
+echo "🔧 Installing Commit Story git hooks..."
 
 # Validate we're in a git repository
 if [[ ! -d ".git" ]]; then
@@ -73,9 +74,34 @@ is_debug_enabled() {
     fi
 }
 
+# Amends and rebased commits are journaled by the post-rewrite hook, which carries
+# the existing entry over to the rewritten commit instead of generating a duplicate.
+# New commits made during a rebase (at an edit stop or by an exec line) aren't
+# rewrites, so they are journaled like any other commit.
+is_rewrite_in_progress() {
+    local git_dir reflog_subject
+    git_dir=$(git rev-parse --git-dir 2>/dev/null) || return 1
+    reflog_subject=$(git reflog -1 --format=%gs 2>/dev/null)
+    [[ "$reflog_subject" == "commit (amend):"* ]] && return 0
+
+    if [[ -d "$git_dir/rebase-merge" ]] || [[ -d "$git_dir/rebase-apply" ]]; then
+        # Picks, rewords, squashes and fixups are logged as "rebase (...)"
+        [[ "$reflog_subject" != "commit:"* ]] && return 0
+        # Committing by hand to finish a pick stopped by a conflict (the pending
+        # author is kept; an edit stop also records "amend")
+        [[ -f "$git_dir/rebase-merge/author-script" && ! -f "$git_dir/rebase-merge/amend" ]] && return 0
+    fi
+    return 1
+}
+
 # Main execution
 debug_log "Commit Story starting"
 
+if is_rewrite_in_progress; then
+    debug_log "Commit is being rewritten - leaving it to the post-rewrite hook"
+    exit 0
+fi
+
 # Only run if Commit Story is configured for this repository
 if is_commit_story_enabled; then
     # Run in foreground if debug mode, background otherwise
@@ -93,12 +119,109 @@ if is_commit_story_enabled; then
             debug_log "Commit Story completed"
         fi
     else
+        # Queue the commit and let the background worker generate it, retrying on
+        # failure (see `commit-story queue status`). The hash is resolved now so a
+        # quick follow-up commit can't change what HEAD means.
+        COMMIT_HASH=$(git rev-parse HEAD)
         if [[ -f "node_modules/.bin/commit-story" ]]; then
-            (./node_modules/.bin/commit-story HEAD >/dev/null 2>&1 &)
+            (./node_modules/.bin/commit-story queue add "$COMMIT_HASH" >/dev/null 2>&1 &)
         else
-            (node src/index.js HEAD >/dev/null 2>&1 &)
+            (node src/index.js queue add "$COMMIT_HASH" >/dev/null 2>&1 &)
+        fi
+    fi
+fi
+
+exit 0
+EOF
+}
+
+# Create the post-rewrite hook content (keeps entries in sync after amend/rebase)
+create_rewrite_hook_content() {
+    cat << 'EOF'
+#!/bin/bash
+
+# Universal Git Post-Rewrite Hook
+# Keeps journal entries in sync when commits are amended or rebased
+# Git passes the rewrite kind (amend or rebase) as $1 and "<old-hash> <new-hash>" lines on stdin
+
+# Function to log debug messages if debug mode is enabled
+debug_log() {
+    if [[ -f "commit-story.config.json" ]] && command -v node >/dev/null 2>&1; then
+        DEBUG_ENABLED=$(node -e "
+            try {
+                const config = require('./commit-story.config.json');
+                console.log(config.debug || false);
+            } catch(e) {
+                console.log(false);
+            }
+        " 2>/dev/null || echo "false")
+
+        if [[ "$DEBUG_ENABLED" == "true" ]]; then
+            echo "🪝 Git Hook: $1" >&2
         fi
     fi
+}
+
+# Check if Commit Story is configured for this repository
+is_commit_story_enabled() {
+    # Must have config file and either local installation or development mode
+    [[ -f "commit-story.config.json" ]] && ([[ -f "node_modules/.bin/commit-story" ]] || [[ -f "src/index.js" ]])
+}
+
+# Function to check if debug mode is enabled
+is_debug_enabled() {
+    if [[ -f "commit-story.config.json" ]] && command -v node >/dev/null 2>&1; then
+        DEBUG_ENABLED=$(node -e "
+            try { 
+                const config = require('./commit-story.config.json'); 
+                console.log(config.debug || false); 
+            } catch(e) { 
+                console.log(false); 
+            }
+        " 2>/dev/null || echo "false")
+        
+        [[ "$DEBUG_ENABLED" == "true" ]]
+    else
+        return 1  # Debug disabled if no config or node
+    fi
+}
+
+# Run the locally installed CLI, or the development checkout
+run_commit_story() {
+    if [[ -f "node_modules/.bin/commit-story" ]]; then
+        ./node_modules/.bin/commit-story "$@"
+    else
+        node src/index.js "$@"
+    fi
+}
+
+# Move entries to the rewritten hashes, then queue the amended commit
+# (post-commit skips amends; the job is a no-op when its entry was carried over).
+# Queued like any other commit, so a failure is retried and shows in `queue status`.
+sync_journal() {
+    printf '%s\n' "$REWRITE_MAPPING" | run_commit_story rewrite "$REWRITE_KIND"
+    if [[ "$REWRITE_KIND" == "amend" ]]; then
+        run_commit_story queue add "$COMMIT_HASH"
+    fi
+}
+
+# Main execution
+REWRITE_KIND="$1"
+REWRITE_MAPPING=$(cat)
+# Resolved now so a quick follow-up commit can't change what HEAD means
+COMMIT_HASH=$(git rev-parse HEAD)
+
+debug_log "Commit Story syncing journal after $REWRITE_KIND"
+
+# Only run if Commit Story is configured for this repository
+if is_commit_story_enabled; then
+    # Run in foreground if debug mode, background otherwise
+    if is_debug_enabled; then
+        sync_journal
+        debug_log "Commit Story journal sync completed"
+    else
+        (sync_journal >/dev/null 2>&1 &)
+    fi
 fi
 
 exit 0
@@ -110,7 +233,7 @@ if [[ ! -f "commit-story.config.json" ]]; then
     echo "📝 Creating commit-story.config.json..."
     cat > commit-story.config.json << 'EOF'
 {
-  "_instructions": "Commit Story Configuration - Place your OpenAI API key in .env file as OPENAI_API_KEY=your_key_here. Set debug to true to run journal generation in foreground with detailed logging visible during commits. Use for troubleshooting execution.",
+  "_instructions": "Commit Story Configuration - Place your OpenAI API key in .env file as OPENAI_API_KEY=your_key_here (or add an \"ai\" block to use Anthropic, Ollama or an OpenAI-compatible server - see README). Set debug to true to run journal generation in foreground with detailed logging visible during commits. Use for troubleshooting execution.",
 
   "debug": false
 }
@@ -204,12 +327,14 @@ else
     echo "   📝 OPENAI_API_KEY already present in .env"
 fi
 
-# Install the hook
-echo "🔗 Installing post-commit hook..."
+# Install the hooks
+echo "🔗 Installing post-commit and post-rewrite hooks..."
 create_hook_content > ".git/hooks/post-commit"
 chmod +x ".git/hooks/post-commit"
+create_rewrite_hook_content > ".git/hooks/post-rewrite"
+chmod +x ".git/hooks/post-rewrite"
 
-echo "✅ Commit Story post-commit hook installed successfully!"
+echo "✅ Commit Story git hooks installed successfully!"
 echo ""
 echo "📋 Next steps:"
 echo "   1. Edit .env file and uncomment/add your OpenAI API key"
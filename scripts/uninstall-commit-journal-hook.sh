@@ -1,11 +1,11 @@
 #!/bin/bash
 
 # Uninstall Commit Journal Hook
-# Removes the post-commit hook and optionally cleans up configuration
+# Removes the post-commit and post-rewrite hooks and optionally cleans up configuration
 
 set -e  # Exit on any error
 
-echo "🗑️  Uninstalling Commit Story post-commit hook..."
+echo "🗑️  Uninstalling Commit Story git hooks..."
 
 # Validate we're in a git repository
 if [[ ! -d ".git" ]]; then
@@ -14,15 +14,16 @@ if [[ ! -d ".git" ]]; then
     exit 1
 fi
 
-# Check if hook exists
-if [[ ! -f ".git/hooks/post-commit" ]]; then
-    echo "⚠️  No post-commit hook found to remove"
-else
-    # Remove the hook
-    echo "🔗 Removing post-commit hook..."
-    rm ".git/hooks/post-commit"
-    echo "   ✅ Hook removed"
-fi
+# Remove each hook that exists
+for HOOK in post-commit post-rewrite; do
+    if [[ ! -f ".git/hooks/$HOOK" ]]; then
+        echo "⚠️  No $HOOK hook found to remove"
+    else
+        echo "🔗 Removing $HOOK hook..."
+        rm ".git/hooks/$HOOK"
+        echo "   ✅ Hook removed"
+    fi
+done
 
 # Ask about configuration cleanup
 if [[ -f "commit-story.config.json" ]]; then
@@ -38,7 +39,7 @@ if [[ -f "commit-story.config.json" ]]; then
     fi
 fi
 
-echo "✅ Commit Story post-commit hook uninstalled successfully!"
+echo "✅ Commit Story git hooks uninstalled successfully!"
 echo ""
 echo "📋 To reinstall:"
 echo "   • Run: npm run install-commit-journal-hook"
\ No newline at end of file
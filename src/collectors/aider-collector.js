@@ -0,0 +1,206 @@
+/**
+ * Aider Chat Data Collector
+ * Extracts chat messages from Aider's `.aider.chat.history.md` in the repository root
+ *
+ * The history file is markdown appended to across sessions:
+ *
+ *   # aider chat started at 2025-10-14 09:12:03
+ *
+ *   > Aider v0.86.1                       <- tool output, skipped
+ *
+ *   #### Add retry logic to the fetcher   <- user message
+ *
+ *   Sure, here's the change...            <- assistant reply
+ *
+ *   > Commit 8d4f1e2 feat: Add retry logic <- Aider's own commit
+ *
+ * Aider only timestamps session starts, so sessions are split at its commit lines:
+ * a commit Aider made gets the messages since its previous commit in that session.
+ * For any other commit, sessions overlapping the window (each runs until the next
+ * session starts, or until the file was last written) contribute the messages after
+ * their last Aider commit. Messages are timed from the session start, moved into the
+ * commit window and offset by their position.
+ */
+
+import fs from 'fs';
+import { join } from 'path';
+import { trace, SpanStatusCode } from '@opentelemetry/api';
+import { OTEL } from '../telemetry/standards.js';
+import { createNarrativeLogger } from '../utils/trace-logger.js';
+import { groupBySession } from './transcript-utils.js';
+
+const tracer = trace.getTracer('commit-story-aider-collector', '1.0.0');
+
+export const AIDER_HISTORY_FILE = '.aider.chat.history.md';
+
+const SESSION_HEADER = /^# aider chat started at (\d{4}-\d{2}-\d{2}) (\d{2}:\d{2}:\d{2})\s*$/;
+const COMMIT_LINE = /^> Commit ([0-9a-f]{7,40})\b/;
+
+/**
+ * Parse the history file into sessions
+ * @param {string} content - History file content
+ * @returns {Array<{start: Date, messages: Array<{type: string, content: string}>, commits: Array<{hash: string, position: number}>}>}
+ *   Sessions in file order; each commit's position is the number of messages before it
+ */
+export function parseAiderHistory(content) {
+  const sessions = [];
+  let session = null;
+  let current = null;
+
+  const flush = () => {
+    if (current && current.lines.join('\n').trim()) {
+      session.messages.push({ type: current.type, content: current.lines.join('\n').trim() });
+    }
+    current = null;
+  };
+
+  for (const line of content.split(/\r?\n/)) {
+    const header = line.match(SESSION_HEADER);
+    if (header) {
+      if (session) flush();
+      // Aider writes local time without an offset
+      session = { start: new Date(`${header[1]}T${header[2]}`), messages: [], commits: [] };
+      sessions.push(session);
+      continue;
+    }
+    if (!session) continue;
+
+    if (line.startsWith('#### ')) {
+      // Consecutive #### lines are one multi-line user message
+      if (current?.type !== 'user') {
+        flush();
+        current = { type: 'user', lines: [] };
+      }
+      current.lines.push(line.slice(5));
+    } else if (COMMIT_LINE.test(line)) {
+      flush();
+      session.commits.push({ hash: line.match(COMMIT_LINE)[1], position: session.messages.length });
+    } else if (line.startsWith('>')) {
+      // Command output and tool chatter, not conversation
+      if (current?.type === 'user') flush();
+    } else {
+      if (current?.type !== 'assistant') {
+        if (!line.trim()) continue;
+        flush();
+        current = { type: 'assistant', lines: [] };
+      }
+      current.lines.push(line);
+    }
+  }
+  if (session) flush();
+
+  return sessions;
+}
+
+/**
+ * Pick the messages that belong to a commit
+ * @param {Array} sessions - Sessions from parseAiderHistory
+ * @param {Date} lastWritten - When the history file was last written
+ * @param {Date} commitTime - Current commit timestamp
+ * @param {Date|null} previousCommitTime - Previous commit timestamp, or null for first commit
+ * @param {string|null} hash - Current commit hash
+ * @returns {Array<{session: Object, messages: Array}>} Selected messages per session
+ */
+function selectCommitMessages(sessions, lastWritten, commitTime, previousCommitTime, hash) {
+  const timed = sessions.filter(session => !isNaN(session.start.getTime()));
+
+  // A commit Aider made: the messages since its previous commit in the same session
+  for (const session of timed) {
+    const index = hash ? session.commits.findIndex(commit => hash.startsWith(commit.hash)) : -1;
+    if (index !== -1) {
+      const from = index > 0 ? session.commits[index - 1].position : 0;
+      return [{ session, messages: session.messages.slice(from, session.commits[index].position) }];
+    }
+  }
+
+  // Otherwise the overlapping sessions, minus messages that led to Aider's own commits
+  return timed
+    .filter((session, index) => {
+      const end = timed[index + 1]?.start || lastWritten;
+      return session.start <= commitTime && (!previousCommitTime || end >= previousCommitTime);
+    })
+    .map(session => ({ session, messages: session.messages.slice(session.commits.at(-1)?.position || 0) }));
+}
+
+/**
+ * Extract Aider chat messages for a commit time window, grouped by session
+ * @param {Date} commitTime - Current commit timestamp
+ * @param {Date|null} previousCommitTime - Previous commit timestamp, or null for first commit
+ * @param {string} repoPath - Repository root (where Aider writes its history file)
+ * @param {Object} [commit] - Commit being journaled ({hash}), to find Aider's commit line
+ * @returns {Array} Session objects with sessionId, messages, startTime and messageCount
+ */
+export function extractAiderChatForCommit(commitTime, previousCommitTime, repoPath, commit = null) {
+  return tracer.startActiveSpan(OTEL.span.collectors.aider(), {
+    attributes: {
+      [`${OTEL.NAMESPACE}.collector.repo_path`]: repoPath,
+      'code.function': 'extractAiderChatForCommit'
+    }
+  }, (span) => {
+    const logger = createNarrativeLogger('aider.collect_messages');
+
+    try {
+      const historyPath = join(repoPath, AIDER_HISTORY_FILE);
+      logger.start('chat message collection', `Reading Aider history from ${historyPath}`);
+
+      let content;
+      let lastWritten;
+      try {
+        content = fs.readFileSync(historyPath, 'utf8');
+        lastWritten = fs.statSync(historyPath).mtime;
+      } catch (error) {
+        logger.complete('chat message collection', 'No Aider history file - empty result');
+        span.setStatus({ code: SpanStatusCode.OK, message: 'No Aider history file' });
+        return [];
+      }
+
+      const sessions = parseAiderHistory(content);
+      const selected = selectCommitMessages(sessions, lastWritten, commitTime, previousCommitTime, commit?.hash || null);
+      const messages = [];
+
+      for (const { session, messages: sessionMessages } of selected) {
+        const sessionId = `aider-${session.start.toISOString()}`;
+        // Within the window, so a session started before the previous commit still counts
+        const earliest = previousCommitTime ? previousCommitTime.getTime() : -Infinity;
+        const base = Math.min(Math.max(session.start.getTime(), earliest), commitTime.getTime() - sessionMessages.length);
+        sessionMessages.forEach((message, position) => {
+          messages.push({
+            type: message.type,
+            timestamp: new Date(base + position).toISOString(),
+            sessionId,
+            message: { content: message.content }
+          });
+        });
+      }
+
+      const groupedMessages = groupBySession(messages);
+
+      const sourceAttrs = OTEL.attrs.chatSource({
+        source: 'aider',
+        filesFound: 1,
+        filesSkipped: 0,
+        messagesCollected: messages.length,
+        sessions: groupedMessages.length
+      });
+      span.setAttributes(sourceAttrs);
+
+      Object.entries(sourceAttrs).forEach(([name, value]) => {
+        if (typeof value === 'number') {
+          OTEL.metrics.gauge(name, value, { 'commit_story.collector.source': 'aider' });
+        }
+      });
+
+      logger.complete('chat message collection', `Collected ${messages.length} messages from ${selected.length} of ${sessions.length} Aider sessions`);
+      span.setStatus({ code: SpanStatusCode.OK, message: 'Aider messages collected successfully' });
+      return groupedMessages;
+
+    } catch (error) {
+      span.recordException(error);
+      span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+      logger.error('chat message collection', 'Aider collection failed', error);
+      return [];
+    } finally {
+      span.end();
+    }
+  });
+}
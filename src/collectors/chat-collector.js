@@ -0,0 +1,122 @@
+/**
+ * Chat Collector Registry
+ *
+ * Collects AI assistant conversations for a commit from every supported local
+ * transcript format and merges them into one list of session groups. Each adapter
+ * takes (commitTime, previousCommitTime, repoPath, commit) and returns sessions (or
+ * a promise of sessions) of normalized messages ({type, timestamp, sessionId, message.content}).
+ *
+ * Sources can be limited in commit-story.config.json:
+ *   "chat": { "sources": ["claude", "codex"] }
+ *
+ * Claude Code sessions are also scored against the commit's branch and files
+ * (see session-relevance.js), configured with "chat": { "sessionFilter": "lenient" }.
+ *
+ * Cursor is not supported: it stores conversations in a SQLite database
+ * (state.vscdb) rather than a transcript file.
+ */
+
+import { trace, SpanStatusCode } from '@opentelemetry/api';
+import { extractChatForCommit as extractClaudeChatForCommit } from './claude-collector.js';
+import { extractAiderChatForCommit } from './aider-collector.js';
+import { extractCodexChatForCommit } from './codex-collector.js';
+import { extractGeminiChatForCommit } from './gemini-collector.js';
+import { getSessionFilterMode } from './session-relevance.js';
+import { getChatConfig } from '../utils/config.js';
+import { OTEL } from '../telemetry/standards.js';
+import { createNarrativeLogger } from '../utils/trace-logger.js';
+
+const tracer = trace.getTracer('commit-story-chat-collector', '1.0.0');
+
+export const CHAT_SOURCES = {
+  claude: extractClaudeChatForCommit,
+  codex: extractCodexChatForCommit,
+  gemini: extractGeminiChatForCommit,
+  aider: extractAiderChatForCommit
+};
+
+/**
+ * Resolve which chat sources are enabled
+ * @returns {string[]} Enabled source names (all sources unless configured)
+ */
+export function getEnabledChatSources() {
+  const configured = getChatConfig().sources;
+  if (!Array.isArray(configured)) {
+    return Object.keys(CHAT_SOURCES);
+  }
+
+  const unknown = configured.filter(name => !CHAT_SOURCES[name]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown chat source "${unknown[0]}" in chat.sources - expected any of: ${Object.keys(CHAT_SOURCES).join(', ')}`);
+  }
+  return configured;
+}
+
+/**
+ * Extract chat messages from all enabled sources for a commit time window
+ * @param {Date} commitTime - Current commit timestamp (UTC)
+ * @param {Date|null} previousCommitTime - Previous commit timestamp (UTC), or null for first commit
+ * @param {string} repoPath - Full path to repository
+ * @param {Object} [commit] - Commit being journaled ({hash, branch, files}), for session relevance filtering
+ * @returns {Promise<Array>} Session objects from all sources, sorted by start time, each tagged with its source
+ */
+export async function collectChatForCommit(commitTime, previousCommitTime, repoPath, commit = null) {
+  return await tracer.startActiveSpan(OTEL.span.collectors.chat(), {
+    attributes: {
+      [`${OTEL.NAMESPACE}.collector.repo_path`]: repoPath,
+      'code.function': 'collectChatForCommit'
+    }
+  }, async (span) => {
+    const logger = createNarrativeLogger('chat.collect_messages');
+
+    try {
+      const sources = getEnabledChatSources();
+      // Resolved here so a bad chat.sessionFilter fails the run instead of one collector
+      const commitContext = commit ? { ...commit, sessionFilter: getSessionFilterMode() } : null;
+      logger.start('chat collection', `Collecting chat from ${sources.length} sources: ${sources.join(', ')}`);
+
+      const sessions = [];
+      const sourcesWithMessages = [];
+
+      for (const source of sources) {
+        const sourceSessions = await CHAT_SOURCES[source](commitTime, previousCommitTime, repoPath, commitContext) || [];
+        if (sourceSessions.length > 0) {
+          sourcesWithMessages.push(source);
+          logger.progress('chat collection', `${source}: ${sourceSessions.length} sessions in the commit window`);
+        }
+        sessions.push(...sourceSessions.map(session => ({ ...session, source })));
+      }
+
+      const result = sessions.sort((a, b) => (a.startTime || '').localeCompare(b.startTime || ''));
+
+      const collectionAttrs = OTEL.attrs.chatCollection({
+        sourcesEnabled: sources,
+        sourcesWithMessages,
+        sessions: result.length,
+        messages: result.reduce((sum, session) => sum + session.messages.length, 0)
+      });
+      span.setAttributes(collectionAttrs);
+
+      Object.entries(collectionAttrs).forEach(([name, value]) => {
+        if (typeof value === 'number') {
+          OTEL.metrics.gauge(name, value);
+        }
+      });
+
+      logger.complete('chat collection', sourcesWithMessages.length > 0
+        ? `Collected ${result.length} sessions from ${sourcesWithMessages.join(', ')}`
+        : 'No chat sessions found in any source');
+
+      span.setStatus({ code: SpanStatusCode.OK, message: 'Chat collected successfully' });
+      return result;
+
+    } catch (error) {
+      span.recordException(error);
+      span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+      logger.error('chat collection', 'Chat collection failed', error);
+      throw error;
+    } finally {
+      span.end();
+    }
+  });
+}
@@ -2,14 +2,20 @@
  * Claude Code Chat Data Collector
  * Extracts chat messages from Claude Code JSONL files for git commit time windows
  * Based on research findings in /docs/claude-chat-research.md
+ *
+ * Files are pre-selected with the transcript index (claude-index.js) and streamed
+ * line by line, so history for other projects and periods is never opened.
  */
 
-import { readFileSync, existsSync, readdirSync, statSync } from 'fs';
+import { existsSync, readdirSync } from 'fs';
 import { join } from 'path';
 import { homedir } from 'os';
 import { trace, SpanStatusCode } from '@opentelemetry/api';
 import { OTEL } from '../telemetry/standards.js';
 import { createNarrativeLogger } from '../utils/trace-logger.js';
+import { filterSessionsByRelevance } from './session-relevance.js';
+import { selectClaudeFiles, readJsonlLines } from './claude-index.js';
+import { isInRepository } from '../utils/repo-identity.js';
 
 // Get tracer instance for Claude collector instrumentation
 const tracer = trace.getTracer('commit-story-claude-collector', '1.0.0');
@@ -18,18 +24,19 @@ const tracer = trace.getTracer('commit-story-claude-collector', '1.0.0');
  * Extract chat messages for a specific commit time window, grouped by session
  * @param {Date} commitTime - Current commit timestamp (UTC)
  * @param {Date|null} previousCommitTime - Previous commit timestamp (UTC), or null for first commit
- * @param {string} repoPath - Full path to repository (for cwd filtering)
- * @returns {Array} Array of session objects, each containing sessionId, messages array, startTime, and messageCount
+ * @param {string} repoPath - Repository root (messages started anywhere in it or its worktrees are kept)
+ * @param {Object} [commit] - Commit context for session relevance filtering ({branch, files, sessionFilter})
+ * @returns {Promise<Array>} Array of session objects, each containing sessionId, messages array, startTime, and messageCount
  */
-export function extractChatForCommit(commitTime, previousCommitTime, repoPath) {
-  return tracer.startActiveSpan(OTEL.span.collectors.claude(), {
+export async function extractChatForCommit(commitTime, previousCommitTime, repoPath, commit = null) {
+  return await tracer.startActiveSpan(OTEL.span.collectors.claude(), {
     attributes: {
       [`${OTEL.NAMESPACE}.collector.repo_path`]: repoPath,
       [`${OTEL.NAMESPACE}.collector.time_window_start`]: previousCommitTime?.toISOString() || 'session_start',
       [`${OTEL.NAMESPACE}.collector.time_window_end`]: commitTime.toISOString(),
       'code.function': 'extractChatForCommit'
     }
-  }, (span) => {
+  }, async (span) => {
     const logger = createNarrativeLogger('claude.collect_messages');
 
     try {
@@ -42,9 +49,10 @@ export function extractChatForCommit(commitTime, previousCommitTime, repoPath) {
       const timeWindowMinutes = windowStart ? Math.round((commitTime - windowStart) / (1000 * 60)) : 'all';
       logger.start('chat message collection', `Collecting Claude messages for ${isFirstCommit ? 'entire session (first commit)' : `${timeWindowMinutes}-minute commit window`}`);
 
-      // 1. Find all Claude JSONL files
-      const files = findClaudeFiles();
-      const filesFoundMetric = files.length;
+      // 1. Find all Claude JSONL files, then only those with messages for this repo in the window
+      const allFiles = findClaudeFiles();
+      const files = allFiles.length > 0 ? await selectClaudeFiles(allFiles, repoPath, windowStart, commitTime) : [];
+      const filesFoundMetric = allFiles.length;
 
       span.setAttributes({
         [`${OTEL.NAMESPACE}.collector.files_found`]: filesFoundMetric
@@ -53,7 +61,7 @@ export function extractChatForCommit(commitTime, previousCommitTime, repoPath) {
       // Emit files_found as queryable metric
       OTEL.metrics.gauge(`${OTEL.NAMESPACE}.collector.files_found`, filesFoundMetric);
 
-      logger.progress('chat message collection', `Found ${files.length} Claude JSONL files in ~/.claude/projects directories`);
+      logger.progress('chat message collection', `Found ${allFiles.length} Claude JSONL files in ~/.claude/projects directories, ${files.length} with messages in the window`);
 
       let processedFiles = 0;
       let skippedFiles = 0;
@@ -62,26 +70,22 @@ export function extractChatForCommit(commitTime, previousCommitTime, repoPath) {
       let projectFilteredOut = 0;
       let timeFilteredOut = 0;
 
-      if (files.length === 0) {
+      if (allFiles.length === 0) {
         logger.progress('chat message collection', 'No Claude JSONL files found in ~/.claude/projects - creating empty result');
       }
 
-      // 2. Process each JSONL file
+      // 2. Stream each relevant JSONL file
       for (const filePath of files) {
         try {
-          const content = readFileSync(filePath, 'utf8');
-          const lines = content.trim().split('\n');
-          totalLines += lines.length;
-          processedFiles++;
-
-          for (const line of lines) {
+          for await (const line of readJsonlLines(filePath)) {
             if (!line.trim()) continue; // Skip empty lines
+            totalLines++;
 
             try {
               const message = JSON.parse(line);
 
-              // 3. Filter by project using cwd field
-              if (message.cwd !== repoPath) {
+              // 3. Filter by project using cwd field (subdirectories, worktrees and symlinked paths included)
+              if (!isInRepository(message.cwd, repoPath)) {
                 projectFilteredOut++;
                 continue;
               }
@@ -107,6 +111,7 @@ export function extractChatForCommit(commitTime, previousCommitTime, repoPath) {
               continue;
             }
           }
+          processedFiles++;
         } catch (fileError) {
           // Skip files that can't be read, continue with other files
           skippedFiles++;
@@ -138,7 +143,17 @@ export function extractChatForCommit(commitTime, previousCommitTime, repoPath) {
       });
 
       // 5. Group by session ID and sort sessions chronologically
-      const groupedMessages = groupMessagesBySession(messages);
+      let groupedMessages = groupMessagesBySession(messages);
+
+      // 6. Drop or demote sessions from other branches and tasks in the same repository
+      if (commit && groupedMessages.length > 0) {
+        groupedMessages = filterSessionsByRelevance(
+          groupedMessages,
+          { branch: commit.branch, files: commit.files, timestamp: commitTime },
+          repoPath,
+          commit.sessionFilter
+        );
+      }
 
       if (validMessages === 0) {
         logger.complete('chat message collection', 'No messages found in time window - empty result');
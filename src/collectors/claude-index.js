@@ -0,0 +1,231 @@
+/**
+ * Claude Transcript Index
+ *
+ * Months of Claude Code history means hundreds of JSONL files under
+ * ~/.claude/projects, and only a few of them have messages for this repository
+ * in a given commit window. This index records, for every transcript file, the
+ * timestamp range of its messages per working directory (cwd), so files that
+ * can't contribute are skipped without being opened.
+ *
+ * The index is cached in .git/commit-story/claude-index.json, keyed by file path
+ * and checked against each file's size and mtime. Transcripts are append-only,
+ * so a file that grew is only read from where the last indexing stopped; a file
+ * that shrank is re-read in full. Files are always read as a stream, line by line.
+ */
+
+import fs from 'fs';
+import readline from 'readline';
+import { trace, SpanStatusCode } from '@opentelemetry/api';
+import { OTEL } from '../telemetry/standards.js';
+import { createNarrativeLogger } from '../utils/trace-logger.js';
+import { getStateFilePath } from '../utils/state-directory.js';
+import { isInRepository } from '../utils/repo-identity.js';
+
+const tracer = trace.getTracer('commit-story-claude-collector', '1.0.0');
+
+const INDEX_FILE_NAME = 'claude-index.json';
+const INDEX_VERSION = 1;
+
+// Kept between calls so a backfill loads the cache once, not once per commit
+let memoryIndex = null;
+
+/**
+ * Read a JSONL file line by line
+ * @param {string} filePath - File path
+ * @param {Object} [range] - Byte range to read
+ * @param {number} [range.start=0] - First byte
+ * @param {number} [range.end] - Last byte (inclusive; default: end of file)
+ * @returns {AsyncIterable<string>} Lines, without line endings
+ */
+export function readJsonlLines(filePath, { start = 0, end } = {}) {
+  const stream = fs.createReadStream(filePath, { encoding: 'utf8', start, end });
+  return readline.createInterface({ input: stream, crlfDelay: Infinity });
+}
+
+/**
+ * Load the index from memory or the cache file, starting over when it's missing or from another format
+ * @param {string|null} indexPath - Cache file path, or null outside a git repository
+ * @returns {Object} Index ({version, files})
+ */
+function loadIndex(indexPath) {
+  if (memoryIndex?.path === indexPath) {
+    return memoryIndex.index;
+  }
+  try {
+    const index = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+    if (index.version === INDEX_VERSION) {
+      return index;
+    }
+  } catch (error) {
+    // Missing or corrupt cache - rebuilt by the caller
+  }
+  return { version: INDEX_VERSION, files: {} };
+}
+
+/**
+ * Index a transcript file, or the part appended since it was last indexed
+ *
+ * @param {string} filePath - Transcript file
+ * @param {Object} stat - File stat
+ * @param {Object|null} previous - Previous index record, extended when the file only grew
+ * @returns {Promise<Object>} Index record ({size, mtimeMs, indexedBytes, cwds: {cwd: {first, last}}})
+ */
+async function indexFile(filePath, stat, previous) {
+  const resume = previous && stat.size >= previous.indexedBytes;
+  const start = resume ? previous.indexedBytes : 0;
+  const cwds = resume ? structuredClone(previous.cwds) : {};
+
+  let bytesRead = 0;
+  let lastLine = '';
+  if (stat.size > start) {
+    // Bounded by the stat size: anything appended meanwhile waits for the next run
+    for await (const line of readJsonlLines(filePath, { start, end: stat.size - 1 })) {
+      bytesRead += Buffer.byteLength(line, 'utf8') + 1;
+      lastLine = line;
+      if (!line.trim()) continue;
+
+      try {
+        const { cwd, timestamp } = JSON.parse(line);
+        if (!cwd || !timestamp) continue;
+
+        const range = cwds[cwd] ||= { first: timestamp, last: timestamp };
+        if (timestamp < range.first) range.first = timestamp;
+        if (timestamp > range.last) range.last = timestamp;
+      } catch (parseError) {
+        // Malformed or half-written line
+        continue;
+      }
+    }
+  }
+
+  // A last line without a newline may still be being written - read it again next time
+  const unterminated = bytesRead === stat.size - start + 1;
+  return {
+    size: stat.size,
+    mtimeMs: stat.mtimeMs,
+    indexedBytes: unterminated ? stat.size - Buffer.byteLength(lastLine, 'utf8') : stat.size,
+    cwds
+  };
+}
+
+/**
+ * Bring the index up to date for a set of transcript files
+ *
+ * @param {string[]} files - Transcript files (from findClaudeFiles)
+ * @returns {Promise<{index: Object, filesIndexed: number, filesCached: number}>} Current index
+ */
+export async function updateClaudeIndex(files) {
+  let indexPath = null;
+  try {
+    indexPath = getStateFilePath(INDEX_FILE_NAME);
+  } catch (error) {
+    // Not in a git repository - index in memory only
+  }
+
+  const index = loadIndex(indexPath);
+  const seen = new Set(files);
+  let filesIndexed = 0;
+  let filesCached = 0;
+
+  for (const filePath of files) {
+    let stat;
+    try {
+      stat = fs.statSync(filePath);
+    } catch (error) {
+      seen.delete(filePath);
+      continue;
+    }
+
+    const cached = index.files[filePath];
+    if (cached && cached.size === stat.size && cached.mtimeMs === stat.mtimeMs) {
+      filesCached++;
+      continue;
+    }
+
+    try {
+      index.files[filePath] = await indexFile(filePath, stat, cached);
+      filesIndexed++;
+    } catch (error) {
+      // Unreadable now - drop it so it's retried rather than trusted
+      delete index.files[filePath];
+      seen.delete(filePath);
+    }
+  }
+
+  const removed = Object.keys(index.files).filter(filePath => !seen.has(filePath));
+  removed.forEach(filePath => delete index.files[filePath]);
+
+  if (indexPath && (filesIndexed > 0 || removed.length > 0)) {
+    try {
+      // Write then rename, so a concurrent hook run never reads a half-written cache
+      const tempPath = `${indexPath}.${process.pid}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(index), 'utf8');
+      fs.renameSync(tempPath, indexPath);
+    } catch (error) {
+      // The in-memory index still serves this run
+    }
+  }
+  memoryIndex = { path: indexPath, index };
+
+  return { index, filesIndexed, filesCached };
+}
+
+/**
+ * Find the transcript files that can have messages for a repository in a time window
+ *
+ * @param {string[]} files - Transcript files (from findClaudeFiles)
+ * @param {string} repoPath - Repository root (any cwd inside it or its worktrees counts)
+ * @param {Date|null} windowStart - Start of the commit window, or null for no lower bound
+ * @param {Date} windowEnd - Commit time
+ * @returns {Promise<string[]>} Files worth reading
+ */
+export async function selectClaudeFiles(files, repoPath, windowStart, windowEnd) {
+  return await tracer.startActiveSpan(OTEL.span.claude.update_index(), {
+    attributes: {
+      'code.function': 'selectClaudeFiles'
+    }
+  }, async (span) => {
+    const logger = createNarrativeLogger('claude.update_index');
+    const startTime = Date.now();
+
+    try {
+      logger.start('transcript index', `Checking ${files.length} transcript files against the index`);
+
+      const { index, filesIndexed, filesCached } = await updateClaudeIndex(files);
+
+      // Compared as Dates: transcript timestamps are ISO strings but not always the same precision
+      const relevant = files.filter(filePath => Object.entries(index.files[filePath]?.cwds || {})
+        .some(([cwd, range]) => isInRepository(cwd, repoPath)
+          && new Date(range.first) <= windowEnd
+          && (!windowStart || new Date(range.last) >= windowStart)));
+
+      const indexAttrs = OTEL.attrs.claude.index({
+        filesIndexed,
+        filesCached,
+        filesRelevant: relevant.length,
+        filesSkipped: files.length - relevant.length,
+        indexDuration: Date.now() - startTime
+      });
+      span.setAttributes(indexAttrs);
+
+      Object.entries(indexAttrs).forEach(([name, value]) => {
+        if (typeof value === 'number') {
+          OTEL.metrics.gauge(name, value);
+        }
+      });
+
+      logger.complete('transcript index', `${relevant.length} of ${files.length} files have messages for this repository in the window (${filesIndexed} re-indexed)`);
+      span.setStatus({ code: SpanStatusCode.OK, message: 'Transcript index updated' });
+      return relevant;
+
+    } catch (error) {
+      // Fall back to reading everything rather than missing messages
+      span.recordException(error);
+      span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+      logger.error('transcript index', 'Transcript index failed - reading every file', error);
+      return files;
+    } finally {
+      span.end();
+    }
+  });
+}
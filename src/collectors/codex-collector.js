@@ -0,0 +1,156 @@
+/**
+ * Codex CLI Chat Data Collector
+ * Extracts chat messages from Codex CLI session logs
+ *
+ * Codex writes one JSONL "rollout" file per session under
+ * $CODEX_HOME/sessions/YYYY/MM/DD/ (CODEX_HOME defaults to ~/.codex):
+ *
+ *   {"timestamp":"...","type":"session_meta","payload":{"id":"<uuid>","cwd":"/path/to/repo",...}}
+ *   {"timestamp":"...","type":"response_item","payload":{"type":"message","role":"user","content":[{"type":"input_text","text":"..."}]}}
+ *   {"timestamp":"...","type":"response_item","payload":{"type":"message","role":"assistant","content":[{"type":"output_text","text":"..."}]}}
+ *
+ * Sessions are matched to the repository by the session_meta cwd (anywhere inside
+ * the repository or one of its worktrees). Older rollout
+ * files without session_meta carry no working directory and are skipped.
+ */
+
+import fs from 'fs';
+import { join } from 'path';
+import { homedir } from 'os';
+import { trace, SpanStatusCode } from '@opentelemetry/api';
+import { OTEL } from '../telemetry/standards.js';
+import { createNarrativeLogger } from '../utils/trace-logger.js';
+import { findTranscriptFiles, groupBySession, isInCommitWindow } from './transcript-utils.js';
+import { isInRepository } from '../utils/repo-identity.js';
+
+const tracer = trace.getTracer('commit-story-codex-collector', '1.0.0');
+
+// Context Codex injects as user messages - not written by the developer
+const INJECTED_CONTEXT_PREFIXES = ['<environment_context>', '<user_instructions>'];
+
+/**
+ * Get the Codex sessions directory
+ * @returns {string} Path to the sessions directory
+ */
+function getCodexSessionsDir() {
+  return join(process.env.CODEX_HOME || join(homedir(), '.codex'), 'sessions');
+}
+
+/**
+ * Parse one rollout file into normalized messages
+ * @param {string} content - Rollout file content
+ * @param {string} repoPath - Repository root the session cwd must be inside
+ * @returns {Array|null} Normalized messages, or null if the session belongs elsewhere
+ */
+export function parseCodexRollout(content, repoPath) {
+  let sessionId = null;
+  const messages = [];
+
+  for (const line of content.split('\n')) {
+    if (!line.trim()) continue;
+
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (error) {
+      continue; // Skip malformed lines
+    }
+
+    if (record.type === 'session_meta') {
+      if (!isInRepository(record.payload?.cwd, repoPath)) return null;
+      sessionId = record.payload.id;
+      continue;
+    }
+
+    const item = record.payload;
+    if (record.type !== 'response_item' || item?.type !== 'message') continue;
+    if (item.role !== 'user' && item.role !== 'assistant') continue;
+
+    const text = (item.content || [])
+      .filter(part => (part.type === 'input_text' || part.type === 'output_text') && part.text)
+      .map(part => part.text)
+      .join('\n')
+      .trim();
+    if (!text || INJECTED_CONTEXT_PREFIXES.some(prefix => text.startsWith(prefix))) continue;
+
+    messages.push({ type: item.role, timestamp: record.timestamp, message: { content: text } });
+  }
+
+  // Without session_meta the session can't be attributed to a repository
+  if (!sessionId) return null;
+  return messages.map(message => ({ ...message, sessionId }));
+}
+
+/**
+ * Extract Codex CLI chat messages for a commit time window, grouped by session
+ * @param {Date} commitTime - Current commit timestamp
+ * @param {Date|null} previousCommitTime - Previous commit timestamp, or null for first commit
+ * @param {string} repoPath - Repository path (matched against the session cwd)
+ * @returns {Array} Session objects with sessionId, messages, startTime and messageCount
+ */
+export function extractCodexChatForCommit(commitTime, previousCommitTime, repoPath) {
+  return tracer.startActiveSpan(OTEL.span.collectors.codex(), {
+    attributes: {
+      [`${OTEL.NAMESPACE}.collector.repo_path`]: repoPath,
+      'code.function': 'extractCodexChatForCommit'
+    }
+  }, (span) => {
+    const logger = createNarrativeLogger('codex.collect_messages');
+
+    try {
+      const sessionsDir = getCodexSessionsDir();
+      logger.start('chat message collection', `Scanning Codex sessions in ${sessionsDir}`);
+
+      const files = findTranscriptFiles(sessionsDir, name => name.endsWith('.jsonl'), previousCommitTime);
+      const messages = [];
+      let filesSkipped = 0;
+
+      for (const filePath of files) {
+        let sessionMessages;
+        try {
+          sessionMessages = parseCodexRollout(fs.readFileSync(filePath, 'utf8'), repoPath);
+        } catch (error) {
+          filesSkipped++;
+          continue;
+        }
+        if (!sessionMessages) continue;
+
+        for (const message of sessionMessages) {
+          const messageTime = message.timestamp ? new Date(message.timestamp) : null;
+          if (isInCommitWindow(messageTime, commitTime, previousCommitTime)) {
+            messages.push({ ...message, timestamp: messageTime.toISOString() });
+          }
+        }
+      }
+
+      const groupedMessages = groupBySession(messages);
+
+      const sourceAttrs = OTEL.attrs.chatSource({
+        source: 'codex',
+        filesFound: files.length,
+        filesSkipped,
+        messagesCollected: messages.length,
+        sessions: groupedMessages.length
+      });
+      span.setAttributes(sourceAttrs);
+
+      Object.entries(sourceAttrs).forEach(([name, value]) => {
+        if (typeof value === 'number') {
+          OTEL.metrics.gauge(name, value, { 'commit_story.collector.source': 'codex' });
+        }
+      });
+
+      logger.complete('chat message collection', `Collected ${messages.length} messages across ${groupedMessages.length} Codex sessions from ${files.length} files`);
+      span.setStatus({ code: SpanStatusCode.OK, message: 'Codex messages collected successfully' });
+      return groupedMessages;
+
+    } catch (error) {
+      span.recordException(error);
+      span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+      logger.error('chat message collection', 'Codex collection failed', error);
+      return [];
+    } finally {
+      span.end();
+    }
+  });
+}
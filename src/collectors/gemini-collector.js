@@ -0,0 +1,169 @@
+/**
+ * Gemini CLI Chat Data Collector
+ * Extracts chat messages from Gemini CLI session logs
+ *
+ * Gemini CLI keeps per-project data in ~/.gemini/tmp/<sha256 of project root>/:
+ *
+ *   chats/session-*.json   Full conversations:
+ *                          {"sessionId": "...", "messages": [{"timestamp": "...", "type": "user" | "gemini", "content": "..."}]}
+ *   logs.json              User prompts only (older versions):
+ *                          [{"sessionId": "...", "type": "user", "message": "...", "timestamp": "..."}]
+ *
+ * Saved chats are preferred; logs.json is only read when a project has no chats directory.
+ */
+
+import fs from 'fs';
+import { join } from 'path';
+import { homedir } from 'os';
+import { createHash } from 'crypto';
+import { trace, SpanStatusCode } from '@opentelemetry/api';
+import { OTEL } from '../telemetry/standards.js';
+import { createNarrativeLogger } from '../utils/trace-logger.js';
+import { findTranscriptFiles, groupBySession, isInCommitWindow } from './transcript-utils.js';
+import { getRepoIdentity } from '../utils/repo-identity.js';
+
+const tracer = trace.getTracer('commit-story-gemini-collector', '1.0.0');
+
+// Gemini message types mapped to the normalized user/assistant types
+const MESSAGE_TYPES = { user: 'user', gemini: 'assistant', model: 'assistant' };
+
+/**
+ * Get Gemini's project directories for a repository
+ * The repository root and every worktree root are hashed, both as given and as
+ * resolved real paths, since Gemini hashes whichever form the CLI was started with.
+ * Sessions started in a subdirectory hash to a directory that can't be derived
+ * from the repository, so they aren't found.
+ * @param {string} repoPath - Repository path
+ * @returns {string[]} Existing project directories
+ */
+function getGeminiProjectDirs(repoPath) {
+  const tmpDir = join(homedir(), '.gemini', 'tmp');
+  const paths = new Set([repoPath, ...getRepoIdentity(repoPath).worktrees]);
+  try {
+    paths.add(fs.realpathSync(repoPath));
+  } catch (error) {
+    // Path can't be resolved - hash it as given
+  }
+
+  return [...paths]
+    .map(path => join(tmpDir, createHash('sha256').update(path).digest('hex')))
+    .filter(dir => fs.existsSync(dir));
+}
+
+/**
+ * Normalize Gemini message content to text
+ * @param {string|Array|Object} content - String, or Gemini "parts" ({text}) list
+ * @returns {string} Text content
+ */
+function contentToText(content) {
+  if (typeof content === 'string') return content;
+  const parts = Array.isArray(content) ? content : [content];
+  return parts
+    .map(part => (typeof part === 'string' ? part : part?.text || ''))
+    .filter(Boolean)
+    .join('\n');
+}
+
+/**
+ * Parse a saved chat or logs.json file into normalized messages
+ * @param {string} content - File content
+ * @returns {Array} Normalized messages
+ */
+export function parseGeminiLog(content) {
+  const data = JSON.parse(content);
+  const records = Array.isArray(data)
+    ? data.map(record => ({ ...record, content: record.message }))
+    : (data.messages || []).map(record => ({ ...record, sessionId: data.sessionId }));
+
+  return records
+    .filter(record => MESSAGE_TYPES[record.type] && record.sessionId && record.timestamp)
+    .map(record => ({
+      type: MESSAGE_TYPES[record.type],
+      timestamp: record.timestamp,
+      sessionId: record.sessionId,
+      message: { content: contentToText(record.content).trim() }
+    }))
+    .filter(message => message.message.content);
+}
+
+/**
+ * Extract Gemini CLI chat messages for a commit time window, grouped by session
+ * @param {Date} commitTime - Current commit timestamp
+ * @param {Date|null} previousCommitTime - Previous commit timestamp, or null for first commit
+ * @param {string} repoPath - Repository path (Gemini's project root)
+ * @returns {Array} Session objects with sessionId, messages, startTime and messageCount
+ */
+export function extractGeminiChatForCommit(commitTime, previousCommitTime, repoPath) {
+  return tracer.startActiveSpan(OTEL.span.collectors.gemini(), {
+    attributes: {
+      [`${OTEL.NAMESPACE}.collector.repo_path`]: repoPath,
+      'code.function': 'extractGeminiChatForCommit'
+    }
+  }, (span) => {
+    const logger = createNarrativeLogger('gemini.collect_messages');
+
+    try {
+      const projectDirs = getGeminiProjectDirs(repoPath);
+      logger.start('chat message collection', `Found ${projectDirs.length} Gemini project directories for ${repoPath}`);
+
+      const files = [];
+      for (const projectDir of projectDirs) {
+        const chatsDir = join(projectDir, 'chats');
+        if (fs.existsSync(chatsDir)) {
+          files.push(...findTranscriptFiles(chatsDir, name => name.endsWith('.json'), previousCommitTime));
+        } else {
+          files.push(...findTranscriptFiles(projectDir, name => name === 'logs.json', previousCommitTime));
+        }
+      }
+
+      const messages = [];
+      let filesSkipped = 0;
+
+      for (const filePath of files) {
+        let fileMessages;
+        try {
+          fileMessages = parseGeminiLog(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+          filesSkipped++;
+          continue;
+        }
+
+        for (const message of fileMessages) {
+          const messageTime = new Date(message.timestamp);
+          if (isInCommitWindow(messageTime, commitTime, previousCommitTime)) {
+            messages.push({ ...message, timestamp: messageTime.toISOString() });
+          }
+        }
+      }
+
+      const groupedMessages = groupBySession(messages);
+
+      const sourceAttrs = OTEL.attrs.chatSource({
+        source: 'gemini',
+        filesFound: files.length,
+        filesSkipped,
+        messagesCollected: messages.length,
+        sessions: groupedMessages.length
+      });
+      span.setAttributes(sourceAttrs);
+
+      Object.entries(sourceAttrs).forEach(([name, value]) => {
+        if (typeof value === 'number') {
+          OTEL.metrics.gauge(name, value, { 'commit_story.collector.source': 'gemini' });
+        }
+      });
+
+      logger.complete('chat message collection', `Collected ${messages.length} messages across ${groupedMessages.length} Gemini sessions from ${files.length} files`);
+      span.setStatus({ code: SpanStatusCode.OK, message: 'Gemini messages collected successfully' });
+      return groupedMessages;
+
+    } catch (error) {
+      span.recordException(error);
+      span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+      logger.error('chat message collection', 'Gemini collection failed', error);
+      return [];
+    } finally {
+      span.end();
+    }
+  });
+}
@@ -3,15 +3,58 @@
  * Extracts data from the latest commit for git hook processing
  */
 
-import { execSync } from 'child_process';
+import { execSync, execFileSync } from 'child_process';
 import { redactSensitiveData } from '../generators/filters/sensitive-data-filter.js';
 import { trace, SpanStatusCode } from '@opentelemetry/api';
 import { OTEL } from '../telemetry/standards.js';
 import { createNarrativeLogger } from '../utils/trace-logger.js';
+import { partitionIgnoredPaths, getIgnorePathspecs, isPathIgnored } from '../utils/ignore-rules.js';
 
 // Get tracer instance for Git collector instrumentation
 const tracer = trace.getTracer('commit-story-git-collector', '1.0.0');
 
+/**
+ * Find the branch a commit was made on
+ * HEAD's commit belongs to the checked-out branch; older commits (backfill) are
+ * named after the closest local branch that contains them.
+ * @param {string} hash - Full commit hash
+ * @returns {string|null} Branch name, or null when HEAD is detached or no branch contains the commit
+ */
+function getCommitBranch(hash) {
+  const options = { encoding: 'utf8', stdio: ['pipe', 'pipe', 'pipe'] };
+  try {
+    if (execFileSync('git', ['rev-parse', 'HEAD'], options).trim() === hash) {
+      return execFileSync('git', ['symbolic-ref', '--short', '-q', 'HEAD'], options).trim() || null;
+    }
+    // "main~3" -> "main"
+    const name = execFileSync('git', ['name-rev', '--name-only', '--no-undefined', '--refs=refs/heads/*', hash], options).trim();
+    return name.replace(/[~^].*$/, '') || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Drop the diffs of ignored files from a patch
+ * diff-tree writes one "diff --git" section per file, in the order it lists the
+ * files, so sections are matched to names by position rather than by parsing
+ * (possibly quoted) header paths.
+ * @param {string} diff - Patch from git diff-tree -p
+ * @param {string[]} files - The same diff's files, from git diff-tree --name-only
+ * @returns {string} Patch without ignored files' sections
+ */
+function removeIgnoredFileDiffs(diff, files) {
+  const sections = diff.split(/^(?=diff --git )/m);
+  // The commit ID line comes before the first file
+  const head = sections[0].startsWith('diff --git ') ? '' : sections.shift();
+  if (sections.length !== files.length) {
+    // Unexpected layout - keep the diff rather than drop the wrong files
+    return diff;
+  }
+
+  return head + sections.filter((section, index) => !isPathIgnored(files[index])).join('');
+}
+
 /**
  * Get data for the specified commit (defaults to HEAD)
  * This is called by the git post-commit hook or test harness
@@ -51,11 +94,23 @@ export function getLatestCommitData(commitRef = 'HEAD') {
       }
 
       // Get full diff content for the specified commit
-      // Filter out journal/entries/** to prevent context pollution
+      // Filter out .commitstoryignore paths (always including journal/entries/**) to prevent context pollution
       // Preserves reflections and context captures (manual content)
       // Use -m --first-parent to show diffs for merge commits (vs first parent)
-      logger.progress('git data collection', `Retrieving diff with git diff-tree for ${commitRef} (filtering journal entries)`);
-      const diff = execSync(`git diff-tree -p -m --first-parent ${commitRef} -- . ':!journal/entries/'`, { encoding: 'utf8', maxBuffer: 1024 * 1024 * 10 }); // 10MB buffer
+      const diffTree = (args) => execFileSync(
+        'git',
+        ['diff-tree', '-m', '--first-parent', ...args],
+        { encoding: 'utf8', maxBuffer: 1024 * 1024 * 10 } // 10MB buffer
+      );
+      const listFiles = (pathspecs = []) => diffTree(['--no-commit-id', '--name-only', '-r', '-z', hash, '--', ...pathspecs]).split('\0').filter(Boolean);
+
+      const { ignored: ignoredFiles } = partitionIgnoredPaths(listFiles());
+
+      logger.progress('git data collection', `Retrieving diff with git diff-tree for ${commitRef} (excluding ${ignoredFiles.length} ignored files)`);
+      // Ignore patterns are passed as a few glob pathspecs (never one argument per file),
+      // so huge lockfile diffs are never read; whatever they don't cover is dropped below
+      const pathspecs = ['.', ...getIgnorePathspecs()];
+      const diff = removeIgnoredFileDiffs(diffTree(['-p', hash, '--', ...pathspecs]), listFiles(pathspecs));
 
       const diffLines = diff.split('\n').length;
       const diffSizeKB = Math.round(diff.length / 1024);
@@ -70,6 +125,7 @@ export function getLatestCommitData(commitRef = 'HEAD') {
           email: '[REDACTED_EMAIL]'
         },
         timestamp: new Date(parseInt(timestamp) * 1000),
+        branch: getCommitBranch(hash),
         diff
       };
 
@@ -88,7 +144,8 @@ export function getLatestCommitData(commitRef = 'HEAD') {
       const collectorMetrics = {
         [`${OTEL.NAMESPACE}.collector.diff_size_chars`]: diff.length,
         [`${OTEL.NAMESPACE}.collector.diff_size_lines`]: diff.split('\n').length,
-        [`${OTEL.NAMESPACE}.collector.message_redacted`]: message.includes('[REDACTED]') ? 1 : 0
+        [`${OTEL.NAMESPACE}.collector.message_redacted`]: message.includes('[REDACTED]') ? 1 : 0,
+        [`${OTEL.NAMESPACE}.collector.ignored_files`]: ignoredFiles.length
       };
 
       span.setAttributes(collectorMetrics);
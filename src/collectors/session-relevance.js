@@ -0,0 +1,267 @@
+/**
+ * Session Relevance Scoring
+ *
+ * With several Claude Code tabs open in one repository, every session whose cwd
+ * matches lands in the commit window - including ones working on a different
+ * branch or feature. Each session is scored against the commit on three signals:
+ *
+ *   branch    The gitBranch recorded on its messages vs. the commit's branch
+ *   files     Files its tool calls read or edited vs. the files the commit changed
+ *   recency   How close its last message is to the commit time
+ *
+ * Signals without evidence (no branch on either side, no file tool calls) are left
+ * out of the score rather than counted against the session.
+ *
+ * The filter mode comes from commit-story.config.json:
+ *   "chat": { "sessionFilter": "lenient" }   (default)
+ *
+ *   strict    Keep relevant sessions only
+ *   lenient   Keep relevant sessions, keep doubtful ones marked relevance: 'low',
+ *             drop clearly unrelated ones (never all of them)
+ *   off       Keep every session
+ */
+
+import { trace, SpanStatusCode } from '@opentelemetry/api';
+import { OTEL } from '../telemetry/standards.js';
+import { createNarrativeLogger } from '../utils/trace-logger.js';
+import { getChatConfig } from '../utils/config.js';
+import { toRepoRelativePath } from '../utils/repo-identity.js';
+
+const tracer = trace.getTracer('commit-story-claude-collector', '1.0.0');
+
+export const SESSION_FILTER_MODES = ['strict', 'lenient', 'off'];
+const DEFAULT_MODE = 'lenient';
+
+// Signal weights (renormalized over the signals that have evidence)
+const WEIGHTS = { branch: 0.3, files: 0.5, recency: 0.2 };
+
+// Score at or above which a session is kept; lenient mode demotes down to DEMOTE_SCORE
+const KEEP_SCORE = 0.6;
+const DEMOTE_SCORE = 0.3;
+
+// Minutes before the commit at which recency counts half
+const RECENCY_HALF_MINUTES = 15;
+
+// Tool input fields that name a file, and the tools that change files
+const TOOL_PATH_FIELDS = ['file_path', 'notebook_path', 'path'];
+const EDIT_TOOLS = new Set(['Edit', 'MultiEdit', 'Write', 'NotebookEdit']);
+
+/**
+ * Resolve the configured filter mode
+ * @returns {string} 'strict', 'lenient' or 'off'
+ */
+export function getSessionFilterMode() {
+  const mode = getChatConfig().sessionFilter;
+  if (mode === undefined) {
+    return DEFAULT_MODE;
+  }
+  if (!SESSION_FILTER_MODES.includes(mode)) {
+    throw new Error(`Unknown chat.sessionFilter "${mode}" - expected one of: ${SESSION_FILTER_MODES.join(', ')}`);
+  }
+  return mode;
+}
+
+/**
+ * Collect the repository files a session's tool calls read or edited
+ * @param {Array} messages - Raw Claude messages
+ * @param {string} repoPath - Repository root
+ * @returns {{touched: Set<string>, edited: Set<string>}} Repository-relative paths
+ */
+function collectSessionFiles(messages, repoPath) {
+  const touched = new Set();
+  const edited = new Set();
+
+  for (const message of messages) {
+    const content = message.message?.content;
+    if (!Array.isArray(content)) continue;
+
+    for (const item of content) {
+      if (item?.type !== 'tool_use' || !item.input) continue;
+
+      for (const field of TOOL_PATH_FIELDS) {
+        // Relative paths are relative to where the session was started
+        const path = toRepoRelativePath(item.input[field], repoPath, message.cwd);
+        if (!path) continue;
+
+        touched.add(path);
+        if (EDIT_TOOLS.has(item.name)) {
+          edited.add(path);
+        }
+      }
+    }
+  }
+
+  return { touched, edited };
+}
+
+/**
+ * Score one session's relevance to the commit
+ *
+ * @param {Object} session - Session group ({sessionId, messages})
+ * @param {Object} commit - Commit being journaled
+ * @param {string|null} commit.branch - Branch the commit was made on
+ * @param {string[]} commit.files - Files the commit changed (repository-relative)
+ * @param {Date} commit.timestamp - Commit time
+ * @param {string} repoPath - Repository root
+ * @returns {Object} {score, branch, branchMatch, filesTouched, filesOverlap, filesEditedElsewhere, minutesBeforeCommit, evidence}
+ */
+export function scoreSession(session, commit, repoPath) {
+  const signals = {};
+
+  // Branch: the branch of the session's latest message that recorded one
+  const branches = session.messages.map(message => message.gitBranch).filter(branch => branch && branch !== 'HEAD');
+  const branch = branches.length > 0 ? branches[branches.length - 1] : null;
+  const branchMatch = branch && commit.branch ? branches.includes(commit.branch) : null;
+  if (branchMatch !== null) {
+    signals.branch = branchMatch ? 1 : 0;
+  }
+
+  // Files: any overlap is strong evidence; edits only to other files count against
+  const { touched, edited } = collectSessionFiles(session.messages, repoPath);
+  const commitFiles = new Set(commit.files || []);
+  const overlap = [...touched].filter(path => commitFiles.has(path)).length;
+  const editedElsewhere = overlap === 0 && edited.size > 0;
+  if (overlap > 0) {
+    signals.files = 1;
+  } else if (editedElsewhere) {
+    signals.files = 0;
+  }
+
+  // Recency: always known
+  const lastTimestamp = session.messages[session.messages.length - 1]?.timestamp;
+  const minutesBeforeCommit = lastTimestamp
+    ? Math.max(0, (commit.timestamp - new Date(lastTimestamp)) / 60000)
+    : null;
+  signals.recency = minutesBeforeCommit === null ? 0 : 1 / (1 + minutesBeforeCommit / RECENCY_HALF_MINUTES);
+
+  const totalWeight = Object.keys(signals).reduce((sum, name) => sum + WEIGHTS[name], 0);
+  const score = Object.entries(signals).reduce((sum, [name, value]) => sum + WEIGHTS[name] * value, 0) / totalWeight;
+
+  return {
+    score: Math.round(score * 100) / 100,
+    branch,
+    branchMatch,
+    filesTouched: touched.size,
+    filesOverlap: overlap,
+    filesEditedElsewhere: editedElsewhere,
+    minutesBeforeCommit: minutesBeforeCommit === null ? null : Math.round(minutesBeforeCommit),
+    // Recency alone says nothing about which task a session belongs to
+    evidence: 'branch' in signals || 'files' in signals
+  };
+}
+
+/**
+ * Decide what to do with a scored session
+ * @param {Object} relevance - Result of scoreSession
+ * @param {string} mode - 'strict' or 'lenient'
+ * @returns {{decision: string, reason: string}} 'keep', 'demote' or 'exclude', and why
+ */
+function decide(relevance, mode) {
+  const reasons = [];
+  if (relevance.branchMatch === false) reasons.push(`on branch ${relevance.branch}`);
+  if (relevance.filesEditedElsewhere) reasons.push('edited only files outside the commit');
+  if (relevance.branchMatch === true) reasons.push('same branch');
+  if (relevance.filesOverlap > 0) reasons.push(`touched ${relevance.filesOverlap} committed file(s)`);
+  const reason = reasons.join(', ') || 'no branch or file evidence';
+
+  if (!relevance.evidence || relevance.score >= KEEP_SCORE) {
+    return { decision: 'keep', reason };
+  }
+  if (mode === 'lenient' && relevance.score >= DEMOTE_SCORE) {
+    return { decision: 'demote', reason };
+  }
+  return { decision: 'exclude', reason };
+}
+
+/**
+ * Score sessions against the commit and filter them by the configured mode
+ *
+ * Kept sessions are returned unchanged; demoted ones gain relevance: 'low' so the
+ * generators can treat them as background. Every decision is recorded as a
+ * "session.relevance" event on the span.
+ *
+ * @param {Array} sessions - Session groups from groupMessagesBySession
+ * @param {Object} commit - {branch, files, timestamp} (see scoreSession)
+ * @param {string} repoPath - Repository root
+ * @param {string} [mode] - Filter mode (default: chat.sessionFilter)
+ * @returns {Array} Sessions to journal, in their original order
+ */
+export function filterSessionsByRelevance(sessions, commit, repoPath, mode = getSessionFilterMode()) {
+  if (mode === 'off' || sessions.length === 0) {
+    return sessions;
+  }
+
+  return tracer.startActiveSpan(OTEL.span.claude.score_sessions(), {
+    attributes: {
+      'code.function': 'filterSessionsByRelevance'
+    }
+  }, (span) => {
+    const logger = createNarrativeLogger('claude.score_sessions');
+
+    try {
+      logger.start('session relevance', `Scoring ${sessions.length} sessions against branch ${commit.branch || '(unknown)'} and ${commit.files?.length || 0} changed files (${mode})`);
+
+      const scored = sessions.map(session => {
+        const relevance = scoreSession(session, commit, repoPath);
+        return { session, relevance, ...decide(relevance, mode) };
+      });
+
+      // Lenient mode never leaves a commit without chat: the best session stays, demoted
+      if (mode === 'lenient' && scored.every(entry => entry.decision === 'exclude')) {
+        const best = scored.reduce((top, entry) => (entry.relevance.score > top.relevance.score ? entry : top));
+        best.decision = 'demote';
+        best.reason += ' (best of excluded sessions)';
+      }
+
+      for (const { session, relevance, decision, reason } of scored) {
+        span.addEvent('session.relevance', {
+          session_id: session.sessionId,
+          decision,
+          reason,
+          score: relevance.score,
+          branch: relevance.branch || '',
+          files_touched: relevance.filesTouched,
+          files_overlap: relevance.filesOverlap,
+          minutes_before_commit: relevance.minutesBeforeCommit ?? -1
+        });
+        if (decision !== 'keep') {
+          logger.decision('session relevance', `${decision === 'exclude' ? 'Excluded' : 'Demoted'} session ${session.sessionId.slice(0, 8)} (score ${relevance.score}: ${reason})`);
+        }
+      }
+
+      const count = decision => scored.filter(entry => entry.decision === decision).length;
+      const filterAttrs = OTEL.attrs.claude.sessionFilter({
+        mode,
+        scored: scored.length,
+        kept: count('keep'),
+        demoted: count('demote'),
+        excluded: count('exclude')
+      });
+      span.setAttributes(filterAttrs);
+
+      // Emit metrics
+      Object.entries(filterAttrs).forEach(([name, value]) => {
+        if (typeof value === 'number') {
+          OTEL.metrics.gauge(name, value);
+        }
+      });
+
+      const result = scored
+        .filter(entry => entry.decision !== 'exclude')
+        .map(entry => (entry.decision === 'demote' ? { ...entry.session, relevance: 'low' } : entry.session));
+
+      logger.complete('session relevance', `Kept ${count('keep')}, demoted ${count('demote')}, excluded ${count('exclude')} of ${scored.length} sessions`);
+      span.setStatus({ code: SpanStatusCode.OK, message: 'Sessions scored' });
+      return result;
+
+    } catch (error) {
+      // Scoring is a refinement - journal every session rather than none
+      span.recordException(error);
+      span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+      logger.error('session relevance', 'Session scoring failed - keeping all sessions', error);
+      return sessions;
+    } finally {
+      span.end();
+    }
+  });
+}
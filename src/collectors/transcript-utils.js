@@ -0,0 +1,91 @@
+/**
+ * Transcript Utilities
+ *
+ * Shared helpers for the chat transcript adapters. Every adapter normalizes its
+ * assistant's log format into the message shape the Claude collector produces:
+ *
+ *   { type: 'user' | 'assistant', timestamp: ISO string, sessionId, message: { content } }
+ *
+ * and returns messages grouped by session, so extractTextFromMessages and the
+ * generators work the same for every assistant.
+ */
+
+import fs from 'fs';
+import { join } from 'path';
+
+/**
+ * Check whether a message time falls inside the commit window
+ * For the first commit (no previous commit), everything up to the commit counts.
+ * @param {Date} messageTime - Message timestamp
+ * @param {Date} commitTime - Current commit timestamp
+ * @param {Date|null} previousCommitTime - Previous commit timestamp, or null
+ * @returns {boolean} True if the message belongs to this commit
+ */
+export function isInCommitWindow(messageTime, commitTime, previousCommitTime) {
+  if (!messageTime || isNaN(messageTime.getTime())) return false;
+  return previousCommitTime
+    ? (previousCommitTime <= messageTime && messageTime <= commitTime)
+    : (messageTime <= commitTime);
+}
+
+/**
+ * Recursively list files under a directory that match a predicate
+ * Files last modified before `modifiedAfter` are skipped - they cannot hold messages
+ * from the commit window.
+ * @param {string} dir - Root directory
+ * @param {(name: string) => boolean} matches - File name predicate
+ * @param {Date|null} [modifiedAfter] - Skip files not modified since this time
+ * @returns {string[]} Matching file paths
+ */
+export function findTranscriptFiles(dir, matches, modifiedAfter = null) {
+  const found = [];
+  let entries;
+  try {
+    entries = fs.readdirSync(dir, { withFileTypes: true });
+  } catch (error) {
+    return found;
+  }
+
+  for (const entry of entries) {
+    const fullPath = join(dir, entry.name);
+    if (entry.isDirectory()) {
+      found.push(...findTranscriptFiles(fullPath, matches, modifiedAfter));
+    } else if (entry.isFile() && matches(entry.name)) {
+      try {
+        if (modifiedAfter && fs.statSync(fullPath).mtime < modifiedAfter) continue;
+      } catch (error) {
+        continue;
+      }
+      found.push(fullPath);
+    }
+  }
+  return found;
+}
+
+/**
+ * Group normalized messages by session, sorted chronologically
+ * @param {Array} messages - Normalized messages with sessionId and ISO timestamp
+ * @returns {Array} Session objects with sessionId, messages, startTime and messageCount
+ */
+export function groupBySession(messages) {
+  const sessionMap = new Map();
+  for (const message of messages) {
+    if (!message.sessionId) continue;
+    if (!sessionMap.has(message.sessionId)) {
+      sessionMap.set(message.sessionId, []);
+    }
+    sessionMap.get(message.sessionId).push(message);
+  }
+
+  return Array.from(sessionMap.entries())
+    .map(([sessionId, sessionMessages]) => {
+      const sorted = sessionMessages.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+      return {
+        sessionId,
+        messages: sorted,
+        startTime: sorted[0]?.timestamp,
+        messageCount: sorted.length
+      };
+    })
+    .sort((a, b) => (a.startTime || '').localeCompare(b.startTime || ''));
+}
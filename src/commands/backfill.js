@@ -0,0 +1,490 @@
+/**
+ * Backfill Command
+ *
+ * Generates journal entries for a range of historical commits, e.g. when
+ * commit-story is installed on an existing repository or the hook was
+ * disabled for a while.
+ *
+ * Usage:
+ *   commit-story backfill <from>..<to>           # Show plan, ask for confirmation, then run
+ *   commit-story backfill <from>..<to> --yes     # Skip the confirmation prompt
+ *   commit-story backfill <from>..<to> --dry-run # Show the plan only
+ *
+ * Progress is recorded per commit in .git/commit-story/backfill-state.json so an
+ * interrupted run (rate limit, network failure, Ctrl+C) can be resumed by
+ * re-running the same command.
+ */
+
+import fs from 'fs';
+import readline from 'readline';
+import { execFileSync } from 'child_process';
+import { trace, SpanStatusCode } from '@opentelemetry/api';
+import { gatherContextForCommit, isGitOnlyContext } from '../integrators/context-integrator.js';
+import { generateJournalEntry } from '../generators/journal-generator.js';
+import { saveJournalEntry, journalEntryExists } from '../managers/journal-manager.js';
+import { isJournalEntriesOnlyCommit, isMergeCommit } from '../utils/commit-analyzer.js';
+import { getStateFilePath } from '../utils/state-directory.js';
+import { createProvider, getConfiguredProviders, resolveProviderConfig } from '../providers/index.js';
+import { createTokenCounter } from '../utils/token-counter.js';
+import { OTEL } from '../telemetry/standards.js';
+import { createNarrativeLogger } from '../utils/trace-logger.js';
+
+const tracer = trace.getTracer('commit-story-backfill', '1.0.0');
+
+const STATE_FILE_NAME = 'backfill-state.json';
+
+// Commit-analyzer's ref validation plus ~ and ^ for relative refs (HEAD~20..HEAD)
+const REF_PATTERN = /^[a-zA-Z0-9/_.~^-]+$/;
+
+// Rough per-commit overhead of the three section prompts + guidelines (tokens)
+const PROMPT_OVERHEAD_TOKENS = 1500;
+// Typical completion size per section (tokens)
+const OUTPUT_TOKENS_PER_SECTION = 500;
+
+/**
+ * Parse a <from>..<to> range argument
+ * @param {string} range - Commit range
+ * @returns {{from: string, to: string}} Validated range endpoints
+ */
+function parseCommitRange(range) {
+  const separator = (range || '').indexOf('..');
+  if (separator <= 0 || range.includes('...')) {
+    throw new Error(`Invalid range "${range}" - expected <from>..<to> (e.g. v1.0.0..HEAD)`);
+  }
+
+  const from = range.slice(0, separator);
+  const to = range.slice(separator + 2) || 'HEAD';
+  if (!REF_PATTERN.test(from) || !REF_PATTERN.test(to)) {
+    throw new Error(`Invalid commit reference in range "${range}"`);
+  }
+  return { from, to };
+}
+
+/**
+ * List commits in a range, oldest first
+ * @param {string} from - Exclusive start ref
+ * @param {string} to - Inclusive end ref
+ * @returns {Array<{hash: string, timestamp: Date, subject: string}>} Commits in chronological order
+ */
+function listCommitsInRange(from, to) {
+  const output = execFileSync(
+    'git',
+    ['log', '--reverse', '--author-date-order', '--format=%H|%at|%s', `${from}..${to}`],
+    { encoding: 'utf8', stdio: ['pipe', 'pipe', 'pipe'] }
+  );
+
+  return output
+    .split('\n')
+    .filter(line => line.length > 0)
+    .map(line => {
+      const [hash, authorTime, ...subjectParts] = line.split('|');
+      return {
+        hash,
+        timestamp: new Date(parseInt(authorTime, 10) * 1000),
+        subject: subjectParts.join('|')
+      };
+    });
+}
+
+/**
+ * Load backfill progress from the state directory
+ * @returns {Object} State with a `completed` map keyed by full commit hash
+ */
+function loadBackfillState() {
+  try {
+    const statePath = getStateFilePath(STATE_FILE_NAME);
+    if (fs.existsSync(statePath)) {
+      const state = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+      return { completed: state.completed || {} };
+    }
+  } catch (error) {
+    // Corrupt state is treated as empty - worst case we regenerate entries
+  }
+  return { completed: {} };
+}
+
+/**
+ * Persist backfill progress (written after every commit so interruptions lose nothing)
+ * @param {Object} state - Backfill state
+ */
+function saveBackfillState(state) {
+  fs.writeFileSync(getStateFilePath(STATE_FILE_NAME), JSON.stringify(state, null, 2), 'utf8');
+}
+
+/**
+ * Estimate token usage for generating one entry from gathered context
+ * Summary and technical decisions each receive the full context, dialogue receives the chat.
+ * Git-only entries (no chat) skip the dialogue call and send reflections instead.
+ * @param {Object} context - Context from gatherContextForCommit (already within the token budget)
+ * @param {Object} counter - Token counter from createTokenCounter
+ * @returns {{input: number, output: number}} Estimated tokens
+ */
+function estimateCommitTokens(context, counter) {
+  const diffTokens = counter.count(context.commit.data.diff || '');
+  const captureTokens = counter.count(JSON.stringify(context.contextCaptures?.data || []));
+
+  if (isGitOnlyContext(context)) {
+    const reflectionTokens = counter.count(JSON.stringify(context.reflections.data));
+    return {
+      input: (diffTokens + reflectionTokens + captureTokens) * 2 + PROMPT_OVERHEAD_TOKENS * 2,
+      output: OUTPUT_TOKENS_PER_SECTION * 2
+    };
+  }
+
+  const chatTokens = counter.count(JSON.stringify(context.chatSessions.data || []));
+  const toolActivityTokens = context.toolActivity?.data ? counter.count(JSON.stringify(context.toolActivity.data)) : 0;
+
+  return {
+    input: (diffTokens + chatTokens + captureTokens + toolActivityTokens) * 2 + chatTokens + PROMPT_OVERHEAD_TOKENS * 3,
+    output: OUTPUT_TOKENS_PER_SECTION * 3
+  };
+}
+
+/**
+ * Estimate the USD cost for a token count
+ * Prices come from the "pricing" setting (USD per million tokens) - they change too
+ * often to build in.
+ * @param {{input: number, output: number}} tokens - Token estimate
+ * @param {Object} providerConfig - Resolved provider configuration
+ * @returns {number|null} Cost in USD, or null when no pricing is configured
+ */
+function estimateCost(tokens, { provider, pricing }) {
+  // Local models cost nothing per token
+  if (provider === 'ollama') return 0;
+  if (!pricing) return null;
+  if (typeof pricing.input !== 'number' || typeof pricing.output !== 'number') {
+    throw new Error('Invalid ai pricing - expected { "input": <USD>, "output": <USD> } per million tokens');
+  }
+  return (tokens.input * pricing.input + tokens.output * pricing.output) / 1_000_000;
+}
+
+/**
+ * Build a backfill plan: classify every commit in the range without calling the AI
+ *
+ * @param {string} range - <from>..<to> commit range
+ * @returns {Promise<Object>} Plan with per-commit status and token/cost totals
+ */
+export async function planBackfill(range) {
+  return await tracer.startActiveSpan(OTEL.span.backfill.plan(), {
+    attributes: {
+      [`${OTEL.NAMESPACE}.backfill.range`]: range,
+      'code.function': 'planBackfill'
+    }
+  }, async (span) => {
+    const logger = createNarrativeLogger('backfill.plan');
+    const startTime = Date.now();
+
+    try {
+      const { from, to } = parseCommitRange(range);
+      const commits = listCommitsInRange(from, to);
+      const state = loadBackfillState();
+
+      logger.start('backfill planning', `Planning backfill for ${commits.length} commits in ${from}..${to}`);
+
+      // Estimated against the summary section's model; per-section overrides may differ
+      const providerConfig = resolveProviderConfig('summary');
+      const counter = createTokenCounter(providerConfig.provider, providerConfig.model);
+
+      const entries = [];
+      for (const commit of commits) {
+        const entry = {
+          hash: commit.hash,
+          shortHash: commit.hash.substring(0, 8),
+          subject: commit.subject,
+          status: 'pending',
+          reason: null,
+          chatMessages: null,
+          tokens: { input: 0, output: 0 },
+          context: null
+        };
+        entries.push(entry);
+
+        if (state.completed[commit.hash]) {
+          entry.status = 'done';
+          entry.reason = 'already backfilled';
+          continue;
+        }
+
+        if (await journalEntryExists(commit.hash, commit.timestamp)) {
+          entry.status = 'done';
+          entry.reason = 'journal entry exists';
+          continue;
+        }
+
+        if (isJournalEntriesOnlyCommit(commit.hash).isJournalOnly) {
+          entry.status = 'skip';
+          entry.reason = 'journal entries or ignored paths only';
+          continue;
+        }
+
+        const context = await gatherContextForCommit(commit.hash);
+        const { isMerge } = isMergeCommit(commit.hash);
+        entry.chatMessages = context.chatMetadata.data.totalMessages;
+
+        if (isMerge && context.chatMessages.data.length === 0 && !context.commit.data.diff?.trim()) {
+          entry.status = 'skip';
+          entry.reason = 'clean merge';
+          continue;
+        }
+
+        entry.tokens = estimateCommitTokens(context, counter);
+        // Kept for execution, so chat isn't collected a second time
+        entry.context = context;
+      }
+
+      const pending = entries.filter(entry => entry.status === 'pending');
+      const tokens = pending.reduce((sum, entry) => ({
+        input: sum.input + entry.tokens.input,
+        output: sum.output + entry.tokens.output
+      }), { input: 0, output: 0 });
+
+      const plan = {
+        range: `${from}..${to}`,
+        model: providerConfig.model,
+        commits: entries,
+        pendingCount: pending.length,
+        tokens,
+        estimatedCost: estimateCost(tokens, providerConfig)
+      };
+
+      const attrs = OTEL.attrs.backfill.plan({
+        range: plan.range,
+        totalCommits: entries.length,
+        pendingCommits: pending.length,
+        skippedCommits: entries.filter(entry => entry.status === 'skip').length,
+        completedCommits: entries.filter(entry => entry.status === 'done').length,
+        estimatedInputTokens: tokens.input,
+        estimatedOutputTokens: tokens.output,
+        planDuration: Date.now() - startTime
+      });
+      span.setAttributes(attrs);
+
+      Object.entries(attrs).forEach(([name, value]) => {
+        if (typeof value === 'number') {
+          OTEL.metrics.gauge(name, value);
+        }
+      });
+
+      logger.complete('backfill planning', `${pending.length} of ${entries.length} commits will be generated`);
+      span.setStatus({ code: SpanStatusCode.OK, message: 'Backfill plan created' });
+      return plan;
+
+    } catch (error) {
+      span.recordException(error);
+      span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+      logger.error('backfill planning', 'Failed to build backfill plan', error, { range });
+      throw error;
+    } finally {
+      span.end();
+    }
+  });
+}
+
+/**
+ * Print a human-readable plan to the console
+ * @param {Object} plan - Plan from planBackfill
+ */
+function printBackfillPlan(plan) {
+  const statusLabels = {
+    pending: '📝 generate',
+    skip: '⏭️  skip    ',
+    done: '✅ done    '
+  };
+
+  console.log(`\n📋 Backfill plan for ${plan.range} (${plan.commits.length} commits)\n`);
+  for (const entry of plan.commits) {
+    const detail = entry.status !== 'pending'
+      ? entry.reason
+      : entry.chatMessages > 0 ? `${entry.chatMessages} chat messages` : 'git only, no chat';
+    console.log(`  ${statusLabels[entry.status]} ${entry.shortHash} ${entry.subject.slice(0, 60)} (${detail})`);
+  }
+
+  const analyzed = plan.commits.filter(entry => entry.chatMessages !== null);
+  const withChat = analyzed.filter(entry => entry.chatMessages > 0).length;
+  console.log(`\n  Commits with chat data: ${withChat}`);
+  console.log(`  Commits without chat data: ${analyzed.length - withChat}`);
+  console.log(`  Entries to generate: ${plan.pendingCount}`);
+  console.log(`  Estimated tokens: ~${plan.tokens.input.toLocaleString()} input, ~${plan.tokens.output.toLocaleString()} output`);
+  console.log(plan.estimatedCost === null
+    ? `  Estimated cost: unknown (set "pricing" in the "ai" config for ${plan.model})`
+    : `  Estimated cost: ~$${plan.estimatedCost.toFixed(2)} (${plan.model})`);
+}
+
+/**
+ * Ask the user to confirm the plan on an interactive terminal
+ * @returns {Promise<boolean>} True if the user confirmed
+ */
+async function confirmBackfill() {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  try {
+    const answer = await new Promise(resolve => rl.question('\nProceed with backfill? [y/N] ', resolve));
+    return /^y(es)?$/i.test(answer.trim());
+  } finally {
+    rl.close();
+  }
+}
+
+/**
+ * Generate and save entries for all pending commits in a plan, oldest first
+ *
+ * Stops at the first failure: failures are usually a rate limit, an outage or a
+ * bad API key, which would fail (and bill) every remaining commit the same way.
+ * Re-running the command resumes from the failed commit.
+ *
+ * @param {Object} plan - Plan from planBackfill
+ * @returns {Promise<{generated: number, failed: Object|null}>} Execution result
+ */
+export async function executeBackfill(plan) {
+  return await tracer.startActiveSpan(OTEL.span.backfill.execute(), {
+    attributes: {
+      [`${OTEL.NAMESPACE}.backfill.range`]: plan.range,
+      'code.function': 'executeBackfill'
+    }
+  }, async (span) => {
+    const logger = createNarrativeLogger('backfill.execute');
+    const startTime = Date.now();
+    const state = loadBackfillState();
+    const pending = plan.commits.filter(entry => entry.status === 'pending');
+    let generated = 0;
+    let failed = null;
+
+    try {
+      logger.start('backfill execution', `Generating ${pending.length} journal entries`);
+
+      for (const [index, entry] of pending.entries()) {
+        console.log(`\n[${index + 1}/${pending.length}] ${entry.shortHash} ${entry.subject}`);
+
+        try {
+          const context = entry.context || await gatherContextForCommit(entry.hash);
+          entry.context = null;
+          const sections = await generateJournalEntry(context);
+          const filePath = await saveJournalEntry(
+            context.commit.data.hash,
+            context.commit.data.timestamp,
+            context.commit.data.message,
+            sections,
+            context.chatWindow.data.start
+          );
+
+          state.completed[entry.hash] = { filePath, completedAt: new Date().toISOString() };
+          saveBackfillState(state);
+          generated++;
+
+          console.log(`  ✅ Saved to ${filePath}`);
+          logger.progress('backfill execution', `Saved entry for ${entry.shortHash}`, { file_path: filePath });
+        } catch (error) {
+          failed = { hash: entry.hash, error: error.message };
+          console.error(`  ❌ Failed: ${error.message}`);
+          logger.error('backfill execution', `Failed to generate entry for ${entry.shortHash}`, error);
+          break;
+        }
+      }
+
+      const attrs = OTEL.attrs.backfill.execute({
+        range: plan.range,
+        pendingCommits: pending.length,
+        generatedCommits: generated,
+        failed: failed !== null,
+        executionDuration: Date.now() - startTime
+      });
+      span.setAttributes(attrs);
+
+      Object.entries(attrs).forEach(([name, value]) => {
+        if (typeof value === 'number') {
+          OTEL.metrics.histogram(name, value);
+        } else if (typeof value === 'boolean') {
+          OTEL.metrics.gauge(name, value ? 1 : 0);
+        }
+      });
+      OTEL.metrics.counter('commit_story.backfill.entries_generated_total', generated);
+
+      if (failed) {
+        span.setStatus({ code: SpanStatusCode.ERROR, message: `Backfill stopped at ${failed.hash}` });
+      } else {
+        span.setStatus({ code: SpanStatusCode.OK, message: `Backfilled ${generated} entries` });
+      }
+      logger.complete('backfill execution', `Generated ${generated} of ${pending.length} entries`);
+
+      return { generated, failed };
+
+    } catch (error) {
+      span.recordException(error);
+      span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+      logger.error('backfill execution', 'Backfill execution failed', error);
+      throw error;
+    } finally {
+      span.end();
+    }
+  });
+}
+
+/**
+ * CLI entry point for `commit-story backfill`
+ * @param {string[]} args - Arguments after the `backfill` command
+ * @returns {Promise<number>} Process exit code
+ */
+export async function runBackfill(args) {
+  const range = args.find(arg => !arg.startsWith('--'));
+  const planOnly = args.includes('--dry-run');
+  const assumeYes = args.includes('--yes') || args.includes('-y');
+
+  if (!range) {
+    console.error('Usage: commit-story backfill <from>..<to> [--dry-run] [--yes]');
+    return 1;
+  }
+
+  let plan;
+  try {
+    plan = await planBackfill(range);
+  } catch (error) {
+    console.error(`❌ ERROR: Could not plan backfill\n\nError details: ${error.message}`);
+    return 1;
+  }
+
+  printBackfillPlan(plan);
+
+  if (plan.pendingCount === 0) {
+    console.log('\nNothing to generate.');
+    return 0;
+  }
+
+  if (planOnly) {
+    console.log('\nDry run - no entries generated.');
+    return 0;
+  }
+
+  try {
+    getConfiguredProviders().forEach(config => createProvider(config.section));
+  } catch (error) {
+    console.error(`\n❌ ERROR: AI provider not configured
+
+Error details: ${error.message}
+
+Next steps:
+  • Check the "ai" block in commit-story.config.json
+  • Add the provider's API key to your .env file`);
+    return 1;
+  }
+
+  if (!assumeYes) {
+    if (!process.stdin.isTTY) {
+      console.error('\nRefusing to run without confirmation - re-run with --yes to proceed non-interactively.');
+      return 1;
+    }
+    if (!(await confirmBackfill())) {
+      console.log('Backfill cancelled.');
+      return 0;
+    }
+  }
+
+  const { generated, failed } = await executeBackfill(plan);
+
+  if (failed) {
+    console.error(`\n⚠️  Backfill stopped after ${generated} entries.
+Re-run "commit-story backfill ${plan.range}" to resume from ${failed.hash.substring(0, 8)}.`);
+    return 1;
+  }
+
+  console.log(`\n✅ Backfill complete: ${generated} entries generated`);
+  return 0;
+}
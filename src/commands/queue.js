@@ -0,0 +1,123 @@
+/**
+ * Queue Command
+ *
+ * Inspects and manages the post-commit job queue (see managers/job-queue.js).
+ *
+ * Usage:
+ *   commit-story queue status              # Pending and failed jobs
+ *   commit-story queue retry [<hash>]      # Requeue failed jobs (all, or one) and run them
+ *   commit-story queue clear [--pending | --all]  # Remove failed jobs (or pending, or both)
+ *
+ * Used by the post-commit hook:
+ *   commit-story queue add <hash>          # Queue a commit and drain the queue
+ */
+
+import { execFileSync } from 'child_process';
+import { enqueueJob, listJobs, retryFailedJobs, clearJobs, drainQueue, MAX_ATTEMPTS } from '../managers/job-queue.js';
+
+const USAGE = `Usage:
+  commit-story queue status
+  commit-story queue retry [<hash>]
+  commit-story queue clear [--pending | --all]`;
+
+/**
+ * Format a job for the status listing
+ * @param {Object} job - Queued job
+ * @returns {string} One-line description (plus the last error, indented)
+ */
+function formatJob(job) {
+  const attempts = job.attempts > 0 ? `, ${job.attempts}/${MAX_ATTEMPTS} attempts` : '';
+  const retry = job.nextAttemptAt && job.attempts > 0 ? `, next try ${job.nextAttemptAt}` : '';
+  const line = `  ${job.hash.slice(0, 8)}  queued ${job.enqueuedAt}${attempts}${retry}`;
+  if (!job.lastError) {
+    return line;
+  }
+  return `${line}\n${job.lastError.split('\n').map(errorLine => `      ${errorLine}`).join('\n')}`;
+}
+
+/**
+ * Print pending and failed jobs
+ * @returns {number} Process exit code
+ */
+function printStatus() {
+  const { pending, failed, failureLog, workerPid } = listJobs();
+
+  console.log(`📋 Journal queue: ${pending.length} pending, ${failed.length} failed`);
+  console.log(workerPid ? `   Worker running (pid ${workerPid})` : '   No worker running');
+
+  if (pending.length > 0) {
+    console.log('\nPending:');
+    pending.forEach(job => console.log(formatJob(job)));
+  }
+
+  if (failed.length > 0) {
+    console.log('\nFailed:');
+    failed.forEach(job => console.log(formatJob(job)));
+    console.log('\nRun `commit-story queue retry` to try them again.');
+  }
+
+  console.log(`\nFailure log: ${failureLog}`);
+  return 0;
+}
+
+/**
+ * CLI entry point for `commit-story queue`
+ * @param {string[]} args - Arguments after the `queue` command
+ * @returns {Promise<number>} Process exit code
+ */
+export async function runQueue(args) {
+  const [action, ...rest] = args;
+
+  try {
+    switch (action) {
+      case 'status':
+      case undefined:
+        return printStatus();
+
+      case 'add': {
+        if (!rest[0]) {
+          console.error('Usage: commit-story queue add <commit>');
+          return 1;
+        }
+        const hash = execFileSync('git', ['rev-parse', '--verify', `${rest[0]}^{commit}`], {
+          encoding: 'utf8',
+          stdio: ['pipe', 'pipe', 'pipe']
+        }).trim();
+        enqueueJob(hash);
+        await drainQueue();
+        return 0;
+      }
+
+      case 'retry': {
+        const requeued = retryFailedJobs(rest[0]);
+        if (requeued === 0) {
+          console.log(rest[0] ? `No failed job matches ${rest[0]}` : 'No failed jobs to retry');
+          return rest[0] ? 1 : 0;
+        }
+        console.log(`🔁 Requeued ${requeued} job(s) - generating now...`);
+        const { worker, generated } = await drainQueue();
+        if (!worker) {
+          console.log('A worker is already running - it will pick the jobs up.');
+          return 0;
+        }
+        const remaining = listJobs();
+        console.log(`✅ Generated ${generated} entries (${remaining.pending.length} pending, ${remaining.failed.length} failed)`);
+        return remaining.failed.length > 0 ? 1 : 0;
+      }
+
+      case 'clear': {
+        const which = rest.includes('--all') ? 'all' : rest.includes('--pending') ? 'pending' : 'failed';
+        const removed = clearJobs(which);
+        console.log(`🗑️  Removed ${removed} ${which === 'all' ? '' : `${which} `}job(s)`);
+        return 0;
+      }
+
+      default:
+        console.error(USAGE);
+        return 1;
+    }
+  } catch (error) {
+    console.error(`❌ ERROR: Queue command failed\n\nError details: ${error.message}`);
+    return 1;
+  }
+}
@@ -0,0 +1,245 @@
+/**
+ * Rewrite Command
+ *
+ * Keeps journal entries in sync when commits are rewritten by `git commit --amend`
+ * or `git rebase`. Invoked by the post-rewrite hook, which passes the rewrite kind
+ * as an argument and git's old→new hash mapping on stdin:
+ *
+ *   <old-hash> <new-hash> [<extra-info>]
+ *
+ * Usage:
+ *   commit-story rewrite <amend|rebase> < mapping
+ *
+ * A commit rewritten one-to-one keeps its entry, with the headers pointing at the
+ * new hash. When several commits are squashed into one, their entries are replaced
+ * by a single entry regenerated for the squashed commit.
+ */
+
+import { execFileSync } from 'child_process';
+import { trace, SpanStatusCode } from '@opentelemetry/api';
+import { gatherContextForCommit, isGitOnlyContext } from '../integrators/context-integrator.js';
+import { generateJournalEntry } from '../generators/journal-generator.js';
+import {
+  saveJournalEntry,
+  journalEntryExists,
+  rewriteJournalEntry,
+  removeJournalEntry
+} from '../managers/journal-manager.js';
+import { createProvider, getConfiguredProviders } from '../providers/index.js';
+import { OTEL } from '../telemetry/standards.js';
+import { createNarrativeLogger } from '../utils/trace-logger.js';
+
+const tracer = trace.getTracer('commit-story-rewrite', '1.0.0');
+
+const REWRITE_KINDS = ['amend', 'rebase'];
+
+const MAPPING_LINE_PATTERN = /^([0-9a-f]{40,64}) ([0-9a-f]{40,64})(?: .*)?$/;
+
+/**
+ * Parse git's post-rewrite mapping, grouping old hashes by the commit they became
+ * @param {string} input - Hook stdin
+ * @returns {Map<string, string[]>} New hash -> old hashes, in rewrite order
+ */
+function parseRewriteMapping(input) {
+  const mapping = new Map();
+  for (const line of input.split('\n')) {
+    const match = line.trim().match(MAPPING_LINE_PATTERN);
+    if (!match) continue;
+
+    const [, oldHash, newHash] = match;
+    if (oldHash === newHash) continue;
+
+    if (!mapping.has(newHash)) {
+      mapping.set(newHash, []);
+    }
+    mapping.get(newHash).push(oldHash);
+  }
+  return mapping;
+}
+
+/**
+ * Read hash, author timestamp and subject of a commit
+ * Rewritten commits are still readable until git garbage-collects them.
+ * @param {string} hash - Full commit hash
+ * @returns {{hash: string, timestamp: Date, message: string}} Commit info
+ */
+function getCommitInfo(hash) {
+  const output = execFileSync('git', ['show', '-s', '--format=%H|%at|%s', hash], {
+    encoding: 'utf8',
+    stdio: ['pipe', 'pipe', 'pipe']
+  }).trim();
+
+  const [fullHash, authorTime, ...subjectParts] = output.split('|');
+  return {
+    hash: fullHash,
+    timestamp: new Date(parseInt(authorTime, 10) * 1000),
+    message: subjectParts.join('|')
+  };
+}
+
+/**
+ * Generate an entry for a squashed commit, replacing any entry it already has
+ * @param {string} hash - Squashed commit hash
+ * @returns {Promise<string>} Path to the daily file
+ */
+async function regenerateEntry(hash) {
+  const context = await gatherContextForCommit(hash);
+  // The squashed entries were written with chat context - don't replace them with a git-only entry
+  if (isGitOnlyContext(context)) {
+    throw new Error(`No chat data found for ${hash.substring(0, 8)} - keeping the original entries`);
+  }
+
+  getConfiguredProviders().forEach(config => createProvider(config.section));
+
+  const sections = await generateJournalEntry(context);
+  return await saveJournalEntry(
+    context.commit.data.hash,
+    context.commit.data.timestamp,
+    context.commit.data.message,
+    sections,
+    context.chatWindow.data.start,
+    { regenerate: true }
+  );
+}
+
+/**
+ * Apply a rewrite mapping to the journal
+ *
+ * @param {string} kind - 'amend' or 'rebase'
+ * @param {Map<string, string[]>} mapping - From parseRewriteMapping
+ * @returns {Promise<{renamed: number, regenerated: number, removed: number, failed: number}>} Result counts
+ */
+export async function applyRewrite(kind, mapping) {
+  return await tracer.startActiveSpan(OTEL.span.rewrite.run(), {
+    attributes: {
+      [`${OTEL.NAMESPACE}.rewrite.kind`]: kind,
+      'code.function': 'applyRewrite'
+    }
+  }, async (span) => {
+    const logger = createNarrativeLogger('rewrite.run');
+    const startTime = Date.now();
+    const result = { renamed: 0, regenerated: 0, removed: 0, failed: 0 };
+
+    try {
+      logger.start('commit rewrite', `Applying ${kind} rewrite to ${mapping.size} commits`);
+
+      for (const [newHash, oldHashes] of mapping) {
+        try {
+          const newCommit = getCommitInfo(newHash);
+          const oldCommits = oldHashes.map(getCommitInfo);
+
+          if (oldCommits.length === 1) {
+            const [oldCommit] = oldCommits;
+            const outcome = await rewriteJournalEntry(oldCommit.hash, oldCommit.timestamp, newCommit);
+            if (outcome === 'duplicate_removed') {
+              result.removed++;
+            } else if (outcome !== 'not_found') {
+              result.renamed++;
+            }
+            continue;
+          }
+
+          // Squash: only worth an AI call if the squashed commits were journaled
+          const journaled = [];
+          for (const oldCommit of oldCommits) {
+            if (await journalEntryExists(oldCommit.hash, oldCommit.timestamp)) {
+              journaled.push(oldCommit);
+            }
+          }
+          if (journaled.length === 0) {
+            logger.decision('commit rewrite', `None of the ${oldCommits.length} commits squashed into ${newHash.slice(0, 8)} have entries - skipping`);
+            continue;
+          }
+
+          logger.decision('commit rewrite', `Merging ${journaled.length} entries into a regenerated entry for ${newHash.slice(0, 8)}`);
+          await regenerateEntry(newHash);
+          result.regenerated++;
+
+          for (const oldCommit of journaled) {
+            if (await removeJournalEntry(oldCommit.hash, oldCommit.timestamp)) {
+              result.removed++;
+            }
+          }
+        } catch (error) {
+          // Keep going - one failed commit shouldn't leave the rest of a rebase out of sync
+          result.failed++;
+          logger.error('commit rewrite', `Failed to rewrite entries for ${newHash.slice(0, 8)}`, error);
+          console.error(`❌ ${newHash.substring(0, 8)}: ${error.message}`);
+        }
+      }
+
+      const attrs = OTEL.attrs.rewrite.run({
+        kind,
+        mappings: mapping.size,
+        ...result,
+        duration: Date.now() - startTime
+      });
+      span.setAttributes(attrs);
+
+      Object.entries(attrs).forEach(([name, value]) => {
+        if (typeof value === 'number') {
+          OTEL.metrics.histogram(name, value);
+        }
+      });
+
+      logger.complete('commit rewrite', `Renamed ${result.renamed}, regenerated ${result.regenerated}, removed ${result.removed}, failed ${result.failed}`);
+      span.setStatus(result.failed > 0
+        ? { code: SpanStatusCode.ERROR, message: `${result.failed} rewrites failed` }
+        : { code: SpanStatusCode.OK, message: 'Journal entries rewritten' });
+      return result;
+
+    } catch (error) {
+      span.recordException(error);
+      span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+      logger.error('commit rewrite', 'Commit rewrite failed', error, { kind });
+      throw error;
+    } finally {
+      span.end();
+    }
+  });
+}
+
+/**
+ * Read all of stdin
+ * @returns {Promise<string>} Stdin content (empty when attached to a terminal)
+ */
+async function readStdin() {
+  if (process.stdin.isTTY) return '';
+  let input = '';
+  for await (const chunk of process.stdin) {
+    input += chunk;
+  }
+  return input;
+}
+
+/**
+ * CLI entry point for `commit-story rewrite`
+ * @param {string[]} args - Arguments after the `rewrite` command
+ * @returns {Promise<number>} Process exit code
+ */
+export async function runRewrite(args) {
+  const [kind] = args;
+  if (!REWRITE_KINDS.includes(kind)) {
+    console.error('Usage: commit-story rewrite <amend|rebase> < "<old-hash> <new-hash>" lines');
+    return 1;
+  }
+
+  const mapping = parseRewriteMapping(await readStdin());
+  if (mapping.size === 0) {
+    return 0;
+  }
+
+  try {
+    const { renamed, regenerated, removed, failed } = await applyRewrite(kind, mapping);
+    const summary = `${renamed} renamed, ${regenerated} regenerated, ${removed} removed`;
+    if (failed > 0) {
+      console.error(`⚠️  Journal partially updated after ${kind}: ${summary}, ${failed} failed`);
+      return 1;
+    }
+    console.log(`✅ Journal updated after ${kind}: ${summary}`);
+    return 0;
+  } catch (error) {
+    console.error(`❌ ERROR: Could not update journal after ${kind}\n\nError details: ${error.message}`);
+    return 1;
+  }
+}
@@ -0,0 +1,156 @@
+/**
+ * Search Command
+ *
+ * Full-text search over journal entries, reflections and context captures
+ * (see managers/search-index.js).
+ *
+ * Usage:
+ *   commit-story search "session isolation"                # Best matches, newest first on ties
+ *   commit-story search "retry" --from 2025-10-01 --to 2025-10-31
+ *   commit-story search "timeout" --section decisions      # summary, dialogue, decisions, details, reflections, context
+ *   commit-story search "lock" --file src/utils/           # Entries whose commit touched a file or directory
+ *   commit-story search "provider" --commit a1b2c3         # Entries for a commit hash prefix
+ *   commit-story search "provider" --json                  # Machine-readable results
+ *
+ * Other options: --limit <n> (default 20), --reindex (rebuild the cached index).
+ */
+
+import { searchJournal, SEARCH_SECTIONS } from '../managers/search-index.js';
+
+const USAGE = `Usage: commit-story search "<query>" [options]
+
+Options:
+  --from YYYY-MM-DD     Only results on or after this day
+  --to YYYY-MM-DD       Only results on or before this day
+  --section <name>      ${SEARCH_SECTIONS.join(', ')}
+  --file <path>         Only entries whose commit touched this file or directory
+  --commit <hash>       Only entries for this commit (hash prefix)
+  --limit <n>           Maximum results (default 20)
+  --json                Print results as JSON
+  --reindex             Rebuild the search index before searching`;
+
+const VALUE_FLAGS = {
+  '--from': 'from',
+  '--to': 'to',
+  '--section': 'section',
+  '--file': 'file',
+  '--commit': 'commit',
+  '--limit': 'limit'
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Parse search arguments
+ * @param {string[]} args - Arguments after the `search` command
+ * @returns {{query: string, filters: Object, json: boolean, reindex: boolean}} Parsed arguments
+ */
+function parseSearchArgs(args) {
+  const words = [];
+  const filters = {};
+  let json = false;
+  let reindex = false;
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--json') {
+      json = true;
+    } else if (arg === '--reindex') {
+      reindex = true;
+    } else if (VALUE_FLAGS[arg]) {
+      if (args[i + 1] === undefined) {
+        throw new Error(`${arg} needs a value`);
+      }
+      filters[VALUE_FLAGS[arg]] = args[++i];
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown option ${arg}`);
+    } else {
+      words.push(arg);
+    }
+  }
+
+  for (const key of ['from', 'to']) {
+    if (filters[key] && !DATE_PATTERN.test(filters[key])) {
+      throw new Error(`--${key} expects a day as YYYY-MM-DD, got "${filters[key]}"`);
+    }
+  }
+  if (filters.limit !== undefined) {
+    const limit = Number(filters.limit);
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new Error(`--limit expects a positive number, got "${filters.limit}"`);
+    }
+    filters.limit = limit;
+  }
+  if (filters.commit && !/^[0-9a-f]{4,40}$/i.test(filters.commit)) {
+    throw new Error(`--commit expects a commit hash prefix (at least 4 hex characters), got "${filters.commit}"`);
+  }
+
+  return { query: words.join(' '), filters, json, reindex };
+}
+
+/**
+ * Render **match** markers as bold on a terminal, or leave them as they are
+ * @param {string} snippet - Snippet with ** markers
+ * @returns {string} Snippet for display
+ */
+function highlight(snippet) {
+  if (!process.stdout.isTTY || process.env.NO_COLOR) {
+    return snippet;
+  }
+  return snippet.replace(/\*\*(.+?)\*\*/g, '\x1b[1m$1\x1b[0m');
+}
+
+/**
+ * Format a result for the terminal
+ * @param {Object} result - Search result
+ * @returns {string} Heading line plus the indented snippet
+ */
+function formatResult(result) {
+  const source = result.shortHash || (result.sessionId ? `session ${result.sessionId.slice(0, 8)}` : result.time);
+  const subject = result.message ? `  ${result.message}` : '';
+  return `${result.date}  ${source}  [${result.section}]${subject}\n    ${highlight(result.snippet)}`;
+}
+
+/**
+ * CLI entry point for `commit-story search`
+ * @param {string[]} args - Arguments after the `search` command
+ * @returns {Promise<number>} Process exit code
+ */
+export async function runSearch(args) {
+  let parsed;
+  try {
+    parsed = parseSearchArgs(args);
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return 1;
+  }
+
+  const { query, filters, json, reindex } = parsed;
+  if (!query.trim()) {
+    console.error(USAGE);
+    return 1;
+  }
+
+  try {
+    const { results, total } = await searchJournal(query, filters, { rebuild: reindex });
+
+    if (json) {
+      console.log(JSON.stringify({ query, filters, total, results }, null, 2));
+      return 0;
+    }
+
+    if (results.length === 0) {
+      console.log(`No journal matches for "${query}"`);
+      return 0;
+    }
+
+    console.log(results.map(formatResult).join('\n\n'));
+    const more = total > results.length ? ` (showing ${results.length} - use --limit for more)` : '';
+    console.log(`\n🔎 ${total} match${total === 1 ? '' : 'es'}${more}`);
+    return 0;
+
+  } catch (error) {
+    console.error(`❌ ERROR: Journal search failed\n\nError details: ${error.message}`);
+    return 1;
+  }
+}
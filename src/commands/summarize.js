@@ -0,0 +1,72 @@
+/**
+ * Summarize Command
+ *
+ * Writes daily, weekly and monthly rollup summaries from the journal entries.
+ * Summaries are also written automatically after each commit (see
+ * generateMissingSummaries); this command regenerates a specific period on demand.
+ *
+ * Usage:
+ *   commit-story summarize                      # Fill in any missing summaries
+ *   commit-story summarize --day 2025-10-14     # (Re)write one day's summary
+ *   commit-story summarize --week 2025-W42      # ISO week, or any day in the week
+ *   commit-story summarize --month 2025-10      # Month, or any day in the month
+ */
+
+import { parsePeriod, writeSummary, generateMissingSummaries } from '../managers/summary-manager.js';
+
+const PERIOD_FLAGS = {
+  '--day': 'daily',
+  '--week': 'weekly',
+  '--month': 'monthly'
+};
+
+const USAGE = 'Usage: commit-story summarize [--day YYYY-MM-DD | --week YYYY-Www | --month YYYY-MM]';
+
+/**
+ * CLI entry point for `commit-story summarize`
+ * @param {string[]} args - Arguments after the `summarize` command
+ * @returns {Promise<number>} Process exit code
+ */
+export async function runSummarize(args) {
+  const requests = [];
+  for (let i = 0; i < args.length; i++) {
+    const type = PERIOD_FLAGS[args[i]];
+    if (!type || !args[i + 1]) {
+      console.error(USAGE);
+      return 1;
+    }
+    requests.push({ type, value: args[++i] });
+  }
+
+  try {
+    if (requests.length === 0) {
+      const written = await generateMissingSummaries();
+      if (written.length === 0) {
+        console.log('✅ All summaries are up to date');
+      }
+      written.forEach(filePath => console.log(`✅ Summary written to ${filePath}`));
+      return 0;
+    }
+
+    for (const { type, value } of requests) {
+      const period = parsePeriod(type, value);
+      const filePath = await writeSummary(period);
+      if (filePath) {
+        console.log(`✅ ${period.title} written to ${filePath}`);
+      } else {
+        console.log(`⏭️  No journal entries for ${period.key} - nothing to summarize`);
+      }
+    }
+    return 0;
+
+  } catch (error) {
+    console.error(`❌ ERROR: Summary generation failed
+
+Error details: ${error.message}
+
+Next steps:
+  • Check the "ai" block in commit-story.config.json (summaries use ai.sections.rollup if set)
+  • Verify your AI provider API key is configured`);
+    return 1;
+  }
+}
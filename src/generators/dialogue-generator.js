@@ -5,14 +5,14 @@
  * using the summary-guided extraction approach.
  */
 
-import OpenAI from 'openai';
 import { getAllGuidelines } from './prompts/guidelines/index.js';
 import { dialoguePrompt } from './prompts/sections/dialogue-prompt.js';
 import { extractTextFromMessages } from '../integrators/context-integrator.js';
 import { selectContext } from './utils/context-selector.js';
 import { formatSessionsForAI } from '../utils/session-formatter.js';
+import { verifyDialogueQuotes } from './utils/quote-verifier.js';
 import { trace, SpanStatusCode } from '@opentelemetry/api';
-import { DEFAULT_MODEL } from '../config/openai.js';
+import { createProvider } from '../providers/index.js';
 import { OTEL, getProviderFromModel } from '../telemetry/standards.js';
 import { createNarrativeLogger } from '../utils/trace-logger.js';
 
@@ -25,13 +25,13 @@ const tracer = trace.getTracer('commit-story-dialogue', '1.0.0');
  *
  * @param {Object} context - Self-documenting context object from context integrator
  * @param {string} summary - Generated summary of the development session
+ * @param {Object|null} [usage] - Filled with this section's provider, model and token usage
  * @returns {Promise<string>} Generated dialogue section
  */
-export async function generateDevelopmentDialogue(context, summary) {
+export async function generateDevelopmentDialogue(context, summary, usage = null) {
   return await tracer.startActiveSpan(OTEL.span.ai.dialogue(), {
     attributes: {
       ...OTEL.attrs.commit(context.commit.data),
-      ...OTEL.attrs.genAI.request(DEFAULT_MODEL, 0.7, context.chatSessions.data.length),
       ...OTEL.attrs.chat({
         count: context.chatSessions.data.reduce((sum, session) => sum + session.messageCount, 0),
         sessions: context.chatSessions.data.length
@@ -39,6 +39,7 @@ export async function generateDevelopmentDialogue(context, summary) {
       'code.function': 'generateDevelopmentDialogue'
     }
   }, async (span) => {
+    let provider = null;
     const logger = createNarrativeLogger('ai.generate_dialogue');
 
     try {
@@ -76,10 +77,8 @@ export async function generateDevelopmentDialogue(context, summary) {
 
       logger.progress('dialogue generation', `Found ${substantialUserMessages.length} substantial user messages in filtered sessions`);
 
-      // Create fresh OpenAI instance (DD-016: prevent context bleeding)
-      const openai = new OpenAI({
-        apiKey: process.env.OPENAI_API_KEY,
-      });
+      // Create fresh provider client (DD-016: prevent context bleeding)
+      provider = createProvider('dialogue');
 
       // Build the complete prompt (DD-018: compose guidelines + section prompt)
       const guidelines = getAllGuidelines();
@@ -105,7 +104,7 @@ ${guidelines}
       const userContentString = `Extract supporting dialogue for this development session:\n\n${JSON.stringify(contextForAI, null, 2)}`;
 
       const requestPayload = {
-        model: DEFAULT_MODEL,
+        model: provider.model,
         messages: [
           {
             role: 'system',
@@ -123,7 +122,8 @@ ${guidelines}
       const requestAttrs = OTEL.attrs.genAI.request(
         requestPayload.model,
         requestPayload.temperature,
-        requestPayload.messages.length
+        requestPayload.messages.length,
+        provider.name
       );
       span.setAttributes(requestAttrs);
 
@@ -136,13 +136,13 @@ ${guidelines}
 
       // Add timeout wrapper (60 seconds for large sessions)
       const completion = await Promise.race([
-        openai.chat.completions.create(requestPayload),
+        provider.complete(requestPayload),
         new Promise((_, reject) =>
           setTimeout(() => reject(new Error('Request timeout after 60 seconds')), 60000)
         )
       ]);
 
-      const dialogue = completion.choices[0].message.content.trim();
+      const dialogue = completion.content.trim();
 
       // Add response attributes to span
       const usageAttrs = OTEL.attrs.genAI.usage({
@@ -159,13 +159,43 @@ ${guidelines}
         }
       });
 
+      // Recorded in the entry's JSON sidecar
+      if (usage) {
+        usage.dialogue = { provider: provider.name, model: completion.model, ...completion.usage };
+      }
+
       // Clean up formatting in assistant quotes for readability
       const cleanedDialogue = dialogue
         .replace(/\\"/g, '"')        // Remove escape characters from quotes
         .replace(/\\n/g, '\n');      // Convert literal \n to actual newlines
 
+      // Verify every human quote against the user messages it claims to come from
+      const verification = verifyDialogueQuotes(cleanedDialogue, chatSessions);
+
+      const verificationAttrs = OTEL.attrs.dialogueVerification(verification);
+      span.setAttributes(verificationAttrs);
+
+      Object.entries(verificationAttrs).forEach(([name, value]) => {
+        if (typeof value === 'number') {
+          OTEL.metrics.gauge(name, value);
+        }
+      });
+
+      verification.rejected.forEach(({ quote, reason, score }) => {
+        span.addEvent('dialogue.quote_rejected', { reason, score, quote: quote.slice(0, 200) });
+        logger.decision('dialogue generation', `Dropped ${reason} quote (match ${score}): "${quote.slice(0, 80)}"`);
+      });
+
+      if (verification.total > 0 && verification.verified === 0) {
+        logger.decision('dialogue generation', `None of the ${verification.total} quotes could be verified against user messages`);
+        span.setStatus({ code: SpanStatusCode.OK, message: 'Dialogue generated - no verifiable quotes' });
+        return "No significant dialogue found for this development session";
+      }
+
+      logger.complete('dialogue generation', `Verified ${verification.verified} of ${verification.total} quotes against user messages`);
+
       span.setStatus({ code: SpanStatusCode.OK, message: 'Dialogue generated successfully' });
-      return cleanedDialogue;
+      return verification.dialogue;
 
     } catch (error) {
       span.recordException(error);
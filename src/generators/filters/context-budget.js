@@ -0,0 +1,97 @@
+/**
+ * Context Budget
+ *
+ * Works out how many tokens of commit context fit in the configured model and
+ * divides them between the kinds of context the generators send.
+ *
+ * The total comes from the smallest context window among the AI sections (every
+ * generator receives the same filtered context), minus room for the section prompt
+ * and the model's answer, capped at MAX_CONTEXT_TOKENS to keep costs predictable.
+ *
+ * Each item is guaranteed its share of the total; whatever an item doesn't need is
+ * handed to the others in priority order:
+ *   1. reflections       - the developer's own words, short and high-signal
+ *   2. contextCaptures   - context the assistant captured during the session
+ *   3. toolActivity      - digest of files touched, commands and test runs
+ *   4. diff              - what actually changed
+ *   5. chat              - the conversation, usually the largest item
+ */
+
+import { AI_SECTIONS, resolveProviderConfig } from '../../providers/index.js';
+import { createTokenCounter } from '../../utils/token-counter.js';
+
+// Upper bound regardless of context window (same cap as the old fixed limit)
+export const MAX_CONTEXT_TOKENS = 120000;
+
+// Room for guidelines + section prompt + JSON structure, and for the generated section
+const PROMPT_RESERVE_TOKENS = 2500;
+const OUTPUT_RESERVE_TOKENS = 2000;
+
+// Never budget less than this, even for very small context windows
+const MIN_CONTEXT_TOKENS = 1000;
+
+export const BUDGET_PRIORITIES = [
+  { item: 'reflections', share: 0.1 },
+  { item: 'contextCaptures', share: 0.1 },
+  { item: 'toolActivity', share: 0.05 },
+  { item: 'diff', share: 0.4 },
+  { item: 'chat', share: 0.35 }
+];
+
+/**
+ * Resolve the token budget for commit context from the provider configuration
+ * @returns {{total: number, contextWindow: number, provider: string, model: string, counter: Object}} Budget and token counter for the smallest configured model
+ */
+export function resolveContextBudget() {
+  let smallest = null;
+
+  for (const section of AI_SECTIONS) {
+    try {
+      const config = resolveProviderConfig(section);
+      if (!smallest || config.contextWindow < smallest.contextWindow) {
+        smallest = config;
+      }
+    } catch (error) {
+      // Invalid provider config is reported when the generator creates its provider
+    }
+  }
+
+  const { provider = 'openai', model = null, contextWindow = MAX_CONTEXT_TOKENS } = smallest || {};
+  const available = contextWindow - PROMPT_RESERVE_TOKENS - OUTPUT_RESERVE_TOKENS;
+
+  return {
+    total: Math.max(MIN_CONTEXT_TOKENS, Math.min(MAX_CONTEXT_TOKENS, available)),
+    contextWindow,
+    provider,
+    model,
+    counter: createTokenCounter(provider, model)
+  };
+}
+
+/**
+ * Divide a token budget between context items
+ * @param {Object<string, number>} needs - Tokens each item would use unfiltered, keyed by item
+ * @param {number} total - Total token budget
+ * @returns {Object<string, number>} Tokens allocated to each item
+ */
+export function allocateBudget(needs, total) {
+  const allocation = {};
+  let remaining = total;
+
+  // First pass: each item gets what it needs, up to its guaranteed share
+  for (const { item, share } of BUDGET_PRIORITIES) {
+    allocation[item] = Math.min(needs[item] || 0, Math.floor(total * share));
+    remaining -= allocation[item];
+  }
+
+  // Second pass: unused shares go to items that still need more, in priority order
+  for (const { item } of BUDGET_PRIORITIES) {
+    const extra = Math.min((needs[item] || 0) - allocation[item], remaining);
+    if (extra > 0) {
+      allocation[item] += extra;
+      remaining -= extra;
+    }
+  }
+
+  return allocation;
+}
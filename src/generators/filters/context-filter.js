@@ -4,10 +4,17 @@
  * Filters chat messages and git diffs to stay within AI model token limits
  * while preserving content quality for journal generation.
  * 
+ * Tokens are counted with the configured model's tokenizer and the budget comes
+ * from the model's context window (see context-budget.js). Diffs that don't fit
+ * keep their most relevant hunks (see diff-hunk-selector.js).
+ * 
  * Based on message structure from /docs/claude-chat-research.md
  */
 
 import { redactSensitiveData } from './sensitive-data-filter.js';
+import { resolveContextBudget, allocateBudget } from './context-budget.js';
+import { selectDiffHunks } from './diff-hunk-selector.js';
+import { fitToolActivityDigest } from '../../integrators/tool-activity.js';
 import { trace, SpanStatusCode } from '@opentelemetry/api';
 import { OTEL } from '../../telemetry/standards.js';
 import { createNarrativeLogger } from '../../utils/trace-logger.js';
@@ -16,18 +23,12 @@ import { contentHasContextCapture } from '../../utils/message-utils.js';
 // Get tracer instance for context filtering instrumentation
 const tracer = trace.getTracer('commit-story-context-filter', '1.0.0');
 
-const MAX_TOKENS = 120000; // Leave 8k buffer under gpt-4o-mini's 128k limit
-const AVG_CHARS_PER_TOKEN = 4; // Rough estimate for token counting
+// Messages larger than this are cut down to TRUNCATED_MESSAGE_TOKENS
+const LARGE_MESSAGE_TOKENS = 2000;
+const TRUNCATED_MESSAGE_TOKENS = 1000;
 
-/**
- * Estimates token count for text content
- * @param {string} text - Text to estimate tokens for
- * @returns {number} Estimated token count
- */
-function estimateTokens(text) {
-  if (!text || typeof text !== 'string') return 0;
-  return Math.ceil(text.length / AVG_CHARS_PER_TOKEN);
-}
+// JSON structure around each message and entry (type, timestamp, keys, indentation)
+const ITEM_OVERHEAD_TOKENS = 15;
 
 /**
  * Extracts content string from message for token calculation
@@ -44,6 +45,7 @@ function getMessageContentString(message) {
 /**
  * Checks if a message should be filtered out (tool calls, system messages, etc.)
  * Based on message structure analysis documented in /docs/claude-chat-research.md
+ * Tool calls reach the generators as the tool activity digest instead (see tool-activity.js)
  * 
  * @param {Object} message - Claude message object  
  * @returns {boolean} True if message should be filtered out
@@ -101,9 +103,10 @@ function isNoisyMessage(message) {
 /**
  * Filters chat messages to reduce token usage while preserving meaningful dialogue
  * @param {Array} messages - Original chat messages from claude-collector
+ * @param {Object} counter - Token counter from createTokenCounter
  * @returns {Array} Filtered messages
  */
-function filterChatMessages(messages) {
+function filterChatMessages(messages, counter) {
   const filtered = [];
   
   for (const msg of messages) {
@@ -113,20 +116,23 @@ function filterChatMessages(messages) {
     }
     
     const contentStr = getMessageContentString(msg);
-    const tokens = estimateTokens(contentStr);
+    const tokens = counter.count(contentStr);
     
-    // For very large messages (>2000 tokens), truncate while preserving structure
-    if (tokens > 2000) {
-      const truncated = contentStr.substring(0, 1000) + '\n\n[... content truncated for brevity ...]';
+    // For very large messages, truncate while preserving structure
+    if (tokens > LARGE_MESSAGE_TOKENS) {
+      const truncated = counter.truncate(contentStr, TRUNCATED_MESSAGE_TOKENS) + '\n\n[... content truncated for brevity ...]';
       filtered.push({
-        ...msg,
+        original: msg,
         message: {
-          ...msg.message,
-          content: truncated
+          ...msg,
+          message: {
+            ...msg.message,
+            content: truncated
+          }
         }
       });
     } else {
-      filtered.push(msg);
+      filtered.push({ original: msg, message: msg });
     }
   }
   
@@ -134,58 +140,72 @@ function filterChatMessages(messages) {
 }
 
 /**
- * Filters git diff content to reduce token usage
- * @param {string} diff - Git diff content
- * @returns {string} Filtered diff
+ * Keeps the most recent entries (messages, reflections, captures) that fit a token budget
+ * @param {Array} entries - Entries in chronological order
+ * @param {number} maxTokens - Token budget
+ * @param {Function} countEntry - Returns an entry's token cost
+ * @returns {Array} Entries that fit, in chronological order
  */
-function filterGitDiff(diff) {
-  if (!diff) return diff;
-  
-  // Filter sensitive data first
-  const filteredDiff = redactSensitiveData(diff);
-  
-  const tokens = estimateTokens(filteredDiff);
-  
-  // If diff is reasonable size, keep it as-is
-  if (tokens <= 15000) {
-    return filteredDiff;
-  }
-  
-  // For large diffs, create a summary
-  const lines = filteredDiff.split('\n');
-  const fileChanges = [];
-  let currentFile = null;
-  let addedLines = 0;
-  let removedLines = 0;
-  
-  for (const line of lines) {
-    if (line.startsWith('diff --git')) {
-      // New file being processed
-      if (currentFile) {
-        fileChanges.push(`${currentFile}: +${addedLines} -${removedLines}`);
-      }
-      currentFile = line.match(/b\/(.+)$/)?.[1] || 'unknown';
-      addedLines = 0;
-      removedLines = 0;
-    } else if (line.startsWith('+') && !line.startsWith('+++')) {
-      addedLines++;
-    } else if (line.startsWith('-') && !line.startsWith('---')) {
-      removedLines++;
+function keepMostRecent(entries, maxTokens, countEntry) {
+  const kept = [];
+  let usedTokens = 0;
+
+  // Process entries in reverse chronological order (newest first)
+  for (let i = entries.length - 1; i >= 0; i--) {
+    const entryTokens = countEntry(entries[i]);
+    if (usedTokens + entryTokens > maxTokens) {
+      break;
     }
+    kept.unshift(entries[i]); // Add to beginning to maintain chronological order
+    usedTokens += entryTokens;
   }
+
+  return kept;
+}
+
+/**
+ * Filters git diff content to fit its token budget
+ * @param {string} diff - Git diff content, already passed through redactSensitiveData
+ * @param {number} maxTokens - Token budget for the diff
+ * @param {Object} counter - Token counter from createTokenCounter
+ * @param {string} hintText - Commit message and chat text used to rank hunks
+ * @returns {{diff: string, totalHunks: number, keptHunks: number}} Filtered diff and hunk counts
+ */
+function filterGitDiff(diff, maxTokens, counter, hintText) {
+  if (!diff) return { diff, totalHunks: 0, keptHunks: 0 };
   
-  // Add final file
-  if (currentFile) {
-    fileChanges.push(`${currentFile}: +${addedLines} -${removedLines}`);
+  // If diff fits, keep it as-is
+  if (counter.count(diff) <= maxTokens) {
+    const totalHunks = (diff.match(/^@@/gm) || []).length;
+    return { diff, totalHunks, keptHunks: totalHunks };
   }
   
-  // Return summary instead of full diff
-  return `[Large diff summarized - ${fileChanges.length} files changed]\n\nFile changes:\n${fileChanges.join('\n')}\n\n[Full diff available in git history]`;
+  // For large diffs, keep the file list and the most relevant hunks
+  return selectDiffHunks(diff, maxTokens, counter, hintText);
+}
+
+/**
+ * Emits numeric and boolean attributes as metrics
+ * @param {Object} attrs - Span attributes
+ */
+function emitContextMetrics(attrs) {
+  Object.entries(attrs).forEach(([name, value]) => {
+    if (typeof value === 'number') {
+      OTEL.metrics.gauge(name, value);
+    } else if (typeof value === 'boolean') {
+      OTEL.metrics.gauge(name, value ? 1 : 0);
+    }
+  });
 }
 
 /**
  * Applies intelligent filtering to context to stay within token limits
  * @param {Object} context - Context object (handles both old and new structure)
+ * @param {Array} [context.chatMessages] - Flattened chat messages
+ * @param {Array} [context.chatSessions] - Session groups containing the same message objects
+ * @param {Array} [context.reflections] - Developer reflections ({time, text})
+ * @param {Array} [context.contextCaptures] - Captured development context ({time, text})
+ * @param {Object|null} [context.toolActivity] - Tool activity digest from buildToolActivityDigest
  * @returns {Object} Filtered context object
  */
 export function filterContext(context) {
@@ -201,24 +221,34 @@ export function filterContext(context) {
       // Handle both old structure (context.chatMessages) and new structure (context.chatMessages.data)
       const chatMessages = context.chatMessages?.data || context.chatMessages || [];
       const commit = context.commit?.data || context.commit;
+      const reflections = context.reflections || [];
+      const contextCaptures = context.contextCaptures || [];
+      const toolActivity = context.toolActivity || null;
+
+      const budget = resolveContextBudget();
+      const { counter } = budget;
+      const countEntry = (entry) => counter.count(entry.text) + ITEM_OVERHEAD_TOKENS;
+      const countMessage = (msg) => counter.count(getMessageContentString(msg)) + ITEM_OVERHEAD_TOKENS;
+      const countDigest = (digest) => (digest ? counter.count(JSON.stringify(digest)) : 0);
 
-      logger.start('context filtering', `Starting intelligent token filtering with ${chatMessages.length} messages`);
+      logger.start('context filtering', `Starting token filtering with ${chatMessages.length} messages - ${budget.total} token budget for ${budget.model || budget.provider} (${counter.encoding}${counter.exact ? '' : ', approximate'})`);
 
       // Add initial metrics to span
       const initialAttrs = OTEL.attrs.context({
-        originalCount: chatMessages.length
+        originalCount: chatMessages.length,
+        tokenizer: counter.encoding,
+        tokenizerExact: counter.exact,
+        contextWindow: budget.contextWindow,
+        budgetTotal: budget.total
       });
       span.setAttributes(initialAttrs);
 
       // Emit initial metrics for statistical analysis
-      Object.entries(initialAttrs).forEach(([name, value]) => {
-        if (typeof value === 'number') {
-          OTEL.metrics.gauge(name, value);
-        }
-      });
+      emitContextMetrics(initialAttrs);
 
       // Filter chat messages
-      const filteredChatMessages = filterChatMessages(chatMessages);
+      const filteredEntries = filterChatMessages(chatMessages, counter);
+      const filteredChatMessages = filteredEntries.map(entry => entry.message);
 
       const removedMessages = chatMessages.length - filteredChatMessages.length;
       logger.progress('context filtering', `Filtered out ${removedMessages} noisy messages (tool calls, system messages, empty content)`);
@@ -231,115 +261,126 @@ export function filterContext(context) {
       span.setAttributes(filteringAttrs);
 
       // Emit filtering metrics for statistical analysis
-      Object.entries(filteringAttrs).forEach(([name, value]) => {
-        if (typeof value === 'number') {
-          OTEL.metrics.gauge(name, value);
-        }
-      });
-
-      // Filter git diff if needed
-      const filteredDiff = filterGitDiff(commit?.diff);
-      const diffOriginalTokens = estimateTokens(commit?.diff || '');
-      const diffFilteredTokens = estimateTokens(filteredDiff || '');
-
-      if (diffFilteredTokens < diffOriginalTokens) {
-        logger.progress('context filtering', `Reduced git diff from ${diffOriginalTokens} to ${diffFilteredTokens} tokens`);
-      }
-  
-      // Calculate token usage after initial filtering
-      const originalChatTokens = chatMessages.reduce((sum, msg) => {
-        return sum + estimateTokens(getMessageContentString(msg));
-      }, 0);
+      emitContextMetrics(filteringAttrs);
 
-      const chatTokens = filteredChatMessages.reduce((sum, msg) => {
-        return sum + estimateTokens(getMessageContentString(msg));
-      }, 0);
+      // Filter sensitive data from the diff before measuring it
+      const redactedDiff = commit?.diff ? redactSensitiveData(commit.diff) : commit?.diff;
 
-      const diffTokens = estimateTokens(filteredDiff || '');
-      const systemPromptTokens = 2000; // Estimate for system prompt overhead
-      const totalTokens = chatTokens + diffTokens + systemPromptTokens;
+      // Measure what each item would need, then divide the budget by priority
+      const originalChatTokens = chatMessages.reduce((sum, msg) => sum + countMessage(msg), 0);
+      const needs = {
+        reflections: reflections.reduce((sum, entry) => sum + countEntry(entry), 0),
+        contextCaptures: contextCaptures.reduce((sum, entry) => sum + countEntry(entry), 0),
+        toolActivity: countDigest(toolActivity),
+        diff: counter.count(redactedDiff || ''),
+        chat: filteredChatMessages.reduce((sum, msg) => sum + countMessage(msg), 0)
+      };
+      const totalTokens = Object.values(needs).reduce((sum, tokens) => sum + tokens, 0);
+      const allocation = allocateBudget(needs, budget.total);
 
-      logger.progress('context filtering', `Token usage: ${chatTokens} chat + ${diffTokens} diff + ${systemPromptTokens} system = ${totalTokens} tokens`);
+      logger.progress('context filtering', `Token usage: ${needs.chat} chat + ${needs.diff} diff + ${needs.reflections} reflections + ${needs.contextCaptures} context captures + ${needs.toolActivity} tool activity = ${totalTokens} of ${budget.total} tokens`);
 
       // Add token metrics to span
       const tokenAttrs = OTEL.attrs.context({
         originalChatTokens: originalChatTokens,
-        filteredChatTokens: chatTokens,
-        diffTokens: diffTokens,
-        totalTokens: totalTokens
+        filteredChatTokens: needs.chat,
+        diffTokens: needs.diff,
+        reflectionTokens: needs.reflections,
+        contextCaptureTokens: needs.contextCaptures,
+        toolActivityTokens: needs.toolActivity,
+        totalTokens: totalTokens,
+        chatAllocation: allocation.chat,
+        diffAllocation: allocation.diff,
+        reflectionAllocation: allocation.reflections,
+        contextCaptureAllocation: allocation.contextCaptures,
+        toolActivityAllocation: allocation.toolActivity
       });
       span.setAttributes(tokenAttrs);
 
       // Emit token metrics for statistical analysis
-      Object.entries(tokenAttrs).forEach(([name, value]) => {
-        if (typeof value === 'number') {
-          OTEL.metrics.gauge(name, value);
-        }
+      emitContextMetrics(tokenAttrs);
+
+      // Filter git diff: keep the most relevant hunks when it exceeds its allocation
+      const hintText = [
+        commit?.message || '',
+        ...filteredChatMessages
+          .filter(msg => msg.type === 'user')
+          .map(msg => getMessageContentString(msg))
+      ].join('\n');
+      const diffResult = filterGitDiff(redactedDiff, allocation.diff, counter, hintText);
+
+      if (diffResult.keptHunks < diffResult.totalHunks) {
+        logger.decision('context filtering', `Diff exceeds its ${allocation.diff} token allocation - kept ${diffResult.keptHunks} of ${diffResult.totalHunks} hunks`);
+      }
+
+      const diffAttrs = OTEL.attrs.context({
+        diffHunksTotal: diffResult.totalHunks,
+        diffHunksKept: diffResult.keptHunks,
+        finalDiffTokens: counter.count(diffResult.diff || '')
       });
+      span.setAttributes(diffAttrs);
+      emitContextMetrics(diffAttrs);
 
-      // If still too large, apply more aggressive filtering (keep most recent)
-      let finalChatMessages = filteredChatMessages;
-      if (totalTokens > MAX_TOKENS) {
-        logger.decision('context filtering', `Exceeds ${MAX_TOKENS} token limit - applying aggressive filtering to keep most recent messages`);
-    // Keep only the most recent messages that fit in budget
-    const availableTokens = MAX_TOKENS - diffTokens - systemPromptTokens;
-    let usedTokens = 0;
-    const recentMessages = [];
-    
-    // Process messages in reverse chronological order (newest first)
-    for (let i = filteredChatMessages.length - 1; i >= 0; i--) {
-      const msg = filteredChatMessages[i];
-      const msgTokens = estimateTokens(getMessageContentString(msg));
-      
-      if (usedTokens + msgTokens <= availableTokens) {
-        recentMessages.unshift(msg); // Add to beginning to maintain chronological order
-        usedTokens += msgTokens;
+      // If chat is over its allocation, apply more aggressive filtering (keep most recent)
+      let finalEntries = filteredEntries;
+      if (needs.chat > allocation.chat) {
+        logger.decision('context filtering', `Chat exceeds its ${allocation.chat} token allocation - applying aggressive filtering to keep most recent messages`);
+
+        finalEntries = keepMostRecent(filteredEntries, allocation.chat, entry => countMessage(entry.message));
+
+        logger.progress('context filtering', `Aggressive filtering: kept ${finalEntries.length} of ${filteredEntries.length} most recent messages`);
       } else {
-        break;
+        logger.decision('context filtering', `Chat within its ${allocation.chat} token allocation - no aggressive filtering needed`);
       }
-    }
+      const finalChatMessages = finalEntries.map(entry => entry.message);
 
-        finalChatMessages = recentMessages;
+      // Reflections and context captures keep their most recent entries
+      const finalReflections = keepMostRecent(reflections, allocation.reflections, countEntry);
+      const finalContextCaptures = keepMostRecent(contextCaptures, allocation.contextCaptures, countEntry);
 
-        logger.progress('context filtering', `Aggressive filtering: kept ${finalChatMessages.length} of ${filteredChatMessages.length} most recent messages`);
+      if (finalReflections.length < reflections.length || finalContextCaptures.length < contextCaptures.length) {
+        logger.decision('context filtering', `Kept ${finalReflections.length}/${reflections.length} reflections and ${finalContextCaptures.length}/${contextCaptures.length} context captures within their allocations`);
+      }
 
-        // Add aggressive filtering metrics
-        const aggressiveAttrs = OTEL.attrs.context({
-          finalMessages: finalChatMessages.length,
-          aggressiveFiltering: true
-        });
-        span.setAttributes(aggressiveAttrs);
+      // The tool activity digest drops its oldest commands and extra files to fit
+      const finalToolActivity = fitToolActivityDigest(toolActivity, allocation.toolActivity, countDigest);
+      const toolActivityTrimmed = needs.toolActivity > allocation.toolActivity;
+      if (toolActivityTrimmed) {
+        logger.decision('context filtering', `Tool activity exceeds its ${allocation.toolActivity} token allocation - ${finalToolActivity ? 'trimmed' : 'dropped'}`);
+      }
 
-        // Emit aggressive filtering metrics for analysis
-        Object.entries(aggressiveAttrs).forEach(([name, value]) => {
-          if (typeof value === 'number' || typeof value === 'boolean') {
-            OTEL.metrics.gauge(name, typeof value === 'boolean' ? (value ? 1 : 0) : value);
-          }
-        });
-      } else {
-        logger.decision('context filtering', `Within ${MAX_TOKENS} token limit - no aggressive filtering needed`);
-        const nonAggressiveAttrs = OTEL.attrs.context({
-          aggressiveFiltering: false
-        });
-        span.setAttributes(nonAggressiveAttrs);
-
-        // Emit non-aggressive filtering metric
-        Object.entries(nonAggressiveAttrs).forEach(([name, value]) => {
-          if (typeof value === 'boolean') {
-            OTEL.metrics.gauge(name, value ? 1 : 0);
-          }
-        });
+      // Add aggressive filtering metrics
+      const aggressiveAttrs = OTEL.attrs.context({
+        finalMessages: finalChatMessages.length,
+        aggressiveFiltering: needs.chat > allocation.chat,
+        finalReflections: finalReflections.length,
+        finalContextCaptures: finalContextCaptures.length,
+        toolActivityTrimmed
+      });
+      span.setAttributes(aggressiveAttrs);
+
+      // Emit aggressive filtering metrics for analysis
+      emitContextMetrics(aggressiveAttrs);
+
+      // Rebuild session groups from the kept messages (same objects as the flat list)
+      let finalChatSessions = context.chatSessions;
+      if (Array.isArray(context.chatSessions)) {
+        const keptByOriginal = new Map(finalEntries.map(entry => [entry.original, entry.message]));
+        finalChatSessions = context.chatSessions
+          .map(session => {
+            const messages = session.messages.map(msg => keptByOriginal.get(msg)).filter(Boolean);
+            return { ...session, messages, messageCount: messages.length };
+          })
+          .filter(session => session.messages.length > 0);
       }
 
       // Final metrics
-      const finalChatTokens = finalChatMessages.reduce((sum, msg) => {
-        return sum + estimateTokens(getMessageContentString(msg));
-      }, 0);
+      const finalChatTokens = finalChatMessages.reduce((sum, msg) => sum + countMessage(msg), 0);
 
       const tokenReduction = originalChatTokens - finalChatTokens;
       const reductionPercent = originalChatTokens > 0 ? Math.round((tokenReduction / originalChatTokens) * 100) : 0;
 
-      logger.complete('context filtering', `Context filtered successfully: ${originalChatTokens} → ${finalChatTokens} tokens (${reductionPercent}% reduction)`);
+      logger.complete('context filtering', `Context filtered successfully: ${originalChatTokens} → ${finalChatTokens} chat tokens (${reductionPercent}% reduction)`);
 
       const finalAttrs = OTEL.attrs.context({
         finalChatTokens: finalChatTokens,
@@ -349,23 +390,23 @@ export function filterContext(context) {
       span.setAttributes(finalAttrs);
 
       // Emit final metrics for statistical analysis
-      Object.entries(finalAttrs).forEach(([name, value]) => {
-        if (typeof value === 'number') {
-          OTEL.metrics.gauge(name, value);
-        }
-      });
+      emitContextMetrics(finalAttrs);
 
       span.setStatus({ code: SpanStatusCode.OK, message: 'Context filtered successfully' });
 
-  // Return filtered context maintaining original structure
-  return {
-    ...context,
-    chatMessages: finalChatMessages,
-    commit: {
-      ...commit,
-      diff: filteredDiff
-    }
-  };
+      // Return filtered context maintaining original structure
+      return {
+        ...context,
+        chatMessages: finalChatMessages,
+        ...(finalChatSessions && { chatSessions: finalChatSessions }),
+        reflections: finalReflections,
+        contextCaptures: finalContextCaptures,
+        toolActivity: finalToolActivity,
+        commit: {
+          ...commit,
+          diff: diffResult.diff
+        }
+      };
 
     } catch (error) {
       span.recordException(error);
@@ -376,4 +417,4 @@ export function filterContext(context) {
       span.end();
     }
   });
-}
\ No newline at end of file
+}
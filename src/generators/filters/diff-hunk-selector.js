@@ -0,0 +1,211 @@
+/**
+ * Diff Hunk Selector
+ *
+ * Shrinks a diff that doesn't fit its token budget by keeping the most relevant
+ * hunks instead of replacing the whole diff with per-file line counts. Every file
+ * keeps its `diff --git` header, so the generators still see the complete list of
+ * changed files; omitted hunks are replaced by a one-line note with their size.
+ *
+ * Hunks are ranked by:
+ * - changed lines (with diminishing returns)
+ * - declarations added or removed (functions, classes, types, exports)
+ * - identifiers and file names also mentioned in the commit message or chat
+ * Documentation and generated-looking files (lockfiles, minified code) rank lower.
+ */
+
+// Lines that add or remove a declaration in common languages
+const DECLARATION_RE = /^[+-]\s*(export\s+)?(default\s+)?(async\s+)?(function|class|interface|type|enum|def|func|fn|struct|impl|module|const\s+\w+\s*=\s*(async\s*)?\()/;
+
+const LOCKFILE_RE = /(^|\/)(package-lock\.json|yarn\.lock|pnpm-lock\.yaml|Cargo\.lock|Gemfile\.lock|poetry\.lock|go\.sum|composer\.lock)$/;
+
+// Room reserved per file for an "omitted hunks" note
+const OMISSION_NOTE_TOKENS = 20;
+
+// Smallest leftover budget worth spending on a truncated hunk
+const MIN_PARTIAL_HUNK_TOKENS = 200;
+
+// Common words that say nothing about which code is relevant
+const STOP_WORDS = new Set([
+  'about', 'after', 'again', 'because', 'before', 'being', 'could', 'doesn', 'every',
+  'first', 'great', 'there', 'these', 'thing', 'things', 'think', 'those', 'where',
+  'which', 'while', 'would', 'should', 'their', 'other', 'still', 'really', 'right',
+  'return', 'const', 'function', 'import', 'export', 'async', 'await', 'value', 'false',
+  'thanks', 'please', 'maybe', 'something', 'changes', 'change', 'update', 'added'
+]);
+
+/**
+ * Split a diff into files and hunks
+ * @param {string} diff - Unified diff
+ * @returns {Array<{path: string, header: string, hunks: Array<{text: string, added: number, removed: number, declarations: number}>}>} Parsed files
+ */
+function parseDiff(diff) {
+  const files = [];
+  let file = null;
+  let hunk = null;
+
+  for (const line of diff.split('\n')) {
+    if (line.startsWith('diff --git ')) {
+      file = {
+        path: line.match(/ b\/(.+)$/)?.[1] || 'unknown',
+        headerLines: [line],
+        hunks: []
+      };
+      files.push(file);
+      hunk = null;
+    } else if (!file) {
+      continue;
+    } else if (line.startsWith('@@')) {
+      hunk = { lines: [line], added: 0, removed: 0, declarations: 0 };
+      file.hunks.push(hunk);
+    } else if (!hunk) {
+      file.headerLines.push(line);
+    } else {
+      hunk.lines.push(line);
+      if (line.startsWith('+')) hunk.added++;
+      if (line.startsWith('-')) hunk.removed++;
+      if (DECLARATION_RE.test(line)) hunk.declarations++;
+    }
+  }
+
+  return files.map(({ path, headerLines, hunks }) => ({
+    path,
+    header: headerLines.join('\n'),
+    hunks: hunks.map(({ lines, ...counts }) => ({ text: lines.join('\n'), ...counts }))
+  }));
+}
+
+/**
+ * Extract terms from the commit message and chat that may name relevant code
+ * @param {string} hintText - Commit message and chat text
+ * @returns {Set<string>} Lowercased identifier-like terms
+ */
+function extractRelevanceTerms(hintText) {
+  const terms = new Set();
+  for (const match of (hintText || '').matchAll(/[A-Za-z_][A-Za-z0-9_]{4,}/g)) {
+    const term = match[0].toLowerCase();
+    if (!STOP_WORDS.has(term)) {
+      terms.add(term);
+    }
+  }
+  return terms;
+}
+
+/**
+ * Score a hunk's relevance
+ * @param {Object} file - Parsed file
+ * @param {Object} hunk - Parsed hunk
+ * @param {Set<string>} terms - Relevance terms
+ * @param {string} hintText - Lowercased commit message and chat text
+ * @returns {number} Relevance score
+ */
+function scoreHunk(file, hunk, terms, hintText) {
+  const changed = hunk.added + hunk.removed;
+  const changedText = hunk.text.toLowerCase();
+
+  let termHits = 0;
+  for (const term of terms) {
+    if (changedText.includes(term) && ++termHits >= 5) break;
+  }
+
+  const fileName = file.path.split('/').pop().toLowerCase();
+  const fileMentioned = hintText.includes(fileName);
+
+  let score = 1
+    + Math.min(changed, 40) / 4
+    + 3 * Math.min(hunk.declarations, 5)
+    + 2 * termHits
+    + (fileMentioned ? 5 : 0);
+
+  const isDoc = /\.(md|txt|rst)$/i.test(file.path) || /README|CHANGELOG/.test(file.path);
+  const looksGenerated = LOCKFILE_RE.test(file.path) || /\.min\.(js|css)$/.test(file.path) ||
+    hunk.text.split('\n').some(line => line.length > 500);
+
+  if (isDoc) score *= 0.5;
+  if (looksGenerated) score *= 0.2;
+  return score;
+}
+
+/**
+ * Keep the most relevant hunks of a diff within a token budget
+ *
+ * @param {string} diff - Unified diff
+ * @param {number} maxTokens - Token budget for the diff
+ * @param {Object} counter - Token counter from createTokenCounter
+ * @param {string} [hintText] - Commit message and chat text used to rank hunks
+ * @returns {{diff: string, totalHunks: number, keptHunks: number}} Reduced diff and hunk counts
+ */
+export function selectDiffHunks(diff, maxTokens, counter, hintText = '') {
+  const files = parseDiff(diff);
+  const allHunks = files.flatMap(file => file.hunks.map(hunk => ({ file, hunk })));
+  const lowerHint = hintText.toLowerCase();
+  const terms = extractRelevanceTerms(hintText);
+
+  // Headers (file list) are always kept; the rest of the budget goes to hunks
+  let remaining = maxTokens - files.reduce((sum, file) => sum + counter.count(file.header) + OMISSION_NOTE_TOKENS, 0);
+
+  if (remaining <= 0) {
+    // Too many files to show any code - fall back to the file list with line counts
+    const fileList = files.map(file => {
+      const added = file.hunks.reduce((sum, hunk) => sum + hunk.added, 0);
+      const removed = file.hunks.reduce((sum, hunk) => sum + hunk.removed, 0);
+      return `${file.path}: +${added} -${removed}`;
+    });
+    const summary = `[Large diff summarized - ${files.length} files changed]\n\nFile changes:\n${fileList.join('\n')}`;
+    return { diff: counter.truncate(summary, maxTokens), totalHunks: allHunks.length, keptHunks: 0 };
+  }
+
+  const ranked = allHunks
+    .map(entry => ({ ...entry, score: scoreHunk(entry.file, entry.hunk, terms, lowerHint), tokens: counter.count(entry.hunk.text) + 1 }))
+    .sort((a, b) => b.score - a.score);
+
+  // Kept hunks and the text to show for each (partial for hunks too big to fit whole)
+  const kept = new Map();
+  for (const entry of ranked) {
+    if (entry.tokens <= remaining) {
+      kept.set(entry.hunk, entry.hunk.text);
+      remaining -= entry.tokens;
+    }
+  }
+
+  // Spend what's left on the beginning of the most relevant hunks that didn't fit,
+  // so a single huge hunk (e.g. a new file) still shows some code
+  for (const entry of ranked) {
+    if (remaining < MIN_PARTIAL_HUNK_TOKENS) break;
+    if (kept.has(entry.hunk)) continue;
+
+    const partial = counter.truncate(entry.hunk.text, remaining - OMISSION_NOTE_TOKENS);
+    // Cut back to the last whole line, unless the budget didn't reach past the first
+    const lastNewline = partial.lastIndexOf('\n');
+    const text = `${lastNewline === -1 ? partial : partial.slice(0, lastNewline)}\n[... rest of hunk truncated to fit the context budget ...]`;
+    kept.set(entry.hunk, text);
+    remaining -= counter.count(text) + 1;
+  }
+
+  // Rebuild in original order, noting what was left out
+  const output = [];
+  for (const file of files) {
+    output.push(file.header);
+    let omitted = null;
+    const flushOmitted = () => {
+      if (omitted) {
+        output.push(`@@ [${omitted.count} hunk(s) omitted to fit the context budget: +${omitted.added} -${omitted.removed} lines] @@`);
+        omitted = null;
+      }
+    };
+
+    for (const hunk of file.hunks) {
+      if (kept.has(hunk)) {
+        flushOmitted();
+        output.push(kept.get(hunk));
+      } else {
+        omitted = omitted || { count: 0, added: 0, removed: 0 };
+        omitted.count++;
+        omitted.added += hunk.added;
+        omitted.removed += hunk.removed;
+      }
+    }
+    flushOmitted();
+  }
+
+  return { diff: output.join('\n'), totalHunks: allHunks.length, keptHunks: kept.size };
+}
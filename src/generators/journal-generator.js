@@ -8,6 +8,9 @@
  * 1. Run Summary + Technical Decisions in parallel (independent), generate Commit Details immediately
  * 2. Wait for Summary completion
  * 3. Run Development Dialogue with summary result
+ *
+ * Commits without any AI assistant conversation (git-only mode) skip the dialogue
+ * generator - there are no quotes to extract, and none should be invented.
  */
 
 import fs from 'fs';
@@ -16,6 +19,9 @@ import { generateDevelopmentDialogue } from './dialogue-generator.js';
 import { generateTechnicalDecisions } from './technical-decisions-generator.js';
 import { trace, SpanStatusCode } from '@opentelemetry/api';
 import { OTEL } from '../telemetry/standards.js';
+import { partitionIgnoredPaths } from '../utils/ignore-rules.js';
+import { extractFilesFromDiff, countDiffLines } from '../utils/diff-utils.js';
+import { isGitOnlyContext } from '../integrators/context-integrator.js';
 
 // Get tracer instance for journal generation instrumentation
 const tracer = trace.getTracer('commit-story-generator', '1.0.0');
@@ -32,6 +38,9 @@ try {
   // Silently ignore config file errors - debug mode defaults to false
 }
 
+// Dialogue section text for git-only entries
+export const GIT_ONLY_DIALOGUE_NOTE = 'No AI assistant conversation was recorded for this commit, so there is no dialogue to quote.';
+
 // Debug-only logging
 const debugLog = (message) => {
   if (isDebugMode) {
@@ -74,14 +83,18 @@ export async function generateJournalEntry(context) {
       }
     });
     try {
-      debugLog('Started journal generation');
+      const gitOnly = isGitOnlyContext(context);
+      span.setAttribute(`${OTEL.NAMESPACE}.generation.git_only`, gitOnly);
+      debugLog(gitOnly ? 'Started git-only journal generation (no chat context)' : 'Started journal generation');
       
       // Phase 1: Run independent generators in parallel + generate commit details immediately
       span.addEvent('phase1.start', { phase: 'parallel-generation' });
       
+      // Each AI generator records its provider, model and token usage here
+      const usage = {};
       const [summaryPromise, technicalDecisionsPromise] = [
-        generateSummary(context),
-        generateTechnicalDecisions(context)
+        generateSummary(context, usage),
+        generateTechnicalDecisions(context, usage)
       ];
       
       const commitDetails = generateCommitDetailsSection(context);
@@ -103,9 +116,11 @@ export async function generateJournalEntry(context) {
         }
       });
       
-      // Phase 3: Start dialogue with summary result
-      span.addEvent('phase3.start', { phase: 'dialogue-generation' });
-      const dialoguePromise = generateDevelopmentDialogue(context, summary);
+      // Phase 3: Start dialogue with summary result (git-only: nothing to quote)
+      span.addEvent('phase3.start', { phase: gitOnly ? 'dialogue-skipped' : 'dialogue-generation' });
+      const dialoguePromise = gitOnly
+        ? Promise.resolve(GIT_ONLY_DIALOGUE_NOTE)
+        : generateDevelopmentDialogue(context, summary, usage);
       
       // Phase 4: Wait for all remaining generators to complete
       span.addEvent('phase4.start', { phase: 'waiting-for-completion' });
@@ -137,7 +152,9 @@ export async function generateJournalEntry(context) {
         summary,
         dialogue,
         technicalDecisions,
-        commitDetails
+        commitDetails,
+        gitOnly,
+        metadata: buildEntryMetadata(context, usage)
       };
       
       debugLog('✅ Successfully generated journal');
@@ -155,6 +172,24 @@ export async function generateJournalEntry(context) {
   });
 }
 
+/**
+ * Collect the machine-readable facts about an entry for its JSON sidecar record
+ *
+ * @param {Object} context - The context object containing commit and chat data
+ * @param {Object} usage - Provider, model and token usage per AI section
+ * @returns {Object} Branch, changed files, chat statistics and generation usage
+ */
+function buildEntryMetadata(context, usage) {
+  const { kept: filesChanged } = partitionIgnoredPaths(extractFilesFromDiff(context.commit.data.diff));
+  return {
+    branch: context.commit.data.branch || null,
+    filesChanged,
+    linesChanged: countDiffLines(context.commit.data.diff),
+    chat: context.chatMetadata.data,
+    generation: usage
+  };
+}
+
 /**
  * Generates the programmatic Commit Details section from existing git context
  * 
@@ -165,8 +200,8 @@ function generateCommitDetailsSection(context) {
   const { commit } = context;
   const { message, diff } = commit.data;
   
-  // Extract file names from diff headers
-  const files = extractFilesFromDiff(diff);
+  // Extract file names from diff headers, leaving out .commitstoryignore paths
+  const { kept: files } = partitionIgnoredPaths(extractFilesFromDiff(diff));
   
   // Count lines changed (rough estimate from diff)
   const linesChanged = countDiffLines(diff);
@@ -195,50 +230,3 @@ function generateCommitDetailsSection(context) {
   
   return detailsContent.trim();
 }
-
-/**
- * Extract file paths from git diff headers
- * @param {string} diff - Git diff content
- * @returns {Array<string>} Array of file paths
- */
-function extractFilesFromDiff(diff) {
-  if (!diff) return [];
-  
-  const files = [];
-  const lines = diff.split('\n');
-  
-  for (const line of lines) {
-    // Look for diff headers: "diff --git a/path/file.js b/path/file.js"
-    if (line.startsWith('diff --git ')) {
-      const match = line.match(/diff --git a\/(.+) b\/.+/);
-      if (match && match[1]) {
-        files.push(match[1]);
-      }
-    }
-  }
-  
-  return files;
-}
-
-/**
- * Count approximate lines changed from diff content
- * @param {string} diff - Git diff content
- * @returns {number} Approximate number of lines changed
- */
-function countDiffLines(diff) {
-  if (!diff) return 0;
-  
-  const lines = diff.split('\n');
-  let count = 0;
-  
-  for (const line of lines) {
-    // Count lines that start with + or - (but not +++ or ---)
-    if ((line.startsWith('+') && !line.startsWith('+++')) || 
-        (line.startsWith('-') && !line.startsWith('---'))) {
-      count++;
-    }
-  }
-  
-  return count;
-}
-
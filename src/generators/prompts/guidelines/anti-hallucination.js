@@ -12,5 +12,6 @@ ANTI-HALLUCINATION RULES:
 - If insufficient context exists for a section, omit the section entirely
 - Don't infer emotional states, motivations, or outcomes not explicitly stated
 - Do not mention time spent, session duration, or time-based comparisons ("substantial amount of time", "six hours", etc.) - you have no reliable basis for time judgments
+- Chat sessions marked relevance: "low" may be about other work in the same repository - use them only where they clearly relate to this commit's changes
 - This is individual development work with AI assistance, not team collaboration - avoid "the team" or collaborative language that implies human teammates
 `.trim();
\ No newline at end of file
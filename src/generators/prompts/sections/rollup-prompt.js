@@ -0,0 +1,51 @@
+/**
+ * Rollup Summary Prompt - Step-Based Architecture
+ *
+ * Turns a period's journal material (commit entries for a day, daily summaries for a
+ * week or month) into one narrative that cites the commits it draws from.
+ *
+ * Following the successful pattern from summary-prompt.js and technical-decisions-prompt.js
+ */
+
+// What the reader of each rollup needs, by period type
+const periodFocus = {
+  daily: `This is a daily summary. Tell the story of the day: what was worked on, in what order, and how the pieces connect. Mention problems hit along the way and how they were resolved.`,
+  weekly: `This is a weekly summary, written from the daily summaries of the week. Group related work across days into themes instead of retelling each day. Call out what was finished, what is still in progress, and any decisions that changed direction. This will be read while preparing a sprint retrospective.`,
+  monthly: `This is a monthly summary, written from the daily summaries of the month. Describe the main threads of work and how they progressed over the month. Highlight completed milestones, recurring obstacles, and decisions with lasting impact. Leave out routine work unless it adds up to something notable.`
+};
+
+/**
+ * Builds the rollup prompt for a period type
+ * @param {string} periodType - 'daily', 'weekly' or 'monthly'
+ * @returns {string} Complete rollup prompt
+ */
+export function rollupPrompt(periodType) {
+  return `
+## Step 1: Read the Source Material
+
+You are the developer's assistant, trained to write in a direct-yet-friendly tone.
+
+Each source in the input is labeled and lists the commit hashes it covers. Read all of them before writing anything. Note which commits belong to the same piece of work.
+
+## Step 2: Decide What Matters
+
+${periodFocus[periodType]}
+
+Only use what is in the sources. Do not guess at work, motivations or outcomes that the sources don't describe.
+
+## Step 3: Write the Narrative
+
+Write natural conversational prose in short paragraphs, no bullet points, no section headers.
+
+Cite the commits each statement is based on by their 8-character hash in backticks, e.g. \`1502704e\`. Every paragraph must cite at least one commit. Only cite hashes that appear in the sources.
+
+**Important guidelines:**
+- Use accurate verbs: "planned/designed/documented" for planning work, "implemented/built/coded" for functional code
+- Be honest - some periods are productive, some are routine. Both deserve accurate description without inflation or minimization
+- Avoid subjective qualifiers like "successfully", "significant", "major progress"
+
+## Step 4: Output
+
+Check that every hash you cited appears in the sources. Then output only the final narrative prose.
+`.trim();
+}
@@ -24,6 +24,12 @@ const discussions = `Summarize discussions that didn't produce functional code.
 // Code without chat context
 const codeWithoutContext = `Describe what changed in the code (not documentation files like .md, .txt, or task management files). Keep it brief and factual - you don't have chat context to explain why. Length should match the scope of changes.`;
 
+// Code with the developer's reflections standing in for chat (git-only mode)
+const codeWithReflections = `Describe what changed in the code (not documentation files like .md, .txt, or task management files). Explain why only where the commit message or the developer's reflections give a reason - there is no chat, so don't guess at motivations they don't mention. Length should match the scope of changes.`;
+
+// Reflections without functional code (git-only mode)
+const reflectionsOnly = `Summarize what the developer's reflections say about this work, alongside what the commit changed. Keep it brief and stay close to their own words.`;
+
 // Documentation only
 const documentationOnly = `Is your opening sentence enough information about this commit? It probably is, since there was not much discussion between the AI and the developer. However, if there is an important detail you may take one more sentence and describe it.`;
 
@@ -31,16 +37,22 @@ const documentationOnly = `Is your opening sentence enough information about thi
  * Generates the summary prompt with conditional instructions
  * @param {boolean} hasFunctionalCode - Whether commit has functional code changes
  * @param {boolean} hasSubstantialChat - Whether session has substantial discussions
+ * @param {boolean} [hasReflections=false] - Whether developer reflections are provided instead of chat (git-only mode)
  * @returns {string} Complete summary prompt
  */
-export function summaryPrompt(hasFunctionalCode, hasSubstantialChat) {
+export function summaryPrompt(hasFunctionalCode, hasSubstantialChat, hasReflections = false) {
   return tracer.startActiveSpan(OTEL.span.prompts.summary(), (span) => {
     const logger = createNarrativeLogger('prompts.summary_construction');
 
     try {
       // Determine scenario for telemetry
+      // Reflections only shape the prompt when there is no substantial chat to draw from
+      const useReflections = hasReflections && !hasSubstantialChat;
+
       let scenario;
-      if (hasFunctionalCode && hasSubstantialChat) {
+      if (useReflections) {
+        scenario = hasFunctionalCode ? 'code_with_reflections' : 'reflections_only';
+      } else if (hasFunctionalCode && hasSubstantialChat) {
         scenario = 'code_with_chat';
       } else if (hasFunctionalCode && !hasSubstantialChat) {
         scenario = 'code_without_chat';
@@ -54,7 +66,13 @@ export function summaryPrompt(hasFunctionalCode, hasSubstantialChat) {
 
       // Step 2: Conditional based on chat and code presence
       let step2;
-      if (hasSubstantialChat && hasFunctionalCode) {
+      if (useReflections) {
+        logger.decision('summary prompt construction', 'Using "Reflections" scenario - no chat, developer reflections provide the why');
+        // Git-only mode: reflections are the developer's own account of the work
+        step2 = `## Step 2: Read the Developer's Reflections
+
+There is no AI chat for this commit. The reflections are notes the developer wrote while working, in their own words. Look for what they say about these changes: why they were made, what problems came up, what was decided.`;
+      } else if (hasSubstantialChat && hasFunctionalCode) {
         logger.decision('summary prompt construction', 'Using "Code + Chat" scenario - full context with why behind changes');
         // Scenario 1: Code + Chat - look for why behind code changes
         step2 = `## Step 2: Find the Why in the Chat
@@ -81,7 +99,10 @@ Look through the chat conversations. What was discussed, planned, or decided? Wh
       // Step 3 instructions based on scenario
       let step3Instructions = openingSentence;
 
-      if (hasFunctionalCode && hasSubstantialChat) {
+      if (useReflections) {
+        logger.progress('summary prompt construction', 'Building Step 3 from code and reflections');
+        step3Instructions += `\n\n${hasFunctionalCode ? codeWithReflections : reflectionsOnly}`;
+      } else if (hasFunctionalCode && hasSubstantialChat) {
         logger.progress('summary prompt construction', 'Building Step 3 with code context and discussions');
         // Scenario 1: Code + Chat - full context available
         step3Instructions += `\n\n${codeWithContext}`;
@@ -102,7 +123,7 @@ Look through the chat conversations. What was discussed, planned, or decided? Wh
 
       // Conditional intro for Step 3 based on scenario
       let step3Intro;
-      if (!hasFunctionalCode && !hasSubstantialChat) {
+      if (!hasFunctionalCode && !hasSubstantialChat && !useReflections) {
         // Scenario 4: No code, no chat - routine documentation update
         step3Intro = `## Step 3: Write the Summary
 
@@ -150,6 +171,7 @@ Before you output, verify your summary is authentic - not inflated, not minimize
         ...OTEL.attrs.prompts.summary({
           hasFunctionalCode,
           hasSubstantialChat,
+          hasReflections,
           scenario,
           length: prompt.length
         })
@@ -176,7 +198,8 @@ Before you output, verify your summary is authentic - not inflated, not minimize
       span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
       logger.error('summary prompt construction', 'Failed to construct summary prompt', error, {
         hasFunctionalCode,
-        hasSubstantialChat
+        hasSubstantialChat,
+        hasReflections
       });
       throw error;
     } finally {
@@ -58,3 +58,48 @@ Format each decision as follows:
 
 Output only the formatted decisions. Do not include your analysis from Steps 1-4.
 `.trim();
+
+/**
+ * Git-only variant: no chat exists for the commit, so decisions come from the diff,
+ * the commit message and the developer's reflections
+ */
+export const technicalDecisionsGitOnlyPrompt = `
+## Step 1: Identify Significant Technical Decisions
+
+You are the Code Archivist, custodian of the project's history.
+
+There is no AI chat for this commit. Identify technical decisions that future developers would need to understand: new dependencies, data structures, interfaces, architectural patterns, or trade-offs visible in the git diff, explained in the commit message, or described in the developer's reflections.
+
+Discard routine maintenance, bug fixes, documentation updates, and changes that are obvious from the code alone.
+
+If no significant decisions exist, return: "No significant technical decisions or problem solving documented for this development session" and skip to Step 4.
+
+## Step 2: Identify Changed Files
+
+Look at the git diff and note which files were modified - particularly distinguishing documentation files from functional code files.
+
+## Step 3: Extract Evidence and Reasoning
+
+For each decision:
+
+1. **Classify it**: IMPLEMENTED if the diff contains the functional code change, DISCUSSED if it only appears in the reflections or in documentation files.
+
+2. **List supporting files**: For IMPLEMENTED decisions, list the specific files from the diff that show the implementation.
+
+3. **Extract reasoning**: Use only reasons stated in the commit message, code comments in the diff, or the reflections. Never invent a rationale. If no reason is given, write "Reason not recorded".
+
+4. **Note tradeoffs**: Include these only when explicitly stated.
+
+5. **Keep it brief**: Break long explanations into short phrases.
+
+## Step 4: Format Output
+
+Format each decision as follows:
+
+- **DECISION: [Decision title]** (Implemented | Discussed) - FILES: [List specific files, or omit FILES line if none]
+  - [Brief reason/phrase]
+  - [Brief reason/phrase]
+  Tradeoffs: [Trade-off when explicitly stated]
+
+Output only the formatted decisions. Do not include your analysis from Steps 1-3.
+`.trim();
@@ -0,0 +1,134 @@
+/**
+ * Rollup Generator
+ *
+ * Generates daily, weekly and monthly narratives from journal material using the
+ * configured LLM provider. Uses the "rollup" provider section, so summaries can run
+ * on a different model than per-commit entries (ai.sections.rollup).
+ */
+
+import { getAllGuidelines } from './prompts/guidelines/index.js';
+import { rollupPrompt } from './prompts/sections/rollup-prompt.js';
+import { trace, SpanStatusCode } from '@opentelemetry/api';
+import { createProvider } from '../providers/index.js';
+import { OTEL } from '../telemetry/standards.js';
+import { createNarrativeLogger } from '../utils/trace-logger.js';
+import { createTokenCounter } from '../utils/token-counter.js';
+
+// Get tracer instance for rollup generation instrumentation
+const tracer = trace.getTracer('commit-story-rollup', '1.0.0');
+
+/**
+ * Generates the narrative for a rollup period
+ *
+ * Unlike the per-commit section generators, failures are thrown rather than returned
+ * as placeholder text - a failed rollup is retried on the next run instead of being saved.
+ *
+ * @param {Object} period - Period from the summary manager
+ * @param {string} period.type - 'daily', 'weekly' or 'monthly'
+ * @param {string} period.key - Period key (2025-10-14, 2025-W42, 2025-10)
+ * @param {Array<{label: string, commits: string[], content: string}>} sources - Source material
+ * @returns {Promise<string>} Generated narrative
+ */
+export async function generateRollup(period, sources) {
+  return await tracer.startActiveSpan(OTEL.span.ai.rollup(), {
+    attributes: {
+      [`${OTEL.NAMESPACE}.summary.type`]: period.type,
+      [`${OTEL.NAMESPACE}.summary.period`]: period.key,
+      'code.function': 'generateRollup'
+    }
+  }, async (span) => {
+    let provider = null;
+    const logger = createNarrativeLogger('ai.generate_rollup');
+
+    try {
+      logger.start('rollup generation', `Generating ${period.type} summary for ${period.key} from ${sources.length} sources`);
+
+      // Create fresh provider client (DD-016: prevent context bleeding)
+      provider = createProvider('rollup');
+
+      // Build the complete prompt (DD-018: compose guidelines + section prompt)
+      const systemPrompt = `
+${rollupPrompt(period.type)}
+
+${getAllGuidelines()}
+      `.trim();
+
+      const sourceText = sources
+        .map(source => `### ${source.label}\nCommits: ${source.commits.join(', ')}\n\n${source.content}`)
+        .join('\n\n---\n\n');
+
+      const requestPayload = {
+        model: provider.model,
+        messages: [
+          { role: 'system', content: systemPrompt },
+          { role: 'user', content: `Write the ${period.type} summary for ${period.key}. Sources:\n\n${sourceText}` }
+        ],
+        temperature: 0.5,
+      };
+
+      const counter = createTokenCounter(provider.name, provider.model);
+      const promptTokens = requestPayload.messages.reduce((sum, message) => sum + counter.count(message.content), 0);
+      logger.progress('rollup generation', `Constructed prompt: ${promptTokens} tokens (${counter.encoding}) using ${provider.model}`);
+
+      // Add request payload attributes to span
+      const requestAttrs = OTEL.attrs.genAI.request(
+        requestPayload.model,
+        requestPayload.temperature,
+        requestPayload.messages.length,
+        provider.name
+      );
+      span.setAttributes(requestAttrs);
+
+      // Emit request metrics for AI performance analysis
+      Object.entries(requestAttrs).forEach(([name, value]) => {
+        if (typeof value === 'number' || typeof value === 'string') {
+          OTEL.metrics.gauge(name, typeof value === 'string' ? 1 : value);
+        }
+      });
+
+      // Add timeout wrapper (monthly rollups carry a lot of input)
+      const completion = await Promise.race([
+        provider.complete(requestPayload),
+        new Promise((_, reject) =>
+          setTimeout(() => reject(new Error('Request timeout after 120 seconds')), 120000)
+        )
+      ]);
+
+      const result = completion.content.trim();
+      if (!result) {
+        throw new Error(`${provider.name} returned an empty ${period.type} summary`);
+      }
+
+      // Add response attributes to span
+      const usageAttrs = OTEL.attrs.genAI.usage({
+        model: completion.model,
+        content: result,
+        usage: completion.usage
+      });
+      span.setAttributes(usageAttrs);
+
+      // Emit usage metrics for cost analysis and performance monitoring
+      Object.entries(usageAttrs).forEach(([name, value]) => {
+        if (typeof value === 'number') {
+          OTEL.metrics.gauge(name, value);
+        }
+      });
+
+      logger.complete('rollup generation', `${period.type} summary generated: ${result.split(' ').length} words`);
+
+      span.setStatus({ code: SpanStatusCode.OK, message: 'Rollup summary generated successfully' });
+      return result;
+
+    } catch (error) {
+      span.recordException(error);
+      span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+      logger.error('rollup generation', 'AI provider call failed', error, {
+        provider: provider?.name,
+        model: provider?.model
+      });
+      throw error;
+    } finally {
+      span.end();
+    }
+  });
+}
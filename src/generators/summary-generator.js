@@ -1,20 +1,21 @@
 /**
  * Summary Generator
  * 
- * Generates summary narratives using OpenAI with the refined prompt architecture.
+ * Generates summary narratives using the configured LLM provider with the refined prompt architecture.
  * Combines guidelines with section-specific prompts and dynamic context documentation.
  */
 
-import OpenAI from 'openai';
 import { getAllGuidelines } from './prompts/guidelines/index.js';
 import { summaryPrompt } from './prompts/sections/summary-prompt.js';
 import { selectContext } from './utils/context-selector.js';
 import { formatSessionsForAI } from '../utils/session-formatter.js';
 import { analyzeCommitContent } from './utils/commit-content-analyzer.js';
+import { isGitOnlyContext } from '../integrators/context-integrator.js';
 import { trace, SpanStatusCode } from '@opentelemetry/api';
-import { DEFAULT_MODEL } from '../config/openai.js';
+import { createProvider } from '../providers/index.js';
 import { OTEL, getProviderFromModel } from '../telemetry/standards.js';
 import { createNarrativeLogger } from '../utils/trace-logger.js';
+import { createTokenCounter } from '../utils/token-counter.js';
 
 // Get tracer instance for summary generation instrumentation
 const tracer = trace.getTracer('commit-story-summary', '1.0.0');
@@ -27,13 +28,13 @@ const tracer = trace.getTracer('commit-story-summary', '1.0.0');
  * @param {Object} context.commit - Git commit data
  * @param {Array} context.chatMessages - Chat messages from development session
  * @param {Object|null} context.previousCommit - Previous commit data or null
+ * @param {Object|null} [usage] - Filled with this section's provider, model and token usage
  * @returns {Promise<string>} Generated summary paragraph
  */
-export async function generateSummary(context) {
+export async function generateSummary(context, usage = null) {
   return await tracer.startActiveSpan(OTEL.span.ai.summary(), {
     attributes: {
       ...OTEL.attrs.commit(context.commit.data),
-      ...OTEL.attrs.genAI.request(DEFAULT_MODEL, 0.7, context.chatSessions.data.length),
       ...OTEL.attrs.chat({
         count: context.chatSessions.data.reduce((sum, session) => sum + session.messageCount, 0),
         sessions: context.chatSessions.data.length
@@ -41,17 +42,31 @@ export async function generateSummary(context) {
       'code.function': 'generateSummary'
     }
   }, async (span) => {
+    let provider = null;
     const logger = createNarrativeLogger('ai.generate_summary');
 
     try {
       // Select commit and chat sessions for summary generation
-      const selected = selectContext(context, ['commit', 'chatSessions', 'chatMetadata']);
+      // (git-only mode: no chat, so the developer's reflections are the only source of "why")
+      // Context captures saved by the assistant and the tool activity digest are added whenever there are any
+      const gitOnly = isGitOnlyContext(context);
+      const hasContextCaptures = context.contextCaptures?.data.length > 0;
+      const hasToolActivity = Boolean(context.toolActivity?.data);
+      const selected = selectContext(context, [
+        ...(gitOnly ? ['commit', 'reflections'] : ['commit', 'chatSessions', 'chatMetadata']),
+        ...(hasContextCaptures ? ['contextCaptures'] : []),
+        ...(hasToolActivity ? ['toolActivity'] : [])
+      ]);
 
       logger.start('summary generation', `Generating summary for commit: ${selected.data.commit.hash.slice(0, 8)}`);
 
-      const sessionsCount = selected.data.chatSessions.length;
-      const totalMessages = selected.data.chatSessions.reduce((sum, session) => sum + session.messageCount, 0);
-      logger.progress('summary generation', `Using ${totalMessages} chat messages across ${sessionsCount} sessions and git diff for context`);
+      if (gitOnly) {
+        logger.decision('summary generation', `No chat for this commit - using git diff, commit message and ${selected.data.reflections.length} reflections`);
+      } else {
+        const sessionsCount = selected.data.chatSessions.length;
+        const totalMessages = selected.data.chatSessions.reduce((sum, session) => sum + session.messageCount, 0);
+        logger.progress('summary generation', `Using ${totalMessages} chat messages across ${sessionsCount} sessions and git diff for context`);
+      }
 
       // Analyze commit content to determine what changed
       const { functionalFiles, docFiles, hasFunctionalCode } = analyzeCommitContent(selected.data.commit.diff);
@@ -59,10 +74,8 @@ export async function generateSummary(context) {
 
       logger.progress('summary generation', `Content analysis: ${functionalFiles.length} functional files, ${docFiles.length} doc files, ${context.chatMetadata.data.userMessages.overTwentyCharacters} substantial user messages`);
 
-      // Create fresh OpenAI instance (DD-016: prevent context bleeding)
-      const openai = new OpenAI({
-        apiKey: process.env.OPENAI_API_KEY,
-      });
+      // Create fresh provider client (DD-016: prevent context bleeding)
+      provider = createProvider('summary');
 
       // Build the complete prompt (DD-018: compose guidelines + section prompt)
       const guidelines = getAllGuidelines();
@@ -70,7 +83,7 @@ export async function generateSummary(context) {
   const systemPrompt = `
 ${selected.description}
 
-${summaryPrompt(hasFunctionalCode, hasSubstantialChat)}
+${summaryPrompt(hasFunctionalCode, hasSubstantialChat, gitOnly && selected.data.reflections.length > 0)}
 
 ${guidelines}
   `.trim();
@@ -84,12 +97,16 @@ ${guidelines}
       timestamp: selected.data.commit.timestamp,
       diff: selected.data.commit.diff,
     },
-    chat_sessions: formatSessionsForAI(selected.data.chatSessions)
+    ...(gitOnly
+      ? { reflections: selected.data.reflections }
+      : { chat_sessions: formatSessionsForAI(selected.data.chatSessions) }),
+    ...(hasContextCaptures && { context_captures: selected.data.contextCaptures }),
+    ...(hasToolActivity && { tool_activity: selected.data.toolActivity })
   };
 
 
   const requestPayload = {
-    model: DEFAULT_MODEL,
+    model: provider.model,
     messages: [
       {
         role: 'system',
@@ -104,14 +121,16 @@ ${guidelines}
   };
 
 
-      const promptTokens = JSON.stringify(contextForAI).length / 4; // Rough estimate
-      logger.progress('summary generation', `Constructed prompt: ~${Math.round(promptTokens)} tokens using ${DEFAULT_MODEL}`);
+      const counter = createTokenCounter(provider.name, provider.model);
+      const promptTokens = requestPayload.messages.reduce((sum, message) => sum + counter.count(message.content), 0);
+      logger.progress('summary generation', `Constructed prompt: ${promptTokens} tokens (${counter.encoding}) using ${provider.model}`);
 
       // Add request payload attributes to span
       const requestAttrs = OTEL.attrs.genAI.request(
         requestPayload.model,
         requestPayload.temperature,
-        requestPayload.messages.length
+        requestPayload.messages.length,
+        provider.name
       );
       span.setAttributes(requestAttrs);
 
@@ -122,17 +141,17 @@ ${guidelines}
         }
       });
 
-      logger.progress('summary generation', 'Calling OpenAI API for summary generation');
+      logger.progress('summary generation', `Calling ${provider.name} API for summary generation`);
 
       // Add timeout wrapper (60 seconds for large sessions)
       const completion = await Promise.race([
-        openai.chat.completions.create(requestPayload),
+        provider.complete(requestPayload),
         new Promise((_, reject) =>
           setTimeout(() => reject(new Error('Request timeout after 60 seconds')), 60000)
         )
       ]);
 
-      const result = completion.choices[0].message.content.trim();
+      const result = completion.content.trim();
       const responseTokens = completion.usage?.completion_tokens || 0;
 
       logger.progress('summary generation', `Received response: ${responseTokens} tokens, ${result.length} characters`);
@@ -151,6 +170,11 @@ ${guidelines}
           OTEL.metrics.gauge(name, value);
         }
       });
+
+      // Recorded in the entry's JSON sidecar
+      if (usage) {
+        usage.summary = { provider: provider.name, model: completion.model, ...completion.usage };
+      }
       
       logger.complete('summary generation', `Summary generated successfully: ${result.split(' ').length} words`);
 
@@ -160,9 +184,9 @@ ${guidelines}
     } catch (error) {
       span.recordException(error);
       span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
-      logger.error('summary generation', 'OpenAI API call failed', error, {
-        model: DEFAULT_MODEL,
-        hasApiKey: !!process.env.OPENAI_API_KEY
+      logger.error('summary generation', 'AI provider call failed', error, {
+        provider: provider?.name,
+        model: provider?.model
       });
       return `[Summary generation failed: ${error.message}]`;
     } finally {
@@ -5,15 +5,16 @@
  * implemented changes and discussed-only ideas.
  */
 
-import OpenAI from 'openai';
 import { getAllGuidelines } from './prompts/guidelines/index.js';
-import { technicalDecisionsPrompt } from './prompts/sections/technical-decisions-prompt.js';
-import { extractTextFromMessages } from '../integrators/context-integrator.js';
+import { technicalDecisionsPrompt, technicalDecisionsGitOnlyPrompt } from './prompts/sections/technical-decisions-prompt.js';
+import { extractTextFromMessages, isGitOnlyContext } from '../integrators/context-integrator.js';
 import { selectContext } from './utils/context-selector.js';
 import { formatSessionsForAI } from '../utils/session-formatter.js';
 import { analyzeCommitContent } from './utils/commit-content-analyzer.js';
+import { groundTechnicalDecisions } from './utils/decision-grounding.js';
+import { extractFilesFromDiff } from '../utils/diff-utils.js';
 import { trace, SpanStatusCode } from '@opentelemetry/api';
-import { DEFAULT_MODEL } from '../config/openai.js';
+import { createProvider } from '../providers/index.js';
 import { OTEL, getProviderFromModel } from '../telemetry/standards.js';
 import { createNarrativeLogger } from '../utils/trace-logger.js';
 
@@ -28,13 +29,13 @@ const tracer = trace.getTracer('commit-story-technical-decisions', '1.0.0');
  * @param {Object} context.commit - Git commit data
  * @param {Array} context.chatMessages - Chat messages from development session
  * @param {Object|null} context.previousCommit - Previous commit data or null
+ * @param {Object|null} [usage] - Filled with this section's provider, model and token usage
  * @returns {Promise<string>} Generated technical decisions section
  */
-export async function generateTechnicalDecisions(context) {
+export async function generateTechnicalDecisions(context, usage = null) {
   return await tracer.startActiveSpan(OTEL.span.ai.technical(), {
     attributes: {
       ...OTEL.attrs.commit(context.commit.data),
-      ...OTEL.attrs.genAI.request(DEFAULT_MODEL, 0.1, context.chatSessions.data.length),
       ...OTEL.attrs.chat({
         count: context.chatSessions.data.reduce((sum, session) => sum + session.messageCount, 0),
         sessions: context.chatSessions.data.length
@@ -42,23 +43,34 @@ export async function generateTechnicalDecisions(context) {
       'code.function': 'generateTechnicalDecisions'
     }
   }, async (span) => {
+    let provider = null;
     const logger = createNarrativeLogger('ai.generate_technical_decisions');
 
     try {
       logger.start('technical decisions generation', 'Starting technical decisions extraction from development session');
 
       // Select both commit and chat data for technical decisions analysis
-      const selected = selectContext(context, ['commit', 'chatSessions']);
+      // (git-only mode: decisions come from the diff, commit message and reflections)
+      const gitOnly = isGitOnlyContext(context);
+      const hasContextCaptures = context.contextCaptures?.data.length > 0;
+      const hasToolActivity = Boolean(context.toolActivity?.data);
+      const selected = selectContext(context, [
+        ...(gitOnly ? ['commit', 'reflections'] : ['commit', 'chatSessions']),
+        ...(hasContextCaptures ? ['contextCaptures'] : []),
+        ...(hasToolActivity ? ['toolActivity'] : [])
+      ]);
       const chatSessions = selected.data.chatSessions;
 
-      // Check if any user messages are substantial enough for technical decisions analysis
-      if (context.chatMetadata.data.userMessages.overTwentyCharacters === 0) {
+      if (gitOnly) {
+        logger.decision('technical decisions generation', `No chat for this commit - extracting decisions from git diff, commit message and ${selected.data.reflections.length} reflections`);
+      } else if (context.chatMetadata.data.userMessages.overTwentyCharacters === 0) {
+        // Chat exists but no user message is substantial enough for technical decisions analysis
         logger.decision('technical decisions generation', 'No substantial user messages found - skipping technical decisions generation');
         return "No significant technical decisions documented for this development session";
+      } else {
+        logger.progress('technical decisions generation', `Found ${context.chatMetadata.data.userMessages.overTwentyCharacters} substantial user messages for analysis`);
       }
 
-      logger.progress('technical decisions generation', `Found ${context.chatMetadata.data.userMessages.overTwentyCharacters} substantial user messages for analysis`);
-
       // Analyze commit content to determine implementation status
       const { docFiles, functionalFiles } = analyzeCommitContent(selected.data.commit.diff);
 
@@ -78,10 +90,8 @@ INSTRUCTION: Mark decisions as "Implemented" only if they relate to these change
 INSTRUCTION: This commit only changes documentation files (${docFiles.join(', ')}). Mark ALL technical decisions as "Discussed" since no functional code was changed.`;
       }
 
-      // Create fresh OpenAI instance (DD-016: prevent context bleeding)
-      const openai = new OpenAI({
-        apiKey: process.env.OPENAI_API_KEY,
-      });
+      // Create fresh provider client (DD-016: prevent context bleeding)
+      provider = createProvider('technicalDecisions');
 
       // Build the complete prompt (DD-018: compose guidelines + section prompt)
       const guidelines = getAllGuidelines();
@@ -89,7 +99,7 @@ INSTRUCTION: This commit only changes documentation files (${docFiles.join(', ')
       const systemPrompt = `
 ${selected.description}
 
-${technicalDecisionsPrompt}${implementationGuidance}
+${gitOnly ? technicalDecisionsGitOnlyPrompt : technicalDecisionsPrompt}${implementationGuidance}
 
 ${guidelines}
   `.trim();
@@ -103,14 +113,18 @@ ${guidelines}
           timestamp: selected.data.commit.timestamp,
           diff: selected.data.commit.diff
         },
-        chat_sessions: formatSessionsForAI(chatSessions)
+        ...(gitOnly
+          ? { reflections: selected.data.reflections }
+          : { chat_sessions: formatSessionsForAI(chatSessions) }),
+        ...(hasContextCaptures && { context_captures: selected.data.contextCaptures }),
+        ...(hasToolActivity && { tool_activity: selected.data.toolActivity })
       };
 
       const userContentString = `Here is the development session data:\n\n${JSON.stringify(contextForAI, null, 2)}`;
 
       // Prepare request payload
       const requestPayload = {
-        model: DEFAULT_MODEL,
+        model: provider.model,
         messages: [
           { role: 'system', content: systemPrompt },
           { role: 'user', content: `Here is the development session data:\n\n${JSON.stringify(contextForAI, null, 2)}` }
@@ -122,7 +136,8 @@ ${guidelines}
       const requestAttrs = OTEL.attrs.genAI.request(
         requestPayload.model,
         requestPayload.temperature,
-        requestPayload.messages.length
+        requestPayload.messages.length,
+        provider.name
       );
       span.setAttributes(requestAttrs);
 
@@ -135,18 +150,18 @@ ${guidelines}
 
       // Add timeout wrapper (60 seconds for large sessions)
       const response = await Promise.race([
-        openai.chat.completions.create(requestPayload),
+        provider.complete(requestPayload),
         new Promise((_, reject) =>
           setTimeout(() => reject(new Error('Request timeout after 60 seconds')), 60000)
         )
       ]);
 
-      const technicalDecisions = response.choices[0].message.content.trim();
+      const generatedDecisions = response.content.trim();
 
       // Add response attributes to span
       const usageAttrs = OTEL.attrs.genAI.usage({
         model: response.model,
-        content: technicalDecisions,
+        content: generatedDecisions,
         usage: response.usage
       });
       span.setAttributes(usageAttrs);
@@ -158,8 +173,31 @@ ${guidelines}
         }
       });
 
+      // Recorded in the entry's JSON sidecar
+      if (usage) {
+        usage.technicalDecisions = { provider: provider.name, model: response.model, ...response.usage };
+      }
+
+      // Check FILES and Implemented labels against what the commit actually changed
+      const grounding = groundTechnicalDecisions(generatedDecisions, extractFilesFromDiff(context.commit.data.diff));
+
+      const groundingAttrs = OTEL.attrs.decisionGrounding(grounding);
+      span.setAttributes(groundingAttrs);
+
+      Object.entries(groundingAttrs).forEach(([name, value]) => {
+        if (typeof value === 'number') {
+          OTEL.metrics.gauge(name, value);
+        }
+      });
+
+      if (grounding.filesStripped > 0 || grounding.downgraded > 0) {
+        logger.decision('technical decisions generation', `Grounding check removed ${grounding.filesStripped} of ${grounding.filesListed} listed files not in the diff and downgraded ${grounding.downgraded} of ${grounding.implemented} Implemented decisions to Discussed (score ${grounding.score})`);
+      }
+
+      logger.complete('technical decisions generation', `Generated ${grounding.decisions} technical decisions`);
+
       span.setStatus({ code: SpanStatusCode.OK, message: 'Technical decisions generated successfully' });
-      return technicalDecisions;
+      return grounding.text;
 
     } catch (error) {
       span.recordException(error);
@@ -8,6 +8,8 @@
 import { trace, SpanStatusCode } from '@opentelemetry/api';
 import { OTEL } from '../../telemetry/standards.js';
 import { createNarrativeLogger } from '../../utils/trace-logger.js';
+import { partitionIgnoredPaths } from '../../utils/ignore-rules.js';
+import { extractFilesFromDiff } from '../../utils/diff-utils.js';
 
 const tracer = trace.getTracer('commit-story', '1.0.0');
 
@@ -29,18 +31,14 @@ export function analyzeCommitContent(diff) {
     try {
       logger.start('commit content analysis', `Analyzing git diff to categorize ${diff.length} characters of changes`);
 
-      const diffLines = diff.split('\n');
-      const allFiles = diffLines
-        .filter(line => line.startsWith('diff --git'))
-        .map(line => line.match(/diff --git a\/(.+) b\/.+/)?.[1])
-        .filter(Boolean);
+      const allFiles = extractFilesFromDiff(diff);
 
-      // Filter out journal/entries/** to prevent context pollution
+      // Filter out .commitstoryignore paths (always including journal/entries/**) to prevent context pollution
       // Preserves reflections and context captures (manual content)
-      const changedFiles = allFiles.filter(file => !file.startsWith('journal/entries/'));
-      const filteredJournalEntries = allFiles.length - changedFiles.length;
+      const { kept: changedFiles, ignored } = partitionIgnoredPaths(allFiles);
+      const filteredIgnoredFiles = ignored.length;
 
-      logger.progress('commit content analysis', `Found ${changedFiles.length} changed files in diff (filtered ${filteredJournalEntries} journal entries)`);
+      logger.progress('commit content analysis', `Found ${changedFiles.length} changed files in diff (filtered ${filteredIgnoredFiles} ignored files)`);
 
       // Documentation files: .md, .txt, README, CHANGELOG
       const docFiles = changedFiles.filter(file =>
@@ -85,7 +83,7 @@ export function analyzeCommitContent(diff) {
           hasFunctionalCode,
           onlyDocumentation: hasOnlyDocs
         }),
-        [`${OTEL.NAMESPACE}.files.journal_entries_filtered`]: filteredJournalEntries
+        [`${OTEL.NAMESPACE}.files.ignored_filtered`]: filteredIgnoredFiles
       };
 
       span.setAttributes(attrs);
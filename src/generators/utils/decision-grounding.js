@@ -0,0 +1,125 @@
+/**
+ * Technical Decisions Grounding Check
+ *
+ * Cross-references the generated Technical Decisions section with the files the
+ * commit actually changed:
+ * - FILES entries that aren't in the diff are removed
+ * - "(Implemented)" becomes "(Discussed)" when none of the decision's files changed
+ *
+ * The grounding score is the share of checked claims (listed files and Implemented
+ * labels) that held up - 1 means nothing had to be corrected.
+ */
+
+const DECISION_LINE_RE = /^(\s*-\s*\*\*DECISION:.*?\*\*)\s*\((Implemented|Discussed)\)(.*)$/i;
+const FILES_RE = /\s*-?\s*FILES:\s*(.*)$/i;
+const FILES_LINE_RE = /^\s*-?\s*FILES:\s*(.*)$/i;
+
+/**
+ * Normalize a path as the model wrote it (backticks, quotes, brackets, ./ prefix, trailing punctuation)
+ * @param {string} path - Listed path
+ * @returns {string} Normalized path
+ */
+function normalizePath(path) {
+  return path.trim().replace(/^[`'"[]+|[`'".;:\]]+$/g, '').replace(/^\.\//, '');
+}
+
+/**
+ * Find the changed file a listed path refers to (exact path or a trailing path segment)
+ * @param {string} listed - Normalized listed path
+ * @param {string[]} changedFiles - Files changed in the commit
+ * @returns {string|null} Matching changed file
+ */
+function findChangedFile(listed, changedFiles) {
+  if (!listed) return null;
+  return changedFiles.find(file => file === listed) ||
+    changedFiles.find(file => file.endsWith(`/${listed}`)) ||
+    null;
+}
+
+/**
+ * Check whether a FILES value uses the prompt's bracketed list form ("[src/a.js, src/b.js]")
+ * @param {string} value - Text after "FILES:"
+ * @returns {boolean} True for a bracketed list
+ */
+function isBracketedList(value) {
+  return /^\[.*\]\s*[.;]?$/.test(value.trim());
+}
+
+/**
+ * Split a FILES value into paths
+ * @param {string} value - Text after "FILES:", plain or bracketed
+ * @returns {string[]} Normalized paths
+ */
+function parseFileList(value) {
+  const list = isBracketedList(value) ? value.trim().replace(/[.;]$/, '').slice(1, -1) : value;
+  return list.split(/,\s*|\s+and\s+/).map(normalizePath).filter(Boolean);
+}
+
+/**
+ * Check each decision's FILES and Implemented/Discussed label against the diff
+ *
+ * @param {string} technicalDecisions - Generated Technical Decisions section
+ * @param {string[]} changedFiles - Files changed in the commit (extractFilesFromDiff)
+ * @returns {{text: string, decisions: number, implemented: number, downgraded: number, filesListed: number, filesStripped: number, score: number}} Corrected section and check results
+ */
+export function groundTechnicalDecisions(technicalDecisions, changedFiles) {
+  const lines = technicalDecisions.split('\n');
+  const result = { decisions: 0, implemented: 0, downgraded: 0, filesListed: 0, filesStripped: 0 };
+
+  // Group lines into decisions: header line plus its detail lines
+  const decisions = [];
+  lines.forEach((line, index) => {
+    if (DECISION_LINE_RE.test(line)) {
+      decisions.push({ header: index, fileLines: [] });
+    } else if (decisions.length > 0 && FILES_LINE_RE.test(line)) {
+      // FILES on its own line under the decision
+      decisions[decisions.length - 1].fileLines.push(index);
+    }
+  });
+
+  const output = [...lines];
+  const removedLines = new Set();
+
+  for (const decision of decisions) {
+    const [, title, status, rest] = output[decision.header].match(DECISION_LINE_RE);
+    const inlineFiles = rest.match(FILES_RE);
+    const values = [
+      ...(inlineFiles ? [inlineFiles[1]] : []),
+      ...decision.fileLines.map(index => output[index].match(FILES_LINE_RE)[1])
+    ];
+    const listed = values.flatMap(parseFileList);
+
+    const kept = [...new Set(listed.map(path => findChangedFile(path, changedFiles)).filter(Boolean))];
+    const stripped = listed.filter(path => !findChangedFile(path, changedFiles)).length;
+
+    result.decisions++;
+    result.filesListed += listed.length;
+    result.filesStripped += stripped;
+
+    const implemented = status.toLowerCase() === 'implemented';
+    let label = status;
+    if (implemented) {
+      result.implemented++;
+      if (kept.length === 0) {
+        result.downgraded++;
+        label = 'Discussed';
+      }
+    }
+
+    // Rewrite the header with the verified files, in the form the model used; separate FILES lines are folded into it
+    const fileList = values.some(isBracketedList) ? `[${kept.join(', ')}]` : kept.join(', ');
+    const filesSuffix = kept.length > 0 ? ` - FILES: ${fileList}` : '';
+    const remainder = inlineFiles ? rest.slice(0, inlineFiles.index) : rest;
+    output[decision.header] = `${title} (${label})${remainder.replace(/\s*-\s*$/, '')}${filesSuffix}`;
+    decision.fileLines.forEach(index => removedLines.add(index));
+  }
+
+  const claims = result.filesListed + result.implemented;
+  const failed = result.filesStripped + result.downgraded;
+
+  return {
+    ...result,
+    text: output.filter((line, index) => !removedLines.has(index)).join('\n'),
+    score: claims > 0 ? Math.round((1 - failed / claims) * 100) / 100 : 1
+  };
+}
@@ -0,0 +1,172 @@
+/**
+ * Dialogue Quote Verifier
+ *
+ * Checks the Development Dialogue section against the chat it was extracted from.
+ * Every `> **Human:** "..."` quote must match a type:"user" message: `[...]` marks
+ * an elision, and small differences (punctuation, case, a changed word or two) are
+ * tolerated. Quotes that only match an assistant message are misattributed; quotes
+ * that match nothing are paraphrased or invented. Both are removed together with
+ * the assistant lines attached to them.
+ */
+
+// Share of a quote's words that must line up with the message (word-level edit distance)
+export const QUOTE_MATCH_THRESHOLD = 0.85;
+
+const HUMAN_LINE_RE = /^\s*>?\s*\*\*Human:\*\*\s*(.*)$/;
+const ASSISTANT_LINE_RE = /^\s*>?\s*\*\*Assistant:\*\*/;
+const ELISION_RE = /\[\s*(?:\.\.\.|…)\s*\]|\.\.\.|…/;
+
+/**
+ * Normalize text to a list of lowercase words, ignoring punctuation and markdown
+ * @param {string} text - Text to normalize
+ * @returns {string[]} Words
+ */
+function toWords(text) {
+  return text
+    .toLowerCase()
+    .replace(/['‘’]/g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .split(' ')
+    .filter(Boolean);
+}
+
+/**
+ * Find the closest occurrence of a word sequence anywhere inside another
+ * (approximate substring matching on words, Sellers' algorithm)
+ * @param {string[]} fragment - Quoted words
+ * @param {string[]} words - Message words
+ * @returns {{distance: number, end: number}} Fewest word edits and the index after the match
+ */
+function findFragment(fragment, words) {
+  let previous = new Array(words.length + 1).fill(0);
+
+  for (let i = 1; i <= fragment.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= words.length; j++) {
+      const substitution = previous[j - 1] + (fragment[i - 1] === words[j - 1] ? 0 : 1);
+      current[j] = Math.min(substitution, previous[j] + 1, current[j - 1] + 1);
+    }
+    previous = current;
+  }
+
+  let best = { distance: fragment.length, end: 0 };
+  previous.forEach((distance, end) => {
+    if (distance < best.distance) {
+      best = { distance, end };
+    }
+  });
+  return best;
+}
+
+/**
+ * Score how well a quote (with optional [...] elisions) matches a message
+ * Fragments must appear in the message in the order they are quoted.
+ * @param {string} quote - Quote text
+ * @param {string} messageText - Message text
+ * @returns {number} Match score from 0 to 1
+ */
+export function scoreQuoteMatch(quote, messageText) {
+  const fragments = quote.split(ELISION_RE).map(toWords).filter(words => words.length > 0);
+  const totalWords = fragments.reduce((sum, words) => sum + words.length, 0);
+  if (totalWords === 0) return 0;
+
+  let words = toWords(messageText);
+  let distance = 0;
+  for (const fragment of fragments) {
+    const match = findFragment(fragment, words);
+    distance += match.distance;
+    words = words.slice(match.end);
+  }
+
+  return 1 - distance / totalWords;
+}
+
+/**
+ * Strip the surrounding quotation marks the dialogue format puts around a quote
+ * @param {string} text - Text after the "Human:" label
+ * @returns {string} Quote text
+ */
+function unwrapQuote(text) {
+  return text.trim().replace(/^["“]/, '').replace(/["”]$/, '').trim();
+}
+
+/**
+ * Get a message's text
+ * @param {Object} message - Chat message
+ * @returns {string} String content, or the text parts of array content one per line
+ */
+function getMessageText(message) {
+  const content = message.message?.content;
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) {
+    return content
+      .filter(item => item.type === 'text' && item.text)
+      .map(item => item.text)
+      .join('\n');
+  }
+  return '';
+}
+
+/**
+ * Find the best matching message of a type for a quote
+ * @param {string} quote - Quote text
+ * @param {Array} messages - Chat messages
+ * @returns {number} Best match score
+ */
+function bestMatch(quote, messages) {
+  let best = 0;
+  for (const message of messages) {
+    best = Math.max(best, scoreQuoteMatch(quote, getMessageText(message)));
+    if (best === 1) break;
+  }
+  return best;
+}
+
+/**
+ * Verify the human quotes in a generated dialogue section against the chat
+ *
+ * @param {string} dialogue - Generated dialogue section
+ * @param {Array} chatSessions - Session groups from context.chatSessions.data
+ * @returns {{dialogue: string, total: number, verified: number, misattributed: number, unmatched: number, rejected: Array<{quote: string, reason: string, score: number}>}} Dialogue without rejected exchanges, and counts
+ */
+export function verifyDialogueQuotes(dialogue, chatSessions) {
+  const messages = chatSessions.flatMap(session => session.messages);
+  const userMessages = messages.filter(message => message.type === 'user');
+  const assistantMessages = messages.filter(message => message.type === 'assistant');
+
+  const result = { total: 0, verified: 0, misattributed: 0, unmatched: 0, rejected: [] };
+  const output = [];
+  let dropping = false;
+
+  for (const line of dialogue.split('\n')) {
+    const human = line.match(HUMAN_LINE_RE);
+
+    if (human) {
+      const quote = unwrapQuote(human[1]);
+      const userScore = bestMatch(quote, userMessages);
+      result.total++;
+
+      if (userScore >= QUOTE_MATCH_THRESHOLD) {
+        result.verified++;
+        dropping = false;
+      } else {
+        const assistantScore = bestMatch(quote, assistantMessages);
+        const reason = assistantScore >= QUOTE_MATCH_THRESHOLD ? 'misattributed' : 'unmatched';
+        result[reason]++;
+        result.rejected.push({ quote, reason, score: Math.round(Math.max(userScore, assistantScore) * 100) / 100 });
+        dropping = true;
+      }
+    } else if (!line.trim() || (dropping && !ASSISTANT_LINE_RE.test(line) && !line.trim().startsWith('>'))) {
+      // A blank line or text outside the quote block ends the exchange
+      dropping = false;
+    }
+
+    // Lines of a rejected exchange (its quote and the assistant context) are left out
+    if (!dropping) {
+      output.push(line);
+    }
+  }
+
+  result.dialogue = output.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+  return result;
+}
@@ -6,12 +6,13 @@
  */
 
 import { config } from 'dotenv';
-import OpenAI from 'openai';
 import fs from 'fs';
 import { trace, SpanStatusCode } from '@opentelemetry/api';
-import { gatherContextForCommit } from './integrators/context-integrator.js';
+import { gatherContextForCommit, isGitOnlyContext } from './integrators/context-integrator.js';
 import { generateJournalEntry } from './generators/journal-generator.js';
-import { saveJournalEntry } from './managers/journal-manager.js';
+import { saveJournalEntry, journalEntryExists } from './managers/journal-manager.js';
+import { generateMissingSummaries } from './managers/summary-manager.js';
+import { createProvider, getConfiguredProviders } from './providers/index.js';
 import { OTEL } from './telemetry/standards.js';
 import { getConfig } from './utils/config.js';
 import { createNarrativeLogger } from './utils/trace-logger.js';
@@ -74,6 +75,14 @@ let currentTraceId = null;
  *   node src/index.js --dry-run          # Test generation without saving file
  *   node src/index.js --test             # Alias for --dry-run
  *   node src/index.js --dry-run abc123   # Test with specific commit
+ *   node src/index.js --regenerate abc123 # Replace an existing entry for the commit
+ *
+ * Subcommands (see COMMANDS below):
+ *   node src/index.js backfill v1.0..HEAD  # Generate entries for historical commits
+ *   node src/index.js queue status         # Pending and failed post-commit jobs
+ *   node src/index.js rewrite amend        # Sync entries after amend/rebase (post-rewrite hook)
+ *   node src/index.js search "session isolation"  # Full-text search of the journal
+ *   node src/index.js summarize --week 2025-W42  # Write a daily/weekly/monthly rollup summary
  *
  * Dry run mode:
  *   - Collects all context and generates journal content
@@ -96,7 +105,7 @@ export default async function main() {
     }
 
     // Parse CLI arguments with full telemetry correlation
-    const { commitRef, isDryRun } = await tracer.startActiveSpan(OTEL.span.cli.parse_arguments(), {
+    const { commitRef, isDryRun, isRegenerate } = await tracer.startActiveSpan(OTEL.span.cli.parse_arguments(), {
       attributes: {
         'code.function': 'cli_argument_parsing'
       }
@@ -115,6 +124,7 @@ export default async function main() {
 
         let commitRef = 'HEAD';
         let isDryRun = false;
+        let isRegenerate = false;
         let processedArguments = 0;
         let unknownFlags = 0;
         let commitRefProvided = false;
@@ -130,6 +140,12 @@ export default async function main() {
               dry_run_enabled: true,
               flag_type: arg === '--test' ? 'alias' : 'primary'
             });
+          } else if (arg === '--regenerate') {
+            isRegenerate = true;
+            logger.decision('Flag processing', 'Regenerate mode enabled - existing entry will be replaced', {
+              flag: arg,
+              regenerate_enabled: true
+            });
           } else if (!arg.startsWith('--')) {
             commitRef = arg;
             commitRefProvided = true;
@@ -151,6 +167,7 @@ export default async function main() {
           totalArguments,
           processedArguments,
           dryRunFlag: isDryRun,
+          regenerateFlag: isRegenerate,
           commitRefProvided,
           commitRef,
           unknownFlags,
@@ -168,7 +185,7 @@ export default async function main() {
           }
         });
 
-        logger.complete('CLI parsing', `Arguments parsed successfully: commit=${commitRef}, dryRun=${isDryRun}`, {
+        logger.complete('CLI parsing', `Arguments parsed successfully: commit=${commitRef}, dryRun=${isDryRun}, regenerate=${isRegenerate}`, {
           final_commit_ref: commitRef,
           final_dry_run: isDryRun,
           unknown_flags_count: unknownFlags,
@@ -178,7 +195,7 @@ export default async function main() {
         cliSpan.setStatus({ code: SpanStatusCode.OK, message: 'CLI arguments parsed successfully' });
         cliSpan.end();
 
-        return { commitRef, isDryRun };
+        return { commitRef, isDryRun, isRegenerate };
 
       } catch (error) {
         const parsingDuration = Date.now() - startTime;
@@ -199,14 +216,15 @@ export default async function main() {
     // Add CLI results to main span
     span.setAttributes({
       [`${OTEL.NAMESPACE}.commit.ref`]: commitRef,
-      [`${OTEL.NAMESPACE}.journal.dry_run`]: isDryRun
+      [`${OTEL.NAMESPACE}.journal.dry_run`]: isDryRun,
+      [`${OTEL.NAMESPACE}.journal.regenerate`]: isRegenerate
     });
 
-    // Skip execution if commit only touches journal/entries/**
+    // Skip execution if commit only touches journal/entries/** or .commitstoryignore paths
     // This prevents recursive journal generation when commits only add journal entries
     const { isJournalOnly, changedFiles } = isJournalEntriesOnlyCommit(commitRef);
     if (isJournalOnly) {
-      debugLog(`⏭️  Skipping commit (only journal entries changed: ${changedFiles.length} files)`);
+      debugLog(`⏭️  Skipping commit (only journal entries or ignored paths changed: ${changedFiles.length} files)`);
       span.setStatus({ code: SpanStatusCode.OK, message: 'Skipped journal-entries-only commit' });
       span.end();
       return;
@@ -258,11 +276,24 @@ export default async function main() {
         debugLog(`📝 Merge commit detected (${parentCount} parents) - generating journal (${hasChat ? 'has chat' : 'no chat'}, ${hasDiff ? 'has diff' : 'no diff'})`);
       }
 
+      // Skip commits that already have an entry unless regeneration was requested
+      // (checked before any AI call so re-runs cost nothing)
+      if (!isDryRun && !isRegenerate &&
+          await journalEntryExists(context.commit.data.hash, context.commit.data.timestamp)) {
+        debugLog(`⏭️  Journal entry for ${context.commit.data.hash.substring(0, 8)} already exists (use --regenerate to replace it)`);
+        span.setAttributes({ [`${OTEL.NAMESPACE}.journal.entry_exists`]: true });
+        span.setStatus({ code: SpanStatusCode.OK, message: 'Skipped commit with existing journal entry' });
+        span.end();
+        return 0;
+      }
+
       // Show detailed context results
       debugLog(`📊 Git: Found commit "${context.commit.data.message.split('\n')[0]}" by ${context.commit.data.author.name} (${new Date(context.commit.data.timestamp).toISOString().split('T')[0]})`);
-      debugLog(`💬 Claude: Found ${context.chatMessages.data.length} messages from ${context.chatMetadata.data.totalSessions || 1} session(s)`);
+      debugLog(`💬 Chat: Found ${context.chatMessages.data.length} messages from ${context.chatMetadata.data.totalSessions || 1} session(s)`);
       if (context.previousCommit.data) {
-        debugLog(`📝 Previous commit: ${context.previousCommit.data.hash.substring(0, 8)} (for context)`);
+        debugLog(`📝 Previous commit: ${context.previousCommit.data.hash.substring(0, 8)} (${context.chatWindow.data.strategy}${context.chatWindow.data.capped ? ', window capped' : ''})`);
+      } else {
+        debugLog(`📝 No previous commit: chat window is the maximum lookback`);
       }
       debugLog(`✅ Context collection complete (${context.chatMessages.data.length} messages, 1 commit)`);
 
@@ -286,78 +317,74 @@ export default async function main() {
       // Phase 2: Validation
       debugLog(`\n🔍 Running validations...`);
 
-      // Validate repository-specific chat data availability (DD-068)
-      if (context.chatMetadata.data.totalMessages === 0) {
+      // No chat is not an error: generate a git-only entry from the diff, commit message and reflections
+      if (isGitOnlyContext(context)) {
         span.addEvent('no-chat-data-found', {
           'commit_story.repository.path': process.cwd(),
           'commit_story.commit.timestamp': context.commit.data.timestamp,
         });
-        console.error(`❌ ERROR: No chat data found for this repository
-
-This usually means:
-  1. Claude Code hasn't been used in this repository yet
-  2. The commit is outside the time window of available chat history
-  3. The repository path doesn't match Claude's working directory
-
-Next steps:
-  • Use Claude Code in this repo, make commits, then try again
-  • Check commit-story.config.json time window settings
-  • Run with --dry-run to test without creating files`);
-        span.setStatus({ code: SpanStatusCode.ERROR, message: 'No chat data found' });
-        span.end();
-        return 1;
+        span.setAttributes({ [`${OTEL.NAMESPACE}.generation.git_only`]: true });
+        debugLog(`ℹ️  No AI assistant chat found for this commit - generating a git-only entry from the diff, commit message and ${context.reflections.data.length} reflection(s)`);
       }
 
-      // Validate OpenAI connectivity before expensive processing
-      if (!process.env.OPENAI_API_KEY) {
-        span.recordException(new Error('OPENAI_API_KEY not found in environment'));
-        span.setStatus({ code: SpanStatusCode.ERROR, message: 'Missing OpenAI API key' });
-        console.error(`❌ ERROR: OPENAI_API_KEY not configured
+      // Validate AI provider configuration and connectivity before expensive processing
+      let providers;
+      try {
+        providers = getConfiguredProviders().map(config => createProvider(config.section));
+      } catch (error) {
+        span.recordException(error);
+        span.setStatus({ code: SpanStatusCode.ERROR, message: 'AI provider not configured' });
+        console.error(`❌ ERROR: AI provider not configured
+
+Error details: ${error.message}
 
 Next steps:
-  • Add OPENAI_API_KEY to your .env file
-  • Or export OPENAI_API_KEY=sk-... in your shell
-  • Get your API key from: https://platform.openai.com/api-keys`);
+  • Add your API key to your .env file (e.g. OPENAI_API_KEY=sk-...)
+  • Or export it in your shell
+  • Check the "ai" block in commit-story.config.json`);
         span.end();
         return 1;
       }
 
-      debugLog(`✅ OpenAI API key configured`);
-    
+      debugLog(`✅ AI provider configured (${providers.map(provider => `${provider.name}/${provider.model}`).join(', ')})`);
+
       try {
-        const client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-        await tracer.startActiveSpan(OTEL.span.connectivity(), {
-          attributes: {
-            'code.function': 'connectivity_test'
-          }
-        }, async (connectivitySpan) => {
-          try {
-            await client.chat.completions.create({
-              model: 'gpt-4o-mini',
-              messages: [{ role: 'user', content: 'test' }],
-              max_tokens: 1
-            });
-            connectivitySpan.setStatus({ code: SpanStatusCode.OK, message: 'OpenAI connectivity confirmed' });
-            debugLog(`✅ OpenAI connectivity confirmed`);
-          } catch (error) {
-            connectivitySpan.recordException(error);
-            connectivitySpan.setStatus({ code: SpanStatusCode.ERROR, message: 'OpenAI connectivity failed' });
-            throw error;
-          } finally {
-            connectivitySpan.end();
-          }
-        });
+        for (const provider of providers) {
+          await tracer.startActiveSpan(OTEL.span.connectivity(), {
+            attributes: {
+              'code.function': 'connectivity_test',
+              'gen_ai.provider.name': provider.name,
+              'gen_ai.request.model': provider.model
+            }
+          }, async (connectivitySpan) => {
+            try {
+              await provider.complete({
+                messages: [{ role: 'user', content: 'test' }],
+                maxTokens: 1
+              });
+              connectivitySpan.setStatus({ code: SpanStatusCode.OK, message: `${provider.name} connectivity confirmed` });
+              debugLog(`✅ ${provider.name} connectivity confirmed`);
+            } catch (error) {
+              error.message = `${provider.name} (${provider.model}): ${error.message}`;
+              connectivitySpan.recordException(error);
+              connectivitySpan.setStatus({ code: SpanStatusCode.ERROR, message: `${provider.name} connectivity failed` });
+              throw error;
+            } finally {
+              connectivitySpan.end();
+            }
+          });
+        }
       } catch (error) {
         span.recordException(error);
-        span.setStatus({ code: SpanStatusCode.ERROR, message: 'OpenAI connectivity failed' });
-        console.error(`❌ ERROR: Cannot connect to OpenAI API
+        span.setStatus({ code: SpanStatusCode.ERROR, message: 'AI provider connectivity failed' });
+        console.error(`❌ ERROR: Cannot connect to AI provider
 
 Error details: ${error.message}
 
 Next steps:
-  • Check your internet connection
+  • Check your internet connection (or that your local model server is running)
   • Verify your API key is valid and has credits
-  • Check OpenAI status: https://status.openai.com`);
+  • Check the "ai" block in commit-story.config.json`);
         span.end();
         return 1;
       }
@@ -407,9 +434,20 @@ Next steps:
           context.commit.data.timestamp,
           context.commit.data.message,
           sections,
-          context.previousCommit.data?.timestamp || null
+          context.chatWindow.data.start,
+          { regenerate: isRegenerate }
         );
         debugLog(`✅ Journal saved to: ${filePath}`);
+
+        // Phase 5: Rollup summaries for any finished days/weeks/months that lack one
+        // (the first commit of a new day summarizes the previous one)
+        try {
+          const summaries = await generateMissingSummaries();
+          summaries.forEach(summaryPath => debugLog(`📚 Summary written to: ${summaryPath}`));
+        } catch (error) {
+          // Summaries are retried on the next commit - never fail the journal entry over them
+          debugLog(`⚠️  Summary generation failed: ${error.message}`);
+        }
       }
 
       // Add final attributes
@@ -441,13 +479,22 @@ Next steps:
   • Check the error details above
   • Try running with --dry-run to test
   • Check your configuration in commit-story.config.json
-  • Verify your OpenAI API key has sufficient credits`);
+  • Verify your AI provider API key has sufficient credits`);
       span.end();
       return 1;
     }
   });
 }
 
+// Subcommands are imported lazily so the post-commit hook path doesn't load them
+const COMMANDS = {
+  backfill: async (args) => (await import('./commands/backfill.js')).runBackfill(args),
+  queue: async (args) => (await import('./commands/queue.js')).runQueue(args),
+  rewrite: async (args) => (await import('./commands/rewrite.js')).runRewrite(args),
+  search: async (args) => (await import('./commands/search.js')).runSearch(args),
+  summarize: async (args) => (await import('./commands/summarize.js')).runSummarize(args)
+};
+
 // CLI boundary - handles process lifecycle and telemetry shutdown
 // Resolve symlinks to compare real paths (e.g., .bin/commit-story -> node_modules/commit-story/src/index.js)
 const scriptPath = fs.realpathSync(process.argv[1]);
@@ -458,8 +505,10 @@ if (modulePath === scriptPath) {
       // Wait for telemetry initialization before running main (if dev mode enabled)
       await telemetryInitialized;
 
-      // Run main and get exit code
-      const exitCode = await main();
+      // Run the requested subcommand, or main for journal generation, and get exit code
+      const [commandName, ...commandArgs] = process.argv.slice(2);
+      const command = Object.hasOwn(COMMANDS, commandName) ? COMMANDS[commandName] : null;
+      const exitCode = command ? await command(commandArgs) : await main();
 
       // Display trace ID for AI queries (only when dev mode enabled)
       if (isDevMode && currentTraceId) {
@@ -0,0 +1,233 @@
+/**
+ * Chat Window Resolution
+ *
+ * Decides where a commit's chat window starts. The first parent is a poor bound:
+ * after switching branches, merging or returning to an old branch it can be days
+ * old or someone else's work. The start is the time of the developer's previous
+ * commit, found by the first strategy that has one:
+ *
+ *   reflog        The previous commit made in this clone, on any branch (HEAD reflog)
+ *   author        The author's latest earlier commit on any local branch
+ *   parent        The first parent (commit~1)
+ *   max_lookback  No earlier commit - the window is the maximum lookback
+ *
+ * Earlier versions of the commit itself are never the bound, so an amend keeps the
+ * whole window: the commits an amend replaced (from the reflog), and any commit
+ * with the same author and author date (amend and rebase keep both).
+ *
+ * Both ends are author times, the commit time the rest of the context uses, so a
+ * rebased or cherry-picked commit keeps the window of when the work was done.
+ *
+ * The window is capped at chat.maxLookbackHours (default 48) in
+ * commit-story.config.json:
+ *   "chat": { "maxLookbackHours": 24 }
+ */
+
+import { execFileSync } from 'child_process';
+import { trace, SpanStatusCode } from '@opentelemetry/api';
+import { OTEL } from '../telemetry/standards.js';
+import { createNarrativeLogger } from '../utils/trace-logger.js';
+import { getChatConfig } from '../utils/config.js';
+
+const tracer = trace.getTracer('commit-story-context', '1.0.0');
+
+const DEFAULT_MAX_LOOKBACK_HOURS = 48;
+
+// Reflog actions that record a commit the developer made (not checkouts, resets or rebases)
+const COMMIT_ACTIONS = /^(?:commit|cherry-pick|revert)\b/;
+const AMEND_ACTION = /^commit \(amend\)/;
+
+// Author commits to consider - enough to get past commits sharing the current timestamp
+const AUTHOR_CANDIDATES = 20;
+
+const GIT_OPTIONS = { encoding: 'utf8', stdio: ['pipe', 'pipe', 'pipe'] };
+
+/**
+ * Resolve the configured maximum lookback
+ * @returns {number} Hours
+ */
+export function getMaxLookbackHours() {
+  const hours = getChatConfig().maxLookbackHours;
+  if (hours === undefined) {
+    return DEFAULT_MAX_LOOKBACK_HOURS;
+  }
+  if (typeof hours !== 'number' || !(hours > 0)) {
+    throw new Error(`Invalid chat.maxLookbackHours "${hours}" - expected a positive number of hours`);
+  }
+  return hours;
+}
+
+/**
+ * Run git log and parse "hash|author time|commit time|author|parents|subject" lines
+ * @param {string[]} args - Arguments after "git log"
+ * @returns {Array<{hash: string, timestamp: Date, committedAt: string, email: string, parents: string, subject: string}>} Commits, as git lists them
+ */
+function gitLog(args) {
+  const output = execFileSync('git', ['log', '--format=%H|%at|%ct|%ae|%P|%gs', ...args], GIT_OPTIONS).trim();
+  if (!output) return [];
+
+  return output.split('\n').map(line => {
+    const [hash, time, committedAt, email, parents, ...subject] = line.split('|');
+    return { hash, timestamp: new Date(parseInt(time, 10) * 1000), committedAt, email, parents, subject: subject.join('|') };
+  });
+}
+
+/**
+ * Check whether a commit can bound the current commit's window
+ * Sibling commits cut from the same base count; earlier versions of the current
+ * commit (same author and author date) don't.
+ * @param {Object} candidate - Commit from gitLog
+ * @param {Object} current - The commit being journaled
+ * @returns {boolean} True for an earlier, different commit
+ */
+function isEarlierCommit(candidate, current) {
+  const rewrite = candidate.email === current.email && candidate.timestamp.getTime() === current.timestamp.getTime();
+  return candidate.hash !== current.hash
+    && !rewrite
+    && candidate.timestamp < current.timestamp;
+}
+
+/**
+ * Find the commit made in this clone before the current one, on any branch
+ * @param {Object} current - The commit being journaled
+ * @returns {Object|null} Previous commit, or null when the reflog doesn't have the current commit
+ */
+function findInReflog(current) {
+  const reflog = gitLog(['--walk-reflogs', 'HEAD']);
+  const isCommit = (entry) => COMMIT_ACTIONS.test(entry.subject);
+
+  // Reflog is newest first; only entries older than the current commit's own count
+  const position = reflog.findIndex(entry => entry.hash === current.hash && isCommit(entry));
+  if (position === -1) return null;
+
+  // An amend replaced whatever HEAD was just before it - follow the chain of amends back
+  const replaced = new Set();
+  let index = position;
+  while (index !== -1 && AMEND_ACTION.test(reflog[index].subject) && reflog[index + 1]) {
+    const previousHead = reflog[index + 1].hash;
+    replaced.add(previousHead);
+    index = reflog.findIndex((entry, i) => i > index && entry.hash === previousHead && isCommit(entry));
+  }
+
+  return reflog.slice(position + 1)
+    .find(entry => isCommit(entry) && !replaced.has(entry.hash) && isEarlierCommit(entry, current)) || null;
+}
+
+/**
+ * Find the author's latest commit before the current one on any local branch
+ * @param {Object} current - The commit being journaled
+ * @returns {Object|null} Previous commit by the author
+ */
+function findByAuthor(current) {
+  const candidates = gitLog([
+    '--branches',
+    '--fixed-strings',
+    `--author=<${current.email}>`,
+    // git filters on commit time; the author time filter below does the rest
+    `--until=@${current.committedAt}`,
+    `--max-count=${AUTHOR_CANDIDATES}`
+  ]).filter(candidate => isEarlierCommit(candidate, current));
+
+  return candidates.reduce((latest, candidate) => (!latest || candidate.timestamp > latest.timestamp ? candidate : latest), null);
+}
+
+/**
+ * Find the first parent of the current commit
+ * A rebase can put older work on a newer parent; that parent can't bound the window.
+ * @param {Object} current - The commit being journaled
+ * @returns {Object|null} Parent commit, or null for a root commit or a later parent
+ */
+function findParent(current) {
+  if (!current.parents) return null;
+  const [parent] = gitLog(['-1', `${current.hash}~1`]);
+  return parent && isEarlierCommit(parent, current) ? parent : null;
+}
+
+/**
+ * Resolve the chat window for a commit
+ *
+ * @param {string} commitRef - Git commit reference (HEAD, hash, etc.)
+ * @returns {Promise<Object>} Window:
+ *   - start: Date the window starts (never more than the maximum lookback before the commit)
+ *   - end: Commit (author) time
+ *   - strategy: 'reflog', 'author', 'parent' or 'max_lookback'
+ *   - capped: True when the previous commit was older than the maximum lookback
+ *   - previousCommit: {hash, timestamp} of the commit that bounds the window, or null
+ */
+export async function resolveChatWindow(commitRef = 'HEAD') {
+  return await tracer.startActiveSpan(OTEL.span.context.chat_window(), {
+    attributes: {
+      [`${OTEL.NAMESPACE}.commit.ref`]: commitRef,
+      'code.function': 'resolveChatWindow'
+    }
+  }, async (span) => {
+    const logger = createNarrativeLogger('context.resolve_chat_window');
+
+    try {
+      const maxLookbackHours = getMaxLookbackHours();
+      const [current] = gitLog(['-1', commitRef]);
+      const { hash } = current;
+
+      logger.start('chat window', `Finding the commit before ${hash.substring(0, 8)} (lookback capped at ${maxLookbackHours}h)`);
+
+      let strategy = 'max_lookback';
+      let previous = null;
+      for (const [name, find] of [['reflog', findInReflog], ['author', findByAuthor], ['parent', findParent]]) {
+        try {
+          previous = find(current);
+        } catch (error) {
+          // Missing reflog, unborn branch and the like - try the next strategy
+          logger.progress('chat window', `${name} lookup failed: ${error.message}`);
+          previous = null;
+        }
+        if (previous) {
+          strategy = name;
+          break;
+        }
+      }
+
+      const earliest = new Date(current.timestamp.getTime() - maxLookbackHours * 60 * 60 * 1000);
+      const capped = previous !== null && previous.timestamp < earliest;
+      const start = previous && !capped ? previous.timestamp : earliest;
+
+      const windowAttrs = OTEL.attrs.chatWindow({
+        strategy,
+        capped,
+        start: start.toISOString(),
+        previousCommitHash: previous?.hash || null,
+        windowMinutes: Math.round((current.timestamp - start) / 60000),
+        maxLookbackHours
+      });
+      span.setAttributes(windowAttrs);
+
+      Object.entries(windowAttrs).forEach(([name, value]) => {
+        if (typeof value === 'number') {
+          OTEL.metrics.gauge(name, value);
+        }
+      });
+      OTEL.metrics.counter('commit_story.chat_window.resolved_total', 1, { strategy, capped: String(capped) });
+
+      logger.decision('chat window', previous
+        ? `Window starts at ${strategy} commit ${previous.hash.substring(0, 8)} (${previous.timestamp.toISOString()})${capped ? `, capped to ${maxLookbackHours}h` : ''}`
+        : `No earlier commit - using the ${maxLookbackHours}h maximum lookback`);
+      logger.complete('chat window', `${start.toISOString()} to ${current.timestamp.toISOString()}`);
+
+      span.setStatus({ code: SpanStatusCode.OK, message: 'Chat window resolved' });
+      return {
+        start,
+        end: current.timestamp,
+        strategy,
+        capped,
+        previousCommit: previous ? { hash: previous.hash, timestamp: previous.timestamp } : null
+      };
+
+    } catch (error) {
+      span.recordException(error);
+      span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+      logger.error('chat window', 'Failed to resolve the chat window', error);
+      throw error;
+    } finally {
+      span.end();
+    }
+  });
+}
@@ -6,17 +6,21 @@
  */
 
 import { getLatestCommitData } from '../collectors/git-collector.js';
-import { extractChatForCommit } from '../collectors/claude-collector.js';
-import { execSync } from 'child_process';
+import { collectChatForCommit } from '../collectors/chat-collector.js';
 import { filterContext } from '../generators/filters/context-filter.js';
 import { redactSensitiveData } from '../generators/filters/sensitive-data-filter.js';
 import { trace, SpanStatusCode } from '@opentelemetry/api';
 import { OTEL } from '../telemetry/standards.js';
 import { createNarrativeLogger } from '../utils/trace-logger.js';
 import { messagesContainContextCapture } from '../utils/message-utils.js';
+import { discoverReflections } from '../managers/journal-manager.js';
+import { extractFilesFromDiff } from '../utils/diff-utils.js';
+import { buildToolActivityDigest } from './tool-activity.js';
+import { resolveChatWindow } from './chat-window.js';
+import { getRepoRoot } from '../utils/repo-identity.js';
 
 /**
- * Extracts clean text content from grouped Claude messages, handling mixed content formats
+ * Extracts clean text content from grouped chat messages, handling mixed content formats
  *
  * @param {Array} sessionGroups - Array of session objects containing messages
  * @returns {Array} Session objects with cleaned messages
@@ -36,7 +40,7 @@ export function extractTextFromMessages(sessionGroups) {
     const startTime = Date.now();
 
     try {
-      logger.start('Text extraction from messages', `Starting extraction from ${totalMessages} Claude messages across ${sessionGroups.length} sessions`, {
+      logger.start('Text extraction from messages', `Starting extraction from ${totalMessages} chat messages across ${sessionGroups.length} sessions`, {
         inputCount: totalMessages,
         sessionCount: sessionGroups.length
       });
@@ -103,9 +107,11 @@ export function extractTextFromMessages(sessionGroups) {
 
         return {
           sessionId: session.sessionId,
+          source: session.source,
           messages: cleanedMessages,
           startTime: session.startTime,
-          messageCount: cleanedMessages.length
+          messageCount: cleanedMessages.length,
+          ...(session.relevance && { relevance: session.relevance })
         };
       });
 
@@ -309,13 +315,14 @@ const tracer = trace.getTracer('commit-story-context', '1.0.0');
  * @param {string} commitRef - Git commit reference (HEAD, HEAD~1, hash, etc.)
  * @returns {Promise<Object>} Combined context object with commit data and chat messages
  * @returns {Object} context.commit - Current commit data from git-collector
- * @returns {Array} context.chatMessages - Chat messages from claude-collector  
+ * @returns {Array} context.chatMessages - Chat messages from chat-collector
  * @returns {Object|null} context.previousCommit - Previous commit basic data or null
+ * @returns {Object} context.chatWindow - Time window the chat was collected from ({start, end, strategy, capped, previousCommit})
  */
 export async function gatherContextForCommit(commitRef = 'HEAD') {
   return await tracer.startActiveSpan(OTEL.span.context.gather(), {
     attributes: {
-      ...OTEL.attrs.repository({ path: process.cwd() }),
+      ...OTEL.attrs.repository({ path: getRepoRoot() }),
       [`${OTEL.NAMESPACE}.commit.ref`]: commitRef,
       'code.function': 'gatherContextForCommit'
     }
@@ -338,34 +345,27 @@ export async function gatherContextForCommit(commitRef = 'HEAD') {
         }
       });
 
-      // Get previous commit data for time window
-      const previousCommit = await getPreviousCommitData(commitRef);
+      // Chat window: from the developer's previous commit (any branch), capped at the maximum lookback
+      const chatWindow = await resolveChatWindow(commitRef);
+      const previousCommit = chatWindow.previousCommit;
 
-      if (previousCommit) {
-        const prevCommitAttrs = {
-          [`${OTEL.NAMESPACE}.previous_commit.hash`]: previousCommit.hash,
-          [`${OTEL.NAMESPACE}.previous_commit.timestamp`]: previousCommit.timestamp.toISOString()
-        };
-        span.setAttributes(prevCommitAttrs);
-
-        // Emit previous commit metrics for context window analysis
-        Object.entries(prevCommitAttrs).forEach(([name, value]) => {
-          if (typeof value === 'string' && name.includes('timestamp')) {
-            // Convert timestamp to numeric metric (epoch milliseconds)
-            const timestampMs = new Date(value).getTime();
-            OTEL.metrics.gauge(name.replace('timestamp', 'timestamp_ms'), timestampMs);
-          }
-        });
-      }
-      
-      // Extract chat messages using existing claude-collector API
-      // Signature: extractChatForCommit(commitTime, previousCommitTime, repoPath)
-      const rawChatMessages = await extractChatForCommit(
+      // Extract chat messages from every enabled assistant (Claude Code, Codex, Gemini, Aider)
+      // Signature: collectChatForCommit(commitTime, previousCommitTime, repoPath, commit)
+      const repoPath = getRepoRoot();
+      const rawChatMessages = await collectChatForCommit(
         currentCommit.timestamp,           // Date object - current commit time
-        previousCommit?.timestamp || null, // Date object or null - previous commit time  
-        process.cwd()                      // string - repo path for cwd filtering
+        chatWindow.start,                  // Date object - start of the chat window
+        repoPath,                          // string - repo root for cwd filtering (worktrees and subdirectories included)
+        {                                  // hash, branch and files - for session relevance filtering
+          hash: currentCommit.hash,
+          branch: currentCommit.branch,
+          files: extractFilesFromDiff(currentCommit.diff)
+        }
       );
     
+      // Summarize tool calls and results before text extraction strips them
+      const toolActivity = buildToolActivityDigest(rawChatMessages || [], repoPath);
+
       // Extract clean text content from messages (now returns session groups)
       const cleanChatSessions = extractTextFromMessages(rawChatMessages || []);
 
@@ -389,30 +389,28 @@ export async function gatherContextForCommit(commitRef = 'HEAD') {
       OTEL.metrics.gauge('commit_story.chat.raw_messages_count', rawChatData.raw_messages);
       OTEL.metrics.gauge('commit_story.chat.messages_count', rawChatData.count);
 
+      // Developer reflections and captured context from the same window - the only
+      // source of "why" in git-only mode
+      const toEntries = (entries) => entries.map(entry => ({
+        time: entry.timeString,
+        text: entry.content.join('\n').trim()
+      }));
+      const reflections = toEntries(await discoverReflections(currentCommit.timestamp, chatWindow.start));
+      const contextCaptures = toEntries(await discoverReflections(currentCommit.timestamp, chatWindow.start, 'context'));
+
       // Apply complete context preparation (consolidate all filtering and token management)
-      // Use flattened messages for filtering to maintain existing filter logic
+      // Chat, diff, reflections and context captures share one token budget; session
+      // groups are rebuilt from the messages that survive filtering
       const rawContext = {
         commit: currentCommit,
-        chatMessages: flattenedMessages
+        chatMessages: flattenedMessages,
+        chatSessions: cleanChatSessions,
+        reflections,
+        contextCaptures,
+        toolActivity
       };
       const filteredContext = filterContext(rawContext);
-
-      // Apply the same filtering to session groups to maintain consistency
-      // Filter messages within each session and remove empty sessions
-      const filteredChatSessions = cleanChatSessions
-        .map(session => {
-          const filteredMessages = session.messages.filter(msg =>
-            filteredContext.chatMessages.some(filtered =>
-              filtered.timestamp === msg.timestamp && filtered.content === msg.content
-            )
-          );
-          return {
-            ...session,
-            messages: filteredMessages,
-            messageCount: filteredMessages.length
-          };
-        })
-        .filter(session => session.messages.length > 0);
+      const filteredChatSessions = filteredContext.chatSessions;
 
       // Calculate metadata from cleaned messages (before filtering for richer data)
       const metadata = calculateChatMetadata(flattenedMessages);
@@ -470,14 +468,19 @@ export async function gatherContextForCommit(commitRef = 'HEAD') {
   - message: Commit message (may be null)
   - author: Object with {name, email}
   - timestamp: ISO 8601 timestamp
+  - branch: Branch the commit was made on (null if unknown)
   - diff: Full unified diff showing file changes
     - File paths in headers: diff --git a/path/to/file b/path/to/file
     - Lines added (+) and removed (-)`
         },
         previousCommit: {
-          data: previousCommit,             // Previous commit data for time window calculation
+          data: previousCommit,             // Commit that bounds the time window, or null
           description: "Previous commit data used for calculating development time window"
         },
+        chatWindow: {
+          data: chatWindow,                 // {start, end, strategy, capped, previousCommit}
+          description: "Development time window the chat, reflections and context captures were collected from"
+        },
         chatMessages: {
           data: filteredContext.chatMessages, // Filtered chat messages with token optimization (flattened)
           description: chatMessagesDescription
@@ -489,6 +492,27 @@ export async function gatherContextForCommit(commitRef = 'HEAD') {
         chatMetadata: {
           data: metadata,
           description: "Chat statistics: Message counts, lengths, and quality metrics for decision-making"
+        },
+        reflections: {
+          data: filteredContext.reflections,
+          description: `Developer reflections - notes the developer wrote during this commit's development window, each with:
+  - time: When the reflection was recorded
+  - text: The developer's own words`
+        },
+        contextCaptures: {
+          data: filteredContext.contextCaptures,
+          description: `Context captures - development context the AI assistant saved to the journal during this commit's window, each with:
+  - time: When the context was captured
+  - text: The captured context (the assistant's summary of the work, decisions and reasoning at that point)`
+        },
+        toolActivity: {
+          data: filteredContext.toolActivity, // null when the chat has no tool calls
+          description: `Tool activity - what the AI assistant's tool calls did during this commit's window (from the tool calls, not the conversation):
+  - filesRead: Repository files the assistant read but did not edit
+  - filesEdited: Repository files the assistant edited or wrote
+  - commands: Shell commands run, each with exitCode (0 = succeeded, null = unknown, e.g. interrupted)
+  - testRuns: Test commands, each with status (passed, failed or unknown) and passed/failed counts when the output reported them
+  - errors: Failed tool calls, each with the tool name and the first line of its error`
         }
       };
       
@@ -507,193 +531,12 @@ export async function gatherContextForCommit(commitRef = 'HEAD') {
 }
 
 /**
- * Gets the previous commit data for time window calculation
+ * Check whether a commit's context has no AI assistant conversation
+ * Git-only entries are generated from the diff, commit message and reflections alone.
  *
- * @param {string} commitRef - Git commit reference to calculate previous from
- * @returns {Promise<Object|null>} Previous commit data or null if no previous commit
+ * @param {Object} context - Context from gatherContextForCommit
+ * @returns {boolean} True if no chat messages were found for the commit
  */
-async function getPreviousCommitData(commitRef = 'HEAD') {
-  return await tracer.startActiveSpan(OTEL.span.collectors.git(), {
-    attributes: {
-      'code.function': 'getPreviousCommitData',
-      [`${OTEL.NAMESPACE}.git.commit_ref`]: commitRef,
-      [`${OTEL.NAMESPACE}.git.command`]: `git log -1 --format="%H|%ct" ${commitRef}~1`
-    }
-  }, async (span) => {
-    const logger = createNarrativeLogger('git.collect_previous_commit_data');
-    const startTime = Date.now();
-
-    try {
-      logger.start('Previous commit data retrieval', `Retrieving previous commit data for reference: ${commitRef}`, {
-        commitRef,
-        command: `git log -1 --format="%H|%ct" ${commitRef}~1`
-      });
-
-      // Get previous commit hash and timestamp (one commit before the specified commit)
-      let previousCommitInfo;
-      try {
-        previousCommitInfo = execSync(
-          `git log -1 --format="%H|%ct" ${commitRef}~1`,
-          { encoding: 'utf8', cwd: process.cwd() }
-        ).trim();
-      } catch (gitError) {
-        // No parent commit exists (first commit in repository)
-        const executionDuration = Date.now() - startTime;
-
-        logger.decision('No previous commit found', 'Git command failed - this is the first commit in repository', {
-          commitRef,
-          executionTime: executionDuration,
-          result: 'no_previous_commit',
-          error: gitError.message
-        });
-
-        // Add attributes for null result case
-        const gitAttrs = OTEL.attrs.gitCollection({
-          commitRef,
-          command: `git log -1 --format="%H|%ct" ${commitRef}~1`,
-          previousCommitFound: false,
-          previousCommitHash: null,
-          previousCommitTimestamp: null,
-          executionDuration
-        });
-        span.setAttributes(gitAttrs);
-
-        // Emit metrics for null result
-        OTEL.metrics.gauge('commit_story.git.execution_duration_ms', executionDuration);
-        OTEL.metrics.gauge('commit_story.git.previous_commit_found', 0); // 0 for false
-        OTEL.metrics.counter('commit_story.git.no_previous_commit_total', 1);
-
-        logger.complete('Previous commit data retrieval completed', 'No previous commit found - returning null for first commit', {
-          result: null,
-          executionTime: executionDuration,
-          reason: 'first_commit_in_repo'
-        });
-
-        span.setStatus({ code: SpanStatusCode.OK, message: 'No previous commit found (first commit)' });
-        return null; // No previous commit (first commit in repo)
-      }
-
-      const executionDuration = Date.now() - startTime;
-
-      if (!previousCommitInfo) {
-        logger.decision('No previous commit found', 'Git command returned empty result - likely first commit in repository', {
-          commitRef,
-          executionTime: executionDuration,
-          result: 'no_previous_commit'
-        });
-
-        // Add attributes for null result case
-        const gitAttrs = OTEL.attrs.gitCollection({
-          commitRef,
-          command: `git log -1 --format="%H|%ct" ${commitRef}~1`,
-          previousCommitFound: false,
-          previousCommitHash: null,
-          previousCommitTimestamp: null,
-          executionDuration
-        });
-        span.setAttributes(gitAttrs);
-
-        // Emit metrics for null result
-        OTEL.metrics.gauge('commit_story.git.execution_duration_ms', executionDuration);
-        OTEL.metrics.gauge('commit_story.git.previous_commit_found', 0); // 0 for false
-        OTEL.metrics.counter('commit_story.git.no_previous_commit_total', 1);
-
-        logger.complete('Previous commit data retrieval completed', 'No previous commit found - returning null for first commit', {
-          result: null,
-          executionTime: executionDuration,
-          reason: 'first_commit_in_repo'
-        });
-
-        span.setStatus({ code: SpanStatusCode.OK, message: 'No previous commit found (first commit)' });
-        return null; // No previous commit (first commit in repo)
-      }
-
-      const [hash, timestamp] = previousCommitInfo.split('|');
-      const previousCommitTimestamp = new Date(parseInt(timestamp) * 1000); // Convert to Date object like git-collector
-
-      logger.progress('Previous commit data parsed', `Found previous commit: ${hash} at ${previousCommitTimestamp.toISOString()}`, {
-        hash,
-        timestamp: previousCommitTimestamp.toISOString(),
-        rawTimestamp: timestamp
-      });
-
-      const result = {
-        hash: hash,
-        timestamp: previousCommitTimestamp
-      };
-
-      // Add comprehensive attributes to span
-      const gitAttrs = OTEL.attrs.gitCollection({
-        commitRef,
-        command: `git log -1 --format="%H|%ct" ${commitRef}~1`,
-        previousCommitFound: true,
-        previousCommitHash: hash,
-        previousCommitTimestamp: previousCommitTimestamp.toISOString(),
-        executionDuration
-      });
-      span.setAttributes(gitAttrs);
-
-      // Emit correlated metrics for dashboard analysis
-      Object.entries(gitAttrs).forEach(([name, value]) => {
-        if (typeof value === 'number') {
-          OTEL.metrics.gauge(name, value);
-        } else if (typeof value === 'boolean') {
-          OTEL.metrics.gauge(name, value ? 1 : 0);
-        }
-      });
-
-      // Additional key business metrics
-      OTEL.metrics.gauge('commit_story.git.execution_duration_ms', executionDuration);
-      OTEL.metrics.gauge('commit_story.git.previous_commit_found', 1); // 1 for true
-      OTEL.metrics.counter('commit_story.git.previous_commit_success_total', 1);
-
-      logger.complete('Previous commit data retrieval completed', `Successfully retrieved previous commit ${hash} from ${previousCommitTimestamp.toISOString()}`, {
-        result: result,
-        executionTime: executionDuration,
-        hash: hash,
-        timestamp: previousCommitTimestamp.toISOString()
-      });
-
-      span.setStatus({ code: SpanStatusCode.OK, message: 'Previous commit data retrieved successfully' });
-      return result;
-
-    } catch (error) {
-      const executionDuration = Date.now() - startTime;
-
-      logger.decision('Git command failed', 'Git log command failed - treating as no previous commit available', {
-        error: error.message,
-        commitRef,
-        executionTime: executionDuration,
-        errorType: 'git_command_error'
-      });
-
-      // Add attributes for error case (treat as no previous commit)
-      const gitAttrs = OTEL.attrs.gitCollection({
-        commitRef,
-        command: `git log -1 --format="%H|%ct" ${commitRef}~1`,
-        previousCommitFound: false,
-        previousCommitHash: null,
-        previousCommitTimestamp: null,
-        executionDuration
-      });
-      span.setAttributes(gitAttrs);
-
-      // Emit metrics for error case (treated as no previous commit)
-      OTEL.metrics.gauge('commit_story.git.execution_duration_ms', executionDuration);
-      OTEL.metrics.gauge('commit_story.git.previous_commit_found', 0); // 0 for false
-      OTEL.metrics.counter('commit_story.git.command_error_total', 1);
-
-      logger.complete('Previous commit data retrieval completed', 'Git command error treated as no previous commit - returning null', {
-        result: null,
-        executionTime: executionDuration,
-        reason: 'git_command_error'
-      });
-
-      // Don't throw error - return null as this is expected behavior for first commit
-      span.setStatus({ code: SpanStatusCode.OK, message: 'No previous commit exists (git error handled)' });
-      return null; // No previous commit exists (first commit in repo)
-    } finally {
-      span.end();
-    }
-  });
-}
\ No newline at end of file
+export function isGitOnlyContext(context) {
+  return context.chatMetadata.data.totalMessages === 0;
+}
@@ -0,0 +1,287 @@
+/**
+ * Tool Activity Digest
+ *
+ * The context filter drops tool calls and tool results from the chat, so on their
+ * own the generators never see which files the assistant touched, which commands
+ * it ran or how the tests went. This builds a compact digest of that activity
+ * from the raw Claude Code messages before they are cleaned and filtered:
+ *
+ *   filesRead     Repository files read (and not edited)
+ *   filesEdited   Repository files edited or written
+ *   commands      Shell commands and their exit codes (test runs and successful look-arounds left out)
+ *   testRuns      Test commands with pass/fail counts when the output reports them
+ *   errors        Failed tool calls with the first line of their error
+ *
+ * Other assistants' transcripts are normalized to text by their collectors and
+ * contribute nothing. Sessions demoted by session relevance scoring are skipped.
+ */
+
+import { trace, SpanStatusCode } from '@opentelemetry/api';
+import { OTEL } from '../telemetry/standards.js';
+import { createNarrativeLogger } from '../utils/trace-logger.js';
+import { redactSensitiveData } from '../generators/filters/sensitive-data-filter.js';
+import { toRepoRelativePath } from '../utils/repo-identity.js';
+
+const tracer = trace.getTracer('commit-story-context', '1.0.0');
+
+const READ_TOOLS = new Set(['Read', 'NotebookRead']);
+const EDIT_TOOLS = new Set(['Edit', 'MultiEdit', 'Write', 'NotebookEdit']);
+const SHELL_TOOLS = new Set(['Bash']);
+
+// Commands that only look around - left out of the digest unless they fail
+const READ_ONLY_COMMANDS = new Set(['ls', 'cat', 'head', 'tail', 'grep', 'rg', 'find', 'pwd', 'echo', 'wc', 'which', 'tree', 'cd', 'sed', 'awk', 'sort', 'diff']);
+
+const TEST_COMMAND = /\b(?:npm|pnpm|yarn|bun)\s+(?:run\s+)?test\b|\b(?:jest|vitest|mocha|ava|pytest|rspec|phpunit)\b|\bnode\s+--test\b|\bpython3?\s+-m\s+unittest\b|\b(?:go|cargo|make)\s+test\b|\bplaywright\s+test\b|\b(?:mvn|gradlew?)\b.*\btest\b/;
+
+// Last match wins: summary lines come at the end of the output
+const PASSED_COUNTS = [/(\d+) (?:passed|passing)\b/gi, /^[#ℹ] pass (\d+)/gim];
+const FAILED_COUNTS = [/(\d+) (?:failed|failing)\b/gi, /^[#ℹ] fail (\d+)/gim];
+
+const EXIT_CODE = /^(?:Error: )?Exit code (\d+)/;
+const ERROR_LINE = /error|failed|cannot|not found|denied|exception/i;
+
+// Caps that keep the digest compact before any token budgeting
+const MAX_FILES = 40;
+const MAX_COMMANDS = 25;
+const MAX_TEST_RUNS = 10;
+const MAX_ERRORS = 10;
+const MAX_TEXT_LENGTH = 200;
+
+/**
+ * Shorten a command or message to its first line and MAX_TEXT_LENGTH characters
+ * @param {string} text - Text to shorten
+ * @returns {string} Redacted one-line text
+ */
+function oneLine(text) {
+  const [firstLine] = String(text).trim().split('\n');
+  const shortened = firstLine.length > MAX_TEXT_LENGTH ? `${firstLine.slice(0, MAX_TEXT_LENGTH)}...` : firstLine;
+  return redactSensitiveData(shortened);
+}
+
+/**
+ * Check whether a shell command only looks around
+ * Chained commands ("cd api && make migrate") are read-only only when every
+ * segment is, so a leading cd doesn't hide the command that did the work.
+ * @param {string} command - Shell command
+ * @returns {boolean} True when every segment starts with a read-only command
+ */
+function isReadOnlyCommand(command) {
+  return command.split(/&&|\|\||[;|\n]/)
+    .map(segment => segment.trim())
+    .filter(Boolean)
+    .every(segment => READ_ONLY_COMMANDS.has(segment.split(/\s+/)[0]));
+}
+
+/**
+ * Get the text of a tool result
+ * @param {Object} item - tool_result content item
+ * @returns {string} Result text
+ */
+function resultText(item) {
+  if (typeof item.content === 'string') return item.content;
+  if (Array.isArray(item.content)) {
+    return item.content.filter(part => part.type === 'text' && part.text).map(part => part.text).join('\n');
+  }
+  return '';
+}
+
+/**
+ * Take the last number any of the patterns matches
+ * @param {string} output - Test output
+ * @param {Array<RegExp>} patterns - Global patterns with the count in group 1
+ * @returns {number|null} Count, or null when the output doesn't report one
+ */
+function lastCount(output, patterns) {
+  let count = null;
+  for (const pattern of patterns) {
+    for (const match of output.matchAll(pattern)) {
+      count = Number(match[1]);
+    }
+  }
+  return count;
+}
+
+/**
+ * Get a shell command's exit code from its tool result
+ * @param {Object|null} result - Paired tool result
+ * @returns {number|null} Exit code, or null when unknown (no result, interrupted, timed out)
+ */
+function exitCodeOf(result) {
+  if (!result) return null;
+  if (!result.isError) return 0;
+  const match = result.text.match(EXIT_CODE);
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * Pick the most telling line of a tool error
+ * @param {string} text - Error output
+ * @returns {string} One-line message
+ */
+function errorMessage(text) {
+  const lines = text.split('\n').map(line => line.trim()).filter(line => line && !EXIT_CODE.test(line));
+  return oneLine(lines.find(line => ERROR_LINE.test(line)) || lines[0] || 'failed without output');
+}
+
+/**
+ * Pair each tool call with its result, oldest first
+ * @param {Array} sessions - Raw session groups from the chat collectors
+ * @returns {Array<{name: string, input: Object, cwd: string, result: Object|null}>} Tool calls
+ */
+function collectToolCalls(sessions) {
+  const calls = [];
+  const callsById = new Map();
+
+  const messages = sessions
+    .filter(session => session.relevance !== 'low')
+    .flatMap(session => session.messages)
+    .sort((a, b) => (a.timestamp || '').localeCompare(b.timestamp || ''));
+
+  for (const message of messages) {
+    const content = message.message?.content;
+    if (!Array.isArray(content)) continue;
+
+    for (const item of content) {
+      if (item?.type === 'tool_use') {
+        const call = { name: item.name, input: item.input || {}, cwd: message.cwd, result: null };
+        calls.push(call);
+        callsById.set(item.id, call);
+      } else if (item?.type === 'tool_result' && callsById.has(item.tool_use_id)) {
+        callsById.get(item.tool_use_id).result = { isError: item.is_error === true, text: resultText(item) };
+      }
+    }
+  }
+
+  return calls;
+}
+
+/**
+ * Build the tool activity digest for a commit's chat
+ *
+ * @param {Array} sessions - Raw session groups from collectChatForCommit
+ * @param {string} repoPath - Repository root, for relative file paths
+ * @returns {Object|null} Digest ({filesRead, filesEdited, commands, testRuns, errors}), or null without tool activity
+ */
+export function buildToolActivityDigest(sessions, repoPath) {
+  return tracer.startActiveSpan(OTEL.span.context.tool_activity(), {
+    attributes: {
+      'code.function': 'buildToolActivityDigest'
+    }
+  }, (span) => {
+    const logger = createNarrativeLogger('context.build_tool_activity');
+
+    try {
+      const calls = collectToolCalls(sessions);
+      logger.start('tool activity digest', `Summarizing ${calls.length} tool calls from ${sessions.length} sessions`);
+
+      const filesRead = new Set();
+      const filesEdited = new Set();
+      const commands = new Map();
+      const testRuns = [];
+      const errors = [];
+
+      for (const { name, input, cwd, result } of calls) {
+        const filePath = toRepoRelativePath(input.file_path || input.notebook_path, repoPath, cwd);
+        if (filePath && READ_TOOLS.has(name)) filesRead.add(filePath);
+        if (filePath && EDIT_TOOLS.has(name)) filesEdited.add(filePath);
+
+        if (SHELL_TOOLS.has(name) && typeof input.command === 'string') {
+          const command = oneLine(input.command);
+          const exitCode = exitCodeOf(result);
+
+          if (TEST_COMMAND.test(input.command)) {
+            const output = result?.text || '';
+            const passed = lastCount(output, PASSED_COUNTS);
+            const failed = lastCount(output, FAILED_COUNTS);
+            const status = failed > 0 || (exitCode !== null && exitCode !== 0) ? 'failed' : exitCode === 0 ? 'passed' : 'unknown';
+            testRuns.push({
+              command,
+              status,
+              ...(passed !== null && { passed }),
+              ...(failed !== null && { failed })
+            });
+          } else if (exitCode !== 0 || !isReadOnlyCommand(input.command)) {
+            // Latest run of a repeated command wins, in order of that run
+            commands.delete(command);
+            commands.set(command, { command, exitCode });
+          }
+        }
+
+        if (result?.isError) {
+          errors.push({ tool: name, message: errorMessage(result.text) });
+        }
+      }
+
+      // Files both read and edited are listed as edited
+      const readOnly = [...filesRead].filter(path => !filesEdited.has(path));
+      const digest = {
+        filesRead: readOnly.slice(0, MAX_FILES),
+        filesEdited: [...filesEdited].slice(0, MAX_FILES),
+        commands: [...commands.values()].slice(-MAX_COMMANDS),
+        testRuns: testRuns.slice(-MAX_TEST_RUNS),
+        errors: errors.slice(-MAX_ERRORS)
+      };
+
+      const activityAttrs = OTEL.attrs.toolActivity({
+        toolCalls: calls.length,
+        filesRead: readOnly.length,
+        filesEdited: filesEdited.size,
+        commands: commands.size,
+        failedCommands: [...commands.values()].filter(entry => entry.exitCode !== 0).length,
+        testRuns: testRuns.length,
+        failedTestRuns: testRuns.filter(run => run.status === 'failed').length,
+        errors: errors.length
+      });
+      span.setAttributes(activityAttrs);
+
+      Object.entries(activityAttrs).forEach(([name, value]) => {
+        if (typeof value === 'number') {
+          OTEL.metrics.gauge(name, value);
+        }
+      });
+
+      const empty = Object.values(digest).every(list => list.length === 0);
+      logger.complete('tool activity digest', empty
+        ? 'No file, command or test activity found'
+        : `${filesEdited.size} files edited, ${readOnly.length} read, ${commands.size} commands, ${testRuns.length} test runs, ${errors.length} errors`);
+
+      span.setStatus({ code: SpanStatusCode.OK, message: 'Tool activity summarized' });
+      return empty ? null : digest;
+
+    } catch (error) {
+      // The digest is extra context - the entry can be written without it
+      span.recordException(error);
+      span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+      logger.error('tool activity digest', 'Failed to summarize tool activity', error);
+      return null;
+    } finally {
+      span.end();
+    }
+  });
+}
+
+/**
+ * Shrink a digest until it fits a token budget
+ *
+ * Halves the longest list each round, keeping the most recent commands, test runs
+ * and errors.
+ *
+ * @param {Object|null} digest - Digest from buildToolActivityDigest
+ * @param {number} maxTokens - Token budget
+ * @param {Function} countTokens - Returns the token cost of the digest
+ * @returns {Object|null} Digest that fits, or null when nothing fits
+ */
+export function fitToolActivityDigest(digest, maxTokens, countTokens) {
+  if (!digest) return null;
+
+  const fitted = { ...digest };
+  while (countTokens(fitted) > maxTokens) {
+    const [key, list] = Object.entries(fitted).reduce((longest, entry) => (entry[1].length > longest[1].length ? entry : longest));
+    if (list.length === 0) {
+      return null;
+    }
+    const keep = Math.floor(list.length / 2);
+    fitted[key] = key.startsWith('files') ? list.slice(0, keep) : list.slice(list.length - keep);
+  }
+  return fitted;
+}
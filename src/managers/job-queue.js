@@ -0,0 +1,417 @@
+/**
+ * Job Queue
+ *
+ * Local queue for journal generation, so a commit made while the AI provider is
+ * down, the API key has expired, or another commit is still being journaled is
+ * retried instead of silently losing its entry.
+ *
+ * Jobs are JSON files in .git/commit-story/queue/:
+ *   pending/<hash>.json   waiting to run (or waiting for their next retry)
+ *   failed/<hash>.json    gave up after MAX_ATTEMPTS - see `commit-story queue retry`
+ *   failures.log          every failed attempt, with the end of the run's output
+ *   worker.lock           PID of the worker currently draining the queue
+ *
+ * The post-commit hook enqueues HEAD and starts a worker. A worker runs the jobs that
+ * are due one at a time, oldest first, each as a separate `commit-story <hash>`
+ * process, and schedules failures for a retry with exponential backoff. It exits
+ * rather than waiting for a retry, so the lock is free for the next commit's worker,
+ * which runs the retries that have come due. Only one worker runs per repository.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import { trace, SpanStatusCode } from '@opentelemetry/api';
+import { getStateDirectory } from '../utils/state-directory.js';
+import { OTEL } from '../telemetry/standards.js';
+import { createNarrativeLogger } from '../utils/trace-logger.js';
+
+const tracer = trace.getTracer('commit-story-job-queue', '1.0.0');
+
+const QUEUE_DIRECTORY_NAME = 'queue';
+const FAILURE_LOG_NAME = 'failures.log';
+const WORKER_LOCK_NAME = 'worker.lock';
+
+export const MAX_ATTEMPTS = 5;
+
+// First retry after 30s, then 1m, 2m, 4m
+const BASE_RETRY_DELAY_MS = 30 * 1000;
+
+// A single journal generation that takes longer than this is treated as failed
+const JOB_TIMEOUT_MS = 10 * 60 * 1000;
+
+// Characters of the run's output kept with a failed attempt
+const ERROR_OUTPUT_CHARS = 2000;
+
+const CLI_PATH = fileURLToPath(new URL('../index.js', import.meta.url));
+
+/**
+ * Get a queue path, creating the queue directories if needed
+ * @param {...string} parts - Path segments inside the queue directory
+ * @returns {string} Absolute path
+ */
+function getQueuePath(...parts) {
+  const queueDir = path.join(getStateDirectory(), QUEUE_DIRECTORY_NAME);
+  fs.mkdirSync(path.join(queueDir, 'pending'), { recursive: true });
+  fs.mkdirSync(path.join(queueDir, 'failed'), { recursive: true });
+  return path.join(queueDir, ...parts);
+}
+
+/**
+ * Write a job file atomically (write to a temp file, then rename)
+ * @param {string} filePath - Job file path
+ * @param {Object} job - Job data
+ */
+function writeJob(filePath, job) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(job, null, 2), 'utf8');
+  fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Read all jobs in a queue state directory
+ * @param {'pending'|'failed'} state - Queue state
+ * @returns {Array<Object>} Jobs, oldest first
+ */
+function readJobs(state) {
+  const dir = getQueuePath(state);
+  const jobs = [];
+  for (const name of fs.readdirSync(dir)) {
+    if (!name.endsWith('.json')) continue;
+    try {
+      jobs.push(JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8')));
+    } catch (error) {
+      // Half-written or corrupt job file - leave it for `queue clear`
+    }
+  }
+  return jobs.sort((a, b) => a.enqueuedAt.localeCompare(b.enqueuedAt));
+}
+
+/**
+ * Check whether a pending job is due to run
+ * @param {Object} job - Pending job
+ * @returns {boolean} True once its next attempt time has passed
+ */
+function isDue(job) {
+  return new Date(job.nextAttemptAt).getTime() <= Date.now();
+}
+
+/**
+ * Append a failed attempt to the persistent failure log
+ * @param {Object} job - Job that failed
+ * @param {string} error - Error output
+ * @param {boolean} gaveUp - Whether the job was moved to failed/
+ */
+function logFailure(job, error, gaveUp) {
+  const outcome = gaveUp ? 'giving up' : `retrying at ${job.nextAttemptAt}`;
+  const indented = error.trim().split('\n').map(line => `    ${line}`).join('\n');
+  fs.appendFileSync(
+    getQueuePath(FAILURE_LOG_NAME),
+    `${new Date().toISOString()} ${job.hash} attempt ${job.attempts}/${MAX_ATTEMPTS} failed, ${outcome}\n${indented}\n`,
+    'utf8'
+  );
+}
+
+/**
+ * Add a commit to the queue (a commit already queued keeps its existing job)
+ * @param {string} commitHash - Full commit hash
+ * @returns {{job: Object, added: boolean}} The pending job and whether it was new
+ */
+export function enqueueJob(commitHash) {
+  return tracer.startActiveSpan(OTEL.span.queue.enqueue(), {
+    attributes: {
+      [`${OTEL.NAMESPACE}.commit.hash`]: commitHash,
+      'code.function': 'enqueueJob'
+    }
+  }, (span) => {
+    const logger = createNarrativeLogger('queue.enqueue');
+
+    try {
+      const jobPath = getQueuePath('pending', `${commitHash}.json`);
+      if (fs.existsSync(jobPath)) {
+        logger.decision('job enqueue', `${commitHash.slice(0, 8)} is already queued`);
+        span.setStatus({ code: SpanStatusCode.OK, message: 'Job already queued' });
+        return { job: JSON.parse(fs.readFileSync(jobPath, 'utf8')), added: false };
+      }
+
+      const now = new Date().toISOString();
+      const job = { hash: commitHash, enqueuedAt: now, attempts: 0, nextAttemptAt: now, lastError: null };
+      writeJob(jobPath, job);
+
+      // A fresh enqueue supersedes an earlier failure for the same commit
+      fs.rmSync(getQueuePath('failed', `${commitHash}.json`), { force: true });
+
+      logger.complete('job enqueue', `Queued journal generation for ${commitHash.slice(0, 8)}`);
+      span.setStatus({ code: SpanStatusCode.OK, message: 'Job queued' });
+      return { job, added: true };
+
+    } catch (error) {
+      span.recordException(error);
+      span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+      logger.error('job enqueue', 'Failed to queue job', error);
+      throw error;
+    } finally {
+      span.end();
+    }
+  });
+}
+
+/**
+ * List queued jobs
+ * @returns {{pending: Array<Object>, failed: Array<Object>, failureLog: string, workerPid: number|null}} Queue contents
+ */
+export function listJobs() {
+  return {
+    pending: readJobs('pending'),
+    failed: readJobs('failed'),
+    failureLog: getQueuePath(FAILURE_LOG_NAME),
+    workerPid: readWorkerLock()
+  };
+}
+
+/**
+ * Move failed jobs back to pending with a fresh set of attempts
+ * @param {string} [hashPrefix] - Only retry the job whose hash starts with this
+ * @returns {number} Number of jobs requeued
+ */
+export function retryFailedJobs(hashPrefix) {
+  let requeued = 0;
+  for (const job of readJobs('failed')) {
+    if (hashPrefix && !job.hash.startsWith(hashPrefix)) continue;
+
+    writeJob(getQueuePath('pending', `${job.hash}.json`), {
+      ...job,
+      attempts: 0,
+      nextAttemptAt: new Date().toISOString()
+    });
+    fs.rmSync(getQueuePath('failed', `${job.hash}.json`), { force: true });
+    requeued++;
+  }
+  return requeued;
+}
+
+/**
+ * Remove jobs from the queue
+ * @param {'failed'|'pending'|'all'} which - Which jobs to remove
+ * @returns {number} Number of jobs removed
+ */
+export function clearJobs(which) {
+  const states = which === 'all' ? ['pending', 'failed'] : [which];
+  let removed = 0;
+  for (const state of states) {
+    const dir = getQueuePath(state);
+    for (const name of fs.readdirSync(dir)) {
+      fs.rmSync(path.join(dir, name), { force: true });
+      if (name.endsWith('.json')) removed++;
+    }
+  }
+  return removed;
+}
+
+/**
+ * Read the PID of a live worker
+ * @returns {number|null} Worker PID, or null when no worker is running
+ */
+function readWorkerLock() {
+  const lockPath = getQueuePath(WORKER_LOCK_NAME);
+  let pid;
+  try {
+    pid = parseInt(fs.readFileSync(lockPath, 'utf8'), 10);
+  } catch (error) {
+    return null;
+  }
+
+  try {
+    process.kill(pid, 0);
+    return pid;
+  } catch (error) {
+    // EPERM means the process exists but belongs to someone else
+    return error.code === 'EPERM' ? pid : null;
+  }
+}
+
+/**
+ * Take the worker lock, replacing a lock left by a worker that died
+ * @returns {boolean} True if this process is now the worker
+ */
+function acquireWorkerLock() {
+  const lockPath = getQueuePath(WORKER_LOCK_NAME);
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      fs.writeFileSync(lockPath, String(process.pid), { flag: 'wx' });
+      return true;
+    } catch (error) {
+      if (error.code !== 'EEXIST' || readWorkerLock() !== null) {
+        return false;
+      }
+      fs.rmSync(lockPath, { force: true });
+    }
+  }
+  return false;
+}
+
+/**
+ * Release the worker lock if this process holds it
+ */
+function releaseWorkerLock() {
+  const lockPath = getQueuePath(WORKER_LOCK_NAME);
+  try {
+    if (parseInt(fs.readFileSync(lockPath, 'utf8'), 10) === process.pid) {
+      fs.rmSync(lockPath, { force: true });
+    }
+  } catch (error) {
+    // Already gone
+  }
+}
+
+/**
+ * Run journal generation for one commit in a separate process
+ * @param {string} commitHash - Commit to journal
+ * @returns {Promise<{exitCode: number, output: string}>} Exit code and the end of the output
+ */
+function runGeneration(commitHash) {
+  return new Promise((resolve) => {
+    const child = spawn(process.execPath, [CLI_PATH, commitHash], {
+      cwd: process.cwd(),
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    let output = '';
+    const collect = (chunk) => {
+      output = (output + chunk.toString()).slice(-ERROR_OUTPUT_CHARS);
+    };
+    child.stdout.on('data', collect);
+    child.stderr.on('data', collect);
+
+    const timeout = setTimeout(() => {
+      collect(`\nTimed out after ${JOB_TIMEOUT_MS / 60000} minutes`);
+      child.kill();
+    }, JOB_TIMEOUT_MS);
+
+    child.on('error', (error) => collect(`\n${error.message}`));
+    child.on('close', (code) => {
+      clearTimeout(timeout);
+      resolve({ exitCode: code ?? 1, output });
+    });
+  });
+}
+
+/**
+ * Run one job and record the outcome
+ * @param {Object} job - Pending job
+ * @returns {Promise<boolean>} True if the entry was generated
+ */
+async function runJob(job) {
+  const jobPath = getQueuePath('pending', `${job.hash}.json`);
+  const { exitCode, output } = await runGeneration(job.hash);
+
+  if (exitCode === 0) {
+    fs.rmSync(jobPath, { force: true });
+    return true;
+  }
+
+  const attempts = job.attempts + 1;
+  const gaveUp = attempts >= MAX_ATTEMPTS;
+  const updated = {
+    ...job,
+    attempts,
+    lastError: output.trim().split('\n').slice(-5).join('\n'),
+    lastAttemptAt: new Date().toISOString(),
+    nextAttemptAt: new Date(Date.now() + BASE_RETRY_DELAY_MS * 2 ** (attempts - 1)).toISOString()
+  };
+
+  if (gaveUp) {
+    writeJob(getQueuePath('failed', `${job.hash}.json`), { ...updated, nextAttemptAt: null });
+    fs.rmSync(jobPath, { force: true });
+  } else {
+    writeJob(jobPath, updated);
+  }
+
+  logFailure(updated, output || `exit code ${exitCode}`, gaveUp);
+  return false;
+}
+
+/**
+ * Drain the queue: run due jobs oldest first, leaving retries that are due later
+ * for the next worker. Returns immediately when another worker already holds the lock.
+ * @returns {Promise<{worker: boolean, generated: number, failedAttempts: number, gaveUp: number}>} Drain result
+ */
+export async function drainQueue() {
+  return await tracer.startActiveSpan(OTEL.span.queue.drain(), {
+    attributes: {
+      'code.function': 'drainQueue'
+    }
+  }, async (span) => {
+    const logger = createNarrativeLogger('queue.drain');
+    const startTime = Date.now();
+    const result = { worker: false, generated: 0, failedAttempts: 0, gaveUp: 0 };
+
+    try {
+      // A job enqueued just as a worker releases the lock would otherwise wait for
+      // the next commit, so re-check the queue after releasing
+      while (readJobs('pending').some(isDue) && acquireWorkerLock()) {
+        result.worker = true;
+        try {
+          let due = readJobs('pending').filter(isDue);
+          logger.start('queue drain', `Draining ${due.length} due jobs`);
+
+          while (due.length > 0) {
+            if (await runJob(due[0])) {
+              result.generated++;
+              logger.progress('queue drain', `Generated entry for ${due[0].hash.slice(0, 8)}`);
+            } else {
+              result.failedAttempts++;
+              if (due[0].attempts + 1 >= MAX_ATTEMPTS) {
+                result.gaveUp++;
+              }
+              logger.progress('queue drain', `Attempt ${due[0].attempts + 1}/${MAX_ATTEMPTS} failed for ${due[0].hash.slice(0, 8)}`);
+            }
+
+            due = readJobs('pending').filter(isDue);
+          }
+
+          const waiting = readJobs('pending').length;
+          if (waiting > 0) {
+            logger.decision('queue drain', `${waiting} jobs wait for a retry - the next worker runs them`);
+          }
+        } finally {
+          releaseWorkerLock();
+        }
+      }
+
+      const attrs = OTEL.attrs.queue({
+        worker: result.worker,
+        generated: result.generated,
+        failedAttempts: result.failedAttempts,
+        gaveUp: result.gaveUp,
+        drainDuration: Date.now() - startTime
+      });
+      span.setAttributes(attrs);
+
+      Object.entries(attrs).forEach(([name, value]) => {
+        if (typeof value === 'number') {
+          OTEL.metrics.histogram(name, value);
+        } else if (typeof value === 'boolean') {
+          OTEL.metrics.gauge(name, value ? 1 : 0);
+        }
+      });
+      OTEL.metrics.counter('commit_story.queue.jobs_failed_total', result.gaveUp);
+
+      logger.complete('queue drain', result.worker
+        ? `Generated ${result.generated} entries, ${result.failedAttempts} failed attempts, ${result.gaveUp} jobs gave up`
+        : 'No jobs due, or another worker is draining the queue');
+
+      span.setStatus({ code: SpanStatusCode.OK, message: 'Queue drained' });
+      return result;
+
+    } catch (error) {
+      span.recordException(error);
+      span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+      logger.error('queue drain', 'Queue drain failed', error);
+      throw error;
+    } finally {
+      span.end();
+    }
+  });
+}
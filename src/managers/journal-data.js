@@ -0,0 +1,287 @@
+/**
+ * Journal Data Sidecar
+ *
+ * Every markdown entry has a machine-readable twin in
+ * journal/data/YYYY-MM/YYYY-MM-DD.jsonl - one JSON record per line, one line per
+ * commit, in commit-time order. Dashboards and scripts read these records instead
+ * of parsing the markdown.
+ *
+ * Record fields:
+ *   version        Record format version (RECORD_VERSION)
+ *   hash           Full commit hash
+ *   timestamp      Commit time (ISO 8601)
+ *   message        Commit subject
+ *   branch         Branch the commit was made on (null if unknown)
+ *   gitOnly        True for entries generated without chat
+ *   sections       { summary, dialogue, technicalDecisions, commitDetails } as written to markdown
+ *   reflections    [{ timestamp, time, text }] included in the entry
+ *   filesChanged   Paths changed by the commit (.commitstoryignore paths left out)
+ *   linesChanged   Lines added plus removed
+ *   chat           Chat statistics (calculateChatMetadata)
+ *   generation     Per AI section: { provider, model, prompt_tokens, completion_tokens }
+ *   tokenUsage     { prompt_tokens, completion_tokens } summed over the sections
+ *   generatedAt    When the entry was generated (ISO 8601)
+ *
+ * The markdown file stays the source of truth: records are written, renamed and
+ * removed together with their entries by journal-manager.js.
+ */
+
+import { promises as fs } from 'fs';
+import fsSync from 'fs';
+import { trace, SpanStatusCode } from '@opentelemetry/api';
+import { OTEL } from '../telemetry/standards.js';
+import { createNarrativeLogger } from '../utils/trace-logger.js';
+import { generateJournalPath, ensureJournalDirectory } from '../utils/journal-paths.js';
+import { withFileLock } from '../utils/file-lock.js';
+
+// Get tracer instance for manual instrumentation
+const tracer = trace.getTracer('commit-story', '1.0.0');
+
+export const RECORD_VERSION = 1;
+
+/**
+ * Get the sidecar file path for a day
+ * @param {Date} date - Day of the entries
+ * @returns {string} journal/data/YYYY-MM/YYYY-MM-DD.jsonl path
+ */
+export function getJournalDataPath(date) {
+  return generateJournalPath('data', date).replace(/\.md$/, '.jsonl');
+}
+
+/**
+ * Check whether a record belongs to a commit (full or short hash)
+ * @param {Object} record - Sidecar record
+ * @param {string} commitHash - Full or short commit hash
+ * @returns {boolean} True if the hashes match
+ */
+function matchesHash(record, commitHash) {
+  return record.hash.startsWith(commitHash) || commitHash.startsWith(record.hash);
+}
+
+/**
+ * Parse a sidecar file, skipping lines that aren't valid JSON records
+ * @param {string} filePath - Sidecar file path
+ * @returns {Promise<Array<Object>>} Records in file order (empty when the file doesn't exist)
+ */
+async function readRecordFile(filePath) {
+  let content;
+  try {
+    content = await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  return content.split('\n').flatMap(line => {
+    if (!line.trim()) return [];
+    try {
+      const record = JSON.parse(line);
+      return typeof record?.hash === 'string' ? [record] : [];
+    } catch (error) {
+      // A partially written line is dropped on the next rewrite of the file
+      return [];
+    }
+  });
+}
+
+/**
+ * Write records back in commit-time order, deleting the file when none remain
+ * @param {string} filePath - Sidecar file path
+ * @param {Array<Object>} records - Records to write
+ */
+async function writeRecordFile(filePath, records) {
+  if (records.length === 0) {
+    await fs.rm(filePath, { force: true });
+    return;
+  }
+
+  const sorted = [...records].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  await ensureJournalDirectory(filePath);
+  await fs.writeFile(filePath, sorted.map(record => JSON.stringify(record)).join('\n') + '\n', 'utf8');
+}
+
+/**
+ * Read the sidecar records for a day
+ * @param {Date} date - Day to read
+ * @returns {Promise<Array<Object>>} Records in commit-time order
+ */
+export async function readEntryRecords(date) {
+  return readRecordFile(getJournalDataPath(date));
+}
+
+/**
+ * Build the sidecar record for an entry
+ *
+ * @param {string} commitHash - Git commit hash
+ * @param {string|Date} timestamp - Commit timestamp
+ * @param {string} commitMessage - Commit message
+ * @param {Object} sections - Sections from generateJournalEntry (with sections.metadata)
+ * @param {Array} reflections - Reflections included in the entry (discoverReflections)
+ * @returns {Object} Sidecar record
+ */
+export function buildEntryRecord(commitHash, timestamp, commitMessage, sections, reflections = []) {
+  const metadata = sections.metadata || {};
+  const generation = metadata.generation || {};
+  const tokenUsage = Object.values(generation).reduce((totals, section) => ({
+    prompt_tokens: totals.prompt_tokens + (section.prompt_tokens || 0),
+    completion_tokens: totals.completion_tokens + (section.completion_tokens || 0)
+  }), { prompt_tokens: 0, completion_tokens: 0 });
+
+  return {
+    version: RECORD_VERSION,
+    hash: commitHash,
+    timestamp: new Date(timestamp).toISOString(),
+    message: commitMessage?.split('\n')[0] || null,
+    branch: metadata.branch ?? null,
+    gitOnly: !!sections.gitOnly,
+    sections: {
+      summary: sections.summary,
+      dialogue: sections.dialogue,
+      technicalDecisions: sections.technicalDecisions,
+      commitDetails: sections.commitDetails
+    },
+    reflections: reflections.map(reflection => ({
+      timestamp: reflection.timestamp.toISOString(),
+      time: reflection.timeString,
+      text: reflection.content.join('\n')
+    })),
+    filesChanged: metadata.filesChanged || [],
+    linesChanged: metadata.linesChanged ?? null,
+    chat: metadata.chat || null,
+    generation,
+    tokenUsage,
+    generatedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Write an entry's record, replacing any earlier record for the same commit
+ * @param {Object} record - Record from buildEntryRecord
+ * @returns {Promise<string>} Path to the sidecar file
+ */
+export async function saveEntryRecord(record) {
+  return await tracer.startActiveSpan(OTEL.span.journal.save_record(), {
+    attributes: {
+      [`${OTEL.NAMESPACE}.commit.hash`]: record.hash,
+      'code.function': 'saveEntryRecord'
+    }
+  }, async (span) => {
+    const logger = createNarrativeLogger('journal.save_record');
+
+    try {
+      const filePath = getJournalDataPath(new Date(record.timestamp));
+
+      const recordCount = await withFileLock(filePath, async () => {
+        const records = (await readRecordFile(filePath)).filter(existing => !matchesHash(existing, record.hash));
+        records.push(record);
+        await writeRecordFile(filePath, records);
+        return records.length;
+      });
+
+      const attrs = OTEL.attrs.journal.record({
+        filePath,
+        recordSize: JSON.stringify(record).length,
+        recordCount
+      });
+      span.setAttributes(attrs);
+      OTEL.metrics.gauge('commit_story.journal.record_size', attrs[`${OTEL.NAMESPACE}.journal.record_size`]);
+
+      logger.complete('journal record save', `Saved JSON record for ${record.hash.slice(0, 8)} (${recordCount} in file)`);
+      span.setStatus({ code: SpanStatusCode.OK, message: 'Journal record saved' });
+      return filePath;
+
+    } catch (error) {
+      span.recordException(error);
+      span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+      logger.error('journal record save', 'Failed to save journal record', error, {
+        commitHash: record.hash.slice(0, 8)
+      });
+      throw error;
+    } finally {
+      span.end();
+    }
+  });
+}
+
+/**
+ * Point a commit's record at its rewritten commit (amend, rebase), moving it to
+ * the new commit's day file when the date changed
+ *
+ * @param {string} oldHash - Hash of the commit before the rewrite
+ * @param {Date|string} oldTimestamp - Old commit timestamp (selects the day file)
+ * @param {Object} newCommit - Commit after the rewrite ({hash, timestamp, message})
+ * @param {boolean} dropOnly - Only remove the old record (the new commit already has one)
+ * @returns {Promise<boolean>} True if a record was found
+ */
+export async function rewriteEntryRecord(oldHash, oldTimestamp, newCommit, dropOnly = false) {
+  const oldPath = getJournalDataPath(new Date(oldTimestamp));
+  const newPath = getJournalDataPath(new Date(newCommit.timestamp));
+
+  if (!fsSync.existsSync(oldPath)) {
+    return false;
+  }
+
+  let moved = null;
+  const found = await withFileLock(oldPath, async () => {
+    const records = await readRecordFile(oldPath);
+    const record = records.find(existing => matchesHash(existing, oldHash));
+    if (!record) {
+      return false;
+    }
+
+    const remaining = records.filter(existing => existing !== record);
+    if (dropOnly) {
+      await writeRecordFile(oldPath, remaining);
+      return true;
+    }
+
+    const renamed = {
+      ...record,
+      hash: newCommit.hash,
+      timestamp: new Date(newCommit.timestamp).toISOString(),
+      message: newCommit.message,
+      sections: {
+        ...record.sections,
+        commitDetails: record.sections?.commitDetails?.replace(/^\*\*Message\*\*: ".*"$/m, () => `**Message**: "${newCommit.message}"`)
+      }
+    };
+    if (newPath === oldPath) {
+      await writeRecordFile(oldPath, [...remaining, renamed]);
+    } else {
+      await writeRecordFile(oldPath, remaining);
+      moved = renamed;
+    }
+    return true;
+  });
+
+  // The new day file is locked separately, after the old one is released
+  if (moved) {
+    await saveEntryRecord(moved);
+  }
+  return found;
+}
+
+/**
+ * Remove a commit's record
+ * @param {string} commitHash - Git commit hash
+ * @param {Date|string} timestamp - Commit timestamp (selects the day file)
+ * @returns {Promise<boolean>} True if a record was removed
+ */
+export async function removeEntryRecord(commitHash, timestamp) {
+  const filePath = getJournalDataPath(new Date(timestamp));
+  if (!fsSync.existsSync(filePath)) {
+    return false;
+  }
+
+  return await withFileLock(filePath, async () => {
+    const records = await readRecordFile(filePath);
+    const remaining = records.filter(existing => !matchesHash(existing, commitHash));
+    if (remaining.length === records.length) {
+      return false;
+    }
+    await writeRecordFile(filePath, remaining);
+    return true;
+  });
+}
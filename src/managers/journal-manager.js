@@ -4,6 +4,9 @@ import { trace, SpanStatusCode } from '@opentelemetry/api';
 import { OTEL } from '../telemetry/standards.js';
 import { createNarrativeLogger } from '../utils/trace-logger.js';
 import { generateJournalPath, ensureJournalDirectory, getTimezonedTimestamp } from '../utils/journal-paths.js';
+import { withFileLock } from '../utils/file-lock.js';
+import { buildEntryRecord, saveEntryRecord, rewriteEntryRecord, removeEntryRecord } from './journal-data.js';
+import { resolveEntryTimestamp } from './journal-parser.js';
 
 // Get tracer instance for manual instrumentation
 const tracer = trace.getTracer('commit-story', '1.0.0');
@@ -22,14 +25,126 @@ try {
 
 // Timestamp header regex: "## HH:MM:SS AM/PM ZZZ[±HH[:MM]|±HHMM]"
 // Supports standard timezones (EDT, BST) and offset formats (GMT+1, UTC+05:30, UTC+0530)
+// Context captures may append " - Session: <id>"
 const REFLECTION_HEADER_RE =
-  /^## (\d{1,2}:\d{2}:\d{2} (?:AM|PM) [A-Z]{2,5}(?:[+-]\d{1,2}(?::?\d{2})?)?)$/i;
+  /^## (\d{1,2}:\d{2}:\d{2} (?:AM|PM) [A-Z]{2,5}(?:[+-]\d{1,2}(?::?\d{2})?)?)(?: - Session: \S+)?$/i;
+
+// Entry header regex: "## 9:46:42 AM CDT - Commit: 1502704e - message" (message optional)
+const ENTRY_HEADER_RE = /^## .+? - Commit:? ([0-9a-f]{7,40})\b.*$/gm;
+
+// Marker line written under the header of entries generated without any chat (git-only mode)
+export const GIT_ONLY_MARKER = '*Git-only entry: generated from the diff, commit message and reflections - no AI assistant conversation was found for this commit.*';
 
 /**
  * Journal File Management System
  * Handles saving journal entries to daily markdown files with monthly directory organization
  */
 
+/**
+ * Split a daily journal file into entry blocks
+ * A block runs from its "## ... - Commit: <hash>" header up to the next entry header (or EOF),
+ * so it includes its trailing separator and blank lines.
+ * @param {string} content - Daily file content
+ * @returns {Array<{hash: string, start: number, end: number}>} Entry blocks in file order
+ */
+function splitJournalEntries(content) {
+  const headers = [...content.matchAll(ENTRY_HEADER_RE)];
+  return headers.map((match, index) => ({
+    hash: match[1],
+    start: match.index,
+    end: index + 1 < headers.length ? headers[index + 1].index : content.length
+  }));
+}
+
+/**
+ * Find the block for a commit in a daily file's content
+ * Headers store the 8-character short hash, so matching is by prefix.
+ * @param {string} content - Daily file content
+ * @param {string} commitHash - Full or short commit hash
+ * @returns {{hash: string, start: number, end: number}|undefined} Matching block
+ */
+function findEntryBlock(content, commitHash) {
+  return splitJournalEntries(content).find(block =>
+    commitHash.startsWith(block.hash) || block.hash.startsWith(commitHash)
+  );
+}
+
+/**
+ * Insert a formatted entry into a daily file in commit-time order
+ * Entries normally arrive in order and are appended; an entry for an earlier commit
+ * that finished generating late goes before the first entry with a later time.
+ * Headers whose time can't be read are left where they are and never block the insert.
+ * @param {string|null} content - Daily file content (null when the file doesn't exist)
+ * @param {string} formattedEntry - Entry from formatJournalEntry
+ * @param {Date} commitTime - Commit timestamp of the new entry
+ * @returns {{content: string, position: string}} New content, and 'append' or 'insert'
+ */
+function insertEntryBlock(content, formattedEntry, commitTime) {
+  if (content === null) {
+    return { content: formattedEntry, position: 'append' };
+  }
+
+  const later = splitJournalEntries(content).find(block => {
+    const header = content.slice(block.start, block.end).match(/^## (.+?) - Commit:?/);
+    // Tolerant of legacy "YYYY-MM-DD HH:MM:SS" headers; unreadable times don't stop the save
+    const entryTime = header ? resolveEntryTimestamp(header[1], commitTime) : null;
+    return entryTime && entryTime.getTime() > commitTime.getTime();
+  });
+
+  if (!later) {
+    return { content: content + formattedEntry, position: 'append' };
+  }
+
+  // Same spacing as consecutive appends: separator, blank lines, next header
+  return {
+    content: content.slice(0, later.start) + formattedEntry.trim() + '\n\n\n\n' + content.slice(later.start),
+    position: 'insert'
+  };
+}
+
+/**
+ * Read the entries in a day's journal file
+ * @param {Date} date - Day to read
+ * @returns {Promise<Array<{hash: string, time: string, message: string|null, content: string}>>}
+ *   Entries in file order (empty when the day has no file)
+ */
+export async function listJournalEntries(date) {
+  const content = await readJournalFile(generateJournalPath('entries', date));
+  if (content === null) {
+    return [];
+  }
+
+  return splitJournalEntries(content).map(block => {
+    const text = content.slice(block.start, block.end).trim();
+    const header = text.split('\n')[0].match(/^## (.+?) - Commit:? [0-9a-f]{7,40}(?: - (.*))?$/);
+    return {
+      hash: block.hash,
+      time: header?.[1] || null,
+      message: header?.[2] || null,
+      content: text.replace(/\n*═+\s*$/, '')
+    };
+  });
+}
+
+/**
+ * Check whether a journal entry already exists for a commit
+ * @param {string} commitHash - Git commit hash
+ * @param {Date|string} timestamp - Commit timestamp (selects the daily file)
+ * @returns {Promise<boolean>} True if the commit's daily file already contains its entry
+ */
+export async function journalEntryExists(commitHash, timestamp) {
+  const filePath = generateJournalPath('entries', new Date(timestamp));
+  try {
+    const content = await fs.readFile(filePath, 'utf8');
+    return findEntryBlock(content, commitHash) !== undefined;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return false;
+    }
+    throw error;
+  }
+}
+
 /**
  * Saves a journal entry to the appropriate daily file
  * @param {string} commitHash - Git commit hash
@@ -41,9 +156,13 @@ const REFLECTION_HEADER_RE =
  * @param {string} sections.technicalDecisions - Generated technical decisions content
  * @param {string} sections.commitDetails - Generated commit details content
  * @param {Date|null} previousCommitTime - Previous commit timestamp for reflection window calculation
+ * @param {Object} [options] - Save options
+ * @param {boolean} [options.regenerate=false] - Replace an existing entry for this commit in place
+ *   (default: leave the existing entry untouched and skip the write)
  * @returns {Promise<string>} - Path to the file where entry was saved
  */
-export async function saveJournalEntry(commitHash, timestamp, commitMessage, sections, previousCommitTime = null) {
+export async function saveJournalEntry(commitHash, timestamp, commitMessage, sections, previousCommitTime = null, options = {}) {
+  const { regenerate = false } = options;
   return await tracer.startActiveSpan(OTEL.span.journal.save(), {
     attributes: {
       [`${OTEL.NAMESPACE}.commit.hash`]: commitHash,
@@ -67,28 +186,85 @@ export async function saveJournalEntry(commitHash, timestamp, commitMessage, sec
 
       logger.progress('journal entry save', `Target file: ${monthDir}/${fileName}`);
 
-      // Discover reflections within commit development window
-      const reflections = await discoverReflections(date, previousCommitTime);
-      logger.progress('journal entry save', `Found ${reflections.length} reflections for commit window`);
-
-      // Format entry for file or stdout
-      const formattedEntry = formatJournalEntry(timestamp, commitHash, commitMessage, sections, reflections);
-
       // Create directory structure if it doesn't exist using extracted utility
       const dirCreated = await ensureJournalDirectory(filePath);
 
-      const entrySizeKB = Math.round(formattedEntry.length / 1024);
-      logger.progress('journal entry save', `Writing ${entrySizeKB}KB journal entry to daily file`);
+      // Read, check and write under the file lock so concurrent hooks can't interleave
+      const saved = await withFileLock(filePath, async () => {
+        // Entries are keyed by commit hash: never write a second block for the same commit
+        const existingContent = await readJournalFile(filePath);
+        const existingBlock = existingContent !== null ? findEntryBlock(existingContent, commitHash) : undefined;
+
+        if (existingBlock && !regenerate) {
+          return { writeMode: 'skip', entrySize: 0 };
+        }
+
+        // Discover reflections within commit development window
+        const reflections = await discoverReflections(date, previousCommitTime);
+        logger.progress('journal entry save', `Found ${reflections.length} reflections for commit window`);
+
+        // Format entry for file or stdout
+        const formattedEntry = formatJournalEntry(timestamp, commitHash, commitMessage, sections, reflections);
+
+        const entrySizeKB = Math.round(formattedEntry.length / 1024);
+        logger.progress('journal entry save', `Writing ${entrySizeKB}KB journal entry to daily file`);
+
+        if (existingBlock) {
+          // Replace the old block in place so the day file stays in chronological order.
+          // Keep the old block's trailing blank lines (they separate it from the next entry).
+          const oldBlock = existingContent.slice(existingBlock.start, existingBlock.end);
+          const trailingWhitespace = oldBlock.match(/\s*$/)[0];
+          const updatedContent = existingContent.slice(0, existingBlock.start) +
+            formattedEntry.trim() + trailingWhitespace +
+            existingContent.slice(existingBlock.end);
+
+          await fs.writeFile(filePath, updatedContent, 'utf8');
+          logger.progress('journal entry save', `Replaced existing entry for ${commitHash.slice(0, 8)}`);
+          return { writeMode: 'replace', entrySize: formattedEntry.length, reflections };
+        }
 
-      // Append to daily file
-      await fs.appendFile(filePath, formattedEntry, 'utf8');
+        // Generations can finish out of order: place the entry by commit time
+        const { content: updatedContent, position } = insertEntryBlock(existingContent, formattedEntry, date);
+        await fs.writeFile(filePath, updatedContent, 'utf8');
+        if (position === 'insert') {
+          logger.decision('journal entry save', `Inserted entry for ${commitHash.slice(0, 8)} before later commits`);
+        }
+        return { writeMode: position, entrySize: formattedEntry.length, reflections };
+      });
+
+      if (saved.writeMode === 'skip') {
+        logger.decision('journal entry save', `Entry for ${commitHash.slice(0, 8)} already exists in ${fileName} - skipping (use --regenerate to replace)`);
+
+        span.setAttributes(OTEL.attrs.journal.save({
+          filePath,
+          entrySize: 0,
+          dirCreated,
+          writeDuration: Date.now() - startTime,
+          writeMode: 'skip'
+        }));
+        OTEL.metrics.counter('commit_story.journal.entries_skipped_total', 1);
+
+        span.setStatus({ code: SpanStatusCode.OK, message: 'Journal entry already exists - skipped' });
+        return filePath;
+      }
+
+      // Machine-readable twin of the entry; the markdown entry is already saved, so a
+      // failure here is logged rather than failing the commit's journal
+      try {
+        await saveEntryRecord(buildEntryRecord(commitHash, timestamp, commitMessage, sections, saved.reflections));
+      } catch (error) {
+        if (isDebugMode) {
+          console.error(`⚠️  Failed to write journal data record: ${error.message}`);
+        }
+      }
 
       // Record successful save metrics
       const saveData = {
         filePath: filePath,
-        entrySize: formattedEntry.length,
+        entrySize: saved.entrySize,
         dirCreated: dirCreated,
-        writeDuration: Date.now() - startTime
+        writeDuration: Date.now() - startTime,
+        writeMode: saved.writeMode
       };
       span.setAttributes(OTEL.attrs.journal.save(saveData));
 
@@ -108,7 +284,8 @@ export async function saveJournalEntry(commitHash, timestamp, commitMessage, sec
         filePath: 'stdout (file write failed)',
         entrySize: 0,
         dirCreated: false,
-        writeDuration: Date.now() - startTime
+        writeDuration: Date.now() - startTime,
+        writeMode: 'failed'
       });
       span.setAttributes(errorAttrs);
 
@@ -139,6 +316,215 @@ export async function saveJournalEntry(commitHash, timestamp, commitMessage, sec
   });
 }
 
+/**
+ * Read a daily journal file, treating a missing file as empty
+ * @param {string} filePath - Daily file path
+ * @returns {Promise<string|null>} File content, or null if the file doesn't exist
+ */
+async function readJournalFile(filePath) {
+  try {
+    return await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Write a daily journal file, deleting it when no entries remain
+ * @param {string} filePath - Daily file path
+ * @param {string} content - New file content
+ */
+async function writeJournalFile(filePath, content) {
+  if (content.trim().length === 0) {
+    await fs.unlink(filePath);
+  } else {
+    await fs.writeFile(filePath, content, 'utf8');
+  }
+}
+
+/**
+ * Point an entry block at a rewritten commit
+ * Updates the entry header (hash and message), the per-section "### ... - <hash>"
+ * headers and the Commit Details message. Generated prose is left untouched.
+ * @param {string} block - Entry block text
+ * @param {string} oldShortHash - Hash as stored in the block's headers
+ * @param {Object} newCommit - Rewritten commit
+ * @param {string} newCommit.hash - New commit hash
+ * @param {string} newCommit.message - New commit subject
+ * @returns {string} Updated block
+ */
+function renameEntryBlock(block, oldShortHash, newCommit) {
+  const newShortHash = newCommit.hash.substring(0, 8);
+  return block
+    .replace(/^(## .+? - Commit:? )[0-9a-f]{7,40}\b.*$/m, (match, prefix) => `${prefix}${newShortHash} - ${newCommit.message}`)
+    .replace(new RegExp(`^(### .+ - )${oldShortHash}$`, 'gm'), (match, prefix) => `${prefix}${newShortHash}`)
+    .replace(/^\*\*Message\*\*: ".*"$/m, () => `**Message**: "${newCommit.message}"`);
+}
+
+/**
+ * Move an existing journal entry to a rewritten commit (amend, rebase)
+ *
+ * The entry is renamed in place. If the rewritten commit's date differs, it is
+ * moved to that day's file. If the new commit already has its own entry, the
+ * old one is dropped instead so the commit never ends up with two.
+ *
+ * @param {string} oldHash - Hash of the commit before the rewrite
+ * @param {Date|string} oldTimestamp - Old commit timestamp (selects the daily file)
+ * @param {Object} newCommit - Commit after the rewrite
+ * @param {string} newCommit.hash - New commit hash
+ * @param {Date|string} newCommit.timestamp - New commit timestamp
+ * @param {string} newCommit.message - New commit subject
+ * @returns {Promise<string>} Outcome: 'renamed', 'moved', 'duplicate_removed' or 'not_found'
+ */
+export async function rewriteJournalEntry(oldHash, oldTimestamp, newCommit) {
+  return await tracer.startActiveSpan(OTEL.span.journal.rewrite(), {
+    attributes: {
+      [`${OTEL.NAMESPACE}.rewrite.old_hash`]: oldHash,
+      [`${OTEL.NAMESPACE}.commit.hash`]: newCommit.hash,
+      'code.function': 'rewriteJournalEntry'
+    }
+  }, async (span) => {
+    const logger = createNarrativeLogger('journal.rewrite_entry');
+    const startTime = Date.now();
+
+    try {
+      logger.start('journal entry rewrite', `Rewriting entry ${oldHash.slice(0, 8)} -> ${newCommit.hash.slice(0, 8)}`);
+
+      const oldPath = generateJournalPath('entries', new Date(oldTimestamp));
+      const newPath = generateJournalPath('entries', new Date(newCommit.timestamp));
+
+      // Lock both daily files (in a fixed order, so two rewrites can't deadlock)
+      const [firstPath, secondPath] = [oldPath, newPath].sort();
+      const lockBoth = async (fn) => withFileLock(firstPath, () =>
+        secondPath === firstPath ? fn() : withFileLock(secondPath, fn)
+      );
+
+      // Without an old daily file there is no entry to rewrite (and no directory to lock in)
+      const withLocks = fsSync.existsSync(oldPath) ? lockBoth : (fn) => fn();
+
+      const outcome = await withLocks(async () => {
+        const oldContent = await readJournalFile(oldPath);
+        const oldBlock = oldContent !== null ? findEntryBlock(oldContent, oldHash) : undefined;
+
+        if (!oldBlock) {
+          logger.decision('journal entry rewrite', `No entry found for ${oldHash.slice(0, 8)} - nothing to rewrite`);
+          return 'not_found';
+        }
+
+        const withoutOld = oldContent.slice(0, oldBlock.start) + oldContent.slice(oldBlock.end);
+        const newContent = newPath === oldPath ? oldContent : await readJournalFile(newPath);
+        const renamedBlock = renameEntryBlock(oldContent.slice(oldBlock.start, oldBlock.end), oldBlock.hash, newCommit);
+
+        let result;
+        if (newContent !== null && findEntryBlock(newContent, newCommit.hash)) {
+          // The rewritten commit was already journaled - the old entry is now a duplicate
+          await writeJournalFile(oldPath, withoutOld);
+          result = 'duplicate_removed';
+        } else if (newPath === oldPath) {
+          await fs.writeFile(oldPath, oldContent.slice(0, oldBlock.start) + renamedBlock + oldContent.slice(oldBlock.end), 'utf8');
+          result = 'renamed';
+        } else {
+          await ensureJournalDirectory(newPath);
+          const { content } = insertEntryBlock(newContent, `\n\n${renamedBlock.trim()}\n\n`, new Date(newCommit.timestamp));
+          await fs.writeFile(newPath, content, 'utf8');
+          await writeJournalFile(oldPath, withoutOld);
+          result = 'moved';
+        }
+        logger.decision('journal entry rewrite', `Entry ${oldHash.slice(0, 8)} ${result.replace('_', ' ')}`);
+        return result;
+      });
+
+      // Keep the JSON sidecar in step with the markdown
+      if (outcome !== 'not_found') {
+        await rewriteEntryRecord(oldHash, oldTimestamp, newCommit, outcome === 'duplicate_removed');
+      }
+
+      const attrs = OTEL.attrs.journal.rewrite({
+        outcome,
+        filePath: newPath,
+        fileMoved: outcome === 'moved',
+        rewriteDuration: Date.now() - startTime
+      });
+      span.setAttributes(attrs);
+      OTEL.metrics.histogram('commit_story.journal.rewrite_duration_ms', attrs[`${OTEL.NAMESPACE}.journal.rewrite_duration_ms`]);
+      OTEL.metrics.counter('commit_story.journal.entries_rewritten_total', 1, {
+        'commit_story.journal.rewrite_outcome': outcome
+      });
+
+      logger.complete('journal entry rewrite', `Rewrite finished: ${outcome}`);
+      span.setStatus({ code: SpanStatusCode.OK, message: `Journal entry rewrite: ${outcome}` });
+      return outcome;
+
+    } catch (error) {
+      span.recordException(error);
+      span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+      logger.error('journal entry rewrite', 'Failed to rewrite journal entry', error, {
+        oldHash: oldHash.slice(0, 8),
+        newHash: newCommit.hash.slice(0, 8)
+      });
+      throw error;
+    } finally {
+      span.end();
+    }
+  });
+}
+
+/**
+ * Remove a commit's entry from its daily file (e.g. after it was squashed away)
+ * @param {string} commitHash - Git commit hash
+ * @param {Date|string} timestamp - Commit timestamp (selects the daily file)
+ * @returns {Promise<boolean>} True if an entry was removed
+ */
+export async function removeJournalEntry(commitHash, timestamp) {
+  return await tracer.startActiveSpan(OTEL.span.journal.remove(), {
+    attributes: {
+      [`${OTEL.NAMESPACE}.commit.hash`]: commitHash,
+      'code.function': 'removeJournalEntry'
+    }
+  }, async (span) => {
+    const logger = createNarrativeLogger('journal.remove_entry');
+
+    try {
+      const filePath = generateJournalPath('entries', new Date(timestamp));
+      // No daily file means nothing to remove (and no directory to lock in)
+      const block = !fsSync.existsSync(filePath) ? undefined : await withFileLock(filePath, async () => {
+        const content = await readJournalFile(filePath);
+        const found = content !== null ? findEntryBlock(content, commitHash) : undefined;
+        if (found) {
+          await writeJournalFile(filePath, content.slice(0, found.start) + content.slice(found.end));
+        }
+        return found;
+      });
+
+      if (block) {
+        await removeEntryRecord(commitHash, timestamp);
+        OTEL.metrics.counter('commit_story.journal.entries_removed_total', 1);
+        logger.decision('journal entry removal', `Removed entry for ${commitHash.slice(0, 8)}`);
+      }
+
+      span.setAttributes({
+        [`${OTEL.NAMESPACE}.journal.file_path`]: filePath,
+        [`${OTEL.NAMESPACE}.journal.entry_removed`]: !!block
+      });
+      span.setStatus({ code: SpanStatusCode.OK, message: block ? 'Journal entry removed' : 'No journal entry to remove' });
+      return !!block;
+
+    } catch (error) {
+      span.recordException(error);
+      span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+      logger.error('journal entry removal', 'Failed to remove journal entry', error, {
+        commitHash: commitHash.slice(0, 8)
+      });
+      throw error;
+    } finally {
+      span.end();
+    }
+  });
+}
+
 /**
  * Formats the complete journal entry
  * Uses time-only headers since date is provided by filename context
@@ -179,6 +565,11 @@ function formatJournalEntry(timestamp, commitHash, commitMessage, sections, refl
       // Time-only header with commit label and message
       entry += `## ${timeString} - Commit: ${shortHash} - ${commitMessage}\n\n`;
 
+      // Git-only entries are marked so readers know no conversation informed them
+      if (sections.gitOnly) {
+        entry += `${GIT_ONLY_MARKER}\n\n`;
+      }
+
       // Summary section
       entry += `### Summary - ${shortHash}\n\n`;
       entry += sections.summary + '\n\n';
@@ -247,13 +638,15 @@ function formatJournalEntry(timestamp, commitHash, commitMessage, sections, refl
  * Discover reflections within a commit development window
  * @param {Date} commitTime - End time of the commit window
  * @param {Date|null} previousCommitTime - Start time of the commit window (or null for first commit)
+ * @param {string} [type='reflections'] - Journal directory to read ('reflections' or 'context' for context captures)
  * @returns {Promise<Array>} Array of reflection objects with timestamp and content
  */
-export async function discoverReflections(commitTime, previousCommitTime) {
+export async function discoverReflections(commitTime, previousCommitTime, type = 'reflections') {
   return await tracer.startActiveSpan(OTEL.span.journal.discover_reflections(), {
     attributes: {
       [`${OTEL.NAMESPACE}.commit.time`]: commitTime.toISOString(),
       [`${OTEL.NAMESPACE}.commit.previous_time`]: previousCommitTime?.toISOString() || null,
+      [`${OTEL.NAMESPACE}.journal.type`]: type,
       'code.function': 'discoverReflections'
     }
   }, async (span) => {
@@ -281,7 +674,7 @@ export async function discoverReflections(commitTime, previousCommitTime) {
 
       for (let i = 0; i < daysToCheck; i++) {
         const checkDate = new Date(searchStartTime.getTime() + (i * 24 * 60 * 60 * 1000));
-        const reflectionPath = generateJournalPath('reflections', checkDate);
+        const reflectionPath = generateJournalPath(type, checkDate);
 
         filesChecked++;
 
@@ -289,7 +682,7 @@ export async function discoverReflections(commitTime, previousCommitTime) {
           if (fsSync.existsSync(reflectionPath)) {
             filesFound++;
             const content = await fs.readFile(reflectionPath, 'utf8');
-            const reflectionEntries = parseReflectionFile(content, checkDate, searchStartTime, commitTime);
+            const reflectionEntries = parseReflectionFile(content, checkDate, searchStartTime, commitTime, type);
             reflections.push(...reflectionEntries);
 
             if (reflectionEntries.length > 0) {
@@ -347,9 +740,10 @@ export async function discoverReflections(commitTime, previousCommitTime) {
  * @param {Date} fileDate - Date of the reflection file
  * @param {Date} startTime - Start of search window
  * @param {Date} endTime - End of search window
+ * @param {string} [type='reflections'] - Journal directory the file belongs to
  * @returns {Array} Array of reflection objects
  */
-function parseReflectionFile(content, fileDate, startTime, endTime) {
+function parseReflectionFile(content, fileDate, startTime, endTime, type = 'reflections') {
   return tracer.startActiveSpan(OTEL.span.journal.parse_reflection_file(), {
     attributes: {
       [`${OTEL.NAMESPACE}.reflection.file_date`]: fileDate.toISOString(),
@@ -418,7 +812,7 @@ function parseReflectionFile(content, fileDate, startTime, endTime) {
         linesParsed: lines.length,
         entriesExtracted: reflections.length,
         parseDuration: Date.now() - parseStartTime,
-        filePath: generateJournalPath('reflections', fileDate)
+        filePath: generateJournalPath(type, fileDate)
       };
       span.setAttributes(OTEL.attrs.journal.parse(parseData));
 
@@ -577,7 +971,7 @@ function getTimezoneOffset(utcMillis, timeZone) {
  * @param {string} timeString - Time string like "9:36:37 PM EDT"
  * @returns {Date} Full datetime object in UTC
  */
-function parseReflectionTimestamp(fileDate, timeString) {
+export function parseReflectionTimestamp(fileDate, timeString) {
   return tracer.startActiveSpan(OTEL.span.journal.parse_timestamp(), {
     attributes: {
       [`${OTEL.NAMESPACE}.reflection.file_date`]: fileDate.toISOString(),
@@ -0,0 +1,478 @@
+import { promises as fs } from 'fs';
+import { join, basename } from 'path';
+import { trace, SpanStatusCode } from '@opentelemetry/api';
+import { OTEL } from '../telemetry/standards.js';
+import { createNarrativeLogger } from '../utils/trace-logger.js';
+import { getJournalRoot } from '../utils/journal-paths.js';
+import { GIT_ONLY_MARKER, parseReflectionTimestamp } from './journal-manager.js';
+
+// Get tracer instance for manual instrumentation
+const tracer = trace.getTracer('commit-story', '1.0.0');
+
+/**
+ * Journal Parser
+ * Reads daily entry files back into objects. Understands the layout written by
+ * formatJournalEntry:
+ *
+ *   ## 9:46:42 AM CDT - Commit: 1502704e - message
+ *   *Git-only entry: ...*                      (optional marker)
+ *   ### Summary - 1502704e
+ *   ### Development Dialogue - 1502704e
+ *   ### Technical Decisions - 1502704e
+ *   ### Developer Reflections - 1502704e       (only when reflections exist)
+ *   ### Commit Details - 1502704e
+ *   ═══════════════════════════════════════
+ *
+ * and the early 2025-08 layout (`## 2025-08-26 18:35:54 - Commit abc123d`, free-form
+ * body, `---` separator), which comes back with `legacy: true` and only a body.
+ * Headers without a message, sections without the hash suffix and "###" headings
+ * inside generated prose are all tolerated.
+ *
+ * Reflection and context-capture files (journal/reflections, journal/context) are
+ * read as notes: "## 9:36:37 PM EDT[ - Session: <id>]" followed by free text.
+ */
+
+// "## <time> - Commit: <hash> - <message>"; the colon, the message and a hex-only hash are optional
+const ENTRY_HEADER_RE = /^## (.+?) - Commit:? ([0-9a-z]{6,40})(?: - (.*?))?\s*$/i;
+const SECTION_HEADER_RE = /^### (Summary|Development Dialogue|Technical Decisions|Developer Reflections|Commit Details)(?: - [0-9a-z]{6,40})?\s*$/i;
+const SEPARATOR_RE = /^(?:═{3,}|-{3,})\s*$/;
+const LEGACY_TIME_RE = /^(\d{4}-\d{2}-\d{2}) (\d{1,2}:\d{2}(?::\d{2})?)$/;
+const REFLECTION_TIME_RE = /^\*\*(\d{1,2}:\d{2}:\d{2} (?:AM|PM)[^*]*)\*\*\s*$/i;
+const DAILY_FILE_RE = /^(\d{4})-(\d{2})-(\d{2})\.md$/;
+// journal-manager's REFLECTION_HEADER_RE, with the session ID captured
+const NOTE_HEADER_RE = /^## (\d{1,2}:\d{2}:\d{2} (?:AM|PM) [A-Z]{2,5}(?:[+-]\d{1,2}(?::?\d{2})?)?)(?: - Session: (\S+))?\s*$/i;
+
+// Section titles -> entry.sections keys
+const SECTION_KEYS = {
+  'summary': 'summary',
+  'development dialogue': 'dialogue',
+  'technical decisions': 'technicalDecisions',
+  'developer reflections': 'reflections',
+  'commit details': 'commitDetails'
+};
+
+/**
+ * Get the local date a daily file covers from its name
+ * @param {string} filePath - journal/entries/YYYY-MM/YYYY-MM-DD.md
+ * @returns {Date|null} Local midnight of that day, or null for other file names
+ */
+function fileDateFromPath(filePath) {
+  const match = basename(filePath).match(DAILY_FILE_RE);
+  return match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null;
+}
+
+/**
+ * Resolve an entry header's time to a full timestamp
+ * @param {string} time - Header time ("9:46:42 AM CDT" or legacy "2025-08-26 18:35:54")
+ * @param {Date|null} fileDate - Day of the file
+ * @returns {Date|null} Timestamp, or null when it can't be worked out
+ */
+export function resolveEntryTimestamp(time, fileDate) {
+  const legacy = time.match(LEGACY_TIME_RE);
+  if (legacy) {
+    const date = new Date(`${legacy[1]}T${legacy[2]}`);
+    return isNaN(date.getTime()) ? null : date;
+  }
+  if (!fileDate) {
+    return null;
+  }
+  try {
+    const date = parseReflectionTimestamp(fileDate, time);
+    return isNaN(date.getTime()) ? null : date;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Split the Developer Reflections section into individual reflections
+ * @param {string} text - Section text
+ * @returns {Array<{time: string, text: string}>} Reflections in order
+ */
+function parseReflectionsSection(text) {
+  const reflections = [];
+  for (const line of text.split('\n')) {
+    const match = line.match(REFLECTION_TIME_RE);
+    if (match) {
+      reflections.push({ time: match[1].trim(), lines: [] });
+    } else if (reflections.length > 0) {
+      reflections[reflections.length - 1].lines.push(line);
+    }
+  }
+  return reflections.map(({ time, lines }) => ({ time, text: lines.join('\n').trim() }));
+}
+
+/**
+ * Read the structured fields of the Commit Details section
+ * @param {string} text - Section text
+ * @returns {{files: string[], linesChanged: number|null, message: string|null}} Commit details
+ */
+function parseCommitDetails(text) {
+  const files = [];
+  let inFiles = false;
+  for (const line of text.split('\n')) {
+    if (/^\*\*Files Changed\*\*:/.test(line)) {
+      inFiles = true;
+    } else if (inFiles && /^\s*-\s+/.test(line)) {
+      files.push(line.replace(/^\s*-\s+/, '').trim());
+    } else if (line.trim()) {
+      inFiles = false;
+    }
+  }
+
+  const lines = text.match(/^\*\*Lines Changed\*\*:\s*~?(\d+)/m);
+  const message = text.match(/^\*\*Message\*\*:\s*"(.*)"\s*$/m);
+  return {
+    files,
+    linesChanged: lines ? Number(lines[1]) : null,
+    message: message ? message[1] : null
+  };
+}
+
+/**
+ * Parse one entry block (header line through the line before the next header)
+ * @param {string[]} lines - Block lines, header first
+ * @param {Date|null} fileDate - Day of the file
+ * @returns {Object} Parsed entry
+ */
+function parseEntryBlock(lines, fileDate) {
+  const [, time, hash, message] = lines[0].match(ENTRY_HEADER_RE);
+
+  // Drop the trailing separator and blank lines
+  let end = lines.length;
+  while (end > 1 && !lines[end - 1].trim()) end--;
+  if (end > 1 && SEPARATOR_RE.test(lines[end - 1])) end--;
+  const body = lines.slice(1, end);
+
+  const sections = {};
+  let current = null;
+  let gitOnly = false;
+  const preamble = [];
+
+  for (const line of body) {
+    const sectionMatch = line.match(SECTION_HEADER_RE);
+    if (sectionMatch) {
+      current = SECTION_KEYS[sectionMatch[1].toLowerCase()];
+      sections[current] = [];
+    } else if (line.trim() === GIT_ONLY_MARKER) {
+      gitOnly = true;
+    } else if (current) {
+      sections[current].push(line);
+    } else {
+      preamble.push(line);
+    }
+  }
+
+  const sectionText = key => sections[key] ? sections[key].join('\n').trim() : null;
+  const legacy = Object.keys(sections).length === 0;
+  const commitDetails = sectionText('commitDetails');
+
+  return {
+    hash,
+    time: time.trim(),
+    timestamp: resolveEntryTimestamp(time.trim(), fileDate),
+    message: message || null,
+    legacy,
+    gitOnly,
+    sections: {
+      summary: sectionText('summary'),
+      dialogue: sectionText('dialogue'),
+      technicalDecisions: sectionText('technicalDecisions'),
+      commitDetails
+    },
+    reflections: sections.reflections ? parseReflectionsSection(sections.reflections.join('\n')) : [],
+    details: commitDetails !== null ? parseCommitDetails(commitDetails) : null,
+    // Legacy entries have no sections - their whole text is the body
+    body: (legacy ? body : preamble).join('\n').trim()
+  };
+}
+
+/**
+ * Parse the text of a daily entry file
+ *
+ * @param {string} content - File content
+ * @param {Date|null} [fileDate=null] - Day the file covers (resolves "9:46:42 AM CDT" headers to timestamps)
+ * @returns {Array<Object>} Entries in file order, each with:
+ *   hash, time, timestamp (Date|null), message, legacy, gitOnly,
+ *   sections {summary, dialogue, technicalDecisions, commitDetails} (null when absent),
+ *   reflections [{time, text}], details {files, linesChanged, message} (null when absent), body
+ */
+export function parseJournalContent(content, fileDate = null) {
+  const lines = content.split('\n');
+  const entries = [];
+  let block = null;
+
+  for (const line of lines) {
+    if (ENTRY_HEADER_RE.test(line)) {
+      if (block) entries.push(parseEntryBlock(block, fileDate));
+      block = [line];
+    } else if (block) {
+      block.push(line);
+    }
+  }
+  if (block) entries.push(parseEntryBlock(block, fileDate));
+
+  return entries;
+}
+
+/**
+ * Parse a daily entry file
+ *
+ * @param {string} filePath - Path to journal/entries/YYYY-MM/YYYY-MM-DD.md
+ * @returns {Promise<Array<Object>>} Entries in file order (see parseJournalContent), each
+ *   with its date ("YYYY-MM-DD", from the file name) and filePath
+ */
+export async function parseJournalFile(filePath) {
+  return await tracer.startActiveSpan(OTEL.span.journal.parse_file(), {
+    attributes: {
+      'code.filepath': filePath,
+      'code.function': 'parseJournalFile'
+    }
+  }, async (span) => {
+    const logger = createNarrativeLogger('journal.parse_file');
+
+    try {
+      const content = await fs.readFile(filePath, 'utf8');
+      const fileDate = fileDateFromPath(filePath);
+      const date = basename(filePath).replace(/\.md$/, '');
+      const entries = parseJournalContent(content, fileDate).map(entry => ({ ...entry, date, filePath }));
+
+      const attrs = OTEL.attrs.journal.parse({
+        entries: entries.length,
+        legacyEntries: entries.filter(entry => entry.legacy).length
+      });
+      span.setAttributes(attrs);
+
+      logger.complete('journal file parsing', `Parsed ${entries.length} entries from ${basename(filePath)}`);
+      span.setStatus({ code: SpanStatusCode.OK, message: 'Journal file parsed' });
+      return entries;
+
+    } catch (error) {
+      span.recordException(error);
+      span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+      logger.error('journal file parsing', 'Failed to parse journal file', error, { filePath });
+      throw error;
+    } finally {
+      span.end();
+    }
+  });
+}
+
+/**
+ * Normalize a range bound to a "YYYY-MM-DD" day key
+ * @param {Date|string|undefined} value - Date or "YYYY-MM-DD"
+ * @returns {string|null} Day key, or null when unbounded
+ */
+function toDayKey(value) {
+  if (value === undefined || value === null) return null;
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid date: ${value}`);
+  }
+  const pad = number => String(number).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * List the daily files of a journal directory within a day range
+ * @param {string} dir - journal/<type> directory
+ * @param {string|null} fromKey - First day ("YYYY-MM-DD") or null
+ * @param {string|null} toKey - Last day ("YYYY-MM-DD") or null
+ * @returns {Promise<string[]>} File paths, oldest first
+ */
+async function listDailyFiles(dir, fromKey, toKey) {
+  let monthDirs = [];
+  try {
+    monthDirs = (await fs.readdir(dir)).filter(name => /^\d{4}-\d{2}$/.test(name)).sort();
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  // Whole months outside the range are skipped without listing them
+  const files = [];
+  for (const month of monthDirs) {
+    if ((fromKey && month < fromKey.slice(0, 7)) || (toKey && month > toKey.slice(0, 7))) continue;
+    const names = (await fs.readdir(join(dir, month))).filter(name => DAILY_FILE_RE.test(name)).sort();
+    for (const name of names) {
+      const day = name.replace(/\.md$/, '');
+      if ((fromKey && day < fromKey) || (toKey && day > toKey)) continue;
+      files.push(join(dir, month, name));
+    }
+  }
+  return files;
+}
+
+/**
+ * Read every journal entry in a day range
+ *
+ * @param {Object} [options] - Range options
+ * @param {Date|string} [options.from] - First day (inclusive, Date or "YYYY-MM-DD"); default: the first entry
+ * @param {Date|string} [options.to] - Last day (inclusive); default: the latest entry
+ * @param {string} [options.journalDir] - Journal root (default: ./journal)
+ * @returns {Promise<Array<Object>>} Entries day by day, in file order within each day (see parseJournalFile)
+ */
+export async function readJournalEntries({ from, to, journalDir = getJournalRoot() } = {}) {
+  return await tracer.startActiveSpan(OTEL.span.journal.read_entries(), {
+    attributes: {
+      'code.function': 'readJournalEntries'
+    }
+  }, async (span) => {
+    const logger = createNarrativeLogger('journal.read_entries');
+
+    try {
+      const fromKey = toDayKey(from);
+      const toKey = toDayKey(to);
+      const files = await listDailyFiles(join(journalDir, 'entries'), fromKey, toKey);
+
+      const entries = [];
+      for (const file of files) {
+        entries.push(...await parseJournalFile(file));
+      }
+
+      span.setAttributes({
+        [`${OTEL.NAMESPACE}.journal.files_read`]: files.length,
+        ...OTEL.attrs.journal.parse({
+          entries: entries.length,
+          legacyEntries: entries.filter(entry => entry.legacy).length
+        })
+      });
+
+      logger.complete('journal read', `Read ${entries.length} entries from ${files.length} daily files`);
+      span.setStatus({ code: SpanStatusCode.OK, message: 'Journal entries read' });
+      return entries;
+
+    } catch (error) {
+      span.recordException(error);
+      span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+      logger.error('journal read', 'Failed to read journal entries', error, { from: String(from), to: String(to) });
+      throw error;
+    } finally {
+      span.end();
+    }
+  });
+}
+
+/**
+ * Parse the text of a reflection or context-capture file
+ *
+ * @param {string} content - File content
+ * @param {Date|null} [fileDate=null] - Day the file covers (resolves header times to timestamps)
+ * @returns {Array<{time: string, timestamp: Date|null, sessionId: string|null, text: string}>} Notes in file order
+ */
+export function parseNoteContent(content, fileDate = null) {
+  const notes = [];
+  for (const line of content.split('\n')) {
+    const header = line.match(NOTE_HEADER_RE);
+    if (header) {
+      notes.push({ time: header[1], sessionId: header[2] || null, lines: [] });
+    } else if (notes.length > 0 && !SEPARATOR_RE.test(line)) {
+      notes[notes.length - 1].lines.push(line);
+    }
+  }
+
+  return notes.map(({ time, sessionId, lines }) => ({
+    time,
+    timestamp: resolveEntryTimestamp(time, fileDate),
+    sessionId,
+    text: lines.join('\n').trim()
+  }));
+}
+
+/**
+ * Parse a reflection or context-capture file
+ * @param {string} filePath - Path to journal/<reflections|context>/YYYY-MM/YYYY-MM-DD.md
+ * @returns {Promise<Array<Object>>} Notes (see parseNoteContent), each with its date and filePath
+ */
+export async function parseNoteFile(filePath) {
+  const content = await fs.readFile(filePath, 'utf8');
+  const date = basename(filePath).replace(/\.md$/, '');
+  return parseNoteContent(content, fileDateFromPath(filePath)).map(note => ({ ...note, date, filePath }));
+}
+
+/**
+ * List a journal directory's daily files in a day range
+ *
+ * @param {string} type - 'entries', 'reflections' or 'context'
+ * @param {Object} [options] - Range options (as for readJournalEntries)
+ * @param {Date|string} [options.from] - First day (inclusive)
+ * @param {Date|string} [options.to] - Last day (inclusive)
+ * @param {string} [options.journalDir] - Journal root (default: ./journal)
+ * @returns {Promise<string[]>} File paths, oldest first
+ */
+export async function listJournalFiles(type, { from, to, journalDir = getJournalRoot() } = {}) {
+  return listDailyFiles(join(journalDir, type), toDayKey(from), toDayKey(to));
+}
+
+/**
+ * Read the reflections or context captures in a day range
+ *
+ * @param {string} type - 'reflections' or 'context'
+ * @param {Object} [options] - Range options (as for readJournalEntries)
+ * @param {Date|string} [options.from] - First day (inclusive)
+ * @param {Date|string} [options.to] - Last day (inclusive)
+ * @param {string} [options.journalDir] - Journal root (default: ./journal)
+ * @returns {Promise<Array<Object>>} Notes (see parseNoteContent), each with its date and filePath
+ */
+export async function readJournalNotes(type, options = {}) {
+  const notes = [];
+  for (const filePath of await listJournalFiles(type, options)) {
+    notes.push(...await parseNoteFile(filePath));
+  }
+  return notes;
+}
+
+/**
+ * Find the entry for a commit
+ *
+ * @param {string} commitHash - Full or abbreviated commit hash
+ * @param {Object} [options] - Lookup options
+ * @param {Date} [options.near] - Commit time; the daily files a day either side are read first
+ * @param {string} [options.journalDir] - Journal root (default: ./journal)
+ * @returns {Promise<Object|null>} Entry (see parseJournalFile), or null when the commit has none
+ */
+export async function findJournalEntry(commitHash, { near, journalDir } = {}) {
+  const hash = commitHash.toLowerCase();
+  const matches = entry => {
+    const entryHash = entry.hash.toLowerCase();
+    return hash.startsWith(entryHash) || entryHash.startsWith(hash);
+  };
+
+  if (near) {
+    // Entries are filed by local commit date, which can differ from the date in UTC
+    const day = 24 * 60 * 60 * 1000;
+    const nearby = await readJournalEntries({
+      from: new Date(near.getTime() - day),
+      to: new Date(near.getTime() + day),
+      journalDir
+    });
+    const entry = nearby.find(matches);
+    if (entry) {
+      return entry;
+    }
+  }
+
+  // Unknown date, or the entry was filed elsewhere (backdated commits)
+  const entries = await readJournalEntries({ journalDir });
+  return entries.find(matches) || null;
+}
+
+/**
+ * Read the most recent journal entries
+ *
+ * @param {number} count - Number of entries
+ * @param {Object} [options] - Read options
+ * @param {string} [options.journalDir] - Journal root (default: ./journal)
+ * @returns {Promise<Array<Object>>} Up to count entries, oldest first (see parseJournalFile)
+ */
+export async function readRecentEntries(count, { journalDir = getJournalRoot() } = {}) {
+  const files = await listJournalFiles('entries', { journalDir });
+  const entries = [];
+
+  // Newest day first, stopping once enough entries are collected
+  for (let i = files.length - 1; i >= 0 && entries.length < count; i--) {
+    entries.unshift(...await parseJournalFile(files[i]));
+  }
+  return entries.slice(-count);
+}
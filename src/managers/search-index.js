@@ -0,0 +1,415 @@
+/**
+ * Journal Search Index
+ *
+ * Full-text search over journal entries, reflections and context captures.
+ * Each searchable unit ("document") is one entry section or one note:
+ *
+ *   entry sections   summary, dialogue, decisions, details (legacy entries: summary)
+ *   notes            reflections (journal/reflections), context (journal/context)
+ *
+ * The inverted index (term -> document -> term frequency) is cached in
+ * .git/commit-story/search-index.json together with each source file's mtime and
+ * size. Every search re-reads only the files that changed since the last one.
+ */
+
+import fs from 'fs';
+import { join, relative } from 'path';
+import { trace, SpanStatusCode } from '@opentelemetry/api';
+import { OTEL } from '../telemetry/standards.js';
+import { createNarrativeLogger } from '../utils/trace-logger.js';
+import { getJournalRoot } from '../utils/journal-paths.js';
+import { getStateFilePath } from '../utils/state-directory.js';
+import { listJournalFiles, parseJournalFile, parseNoteFile } from './journal-parser.js';
+
+const tracer = trace.getTracer('commit-story', '1.0.0');
+
+const INDEX_FILE_NAME = 'search-index.json';
+const INDEX_VERSION = 1;
+
+// Section names accepted by --section
+export const SEARCH_SECTIONS = ['summary', 'dialogue', 'decisions', 'details', 'reflections', 'context'];
+
+// Entry section keys (journal-parser) -> search section names
+const ENTRY_SECTIONS = {
+  summary: 'summary',
+  dialogue: 'dialogue',
+  technicalDecisions: 'decisions',
+  commitDetails: 'details'
+};
+
+// Journal directories and the section their notes are indexed under
+const NOTE_TYPES = {
+  reflections: 'reflections',
+  context: 'context'
+};
+
+// Words too common to narrow a search ("when did we decide to drop session isolation?")
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'did', 'do', 'does', 'for', 'from',
+  'had', 'has', 'have', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'of', 'on', 'or',
+  'our', 'so', 'that', 'the', 'their', 'then', 'there', 'this', 'to', 'was', 'we', 'were',
+  'what', 'when', 'where', 'which', 'who', 'why', 'will', 'with', 'you'
+]);
+
+// Query terms this long or longer also match longer index terms ("decid" -> "decided", "decision")
+const MIN_PREFIX_LENGTH = 3;
+const SNIPPET_RADIUS = 90;
+
+/**
+ * Split text into lowercase index terms, leaving out stop words
+ * @param {string} text - Text to tokenize
+ * @returns {string[]} Terms in text order
+ */
+export function tokenize(text) {
+  return (text.toLowerCase().replace(/['’]/g, '').match(/[\p{L}\p{N}]+/gu) || [])
+    .filter(term => !STOP_WORDS.has(term));
+}
+
+/**
+ * Count term frequencies
+ * @param {string} text - Document text
+ * @returns {Map<string, number>} Term -> occurrences
+ */
+function termFrequencies(text) {
+  const frequencies = new Map();
+  for (const term of tokenize(text)) {
+    frequencies.set(term, (frequencies.get(term) || 0) + 1);
+  }
+  return frequencies;
+}
+
+/**
+ * Turn a daily file into search documents
+ * @param {string} type - 'entries', 'reflections' or 'context'
+ * @param {string} filePath - Absolute file path
+ * @param {string} fileKey - Path relative to the journal root (document ID prefix)
+ * @returns {Promise<Array<Object>>} Documents
+ */
+async function documentsFromFile(type, filePath, fileKey) {
+  if (type !== 'entries') {
+    const notes = await parseNoteFile(filePath);
+    return notes.filter(note => note.text).map((note, index) => ({
+      id: `${fileKey}#${index}`,
+      file: fileKey,
+      section: NOTE_TYPES[type],
+      date: note.date,
+      time: note.time,
+      hash: null,
+      message: null,
+      files: [],
+      sessionId: note.sessionId,
+      text: note.text
+    }));
+  }
+
+  const entries = await parseJournalFile(filePath);
+  return entries.flatMap((entry, entryIndex) => {
+    const base = {
+      file: fileKey,
+      date: entry.date,
+      time: entry.time,
+      hash: entry.hash.toLowerCase(),
+      message: entry.message,
+      files: entry.details?.files || [],
+      sessionId: null
+    };
+
+    if (entry.legacy) {
+      return entry.body ? [{ ...base, id: `${fileKey}#${entryIndex}.summary`, section: 'summary', text: entry.body }] : [];
+    }
+
+    return Object.entries(ENTRY_SECTIONS)
+      .filter(([key]) => entry.sections[key])
+      .map(([key, section]) => ({
+        ...base,
+        id: `${fileKey}#${entryIndex}.${section}`,
+        section,
+        // The subject is searchable from every section of its entry
+        text: section === 'summary' && entry.message ? `${entry.message}\n\n${entry.sections[key]}` : entry.sections[key]
+      }));
+  });
+}
+
+/**
+ * Create an empty index
+ * Terms map to postings without a prototype, so words like "constructor" are
+ * ordinary terms rather than inherited Object properties.
+ * @param {string} journalDir - Journal root the index belongs to
+ * @returns {Object} Index
+ */
+function createIndex(journalDir) {
+  return { version: INDEX_VERSION, journalDir, files: {}, documents: {}, terms: Object.create(null) };
+}
+
+/**
+ * Load the cached index, starting over when it's missing, unreadable or from another format
+ * @param {string} indexPath - Cache file path
+ * @param {string} journalDir - Journal root the index must belong to
+ * @returns {Object} Index
+ */
+function loadIndex(indexPath, journalDir) {
+  try {
+    const index = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+    if (index.version === INDEX_VERSION && index.journalDir === journalDir) {
+      const terms = Object.create(null);
+      for (const [term, postings] of Object.entries(index.terms)) {
+        terms[term] = Object.assign(Object.create(null), postings);
+      }
+      return { ...index, terms };
+    }
+  } catch (error) {
+    // Missing or corrupt cache - rebuilt below
+  }
+  return createIndex(journalDir);
+}
+
+/**
+ * Remove a file's documents from the index
+ * @param {Object} index - Index
+ * @param {string} fileKey - File key
+ */
+function removeFile(index, fileKey) {
+  for (const id of index.files[fileKey]?.documents || []) {
+    for (const term of termFrequencies(index.documents[id].text).keys()) {
+      delete index.terms[term]?.[id];
+      if (index.terms[term] && Object.keys(index.terms[term]).length === 0) {
+        delete index.terms[term];
+      }
+    }
+    delete index.documents[id];
+  }
+  delete index.files[fileKey];
+}
+
+/**
+ * Add documents to the index
+ * @param {Object} index - Index
+ * @param {string} fileKey - File the documents come from
+ * @param {Object} stat - File stat (mtime and size decide when to re-read it)
+ * @param {Array<Object>} documents - Documents
+ */
+function addFile(index, fileKey, stat, documents) {
+  index.files[fileKey] = { mtimeMs: stat.mtimeMs, size: stat.size, documents: documents.map(doc => doc.id) };
+  for (const doc of documents) {
+    index.documents[doc.id] = doc;
+    for (const [term, count] of termFrequencies(doc.text)) {
+      (index.terms[term] ||= Object.create(null))[doc.id] = count;
+    }
+  }
+}
+
+/**
+ * Bring the cached index up to date with the journal files
+ *
+ * @param {Object} [options] - Index options
+ * @param {string} [options.journalDir] - Journal root (default: journal/ at the repository root)
+ * @param {boolean} [options.rebuild=false] - Discard the cache and re-read every file
+ * @returns {Promise<{index: Object, filesReindexed: number, filesRemoved: number}>} Current index
+ */
+export async function updateSearchIndex({ journalDir = getJournalRoot(), rebuild = false } = {}) {
+  const indexPath = getStateFilePath(INDEX_FILE_NAME);
+  const index = rebuild
+    ? createIndex(journalDir)
+    : loadIndex(indexPath, journalDir);
+
+  const seen = new Set();
+  let filesReindexed = 0;
+
+  for (const type of ['entries', ...Object.keys(NOTE_TYPES)]) {
+    for (const filePath of await listJournalFiles(type, { journalDir })) {
+      const fileKey = relative(journalDir, filePath);
+      const stat = fs.statSync(filePath);
+      seen.add(fileKey);
+
+      const cached = index.files[fileKey];
+      if (cached && cached.mtimeMs === stat.mtimeMs && cached.size === stat.size) {
+        continue;
+      }
+
+      removeFile(index, fileKey);
+      addFile(index, fileKey, stat, await documentsFromFile(type, filePath, fileKey));
+      filesReindexed++;
+    }
+  }
+
+  const removed = Object.keys(index.files).filter(fileKey => !seen.has(fileKey));
+  removed.forEach(fileKey => removeFile(index, fileKey));
+
+  if (filesReindexed > 0 || removed.length > 0 || rebuild) {
+    // Write then rename, so a concurrent search never reads a half-written cache
+    const tempPath = `${indexPath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(index), 'utf8');
+    fs.renameSync(tempPath, indexPath);
+  }
+
+  return { index, filesReindexed, filesRemoved: removed.length };
+}
+
+/**
+ * Check whether a document passes the search filters
+ * @param {Object} doc - Document
+ * @param {Object} filters - Search filters
+ * @returns {boolean} True if the document should be considered
+ */
+function matchesFilters(doc, { from, to, section, file, commit }) {
+  if (from && doc.date < from) return false;
+  if (to && doc.date > to) return false;
+  if (section && doc.section !== section) return false;
+  if (commit && !(doc.hash && (doc.hash.startsWith(commit) || commit.startsWith(doc.hash)))) return false;
+  if (file) {
+    const directory = file.endsWith('/') ? file : `${file}/`;
+    return doc.files.some(changed => changed === file || changed.endsWith(`/${file}`) || changed.startsWith(directory));
+  }
+  return true;
+}
+
+/**
+ * Find the documents containing a query term (exact, or as a prefix of longer terms)
+ * @param {Object} index - Index
+ * @param {string} term - Query term
+ * @returns {Map<string, number>} Document ID -> weighted term frequency
+ */
+function lookupTerm(index, term) {
+  const matches = new Map(Object.entries(index.terms[term] || {}));
+  if (term.length < MIN_PREFIX_LENGTH) {
+    return matches;
+  }
+
+  for (const [candidate, postings] of Object.entries(index.terms)) {
+    if (candidate !== term && candidate.startsWith(term)) {
+      for (const [id, count] of Object.entries(postings)) {
+        // Prefix matches count half as much as the exact word
+        matches.set(id, (matches.get(id) || 0) + count / 2);
+      }
+    }
+  }
+  return matches;
+}
+
+/**
+ * Build a snippet around the first query match, with matches wrapped in **
+ * @param {string} text - Document text
+ * @param {string[]} terms - Query terms
+ * @returns {string} One-line snippet
+ */
+export function buildSnippet(text, terms) {
+  // Journal markdown bold would collide with the match markers
+  const flat = text.replace(/\*\*/g, '').replace(/\s+/g, ' ').trim();
+  const pattern = new RegExp(`\\b(${terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})[\\p{L}\\p{N}]*`, 'giu');
+
+  const first = flat.search(pattern);
+  const center = first === -1 ? 0 : first;
+  let start = Math.max(0, center - SNIPPET_RADIUS);
+  let end = Math.min(flat.length, center + SNIPPET_RADIUS);
+
+  // Cut at word boundaries
+  if (start > 0) start = flat.indexOf(' ', start) + 1 || start;
+  if (end < flat.length) end = flat.lastIndexOf(' ', end) > center ? flat.lastIndexOf(' ', end) : end;
+
+  const snippet = flat.slice(start, end).replace(pattern, match => `**${match}**`);
+  return `${start > 0 ? '…' : ''}${snippet}${end < flat.length ? '…' : ''}`;
+}
+
+/**
+ * Search the journal
+ *
+ * All query words must appear in a result (stop words are ignored). Results are
+ * ranked by TF-IDF, with a boost when the query appears as a phrase.
+ *
+ * @param {string} query - Search text
+ * @param {Object} [filters] - Result filters
+ * @param {string} [filters.from] - First day "YYYY-MM-DD" (inclusive)
+ * @param {string} [filters.to] - Last day "YYYY-MM-DD" (inclusive)
+ * @param {string} [filters.section] - One of SEARCH_SECTIONS
+ * @param {string} [filters.file] - Only entries whose commit touched this path (file, suffix or directory)
+ * @param {string} [filters.commit] - Commit hash prefix
+ * @param {number} [filters.limit=20] - Maximum results
+ * @param {Object} [options] - Index options (see updateSearchIndex)
+ * @returns {Promise<{results: Array<Object>, total: number, terms: string[]}>} Ranked results and the match count before the limit
+ */
+export async function searchJournal(query, filters = {}, options = {}) {
+  return await tracer.startActiveSpan(OTEL.span.search.query(), {
+    attributes: {
+      'code.function': 'searchJournal'
+    }
+  }, async (span) => {
+    const logger = createNarrativeLogger('search.query');
+    const startTime = Date.now();
+
+    try {
+      const terms = [...new Set(tokenize(query))];
+      if (terms.length === 0) {
+        throw new Error(`"${query}" has no searchable words`);
+      }
+      if (filters.section && !SEARCH_SECTIONS.includes(filters.section)) {
+        throw new Error(`Unknown section "${filters.section}" - expected one of: ${SEARCH_SECTIONS.join(', ')}`);
+      }
+      const commit = filters.commit?.toLowerCase();
+      const limit = filters.limit ?? 20;
+
+      const { index, filesReindexed } = await updateSearchIndex(options);
+      const documentCount = Object.keys(index.documents).length;
+      logger.progress('journal search', `Index: ${documentCount} documents (${filesReindexed} files re-read)`);
+
+      // Intersect the postings of every term, accumulating TF-IDF
+      let scores = null;
+      for (const term of terms) {
+        const postings = lookupTerm(index, term);
+        const idf = Math.log(1 + documentCount / Math.max(postings.size, 1));
+        const next = new Map();
+        for (const [id, count] of postings) {
+          if (scores === null || scores.has(id)) {
+            next.set(id, (scores?.get(id) || 0) + (1 + Math.log(count)) * idf);
+          }
+        }
+        scores = next;
+      }
+
+      const phrase = terms.join(' ');
+      const matches = [...scores]
+        .map(([id, score]) => ({ doc: index.documents[id], score }))
+        .filter(({ doc }) => matchesFilters(doc, { ...filters, commit }))
+        .map(({ doc, score }) => ({
+          doc,
+          score: tokenize(doc.text).join(' ').includes(phrase) && terms.length > 1 ? score * 2 : score
+        }))
+        .sort((a, b) => b.score - a.score || b.doc.date.localeCompare(a.doc.date));
+
+      const results = matches.slice(0, limit).map(({ doc, score }) => ({
+        date: doc.date,
+        time: doc.time,
+        hash: doc.hash,
+        shortHash: doc.hash ? doc.hash.slice(0, 8) : null,
+        message: doc.message,
+        section: doc.section,
+        sessionId: doc.sessionId,
+        file: join(index.journalDir, doc.file),
+        score: Math.round(score * 100) / 100,
+        snippet: buildSnippet(doc.text, terms)
+      }));
+
+      const attrs = OTEL.attrs.search({
+        terms: terms.length,
+        documents: documentCount,
+        filesReindexed,
+        matches: matches.length,
+        duration: Date.now() - startTime
+      });
+      span.setAttributes(attrs);
+      OTEL.metrics.histogram('commit_story.search.duration_ms', attrs[`${OTEL.NAMESPACE}.search.duration_ms`]);
+      OTEL.metrics.gauge('commit_story.search.matches', matches.length);
+
+      logger.complete('journal search', `${matches.length} matches for "${terms.join(' ')}"`);
+      span.setStatus({ code: SpanStatusCode.OK, message: 'Search completed' });
+      return { results, total: matches.length, terms };
+
+    } catch (error) {
+      span.recordException(error);
+      span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+      logger.error('journal search', 'Search failed', error);
+      throw error;
+    } finally {
+      span.end();
+    }
+  });
+}
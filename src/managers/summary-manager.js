@@ -0,0 +1,406 @@
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import { trace, SpanStatusCode } from '@opentelemetry/api';
+import { OTEL } from '../telemetry/standards.js';
+import { createNarrativeLogger } from '../utils/trace-logger.js';
+import { ensureJournalDirectory, formatDateComponents, getJournalRoot } from '../utils/journal-paths.js';
+import { listJournalEntries } from './journal-manager.js';
+import { generateRollup } from '../generators/rollup-generator.js';
+
+// Get tracer instance for manual instrumentation
+const tracer = trace.getTracer('commit-story', '1.0.0');
+
+/**
+ * Rollup Summary Management
+ * Builds daily, weekly and monthly summaries from the daily entry files:
+ *
+ *   journal/summaries/daily/2025-10-14.md   <- that day's entries
+ *   journal/summaries/weekly/2025-W42.md    <- the week's daily summaries (ISO weeks, Monday start)
+ *   journal/summaries/monthly/2025-10.md    <- the month's daily summaries
+ *
+ * Periods are only summarized once they are over, so a summary never misses late commits.
+ */
+
+export const PERIOD_TYPES = ['daily', 'weekly', 'monthly'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+  'August', 'September', 'October', 'November', 'December'];
+
+/**
+ * Local midnight for a date
+ * @param {Date} date - Any time on the day
+ * @returns {Date} Start of that day
+ */
+function startOfDay(date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+/**
+ * Add days to a date (calendar days, safe across DST changes)
+ * @param {Date} date - Start date
+ * @param {number} days - Days to add
+ * @returns {Date} New date
+ */
+function addDays(date, days) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+/**
+ * Format a date as YYYY-MM-DD (local time, matching the entry file names)
+ * @param {Date} date - Date to format
+ * @returns {string} Day key
+ */
+function toDayKey(date) {
+  const { year, month, day } = formatDateComponents(date);
+  return `${year}-${month}-${day}`;
+}
+
+/**
+ * ISO 8601 week of a date: weeks start on Monday, and week 1 contains January 4th
+ * @param {Date} date - Any time in the week
+ * @returns {{year: number, week: number, monday: Date}} ISO week-numbering year, week and its Monday
+ */
+function getISOWeek(date) {
+  const monday = addDays(startOfDay(date), -((date.getDay() + 6) % 7));
+  const thursday = addDays(monday, 3);
+  const year = thursday.getFullYear();
+  const firstThursday = new Date(year, 0, 1 + ((4 - new Date(year, 0, 1).getDay() + 7) % 7));
+  const week = 1 + Math.round((thursday - firstThursday) / (7 * DAY_MS));
+  return { year, week, monday };
+}
+
+/**
+ * Describe the period of a given type that contains a date
+ * @param {string} type - 'daily', 'weekly' or 'monthly'
+ * @param {Date} date - Any time in the period
+ * @returns {{type: string, key: string, title: string, start: Date, end: Date}} Period (end is exclusive)
+ */
+export function getPeriod(type, date) {
+  if (type === 'daily') {
+    const start = startOfDay(date);
+    const key = toDayKey(start);
+    return { type, key, title: `Daily Summary - ${key}`, start, end: addDays(start, 1) };
+  }
+
+  if (type === 'weekly') {
+    const { year, week, monday } = getISOWeek(date);
+    const key = `${year}-W${String(week).padStart(2, '0')}`;
+    return {
+      type,
+      key,
+      title: `Weekly Summary - ${key} (${toDayKey(monday)} to ${toDayKey(addDays(monday, 6))})`,
+      start: monday,
+      end: addDays(monday, 7)
+    };
+  }
+
+  if (type === 'monthly') {
+    const start = new Date(date.getFullYear(), date.getMonth(), 1);
+    const key = `${start.getFullYear()}-${String(start.getMonth() + 1).padStart(2, '0')}`;
+    return {
+      type,
+      key,
+      title: `Monthly Summary - ${MONTH_NAMES[start.getMonth()]} ${start.getFullYear()}`,
+      start,
+      end: new Date(start.getFullYear(), start.getMonth() + 1, 1)
+    };
+  }
+
+  throw new Error(`Unknown summary period "${type}" - expected one of: ${PERIOD_TYPES.join(', ')}`);
+}
+
+/**
+ * Parse a user-supplied period value
+ * Accepts a day (2025-10-14) for any type, an ISO week (2025-W42) for weekly
+ * and a month (2025-10) for monthly.
+ * @param {string} type - 'daily', 'weekly' or 'monthly'
+ * @param {string} value - Period value from the command line
+ * @returns {Object} Period from getPeriod
+ */
+export function parsePeriod(type, value) {
+  let match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  if (match) {
+    return getPeriod(type, new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+  }
+
+  match = /^(\d{4})-W(\d{1,2})$/i.exec(value);
+  if (match && type === 'weekly') {
+    const week1 = getISOWeek(new Date(Number(match[1]), 0, 4)).monday;
+    return getPeriod(type, addDays(week1, (Number(match[2]) - 1) * 7));
+  }
+
+  match = /^(\d{4})-(\d{2})$/.exec(value);
+  if (match && type === 'monthly') {
+    return getPeriod(type, new Date(Number(match[1]), Number(match[2]) - 1, 1));
+  }
+
+  throw new Error(`Invalid ${type} period "${value}" - expected YYYY-MM-DD${type === 'weekly' ? ' or YYYY-Www' : ''}${type === 'monthly' ? ' or YYYY-MM' : ''}`);
+}
+
+/**
+ * Path of a period's summary file
+ * @param {Object} period - Period from getPeriod
+ * @returns {string} Full file path
+ */
+export function getSummaryPath(period) {
+  return join(getJournalRoot(), 'summaries', period.type, `${period.key}.md`);
+}
+
+/**
+ * List the days that have an entry file
+ * @returns {Promise<Date[]>} Days in chronological order
+ */
+async function listEntryDays() {
+  const entriesDir = join(getJournalRoot(), 'entries');
+  const days = [];
+
+  let monthDirs = [];
+  try {
+    monthDirs = await fs.readdir(entriesDir);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  for (const monthDir of monthDirs.filter(name => /^\d{4}-\d{2}$/.test(name))) {
+    for (const fileName of await fs.readdir(join(entriesDir, monthDir))) {
+      const match = /^(\d{4})-(\d{2})-(\d{2})\.md$/.exec(fileName);
+      if (match) {
+        days.push(new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+      }
+    }
+  }
+
+  return days.sort((a, b) => a - b);
+}
+
+/**
+ * List the period keys that already have a summary of a type
+ * @param {string} type - 'daily', 'weekly' or 'monthly'
+ * @returns {Promise<string[]>} Keys in sorted order
+ */
+async function listSummaryKeys(type) {
+  try {
+    const files = await fs.readdir(join(getJournalRoot(), 'summaries', type));
+    return files.filter(name => name.endsWith('.md')).map(name => name.slice(0, -3)).sort();
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+/**
+ * Strip the title and commit list from a summary file, leaving its narrative
+ * @param {string} content - Summary file content
+ * @returns {string} Narrative text
+ */
+function extractNarrative(content) {
+  return content
+    .replace(/^# .*\n+/, '')
+    .replace(/\n## Commits\n[\s\S]*$/, '')
+    .trim();
+}
+
+/**
+ * Generate and write the summary for a period
+ *
+ * Daily summaries are written from that day's entries. Weekly and monthly summaries
+ * are written from the daily summaries of the period, which are generated first when missing.
+ *
+ * @param {Object} period - Period from getPeriod
+ * @returns {Promise<string|null>} Path of the written summary, or null if the period has no entries
+ */
+export async function writeSummary(period) {
+  return await tracer.startActiveSpan(OTEL.span.summaries.write(), {
+    attributes: {
+      [`${OTEL.NAMESPACE}.summary.type`]: period.type,
+      [`${OTEL.NAMESPACE}.summary.period`]: period.key,
+      'code.function': 'writeSummary'
+    }
+  }, async (span) => {
+    const logger = createNarrativeLogger('summaries.write');
+    const startTime = Date.now();
+
+    try {
+      logger.start('summary write', `Building ${period.type} summary for ${period.key}`);
+
+      // Collect the period's entries day by day
+      const days = [];
+      for (let day = period.start; day < period.end; day = addDays(day, 1)) {
+        const entries = await listJournalEntries(day);
+        if (entries.length > 0) {
+          days.push({ day, entries });
+        }
+      }
+
+      if (days.length === 0) {
+        logger.decision('summary write', `No journal entries in ${period.key} - nothing to summarize`);
+        span.setAttributes({ [`${OTEL.NAMESPACE}.summary.entry_count`]: 0 });
+        span.setStatus({ code: SpanStatusCode.OK, message: 'No entries in period' });
+        return null;
+      }
+
+      let sources;
+      if (period.type === 'daily') {
+        sources = days[0].entries.map(entry => ({
+          label: `Commit ${entry.hash}${entry.message ? ` - ${entry.message}` : ''}`,
+          commits: [entry.hash],
+          content: entry.content
+        }));
+      } else {
+        sources = [];
+        for (const { day, entries } of days) {
+          const dailyPeriod = getPeriod('daily', day);
+          const dailyPath = getSummaryPath(dailyPeriod);
+          let dailyContent;
+          try {
+            dailyContent = await fs.readFile(dailyPath, 'utf8');
+          } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            logger.progress('summary write', `Daily summary for ${dailyPeriod.key} missing - generating it first`);
+            await writeSummary(dailyPeriod);
+            dailyContent = await fs.readFile(dailyPath, 'utf8');
+          }
+          sources.push({
+            label: `Daily summary ${dailyPeriod.key}`,
+            commits: entries.map(entry => entry.hash),
+            content: extractNarrative(dailyContent)
+          });
+        }
+      }
+
+      const narrative = await generateRollup(period, sources);
+
+      // Commit list is built from the entries, not the AI output, so citations can always be traced
+      const commitLines = days.flatMap(({ day, entries }) => entries.map(entry =>
+        `- \`${entry.hash}\`${period.type === 'daily' ? '' : ` (${toDayKey(day)})`}${entry.message ? ` - ${entry.message}` : ''}`
+      ));
+      const content = `# ${period.title}\n\n${narrative}\n\n## Commits\n\n${commitLines.join('\n')}\n`;
+
+      const filePath = getSummaryPath(period);
+      await ensureJournalDirectory(filePath);
+      await fs.writeFile(filePath, content, 'utf8');
+
+      const attrs = OTEL.attrs.summaries.write({
+        type: period.type,
+        period: period.key,
+        dayCount: days.length,
+        entryCount: commitLines.length,
+        sourceCount: sources.length,
+        filePath,
+        writeDuration: Date.now() - startTime
+      });
+      span.setAttributes(attrs);
+
+      Object.entries(attrs).forEach(([name, value]) => {
+        if (typeof value === 'number') {
+          OTEL.metrics.gauge(name, value);
+        }
+      });
+      OTEL.metrics.counter('commit_story.summary.written_total', 1, {
+        'commit_story.summary.type': period.type
+      });
+
+      logger.complete('summary write', `${period.type} summary for ${period.key} written from ${commitLines.length} entries`);
+      span.setStatus({ code: SpanStatusCode.OK, message: 'Summary written successfully' });
+      return filePath;
+
+    } catch (error) {
+      span.recordException(error);
+      span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+      logger.error('summary write', `Failed to write ${period.type} summary`, error, {
+        period: period.key
+      });
+      throw error;
+    } finally {
+      span.end();
+    }
+  });
+}
+
+/**
+ * Write summaries for every finished period that is missing one
+ *
+ * Runs after each commit. On the first commit of a new day it picks up the
+ * previous day; after a weekend or a break it fills in every day, week and
+ * month since the latest existing summary. With no summaries yet, only the most
+ * recent finished period of each type is written, so enabling the feature on an
+ * old journal doesn't trigger a large batch of AI calls.
+ *
+ * @param {Date} [now] - Current time
+ * @returns {Promise<string[]>} Paths of the summaries written
+ */
+export async function generateMissingSummaries(now = new Date()) {
+  return await tracer.startActiveSpan(OTEL.span.summaries.generate_missing(), {
+    attributes: {
+      'code.function': 'generateMissingSummaries'
+    }
+  }, async (span) => {
+    const logger = createNarrativeLogger('summaries.generate_missing');
+    const startTime = Date.now();
+    const written = [];
+
+    try {
+      const today = startOfDay(now);
+      const entryDays = await listEntryDays();
+
+      logger.start('summary gap check', `Checking ${entryDays.length} journal days for missing summaries`);
+
+      let missingCount = 0;
+      for (const type of PERIOD_TYPES) {
+        // Unique finished periods that have entries, oldest first
+        const periods = [];
+        for (const day of entryDays) {
+          const period = getPeriod(type, day);
+          if (period.end <= today && periods[periods.length - 1]?.key !== period.key) {
+            periods.push(period);
+          }
+        }
+
+        const existingKeys = await listSummaryKeys(type);
+        const latestKey = existingKeys[existingKeys.length - 1];
+        const missing = latestKey
+          ? periods.filter(period => period.key > latestKey)
+          : periods.slice(-1);
+
+        missingCount += missing.length;
+        if (missing.length > 0) {
+          logger.decision('summary gap check', `${missing.length} ${type} summaries missing: ${missing.map(period => period.key).join(', ')}`);
+        }
+
+        for (const period of missing) {
+          const filePath = await writeSummary(period);
+          if (filePath) written.push(filePath);
+        }
+      }
+
+      const attrs = OTEL.attrs.summaries.generateMissing({
+        entryDays: entryDays.length,
+        missing: missingCount,
+        written: written.length,
+        duration: Date.now() - startTime
+      });
+      span.setAttributes(attrs);
+
+      Object.entries(attrs).forEach(([name, value]) => {
+        if (typeof value === 'number') {
+          OTEL.metrics.gauge(name, value);
+        }
+      });
+
+      logger.complete('summary gap check', `Wrote ${written.length} summaries`);
+      span.setStatus({ code: SpanStatusCode.OK, message: `Wrote ${written.length} summaries` });
+      return written;
+
+    } catch (error) {
+      span.recordException(error);
+      span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+      logger.error('summary gap check', 'Failed to generate missing summaries', error, {
+        written: written.length
+      });
+      throw error;
+    } finally {
+      span.end();
+    }
+  });
+}
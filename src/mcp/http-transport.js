@@ -0,0 +1,226 @@
+/**
+ * MCP HTTP Transport
+ *
+ * Serves the MCP server over HTTP, so one long-running journal server can be
+ * shared by several editor windows and remote dev containers:
+ *
+ *   POST/GET/DELETE /mcp        Streamable HTTP (current MCP transport)
+ *   GET /sse, POST /messages    HTTP+SSE (legacy transport, for older clients)
+ *
+ * Every client session gets its own MCP Server instance from createServer. The
+ * listener binds to 127.0.0.1 by default. With a token, every request must send
+ * "Authorization: Bearer <token>".
+ */
+
+import http from 'http';
+import { randomUUID, timingSafeEqual } from 'crypto';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+import { createNarrativeLogger } from '../utils/trace-logger.js';
+
+export const DEFAULT_HTTP_PORT = 7333;
+export const DEFAULT_HTTP_HOST = '127.0.0.1';
+
+const MCP_PATH = '/mcp';
+const SSE_PATH = '/sse';
+const MESSAGES_PATH = '/messages';
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+const LOOPBACK_HOSTS = ['127.0.0.1', '::1', 'localhost'];
+
+const logger = createNarrativeLogger('mcp.http_transport');
+
+/**
+ * Check whether a host only accepts connections from this machine
+ * @param {string} host - Listen host
+ * @returns {boolean} True for loopback addresses
+ */
+export function isLoopbackHost(host) {
+  return LOOPBACK_HOSTS.includes(host);
+}
+
+/**
+ * Check the request's bearer token
+ * @param {http.IncomingMessage} req - Request
+ * @param {string|null} token - Required token, or null when none is configured
+ * @returns {boolean} True if the request may proceed
+ */
+function isAuthorized(req, token) {
+  if (!token) {
+    return true;
+  }
+  const expected = Buffer.from(`Bearer ${token}`);
+  const actual = Buffer.from(req.headers.authorization || '');
+  // Constant-time comparison so the token can't be guessed byte by byte
+  return actual.length === expected.length && timingSafeEqual(actual, expected);
+}
+
+/**
+ * Send a JSON-RPC error response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message
+ * @param {Object} [headers] - Extra headers
+ */
+function sendError(res, status, message, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify({ jsonrpc: '2.0', error: { code: -32000, message }, id: null }));
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<*>} Parsed body
+ */
+async function readJsonBody(req) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      throw Object.assign(new Error('Request body too large'), { status: 413 });
+    }
+    chunks.push(chunk);
+  }
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+  } catch (error) {
+    throw Object.assign(new Error('Request body is not valid JSON'), { status: 400 });
+  }
+}
+
+/**
+ * Start the HTTP listener
+ *
+ * @param {Object} options - Server options
+ * @param {Function} options.createServer - Returns a new MCP Server for a client session
+ * @param {number} [options.port=7333] - Listen port
+ * @param {string} [options.host='127.0.0.1'] - Listen host
+ * @param {string|null} [options.token=null] - Bearer token required on every request
+ * @returns {Promise<{url: string, sessionCount: Function, close: Function}>} Running server
+ */
+export async function startHttpServer({ createServer, port = DEFAULT_HTTP_PORT, host = DEFAULT_HTTP_HOST, token = null }) {
+  const streamableSessions = new Map();
+  const sseSessions = new Map();
+
+  // Reject requests whose Host header isn't us (DNS rebinding from a web page)
+  const transportOptions = isLoopbackHost(host)
+    ? { enableDnsRebindingProtection: true, allowedHosts: LOOPBACK_HOSTS.map(name => `${name.includes(':') ? `[${name}]` : name}:${port}`) }
+    : {};
+
+  /**
+   * Handle a Streamable HTTP request (POST, GET and DELETE on /mcp)
+   */
+  const handleStreamable = async (req, res) => {
+    const sessionId = req.headers['mcp-session-id'];
+    const existing = sessionId ? streamableSessions.get(sessionId) : null;
+
+    if (req.method !== 'POST') {
+      if (!existing) {
+        sendError(res, 400, 'Missing or unknown Mcp-Session-Id header');
+        return;
+      }
+      await existing.handleRequest(req, res);
+      return;
+    }
+
+    const body = await readJsonBody(req);
+    if (existing) {
+      await existing.handleRequest(req, res, body);
+      return;
+    }
+    if (sessionId || !isInitializeRequest(body)) {
+      sendError(res, sessionId ? 404 : 400, sessionId ? 'Unknown session - initialize again' : 'Expected an initialize request');
+      return;
+    }
+
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      onsessioninitialized: (id) => {
+        streamableSessions.set(id, transport);
+        logger.progress('mcp.http_transport', `Streamable HTTP session ${id} started (${streamableSessions.size} open)`);
+      },
+      ...transportOptions
+    });
+    transport.onclose = () => {
+      if (transport.sessionId) {
+        streamableSessions.delete(transport.sessionId);
+      }
+    };
+
+    await createServer().connect(transport);
+    await transport.handleRequest(req, res, body);
+  };
+
+  /**
+   * Open a legacy SSE stream (GET /sse); the client posts to /messages?sessionId=...
+   */
+  const handleSseStream = async (req, res) => {
+    const transport = new SSEServerTransport(MESSAGES_PATH, res, transportOptions);
+    sseSessions.set(transport.sessionId, transport);
+    res.on('close', () => sseSessions.delete(transport.sessionId));
+
+    await createServer().connect(transport);
+    logger.progress('mcp.http_transport', `SSE session ${transport.sessionId} started (${sseSessions.size} open)`);
+  };
+
+  const handleSseMessage = async (req, res, url) => {
+    const transport = sseSessions.get(url.searchParams.get('sessionId'));
+    if (!transport) {
+      sendError(res, 404, 'Unknown sessionId - reconnect to /sse');
+      return;
+    }
+    await transport.handlePostMessage(req, res);
+  };
+
+  const httpServer = http.createServer(async (req, res) => {
+    try {
+      if (!isAuthorized(req, token)) {
+        sendError(res, 401, 'Missing or invalid bearer token', { 'WWW-Authenticate': 'Bearer' });
+        return;
+      }
+
+      const url = new URL(req.url, 'http://localhost');
+      if (url.pathname === MCP_PATH && ['POST', 'GET', 'DELETE'].includes(req.method)) {
+        await handleStreamable(req, res);
+      } else if (url.pathname === SSE_PATH && req.method === 'GET') {
+        await handleSseStream(req, res);
+      } else if (url.pathname === MESSAGES_PATH && req.method === 'POST') {
+        await handleSseMessage(req, res, url);
+      } else {
+        sendError(res, 404, `Not found - use ${MCP_PATH} (or ${SSE_PATH} for the legacy SSE transport)`);
+      }
+    } catch (error) {
+      logger.error('mcp.http_transport', 'HTTP request failed', error, { method: req.method, url: req.url });
+      if (!res.headersSent) {
+        sendError(res, error.status || 500, error.status ? error.message : 'Internal server error');
+      } else {
+        res.end();
+      }
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(port, host, () => {
+      httpServer.off('error', reject);
+      resolve();
+    });
+  });
+
+  const displayHost = host.includes(':') ? `[${host}]` : host;
+  return {
+    url: `http://${displayHost}:${port}${MCP_PATH}`,
+    sessionCount: () => streamableSessions.size + sseSessions.size,
+    close: async () => {
+      for (const transport of [...streamableSessions.values(), ...sseSessions.values()]) {
+        await transport.close().catch(() => {});
+      }
+      await new Promise(resolve => {
+        httpServer.close(() => resolve());
+        // Idle keep-alive connections would otherwise hold close() open
+        httpServer.closeAllConnections();
+      });
+    }
+  };
+}
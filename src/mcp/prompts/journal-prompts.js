@@ -0,0 +1,353 @@
+/**
+ * Journal Prompts
+ *
+ * MCP prompts that fill in the relevant journal content, so any MCP-capable
+ * assistant can draft these in one step:
+ *
+ *   standup          Entries and reflections since the last workday
+ *   retro            Entries and reflections in a date range
+ *   pr_description   Entries for the commits on the current branch but not on the base branch
+ *
+ * Entries are included as summary, technical decisions and reflections. The
+ * development dialogue and commit details are left out to keep prompts a
+ * reasonable size. journal_get_entry has the full text.
+ */
+
+import { execFileSync } from 'child_process';
+import { trace, SpanStatusCode } from '@opentelemetry/api';
+import { OTEL } from '../../telemetry/standards.js';
+import { createNarrativeLogger } from '../../utils/trace-logger.js';
+import { readJournalEntries, readJournalNotes } from '../../managers/journal-parser.js';
+
+// Initialize telemetry
+const tracer = trace.getTracer('commit-story', '1.0.0');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+// Same character set as commit-analyzer's ref validation
+const REF_PATTERN = /^[a-zA-Z0-9/_.-]+$/;
+// Tried in order when no base branch is given
+const DEFAULT_BASE_BRANCHES = ['main', 'master', 'origin/main', 'origin/master'];
+const GIT_OPTIONS = { encoding: 'utf8', stdio: ['pipe', 'pipe', 'pipe'] };
+
+const PROMPTS = [
+  {
+    name: 'standup',
+    description: 'Draft a standup update from the journal entries since the last workday',
+    arguments: [
+      {
+        name: 'date',
+        description: 'Day of the standup, YYYY-MM-DD (default: today)',
+        required: false
+      }
+    ]
+  },
+  {
+    name: 'retro',
+    description: 'Draft a retrospective from the journal entries in a date range',
+    arguments: [
+      {
+        name: 'from',
+        description: 'First day, YYYY-MM-DD',
+        required: true
+      },
+      {
+        name: 'to',
+        description: 'Last day, YYYY-MM-DD (default: today)',
+        required: false
+      }
+    ]
+  },
+  {
+    name: 'pr_description',
+    description: 'Draft a pull request description from the journal entries of the commits on the current branch',
+    arguments: [
+      {
+        name: 'base',
+        description: 'Branch the pull request merges into (default: main, or master)',
+        required: false
+      }
+    ]
+  }
+];
+
+/**
+ * Format a day as "YYYY-MM-DD" in local time
+ * @param {Date} date - Day
+ * @returns {string} Day key
+ */
+function dayKey(date) {
+  const pad = number => String(number).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Parse a "YYYY-MM-DD" prompt argument
+ * @param {string|undefined} value - Argument value
+ * @param {string} name - Argument name (for the error message)
+ * @param {Date|null} defaultValue - Value when not given
+ * @returns {Date} Local midnight of the day
+ */
+function parseDay(value, name, defaultValue) {
+  if (value === undefined || value === '') {
+    if (!defaultValue) {
+      throw new Error(`Missing ${name}: expected a day as YYYY-MM-DD`);
+    }
+    return defaultValue;
+  }
+  if (!DATE_PATTERN.test(value)) {
+    throw new Error(`Invalid ${name}: expected a day as YYYY-MM-DD`);
+  }
+  const [year, month, day] = value.split('-').map(Number);
+  return new Date(year, month - 1, day);
+}
+
+/**
+ * Get the workday before a day (Friday for a Monday, Sunday or Saturday)
+ * @param {Date} date - Day
+ * @returns {Date} Previous workday
+ */
+function previousWorkday(date) {
+  const previous = new Date(date.getFullYear(), date.getMonth(), date.getDate() - 1);
+  while (previous.getDay() === 0 || previous.getDay() === 6) {
+    previous.setDate(previous.getDate() - 1);
+  }
+  return previous;
+}
+
+/**
+ * Format an entry for a prompt
+ * @param {Object} entry - Entry from journal-parser
+ * @returns {string} Entry digest
+ */
+function formatEntryDigest(entry) {
+  const subject = entry.message ? ` - ${entry.message}` : '';
+  const parts = [`### ${entry.date} ${entry.legacy ? '' : `${entry.time} `}- Commit ${entry.hash}${subject}`];
+
+  if (entry.legacy) {
+    parts.push(entry.body);
+  } else {
+    if (entry.sections.summary) parts.push(`**Summary**\n\n${entry.sections.summary}`);
+    if (entry.sections.technicalDecisions) parts.push(`**Technical Decisions**\n\n${entry.sections.technicalDecisions}`);
+    if (entry.reflections.length > 0) {
+      parts.push(`**Developer Reflections**\n\n${entry.reflections.map(reflection => `${reflection.time}: ${reflection.text}`).join('\n\n')}`);
+    }
+  }
+  return parts.join('\n\n');
+}
+
+/**
+ * Collect entries and reflections for a day range as prompt text
+ * @param {string} from - First day "YYYY-MM-DD"
+ * @param {string} to - Last day "YYYY-MM-DD"
+ * @returns {Promise<{text: string, entries: number}>} Journal content
+ */
+async function journalContent(from, to) {
+  const entries = await readJournalEntries({ from, to });
+  const reflections = await readJournalNotes('reflections', { from, to });
+
+  const parts = entries.map(formatEntryDigest);
+  if (reflections.length > 0) {
+    parts.push(`### Reflections\n\n${reflections.map(note => `${note.date} ${note.time}: ${note.text}`).join('\n\n')}`);
+  }
+  return { text: parts.join('\n\n---\n\n'), entries: entries.length };
+}
+
+/**
+ * Build the standup prompt
+ * @param {Object} args - Prompt arguments {date?}
+ * @returns {Promise<{description: string, text: string, entries: number}>} Prompt content
+ */
+async function standupPrompt(args) {
+  const today = parseDay(args.date, 'date', new Date());
+  const from = dayKey(previousWorkday(today));
+  const to = dayKey(today);
+  const { text, entries } = await journalContent(from, to);
+
+  const journal = text || '(No journal entries or reflections in this period.)';
+  return {
+    description: `Standup for ${to} (journal since ${from})`,
+    entries,
+    text: `Draft my standup update for ${to} from my development journal below, which covers ${from} through ${to}.
+
+Use three short sections: what I did, what I'm doing next, and blockers. Keep it to a few bullets each, in plain language a teammate would follow. Base everything on the journal. If the journal doesn't say what's next or what's blocking, say so rather than guessing.
+
+## Journal (${from} to ${to})
+
+${journal}`
+  };
+}
+
+/**
+ * Build the retro prompt
+ * @param {Object} args - Prompt arguments {from, to?}
+ * @returns {Promise<{description: string, text: string, entries: number}>} Prompt content
+ */
+async function retroPrompt(args) {
+  const fromDate = parseDay(args.from, 'from', null);
+  const toDate = parseDay(args.to, 'to', new Date());
+  if (toDate < fromDate) {
+    throw new Error(`Invalid range: ${args.to} is before ${args.from}`);
+  }
+  const from = dayKey(fromDate);
+  const to = dayKey(toDate);
+  const { text, entries } = await journalContent(from, to);
+
+  const journal = text || '(No journal entries or reflections in this period.)';
+  return {
+    description: `Retrospective for ${from} to ${to}`,
+    entries,
+    text: `Draft a retrospective for ${from} through ${to} from my development journal below.
+
+Cover what went well, what was hard or went wrong, what we learned, and what to change next time. Point to the commits (short hashes) that support each point, and use my reflections for how the work felt. Base everything on the journal. Don't invent outcomes it doesn't mention.
+
+## Journal (${from} to ${to})
+
+${journal}`
+  };
+}
+
+/**
+ * Find the base branch for the pull request
+ * @param {string|undefined} base - Requested base branch
+ * @returns {string} Base ref that exists
+ */
+function resolveBaseBranch(base) {
+  const candidates = base ? [base] : DEFAULT_BASE_BRANCHES;
+  if (base && !REF_PATTERN.test(base)) {
+    throw new Error(`Invalid base branch: ${base}`);
+  }
+
+  for (const candidate of candidates) {
+    try {
+      execFileSync('git', ['rev-parse', '--verify', '--quiet', `${candidate}^{commit}`], GIT_OPTIONS);
+      return candidate;
+    } catch (error) {
+      // Try the next candidate
+    }
+  }
+  throw new Error(base ? `Unknown base branch: ${base}` : `No base branch found (tried ${DEFAULT_BASE_BRANCHES.join(', ')}) - pass the base argument`);
+}
+
+/**
+ * Build the pull request description prompt
+ * @param {Object} args - Prompt arguments {base?}
+ * @returns {Promise<{description: string, text: string, entries: number}>} Prompt content
+ */
+async function prDescriptionPrompt(args) {
+  const base = resolveBaseBranch(args.base);
+  const branch = execFileSync('git', ['rev-parse', '--abbrev-ref', 'HEAD'], GIT_OPTIONS).trim();
+
+  // Oldest first: hash and author time of each commit on the branch
+  const commits = execFileSync('git', ['log', '--reverse', '--no-merges', '--format=%H|%at|%s', `${base}..HEAD`], GIT_OPTIONS)
+    .trim()
+    .split('\n')
+    .filter(Boolean)
+    .map(line => {
+      const [hash, seconds, ...subject] = line.split('|');
+      return { hash, timestamp: new Date(Number(seconds) * 1000), subject: subject.join('|') };
+    });
+
+  if (commits.length === 0) {
+    throw new Error(`${branch} has no commits that aren't on ${base}`);
+  }
+
+  // Entries are filed by local commit date - read a day either side of the branch's span
+  const day = 24 * 60 * 60 * 1000;
+  const entries = await readJournalEntries({
+    from: new Date(Math.min(...commits.map(commit => commit.timestamp.getTime())) - day),
+    to: new Date(Math.max(...commits.map(commit => commit.timestamp.getTime())) + day)
+  });
+
+  const parts = [];
+  const withoutEntry = [];
+  for (const commit of commits) {
+    const entry = entries.find(candidate => commit.hash.startsWith(candidate.hash.toLowerCase()));
+    if (entry) {
+      parts.push(formatEntryDigest(entry));
+    } else {
+      withoutEntry.push(`- ${commit.hash.slice(0, 8)} ${commit.subject}`);
+    }
+  }
+  if (withoutEntry.length > 0) {
+    parts.push(`### Commits without journal entries\n\n${withoutEntry.join('\n')}`);
+  }
+
+  return {
+    description: `Pull request description for ${branch} into ${base}`,
+    entries: commits.length - withoutEntry.length,
+    text: `Draft a pull request description for merging ${branch} into ${base}. The branch has ${commits.length} commit(s), and the journal entries for them are below, oldest first.
+
+Start with one or two sentences on what the change does and why. Then list the main changes, the notable technical decisions and their reasons, and anything a reviewer should check. Base everything on the journal entries and commit subjects. Don't claim testing or results that they don't mention.
+
+## Journal
+
+${parts.join('\n\n---\n\n')}`
+  };
+}
+
+const PROMPT_BUILDERS = {
+  standup: standupPrompt,
+  retro: retroPrompt,
+  pr_description: prDescriptionPrompt
+};
+
+/**
+ * List the available prompts
+ * @returns {Array<Object>} MCP prompt definitions
+ */
+export function listJournalPrompts() {
+  return PROMPTS;
+}
+
+/**
+ * Build a prompt with its journal content filled in
+ *
+ * @param {string} name - Prompt name ('standup', 'retro' or 'pr_description')
+ * @param {Object} [args] - Prompt arguments (strings)
+ * @returns {Promise<{description: string, messages: Array<Object>}>} MCP GetPrompt result
+ */
+export async function getJournalPrompt(name, args = {}) {
+  return await tracer.startActiveSpan(OTEL.span.mcp.prompt_get(), {
+    attributes: {
+      'code.function': 'getJournalPrompt'
+    }
+  }, async (span) => {
+    const logger = createNarrativeLogger('mcp.prompt_get');
+
+    try {
+      const builder = PROMPT_BUILDERS[name];
+      if (!builder) {
+        throw new Error(`Unknown prompt: ${name}`);
+      }
+
+      const { description, text, entries } = await builder(args || {});
+
+      span.setAttributes(OTEL.attrs.mcp.prompt({
+        name,
+        entries,
+        contentSize: text.length
+      }));
+
+      logger.complete('prompt build', `Built ${name} prompt with ${entries} journal entries`);
+      span.setStatus({ code: SpanStatusCode.OK });
+      return {
+        description,
+        messages: [{
+          role: 'user',
+          content: {
+            type: 'text',
+            text
+          }
+        }]
+      };
+
+    } catch (error) {
+      span.recordException(error);
+      span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+      logger.error('prompt build', 'Failed to build journal prompt', error, { prompt: name });
+      throw error;
+    } finally {
+      span.end();
+    }
+  });
+}
@@ -0,0 +1,259 @@
+/**
+ * Journal Resources
+ *
+ * Exposes the journal's daily files as MCP resources, so clients that support
+ * resources can attach a day of journal as context without a tool call:
+ *
+ *   journal://entries/2025-10-14        Journal entries for a day
+ *   journal://reflections/2025-10-14    Reflections for a day
+ *   journal://context/2025-10-14        Context captures for a day
+ *   journal://<type>/latest             The most recent day of that type
+ *
+ * Entries are written by the post-commit hook in another process, so changes are
+ * found by polling the daily files' mtime and size (fs.watch can't watch a tree
+ * recursively on Linux before Node 20).
+ */
+
+import { promises as fs } from 'fs';
+import { join, basename } from 'path';
+import { trace, SpanStatusCode } from '@opentelemetry/api';
+import { OTEL } from '../../telemetry/standards.js';
+import { createNarrativeLogger } from '../../utils/trace-logger.js';
+import { getJournalRoot } from '../../utils/journal-paths.js';
+import { listJournalFiles } from '../../managers/journal-parser.js';
+
+// Initialize telemetry
+const tracer = trace.getTracer('commit-story', '1.0.0');
+
+const URI_SCHEME = 'journal://';
+const MIME_TYPE = 'text/markdown';
+const LATEST = 'latest';
+const DEFAULT_POLL_INTERVAL_MS = 2000;
+
+// Resource type -> description used in listings
+const RESOURCE_TYPES = {
+  entries: 'Journal entries',
+  reflections: 'Reflections',
+  context: 'Context captures'
+};
+
+const URI_RE = /^journal:\/\/(entries|reflections|context)\/(\d{4}-\d{2}-\d{2}|latest)$/;
+
+/**
+ * Build a resource URI
+ * @param {string} type - 'entries', 'reflections' or 'context'
+ * @param {string} day - "YYYY-MM-DD" or 'latest'
+ * @returns {string} journal:// URI
+ */
+function resourceUri(type, day) {
+  return `${URI_SCHEME}${type}/${day}`;
+}
+
+/**
+ * Get the day a daily file covers
+ * @param {string} filePath - journal/<type>/YYYY-MM/YYYY-MM-DD.md
+ * @returns {string} "YYYY-MM-DD"
+ */
+function dayOf(filePath) {
+  return basename(filePath, '.md');
+}
+
+/**
+ * Resource templates for clients that build URIs themselves
+ * @returns {Array<Object>} MCP resource templates
+ */
+export function listJournalResourceTemplates() {
+  return Object.entries(RESOURCE_TYPES).map(([type, label]) => ({
+    uriTemplate: `${URI_SCHEME}${type}/{date}`,
+    name: `journal-${type}`,
+    description: `${label} for one day (date as YYYY-MM-DD, or "latest")`,
+    mimeType: MIME_TYPE
+  }));
+}
+
+/**
+ * List every journal day as a resource, plus a "latest" alias per type
+ *
+ * @param {Object} [options] - Listing options
+ * @param {string} [options.journalDir] - Journal root (default: ./journal)
+ * @returns {Promise<Array<Object>>} MCP resources, newest day first within each type
+ */
+export async function listJournalResources({ journalDir } = {}) {
+  const resources = [];
+
+  for (const [type, label] of Object.entries(RESOURCE_TYPES)) {
+    const files = await listJournalFiles(type, { journalDir });
+    if (files.length === 0) {
+      continue;
+    }
+
+    resources.push({
+      uri: resourceUri(type, LATEST),
+      name: `${label} (latest: ${dayOf(files[files.length - 1])})`,
+      mimeType: MIME_TYPE
+    });
+    for (const filePath of [...files].reverse()) {
+      resources.push({
+        uri: resourceUri(type, dayOf(filePath)),
+        name: `${label} ${dayOf(filePath)}`,
+        mimeType: MIME_TYPE
+      });
+    }
+  }
+
+  return resources;
+}
+
+/**
+ * Read a journal resource
+ *
+ * @param {string} uri - journal://<type>/<YYYY-MM-DD|latest>
+ * @param {Object} [options] - Read options
+ * @param {string} [options.journalDir] - Journal root (default: ./journal)
+ * @returns {Promise<Array<Object>>} MCP resource contents (the day's markdown)
+ */
+export async function readJournalResource(uri, { journalDir = getJournalRoot() } = {}) {
+  return await tracer.startActiveSpan(OTEL.span.mcp.resource_read(), {
+    attributes: {
+      'code.function': 'readJournalResource'
+    }
+  }, async (span) => {
+    const logger = createNarrativeLogger('mcp.resource_read');
+
+    try {
+      const match = typeof uri === 'string' && uri.match(URI_RE);
+      if (!match) {
+        throw new Error(`Unknown resource: ${uri} (expected journal://entries|reflections|context/<YYYY-MM-DD|latest>)`);
+      }
+      const [, type, requestedDay] = match;
+
+      let day = requestedDay;
+      if (day === LATEST) {
+        const files = await listJournalFiles(type, { journalDir });
+        if (files.length === 0) {
+          throw new Error(`No ${RESOURCE_TYPES[type].toLowerCase()} in the journal yet`);
+        }
+        day = dayOf(files[files.length - 1]);
+      }
+
+      const filePath = join(journalDir, type, day.slice(0, 7), `${day}.md`);
+      let text;
+      try {
+        text = await fs.readFile(filePath, 'utf8');
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          throw new Error(`No ${RESOURCE_TYPES[type].toLowerCase()} on ${day}`);
+        }
+        throw error;
+      }
+
+      span.setAttributes(OTEL.attrs.mcp.resource({
+        uri,
+        type,
+        day,
+        contentSize: text.length
+      }));
+
+      logger.complete('resource read', `Read ${uri} (${day}, ${text.length} characters)`);
+      span.setStatus({ code: SpanStatusCode.OK });
+      return [{ uri, mimeType: MIME_TYPE, text }];
+
+    } catch (error) {
+      span.recordException(error);
+      span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+      logger.error('resource read', 'Failed to read journal resource', error, { uri });
+      throw error;
+    } finally {
+      span.end();
+    }
+  });
+}
+
+/**
+ * Take a snapshot of the journal's daily files
+ * @param {string} [journalDir] - Journal root
+ * @returns {Promise<Map<string, string>>} URI -> "mtime:size"
+ */
+async function snapshotJournal(journalDir) {
+  const snapshot = new Map();
+  for (const type of Object.keys(RESOURCE_TYPES)) {
+    for (const filePath of await listJournalFiles(type, { journalDir })) {
+      try {
+        const stat = await fs.stat(filePath);
+        snapshot.set(resourceUri(type, dayOf(filePath)), `${stat.mtimeMs}:${stat.size}`);
+      } catch (error) {
+        // Removed between listing and stat - picked up on the next poll
+      }
+    }
+  }
+  return snapshot;
+}
+
+/**
+ * Find the latest day URI of each type in a snapshot
+ * @param {Map<string, string>} snapshot - Snapshot from snapshotJournal
+ * @returns {Map<string, string>} Type -> latest day URI
+ */
+function latestDays(snapshot) {
+  const latest = new Map();
+  for (const uri of snapshot.keys()) {
+    const [, type] = uri.match(URI_RE);
+    if (!latest.has(type) || uri > latest.get(type)) {
+      latest.set(type, uri);
+    }
+  }
+  return latest;
+}
+
+/**
+ * Watch the journal for new and changed days
+ *
+ * Calls onChange with the URIs whose content changed (including journal://<type>/latest
+ * when the latest day changed or moved on) and whether days were added or removed.
+ *
+ * @param {Function} onChange - ({updated: string[], listChanged: boolean}) => void
+ * @param {Object} [options] - Watch options
+ * @param {string} [options.journalDir] - Journal root (default: ./journal)
+ * @param {number} [options.intervalMs=2000] - Poll interval
+ * @returns {Promise<Function>} Stops watching
+ */
+export async function watchJournalResources(onChange, { journalDir, intervalMs = DEFAULT_POLL_INTERVAL_MS } = {}) {
+  const logger = createNarrativeLogger('mcp.resource_watch');
+  let previous = await snapshotJournal(journalDir);
+  let polling = false;
+
+  const poll = async () => {
+    // Skip a tick rather than overlap a slow poll
+    if (polling) return;
+    polling = true;
+
+    try {
+      const current = await snapshotJournal(journalDir);
+      const updated = [...current].filter(([uri, version]) => previous.get(uri) !== version).map(([uri]) => uri);
+      const removed = [...previous.keys()].filter(uri => !current.has(uri));
+      const listChanged = removed.length > 0 || updated.some(uri => !previous.has(uri));
+
+      const previousLatest = latestDays(previous);
+      for (const [type, uri] of latestDays(current)) {
+        if (previousLatest.get(type) !== uri || updated.includes(uri)) {
+          updated.push(resourceUri(type, LATEST));
+        }
+      }
+
+      previous = current;
+      if (updated.length > 0 || listChanged) {
+        logger.progress('resource watch', `${updated.length} journal resources changed${listChanged ? ' (days added or removed)' : ''}`);
+        onChange({ updated, listChanged });
+      }
+    } catch (error) {
+      logger.error('resource watch', 'Failed to poll journal files', error);
+    } finally {
+      polling = false;
+    }
+  };
+
+  const timer = setInterval(poll, intervalMs);
+  // Don't keep the process alive just to watch
+  timer.unref();
+  return () => clearInterval(timer);
+}
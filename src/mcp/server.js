@@ -3,18 +3,49 @@
 /**
  * Commit Story MCP Server
  *
- * Model Context Protocol server providing journal reflection tools to AI assistants.
+ * Model Context Protocol server providing journal tools to AI assistants: reflection
+ * and context capture (write), and entry lookup, search and recent work (read).
+ * Journal days are also exposed as journal:// resources (see resources/journal-resources.js),
+ * and standup, retro and PR description prompts come filled in with journal content.
  * Integrates with commit-story telemetry infrastructure for full observability.
+ *
+ * Usage:
+ *   node src/mcp/server.js                          # stdio (spawned by the editor)
+ *   commit-story-mcp --http [--port 7333] [--host 127.0.0.1]
+ *                                                   # Shared server over Streamable HTTP and SSE
+ *
+ * Set COMMIT_STORY_MCP_TOKEN (or pass --token) to require "Authorization: Bearer <token>"
+ * on HTTP requests. A token is required when listening on a non-loopback host.
  */
 
+import fs from 'fs';
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
-import { CallToolRequestSchema, ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import {
+  CallToolRequestSchema,
+  ListToolsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema
+} from '@modelcontextprotocol/sdk/types.js';
 import { trace, SpanStatusCode, propagation, context, metrics } from '@opentelemetry/api';
 import { OTEL } from '../telemetry/standards.js';
 import { createNarrativeLogger } from '../utils/trace-logger.js';
 import { createReflectionTool } from './tools/reflection-tool.js';
 import { createContextTool } from './tools/context-capture-tool.js';
+import { getJournalEntryTool, searchJournalTool, recentJournalTool } from './tools/journal-query-tools.js';
+import {
+  listJournalResources,
+  listJournalResourceTemplates,
+  readJournalResource,
+  watchJournalResources
+} from './resources/journal-resources.js';
+import { listJournalPrompts, getJournalPrompt } from './prompts/journal-prompts.js';
+import { startHttpServer, isLoopbackHost, DEFAULT_HTTP_PORT, DEFAULT_HTTP_HOST } from './http-transport.js';
 
 // Initialize telemetry conditionally (non-blocking)
 import('../tracing.js')
@@ -27,12 +58,69 @@ import('../tracing.js')
 const tracer = trace.getTracer('commit-story', '1.0.0');
 const logger = createNarrativeLogger('mcp.server');
 
+/**
+ * Parse the server's command-line options
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {{http: boolean, port: number, host: string, token: string|null}} Server options
+ */
+function parseServerArgs(argv) {
+  const options = {
+    http: false,
+    port: DEFAULT_HTTP_PORT,
+    host: DEFAULT_HTTP_HOST,
+    token: process.env.COMMIT_STORY_MCP_TOKEN || null
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--http') {
+      options.http = true;
+    } else if (['--port', '--host', '--token'].includes(arg) && argv[i + 1] !== undefined) {
+      options[arg.slice(2)] = argv[++i];
+    } else {
+      throw new Error(`Unknown option ${arg} - usage: commit-story-mcp [--http] [--port <port>] [--host <host>] [--token <token>]`);
+    }
+  }
+
+  options.port = Number(options.port);
+  if (!Number.isInteger(options.port) || options.port < 1 || options.port > 65535) {
+    throw new Error(`Invalid port: ${options.port}`);
+  }
+  if (options.http && !isLoopbackHost(options.host) && !options.token) {
+    throw new Error(`Listening on ${options.host} makes the journal reachable from other machines - set COMMIT_STORY_MCP_TOKEN to require a bearer token`);
+  }
+  return options;
+}
+
 /**
  * Main MCP Server Class
+ *
+ * Over stdio there is one client and one MCP Server instance (this.server). Over
+ * HTTP every client session gets its own instance from createSessionServer.
  */
 class CommitStoryMCPServer {
-  constructor() {
-    this.server = new Server(
+  /**
+   * @param {Object} [options] - Server options (see parseServerArgs)
+   */
+  constructor(options = {}) {
+    this.options = { http: false, port: DEFAULT_HTTP_PORT, host: DEFAULT_HTTP_HOST, token: null, ...options };
+    this.transport = this.options.http ? 'http' : 'stdio';
+
+    // MCP Server instance -> resource URIs its client asked to be notified about
+    this.sessions = new Map();
+    this.stopWatching = null;
+    this.httpServer = null;
+
+    this.server = this.options.http ? null : this.createSessionServer();
+    this.setupLifecycleHandlers();
+  }
+
+  /**
+   * Create an MCP Server instance with all handlers registered
+   * @returns {Server} MCP Server for one client
+   */
+  createSessionServer() {
+    const server = new Server(
       {
         name: 'commit-story',
         version: '1.0.0'
@@ -40,12 +128,23 @@ class CommitStoryMCPServer {
       {
         capabilities: {
           tools: {},
+          resources: {
+            subscribe: true,
+            listChanged: true
+          },
+          prompts: {},
         },
       }
     );
 
-    this.setupToolHandlers();
-    this.setupLifecycleHandlers();
+    this.sessions.set(server, new Set());
+    server.onclose = () => this.sessions.delete(server);
+    server.onerror = (error) => this.handleServerError(error);
+
+    this.setupToolHandlers(server);
+    this.setupResourceHandlers(server);
+    this.setupPromptHandlers(server);
+    return server;
   }
 
   /**
@@ -83,10 +182,11 @@ class CommitStoryMCPServer {
 
   /**
    * Setup MCP tool request handlers with telemetry
+   * @param {Server} server - MCP Server instance
    */
-  setupToolHandlers() {
+  setupToolHandlers(server) {
     // List available tools
-    this.server.setRequestHandler(ListToolsRequestSchema, async (request) => {
+    server.setRequestHandler(ListToolsRequestSchema, async (request) => {
       // Extract trace context from incoming request
       const extractedContext = this.extractTraceContext(request);
 
@@ -94,7 +194,7 @@ class CommitStoryMCPServer {
         return tracer.startActiveSpan(OTEL.span.mcp.tool_invocation(), {
           attributes: {
             ...OTEL.attrs.mcp.server({
-              transport: 'stdio',
+              transport: this.transport,
               version: '1.0.0',
               method: 'tools/list'
             }),
@@ -134,6 +234,72 @@ class CommitStoryMCPServer {
                 },
                 required: ['text']
               }
+            },
+            {
+              name: 'journal_get_entry',
+              description: 'Get the development journal entry for a commit: summary, development dialogue, technical decisions, reflections and commit details. Use this to find out what was done in a commit and why.',
+              inputSchema: {
+                type: 'object',
+                properties: {
+                  commit: {
+                    type: 'string',
+                    description: 'Commit hash (full or abbreviated) or ref such as HEAD~2 or a branch name'
+                  }
+                },
+                required: ['commit']
+              }
+            },
+            {
+              name: 'journal_search',
+              description: 'Search the development journal (entries, reflections and context captures) for where something was discussed or decided. Returns matching snippets with their dates and commit hashes; all query words must match.',
+              inputSchema: {
+                type: 'object',
+                properties: {
+                  query: {
+                    type: 'string',
+                    description: 'Words to search for'
+                  },
+                  from: {
+                    type: 'string',
+                    description: 'First day to search, YYYY-MM-DD (inclusive)'
+                  },
+                  to: {
+                    type: 'string',
+                    description: 'Last day to search, YYYY-MM-DD (inclusive)'
+                  },
+                  section: {
+                    type: 'string',
+                    enum: ['summary', 'dialogue', 'decisions', 'details', 'reflections', 'context'],
+                    description: 'Only search one kind of journal text'
+                  },
+                  limit: {
+                    type: 'integer',
+                    minimum: 1,
+                    maximum: 50,
+                    description: 'Maximum results (default 10)'
+                  }
+                },
+                required: ['query']
+              }
+            },
+            {
+              name: 'journal_recent',
+              description: 'Get the most recent development journal entries, or every entry for one day. Use this to catch up on recent work.',
+              inputSchema: {
+                type: 'object',
+                properties: {
+                  count: {
+                    type: 'integer',
+                    minimum: 1,
+                    maximum: 50,
+                    description: 'Number of recent entries (default 5); ignored when date is given'
+                  },
+                  date: {
+                    type: 'string',
+                    description: 'Day to list, YYYY-MM-DD'
+                  }
+                }
+              }
             }
           ];
 
@@ -174,7 +340,7 @@ class CommitStoryMCPServer {
     });
 
     // Handle tool calls
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
+    server.setRequestHandler(CallToolRequestSchema, async (request) => {
       const { name, arguments: args } = request.params;
 
       // Extract trace context from incoming request
@@ -189,7 +355,7 @@ class CommitStoryMCPServer {
               executionDuration: 0 // Will be set later
             }),
             ...OTEL.attrs.mcp.server({
-              transport: 'stdio',
+              transport: this.transport,
               version: '1.0.0',
               method: name // Use tool name as RPC method for better AI assistant querying
             }),
@@ -207,7 +373,10 @@ class CommitStoryMCPServer {
           // Tool registry for better maintainability and telemetry
           const toolHandlers = {
             'journal_add_reflection': createReflectionTool,
-            'journal_capture_context': createContextTool
+            'journal_capture_context': createContextTool,
+            'journal_get_entry': getJournalEntryTool,
+            'journal_search': searchJournalTool,
+            'journal_recent': recentJournalTool
           };
 
           const toolHandler = toolHandlers[name];
@@ -302,37 +471,173 @@ class CommitStoryMCPServer {
   }
 
   /**
-   * Setup server lifecycle event handlers with telemetry
+   * Setup MCP resource request handlers with telemetry
+   * @param {Server} server - MCP Server instance
    */
-  setupLifecycleHandlers() {
-    // Server startup
-    this.server.onerror = (error) => {
-      return tracer.startActiveSpan(OTEL.span.mcp.server_startup(), {
-        attributes: {
-          ...OTEL.attrs.mcp.server({
-            transport: 'stdio',
-            version: '1.0.0',
-            method: 'error'
-          }),
-          'code.function': 'onError'
+  setupResourceHandlers(server) {
+    // List journal days (and the latest-day aliases)
+    server.setRequestHandler(ListResourcesRequestSchema, async (request) => {
+      const extractedContext = this.extractTraceContext(request);
+
+      return context.with(extractedContext, () => {
+        return tracer.startActiveSpan(OTEL.span.mcp.resource_list(), {
+          attributes: {
+            ...OTEL.attrs.mcp.server({
+              transport: this.transport,
+              version: '1.0.0',
+              method: 'resources/list'
+            }),
+            'code.function': 'listResources'
+          }
+        }, async (span) => {
+          try {
+            const resources = await listJournalResources();
+
+            span.setAttributes({
+              [`${OTEL.NAMESPACE}.mcp.resources_listed`]: resources.length
+            });
+            logger.complete('mcp.resource_list', `Listed ${resources.length} journal resources`);
+
+            span.setStatus({ code: SpanStatusCode.OK });
+            return { resources };
+          } catch (error) {
+            span.recordException(error);
+            span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+            logger.error('mcp.resource_list', 'Failed to list resources', error);
+            throw error;
+          } finally {
+            span.end();
+          }
+        });
+      });
+    });
+
+    server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+      return { resourceTemplates: listJournalResourceTemplates() };
+    });
+
+    // Read one day (readJournalResource has its own span)
+    server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+      const extractedContext = this.extractTraceContext(request);
+
+      return context.with(extractedContext, async () => {
+        const contents = await readJournalResource(request.params.uri);
+        return { contents };
+      });
+    });
+
+    server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+      this.sessions.get(server)?.add(request.params.uri);
+      logger.progress('mcp.resource_notify', `Subscribed to ${request.params.uri}`);
+      return {};
+    });
+
+    server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+      this.sessions.get(server)?.delete(request.params.uri);
+      return {};
+    });
+  }
+
+  /**
+   * Setup MCP prompt request handlers (getJournalPrompt has its own span)
+   * @param {Server} server - MCP Server instance
+   */
+  setupPromptHandlers(server) {
+    server.setRequestHandler(ListPromptsRequestSchema, async () => {
+      return { prompts: listJournalPrompts() };
+    });
+
+    server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+      const extractedContext = this.extractTraceContext(request);
+
+      return context.with(extractedContext, () => {
+        return getJournalPrompt(request.params.name, request.params.arguments);
+      });
+    });
+  }
+
+  /**
+   * Tell the client about journal changes: resources/updated for subscribed URIs,
+   * resources/list_changed when days were added or removed
+   * @param {{updated: string[], listChanged: boolean}} changes - Changes from watchJournalResources
+   */
+  async notifyResourceChanges({ updated, listChanged }) {
+    return tracer.startActiveSpan(OTEL.span.mcp.resource_notify(), {
+      attributes: {
+        'code.function': 'notifyResourceChanges'
+      }
+    }, async (span) => {
+      try {
+        let notifications = 0;
+        for (const [server, subscriptions] of this.sessions) {
+          try {
+            const subscribed = updated.filter(uri => subscriptions.has(uri));
+            for (const uri of subscribed) {
+              await server.sendResourceUpdated({ uri });
+            }
+            if (listChanged) {
+              await server.sendResourceListChanged();
+            }
+            notifications += subscribed.length + (listChanged ? 1 : 0);
+          } catch (error) {
+            // A client that went away (or hasn't finished connecting) shouldn't stop the others
+            span.recordException(error);
+          }
         }
-      }, (span) => {
+
+        span.setAttributes({
+          [`${OTEL.NAMESPACE}.mcp.resources_updated`]: notifications,
+          [`${OTEL.NAMESPACE}.mcp.resource_list_changed`]: listChanged
+        });
+        OTEL.metrics.counter('commit_story.mcp.resource_notifications_total', notifications);
+
+        span.setStatus({ code: SpanStatusCode.OK });
+      } catch (error) {
         span.recordException(error);
         span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+        logger.error('mcp.resource_notify', 'Failed to send resource notifications', error);
+      } finally {
+        span.end();
+      }
+    });
+  }
 
-        logger.error('mcp.server_startup', 'MCP server error occurred', error, {
-          error_type: error.name
-        });
+  /**
+   * Record an MCP Server runtime error
+   * @param {Error} error - Error reported by the server or its transport
+   */
+  handleServerError(error) {
+    return tracer.startActiveSpan(OTEL.span.mcp.server_startup(), {
+      attributes: {
+        ...OTEL.attrs.mcp.server({
+          transport: this.transport,
+          version: '1.0.0',
+          method: 'error'
+        }),
+        'code.function': 'onError'
+      }
+    }, (span) => {
+      span.recordException(error);
+      span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
 
-        OTEL.metrics.counter('commit_story.mcp.server_errors', 1, {
-          'error.type': error.name,
-          'mcp.phase': 'runtime'
-        });
+      logger.error('mcp.server_startup', 'MCP server error occurred', error, {
+        error_type: error.name
+      });
 
-        console.error('MCP Server error:', error);
+      OTEL.metrics.counter('commit_story.mcp.server_errors', 1, {
+        'error.type': error.name,
+        'mcp.phase': 'runtime'
       });
-    };
 
+      console.error('MCP Server error:', error);
+      span.end();
+    });
+  }
+
+  /**
+   * Setup server lifecycle event handlers with telemetry
+   */
+  setupLifecycleHandlers() {
     // Handle process signals for graceful shutdown
     process.on('SIGINT', () => this.shutdown('SIGINT'));
     process.on('SIGTERM', () => this.shutdown('SIGTERM'));
@@ -364,7 +669,7 @@ class CommitStoryMCPServer {
     return tracer.startActiveSpan(OTEL.span.mcp.server_startup(), {
       attributes: {
         ...OTEL.attrs.mcp.server({
-          transport: 'stdio',
+          transport: this.transport,
           version: '1.0.0',
           method: 'startup'
         }),
@@ -375,12 +680,25 @@ class CommitStoryMCPServer {
 
       try {
         logger.start('mcp.server_startup', 'Starting commit-story MCP server', {
-          transport: 'stdio',
+          transport: this.transport,
           version: '1.0.0'
         });
 
-        const transport = new StdioServerTransport();
-        await this.server.connect(transport);
+        if (this.options.http) {
+          this.httpServer = await startHttpServer({
+            createServer: () => this.createSessionServer(),
+            port: this.options.port,
+            host: this.options.host,
+            token: this.options.token
+          });
+          // stdout isn't an MCP channel here, but keep it clean for process managers
+          console.error(`commit-story MCP server listening on ${this.httpServer.url}${this.options.token ? ' (bearer token required)' : ''}`);
+        } else {
+          await this.server.connect(new StdioServerTransport());
+        }
+
+        // New entries are written by the post-commit hook, in another process
+        this.stopWatching = await watchJournalResources(changes => this.notifyResourceChanges(changes));
 
         const startupDuration = Date.now() - startTime;
 
@@ -391,14 +709,14 @@ class CommitStoryMCPServer {
 
         // Emit metrics
         OTEL.metrics.counter('commit_story.mcp.connection_attempts', 1, {
-          'mcp.transport': 'stdio',
+          'mcp.transport': this.transport,
           'mcp.success': 'true'
         });
 
         OTEL.metrics.histogram('commit_story.mcp.server_startup_duration_ms', startupDuration);
 
         logger.complete('mcp.server_startup', 'MCP server started successfully', {
-          transport: 'stdio',
+          transport: this.transport,
           startup_duration_ms: startupDuration
         });
 
@@ -415,12 +733,12 @@ class CommitStoryMCPServer {
         });
 
         logger.error('mcp.server_startup', 'Failed to start MCP server', error, {
-          transport: 'stdio',
+          transport: this.transport,
           startup_duration_ms: startupDuration
         });
 
         OTEL.metrics.counter('commit_story.mcp.connection_attempts', 1, {
-          'mcp.transport': 'stdio',
+          'mcp.transport': this.transport,
           'mcp.success': 'false'
         });
 
@@ -441,7 +759,7 @@ class CommitStoryMCPServer {
     return tracer.startActiveSpan(OTEL.span.mcp.server_shutdown(), {
       attributes: {
         ...OTEL.attrs.mcp.server({
-          transport: 'stdio',
+          transport: this.transport,
           version: '1.0.0',
           method: 'shutdown'
         }),
@@ -454,7 +772,11 @@ class CommitStoryMCPServer {
           signal: signal
         });
 
-        await this.server.close();
+        this.stopWatching?.();
+        await this.httpServer?.close();
+        for (const server of this.sessions.keys()) {
+          await server.close();
+        }
 
         logger.complete('mcp.server_shutdown', 'MCP server shut down successfully', {
           signal: signal
@@ -493,9 +815,17 @@ class CommitStoryMCPServer {
 
 }
 
-// Start the server if this file is run directly
-if (import.meta.url === `file://${process.argv[1]}`) {
-  const server = new CommitStoryMCPServer();
+// Start the server if this file is run directly (or through the commit-story-mcp bin symlink)
+if (process.argv[1] && import.meta.url === `file://${fs.realpathSync(process.argv[1])}`) {
+  let options;
+  try {
+    options = parseServerArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+
+  const server = new CommitStoryMCPServer(options);
   server.start().catch((error) => {
     console.error('Failed to start MCP server:', error);
     process.exit(1);
@@ -0,0 +1,271 @@
+/**
+ * Journal Query Tools
+ *
+ * Read-only MCP tools that let an AI assistant answer questions from the journal
+ * ("what did we do on this feature last week and why") instead of guessing:
+ *
+ *   journal_get_entry   The entry for a commit hash or ref
+ *   journal_search      Full-text search with an optional date range and section
+ *   journal_recent      The last N entries, or every entry of one day
+ *
+ * Results are returned as markdown in the journal's own layout.
+ */
+
+import { execFileSync } from 'child_process';
+import { trace, SpanStatusCode, context as otelContext } from '@opentelemetry/api';
+import { OTEL } from '../../telemetry/standards.js';
+import { createNarrativeLogger } from '../../utils/trace-logger.js';
+import { findJournalEntry, readJournalEntries, readRecentEntries } from '../../managers/journal-parser.js';
+import { searchJournal, SEARCH_SECTIONS } from '../../managers/search-index.js';
+import { GIT_ONLY_MARKER } from '../../managers/journal-manager.js';
+
+// Initialize telemetry
+const tracer = trace.getTracer('commit-story', '1.0.0');
+const logger = createNarrativeLogger('mcp.journal_query');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+// Same character set as commit-analyzer's ref validation, plus ~ and ^ for relative refs
+const REF_PATTERN = /^[a-zA-Z0-9/_.~^-]+$/;
+const DEFAULT_SEARCH_LIMIT = 10;
+const DEFAULT_RECENT_COUNT = 5;
+const MAX_RESULTS = 50;
+
+/**
+ * Render a parsed entry as markdown in the journal's layout
+ * @param {Object} entry - Entry from journal-parser
+ * @returns {string} Entry markdown
+ */
+export function formatEntryMarkdown(entry) {
+  const subject = entry.message ? ` - ${entry.message}` : '';
+  // Legacy headers already carry the date
+  const when = entry.legacy ? entry.time : `${entry.date} ${entry.time}`;
+  const parts = [`## ${when} - Commit: ${entry.hash}${subject}`];
+
+  if (entry.legacy) {
+    parts.push(entry.body);
+    return parts.join('\n\n');
+  }
+
+  if (entry.gitOnly) {
+    parts.push(GIT_ONLY_MARKER);
+  }
+  const sections = [
+    ['Summary', entry.sections.summary],
+    ['Development Dialogue', entry.sections.dialogue],
+    ['Technical Decisions', entry.sections.technicalDecisions],
+    ['Developer Reflections', entry.reflections.map(reflection => `**${reflection.time}**\n\n${reflection.text}`).join('\n\n')],
+    ['Commit Details', entry.sections.commitDetails]
+  ];
+  for (const [title, text] of sections) {
+    if (text) {
+      parts.push(`### ${title}\n\n${text}`);
+    }
+  }
+  return parts.join('\n\n');
+}
+
+/**
+ * Validate an optional day argument
+ * @param {*} value - Argument value
+ * @param {string} name - Argument name (for the error message)
+ * @returns {string|undefined} Day "YYYY-MM-DD", or undefined when not given
+ */
+function optionalDay(value, name) {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) {
+    throw new Error(`Invalid ${name}: expected a day as YYYY-MM-DD`);
+  }
+  return value;
+}
+
+/**
+ * Validate an optional count argument
+ * @param {*} value - Argument value
+ * @param {string} name - Argument name (for the error message)
+ * @param {number} defaultValue - Value when not given
+ * @returns {number} Count between 1 and MAX_RESULTS
+ */
+function optionalCount(value, name, defaultValue) {
+  if (value === undefined || value === null) {
+    return defaultValue;
+  }
+  if (!Number.isInteger(value) || value < 1 || value > MAX_RESULTS) {
+    throw new Error(`Invalid ${name}: expected a whole number from 1 to ${MAX_RESULTS}`);
+  }
+  return value;
+}
+
+/**
+ * Resolve a commit hash or ref to its full hash and author time
+ * @param {string} ref - Commit hash, branch, tag or relative ref (HEAD~2)
+ * @returns {{hash: string, timestamp: Date}|null} Commit, or null when git doesn't know it
+ */
+function resolveCommit(ref) {
+  try {
+    const output = execFileSync('git', ['show', '-s', '--format=%H|%at', `${ref}^{commit}`, '--'], {
+      encoding: 'utf8',
+      stdio: ['pipe', 'pipe', 'pipe']
+    }).trim();
+    const [hash, seconds] = output.split('|');
+    return { hash, timestamp: new Date(Number(seconds) * 1000) };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Run a query tool inside its span, turning failures into MCP error responses
+ * @param {string} spanName - Tool span name
+ * @param {string} functionName - Exported tool function (code.function)
+ * @param {import('@opentelemetry/api').Span} parentSpan - Parent MCP span
+ * @param {Function} query - Async work returning {text, results}
+ * @returns {Promise<Object>} MCP tool response
+ */
+function runQueryTool(spanName, functionName, parentSpan, query) {
+  const ctx = trace.setSpan(otelContext.active(), parentSpan);
+  return tracer.startActiveSpan(spanName, {
+    attributes: {
+      'code.function': functionName
+    }
+  }, ctx, async (span) => {
+    try {
+      logger.start('journal query', `Running ${spanName}`);
+
+      const { text, results } = await query();
+
+      span.setAttributes(OTEL.attrs.mcp.query({
+        type: spanName.replace('mcp.tool.', ''),
+        results,
+        responseSize: text.length
+      }));
+      OTEL.metrics.gauge('commit_story.mcp.query_results', results, {
+        'mcp.tool_name': spanName.replace('mcp.tool.', '')
+      });
+
+      logger.complete('journal query', `${spanName} returned ${results} result(s)`);
+      span.setStatus({ code: SpanStatusCode.OK });
+
+      return {
+        content: [{
+          type: 'text',
+          text
+        }],
+        isError: false
+      };
+
+    } catch (error) {
+      span.recordException(error);
+      span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+      logger.error('journal query', `${spanName} failed`, error);
+
+      return {
+        content: [{
+          type: 'text',
+          text: `❌ **Journal query failed**\n\n🔍 **Error**: ${error.message}`
+        }],
+        isError: true
+      };
+    } finally {
+      span.end();
+    }
+  });
+}
+
+/**
+ * Get the journal entry for a commit
+ * @param {Object} args - Tool arguments {commit}
+ * @param {import('@opentelemetry/api').Span} parentSpan - Parent MCP span
+ * @returns {Promise<Object>} MCP tool response
+ */
+export async function getJournalEntryTool(args, parentSpan) {
+  return runQueryTool(OTEL.span.mcp.tool.journal_get_entry(), 'getJournalEntryTool', parentSpan, async () => {
+    const ref = args?.commit;
+    if (!ref || typeof ref !== 'string' || !REF_PATTERN.test(ref)) {
+      throw new Error('Missing or invalid commit: expected a commit hash or ref (e.g. a1b2c3d, HEAD~2, main)');
+    }
+
+    // Commits rewritten away (rebase, amend) can still have entries under their old hash
+    const commit = resolveCommit(ref);
+    if (!commit && !/^[0-9a-f]{4,40}$/i.test(ref)) {
+      throw new Error(`Unknown commit: ${ref}`);
+    }
+
+    const entry = commit
+      ? await findJournalEntry(commit.hash, { near: commit.timestamp })
+      : await findJournalEntry(ref);
+    if (!entry) {
+      const label = commit ? commit.hash.slice(0, 8) : ref;
+      return { text: `No journal entry for commit ${label}. It may predate commit-story, be a journal-only commit, or still be queued.`, results: 0 };
+    }
+
+    return { text: formatEntryMarkdown(entry), results: 1 };
+  });
+}
+
+/**
+ * Search the journal
+ * @param {Object} args - Tool arguments {query, from?, to?, section?, limit?}
+ * @param {import('@opentelemetry/api').Span} parentSpan - Parent MCP span
+ * @returns {Promise<Object>} MCP tool response
+ */
+export async function searchJournalTool(args, parentSpan) {
+  return runQueryTool(OTEL.span.mcp.tool.journal_search(), 'searchJournalTool', parentSpan, async () => {
+    if (!args?.query || typeof args.query !== 'string' || !args.query.trim()) {
+      throw new Error('Missing or invalid query: search text is required');
+    }
+    if (args.section !== undefined && !SEARCH_SECTIONS.includes(args.section)) {
+      throw new Error(`Invalid section: expected one of ${SEARCH_SECTIONS.join(', ')}`);
+    }
+
+    const { results, total } = await searchJournal(args.query, {
+      from: optionalDay(args.from, 'from'),
+      to: optionalDay(args.to, 'to'),
+      section: args.section,
+      limit: optionalCount(args.limit, 'limit', DEFAULT_SEARCH_LIMIT)
+    });
+
+    if (results.length === 0) {
+      return { text: `No journal matches for "${args.query}".`, results: 0 };
+    }
+
+    const lines = results.map(result => {
+      const source = result.shortHash ? `commit ${result.shortHash}` : `${result.time}${result.sessionId ? `, session ${result.sessionId}` : ''}`;
+      const subject = result.message ? ` - ${result.message}` : '';
+      return `- **${result.date}** (${source}) [${result.section}]${subject}\n  ${result.snippet}`;
+    });
+    const more = total > results.length ? ` (showing the best ${results.length})` : '';
+    const text = `${total} journal matches for "${args.query}"${more}:\n\n${lines.join('\n')}\n\nUse journal_get_entry with a commit hash for the full entry.`;
+
+    return { text, results: results.length };
+  });
+}
+
+/**
+ * List recent journal entries
+ * @param {Object} args - Tool arguments {count?, date?}
+ * @param {import('@opentelemetry/api').Span} parentSpan - Parent MCP span
+ * @returns {Promise<Object>} MCP tool response
+ */
+export async function recentJournalTool(args, parentSpan) {
+  return runQueryTool(OTEL.span.mcp.tool.journal_recent(), 'recentJournalTool', parentSpan, async () => {
+    const date = optionalDay(args?.date, 'date');
+    const count = optionalCount(args?.count, 'count', DEFAULT_RECENT_COUNT);
+
+    const entries = date
+      ? await readJournalEntries({ from: date, to: date })
+      : await readRecentEntries(count);
+
+    if (entries.length === 0) {
+      return { text: date ? `No journal entries on ${date}.` : 'The journal has no entries yet.', results: 0 };
+    }
+
+    const heading = date
+      ? `${entries.length} journal entries on ${date}:`
+      : `The ${entries.length} most recent journal entries, oldest first:`;
+    const text = `${heading}\n\n${entries.map(formatEntryMarkdown).join('\n\n═══════════════════════════════════════\n\n')}`;
+
+    return { text, results: entries.length };
+  });
+}
@@ -11,6 +11,7 @@ import { trace, SpanStatusCode, context as otelContext } from '@opentelemetry/ap
 import { OTEL } from '../../telemetry/standards.js';
 import { createNarrativeLogger } from '../../utils/trace-logger.js';
 import { generateJournalPath, ensureJournalDirectory, getTimezonedTimestamp } from '../../utils/journal-paths.js';
+import { withFileLock } from '../../utils/file-lock.js';
 
 // Initialize telemetry
 const tracer = trace.getTracer('commit-story', '1.0.0');
@@ -117,7 +118,8 @@ ${reflectionText}
         }
       }, async (writeSpan) => {
         try {
-          await fs.appendFile(filePath, reflectionEntry, 'utf8');
+          // Hooks and other MCP calls may be writing to the same daily file
+          await withFileLock(filePath, () => fs.appendFile(filePath, reflectionEntry, 'utf8'));
           writeSpan.setStatus({ code: SpanStatusCode.OK });
         } catch (error) {
           writeSpan.recordException(error);
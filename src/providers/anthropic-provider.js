@@ -0,0 +1,76 @@
+/**
+ * Anthropic Provider Adapter
+ *
+ * Calls the Anthropic Messages API over HTTPS. Uses fetch directly so the
+ * package doesn't need an extra SDK dependency.
+ */
+
+const DEFAULT_BASE_URL = 'https://api.anthropic.com';
+const ANTHROPIC_VERSION = '2023-06-01';
+// The Messages API requires max_tokens; journal sections are well under this
+const DEFAULT_MAX_TOKENS = 4096;
+
+/**
+ * Create an Anthropic provider
+ * @param {Object} config - Resolved provider configuration
+ * @param {string} config.model - Model name (e.g. claude-3-5-haiku-latest)
+ * @param {string} config.apiKey - Anthropic API key
+ * @param {string} [config.baseURL] - Override for proxies/gateways
+ * @param {Object} [config.headers] - Extra request headers
+ * @returns {Object} Provider with name, model and complete()
+ */
+export function createAnthropicProvider(config) {
+  const baseURL = (config.baseURL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+
+  return {
+    name: 'anthropic',
+    model: config.model,
+
+    /**
+     * Run a chat completion
+     * OpenAI-style system messages are moved to Anthropic's top-level system field.
+     * @param {Object} request - { messages, temperature, maxTokens }
+     * @returns {Promise<Object>} { content, model, usage: { prompt_tokens, completion_tokens } }
+     */
+    async complete({ messages, temperature, maxTokens }) {
+      const system = messages
+        .filter(message => message.role === 'system')
+        .map(message => message.content)
+        .join('\n\n');
+
+      const response = await fetch(`${baseURL}/v1/messages`, {
+        method: 'POST',
+        headers: {
+          'content-type': 'application/json',
+          'x-api-key': config.apiKey,
+          'anthropic-version': ANTHROPIC_VERSION,
+          ...config.headers
+        },
+        body: JSON.stringify({
+          model: config.model,
+          max_tokens: maxTokens || DEFAULT_MAX_TOKENS,
+          ...(system && { system }),
+          messages: messages.filter(message => message.role !== 'system'),
+          ...(temperature !== undefined && { temperature })
+        })
+      });
+
+      const body = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(`Anthropic API error ${response.status}: ${body.error?.message || response.statusText}`);
+      }
+
+      return {
+        content: (body.content || [])
+          .filter(block => block.type === 'text')
+          .map(block => block.text)
+          .join(''),
+        model: body.model || config.model,
+        usage: {
+          prompt_tokens: body.usage?.input_tokens || 0,
+          completion_tokens: body.usage?.output_tokens || 0
+        }
+      };
+    }
+  };
+}
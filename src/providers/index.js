@@ -0,0 +1,213 @@
+/**
+ * LLM Provider Layer
+ *
+ * Resolves which provider and model each journal section uses from the "ai"
+ * block of commit-story.config.json, and creates provider clients with a
+ * common complete() interface:
+ *
+ *   complete({ messages, temperature, maxTokens })
+ *     -> { content, model, usage: { prompt_tokens, completion_tokens } }
+ *
+ * Example configuration:
+ *   "ai": {
+ *     "provider": "ollama",
+ *     "model": "llama3.1",
+ *     "sections": { "summary": { "provider": "anthropic", "model": "claude-3-5-haiku-latest" } }
+ *   }
+ *
+ * "contextWindow" (tokens) sets the model's context size for models not in the built-in
+ * list, e.g. a self-hosted model; the context filter budgets prompts against it.
+ *
+ * API keys are always read from environment variables (apiKeyEnv), never from the config file.
+ */
+
+import { trace, SpanStatusCode } from '@opentelemetry/api';
+import { createOpenAIProvider } from './openai-provider.js';
+import { createAnthropicProvider } from './anthropic-provider.js';
+import { createOllamaProvider } from './ollama-provider.js';
+import { getAIConfig } from '../utils/config.js';
+import { OTEL } from '../telemetry/standards.js';
+
+const tracer = trace.getTracer('commit-story-providers', '1.0.0');
+
+export const DEFAULT_PROVIDER = 'openai';
+
+// Journal sections that make AI calls, in generation order
+// (rollup summaries resolve the 'rollup' section on demand, outside per-commit validation)
+export const AI_SECTIONS = ['summary', 'dialogue', 'technicalDecisions'];
+
+const PROVIDER_DEFAULTS = {
+  openai: { model: 'gpt-4o-mini', apiKeyEnv: 'OPENAI_API_KEY', requiresApiKey: true },
+  anthropic: { model: 'claude-3-5-haiku-latest', apiKeyEnv: 'ANTHROPIC_API_KEY', requiresApiKey: true },
+  'openai-compatible': { model: null, apiKeyEnv: null, requiresApiKey: false },
+  ollama: { model: 'llama3.1', apiKeyEnv: null, requiresApiKey: false }
+};
+
+// Context windows (tokens) by model name prefix - most specific prefix first
+const MODEL_CONTEXT_WINDOWS = [
+  ['gpt-4.1', 1047576],
+  ['gpt-4o', 128000],
+  ['gpt-4-turbo', 128000],
+  ['gpt-4', 8192],
+  ['gpt-3.5-turbo', 16385],
+  ['gpt-5', 400000],
+  ['o1', 200000],
+  ['o3', 200000],
+  ['o4', 200000],
+  ['claude', 200000]
+];
+
+// Used when the model isn't listed and no contextWindow is configured.
+// Ollama's is also sent as num_ctx so the server allocates the window we budget for.
+const DEFAULT_CONTEXT_WINDOWS = {
+  ollama: 8192,
+  default: 32768
+};
+
+const ADAPTERS = {
+  openai: createOpenAIProvider,
+  'openai-compatible': createOpenAIProvider,
+  anthropic: createAnthropicProvider,
+  ollama: createOllamaProvider
+};
+
+/**
+ * Resolve the effective provider configuration for a journal section
+ *
+ * Section overrides win over top-level settings. Connection settings (baseURL,
+ * headers, apiKeyEnv) are only inherited from the top level when the section
+ * uses the same provider, so e.g. an Ollama baseURL never leaks into an Anthropic override.
+ *
+ * @param {string} [section] - One of AI_SECTIONS or 'rollup' (omit for top-level settings)
+ * @returns {Object} Resolved configuration
+ */
+export function resolveProviderConfig(section) {
+  const aiConfig = getAIConfig();
+  const topLevelProvider = aiConfig.provider || DEFAULT_PROVIDER;
+  const override = (section && aiConfig.sections?.[section]) || {};
+  const provider = override.provider || topLevelProvider;
+
+  const defaults = PROVIDER_DEFAULTS[provider];
+  if (!defaults) {
+    throw new Error(`Unknown AI provider "${provider}" - expected one of: ${Object.keys(PROVIDER_DEFAULTS).join(', ')}`);
+  }
+
+  const inherited = provider === topLevelProvider ? aiConfig : {};
+  const merged = { ...inherited, ...override };
+  const apiKeyEnv = merged.apiKeyEnv || defaults.apiKeyEnv;
+
+  return {
+    section: section || null,
+    provider,
+    model: merged.model || defaults.model,
+    baseURL: merged.baseURL || null,
+    apiKeyEnv,
+    apiKey: apiKeyEnv ? process.env[apiKeyEnv] || null : null,
+    apiKeyHeader: merged.apiKeyHeader || null,
+    headers: merged.headers || null,
+    query: merged.query || null,
+    contextWindow: merged.contextWindow || lookupContextWindow(provider, merged.model || defaults.model),
+    pricing: merged.pricing || null,
+    requiresApiKey: defaults.requiresApiKey
+  };
+}
+
+/**
+ * Look up a model's context window from the built-in table
+ * @param {string} provider - Provider name
+ * @param {string|null} model - Model name
+ * @returns {number} Context window in tokens
+ */
+function lookupContextWindow(provider, model) {
+  const name = (model || '').toLowerCase();
+  const known = MODEL_CONTEXT_WINDOWS.find(([prefix]) => name.startsWith(prefix));
+  if (known && provider !== 'ollama') {
+    return known[1];
+  }
+  return DEFAULT_CONTEXT_WINDOWS[provider] || DEFAULT_CONTEXT_WINDOWS.default;
+}
+
+/**
+ * Validate a resolved configuration before any network call
+ * @param {Object} config - From resolveProviderConfig
+ * @throws {Error} With an actionable message when the configuration is incomplete
+ */
+function validateProviderConfig(config) {
+  if (config.provider === 'openai-compatible' && !config.baseURL) {
+    throw new Error('The openai-compatible provider requires "baseURL" in the ai config');
+  }
+  if (!config.model) {
+    throw new Error(`No model configured for the ${config.provider} provider - set "model" in the ai config`);
+  }
+  if (config.requiresApiKey && !config.apiKey) {
+    throw new Error(`${config.apiKeyEnv} not configured for the ${config.provider} provider`);
+  }
+}
+
+/**
+ * Create a provider client for a journal section
+ * A fresh client is created per call (DD-016: prevent context bleeding between sections).
+ *
+ * @param {string} [section] - One of AI_SECTIONS (omit for top-level settings)
+ * @returns {Object} Provider with name, model and complete()
+ */
+export function createProvider(section) {
+  return tracer.startActiveSpan(OTEL.span.providers.create(), {
+    attributes: {
+      'code.function': 'createProvider'
+    }
+  }, (span) => {
+    try {
+      const config = resolveProviderConfig(section);
+
+      const attrs = OTEL.attrs.providers.create({
+        section: config.section || 'default',
+        provider: config.provider,
+        model: config.model,
+        baseURLConfigured: !!config.baseURL,
+        apiKeyConfigured: !!config.apiKey
+      });
+      span.setAttributes(attrs);
+
+      validateProviderConfig(config);
+
+      // Azure-style gateways expect the key in a custom header instead of a bearer token
+      const headers = config.apiKeyHeader
+        ? { ...config.headers, [config.apiKeyHeader]: config.apiKey }
+        : config.headers;
+
+      const provider = ADAPTERS[config.provider]({ ...config, headers });
+
+      OTEL.metrics.counter('commit_story.providers.created_total', 1, {
+        'gen_ai.provider.name': config.provider
+      });
+
+      span.setStatus({ code: SpanStatusCode.OK, message: `Created ${config.provider} provider` });
+      return provider;
+
+    } catch (error) {
+      span.recordException(error);
+      span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+      throw error;
+    } finally {
+      span.end();
+    }
+  });
+}
+
+/**
+ * Resolve configuration for every AI section, de-duplicated by endpoint and model
+ * Used for up-front validation and connectivity checks.
+ * @returns {Array<Object>} Unique resolved configurations
+ */
+export function getConfiguredProviders() {
+  const unique = new Map();
+  for (const section of AI_SECTIONS) {
+    const config = resolveProviderConfig(section);
+    const key = `${config.provider}|${config.baseURL || ''}|${config.model}`;
+    if (!unique.has(key)) {
+      unique.set(key, config);
+    }
+  }
+  return [...unique.values()];
+}
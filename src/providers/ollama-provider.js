@@ -0,0 +1,65 @@
+/**
+ * Ollama Provider Adapter
+ *
+ * Calls a local (or self-hosted) Ollama server's chat endpoint, so diffs and
+ * conversations never leave the machine.
+ */
+
+const DEFAULT_BASE_URL = 'http://localhost:11434';
+
+/**
+ * Create an Ollama provider
+ * @param {Object} config - Resolved provider configuration
+ * @param {string} config.model - Model name (e.g. llama3.1)
+ * @param {string} [config.baseURL] - Ollama server URL
+ * @param {Object} [config.headers] - Extra request headers (e.g. for an auth proxy)
+ * @param {number} [config.contextWindow] - Context size to request (num_ctx)
+ * @returns {Object} Provider with name, model and complete()
+ */
+export function createOllamaProvider(config) {
+  const baseURL = (config.baseURL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+
+  return {
+    name: 'ollama',
+    model: config.model,
+
+    /**
+     * Run a chat completion
+     * @param {Object} request - { messages, temperature, maxTokens }
+     * @returns {Promise<Object>} { content, model, usage: { prompt_tokens, completion_tokens } }
+     */
+    async complete({ messages, temperature, maxTokens }) {
+      const response = await fetch(`${baseURL}/api/chat`, {
+        method: 'POST',
+        headers: {
+          'content-type': 'application/json',
+          ...config.headers
+        },
+        body: JSON.stringify({
+          model: config.model,
+          messages,
+          stream: false,
+          options: {
+            ...(temperature !== undefined && { temperature }),
+            ...(config.contextWindow && { num_ctx: config.contextWindow }),
+            ...(maxTokens && { num_predict: maxTokens })
+          }
+        })
+      });
+
+      const body = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(`Ollama API error ${response.status}: ${body.error || response.statusText}`);
+      }
+
+      return {
+        content: body.message?.content || '',
+        model: body.model || config.model,
+        usage: {
+          prompt_tokens: body.prompt_eval_count || 0,
+          completion_tokens: body.eval_count || 0
+        }
+      };
+    }
+  };
+}
@@ -0,0 +1,64 @@
+/**
+ * OpenAI Provider Adapter
+ *
+ * Chat completions through the official OpenAI SDK. Also serves any
+ * OpenAI-compatible endpoint (vLLM, LM Studio, Azure OpenAI, ...) via baseURL.
+ */
+
+import OpenAI from 'openai';
+
+/**
+ * Create an OpenAI (or OpenAI-compatible) provider
+ * @param {Object} config - Resolved provider configuration
+ * @param {string} config.provider - 'openai' or 'openai-compatible'
+ * @param {string} config.model - Model name
+ * @param {string|null} config.apiKey - API key (optional for local compatible servers)
+ * @param {string} [config.baseURL] - Endpoint base URL
+ * @param {string} [config.apiKeyHeader] - Send the key in this header instead of a bearer token
+ * @param {Object} [config.headers] - Extra request headers
+ * @param {Object} [config.query] - Extra query parameters (e.g. Azure's api-version)
+ * @returns {Object} Provider with name, model and complete()
+ */
+export function createOpenAIProvider(config) {
+  const client = new OpenAI({
+    // Compatible servers often ignore auth, but the SDK requires a non-empty key
+    apiKey: config.apiKey || 'not-needed',
+    ...(config.baseURL && { baseURL: config.baseURL }),
+    ...((config.headers || config.apiKeyHeader) && {
+      defaultHeaders: {
+        ...config.headers,
+        // null removes the SDK's bearer header when the key travels in apiKeyHeader
+        ...(config.apiKeyHeader && { Authorization: null })
+      }
+    }),
+    ...(config.query && { defaultQuery: config.query })
+  });
+
+  return {
+    name: config.provider,
+    model: config.model,
+
+    /**
+     * Run a chat completion
+     * @param {Object} request - { messages, temperature, maxTokens }
+     * @returns {Promise<Object>} { content, model, usage: { prompt_tokens, completion_tokens } }
+     */
+    async complete({ messages, temperature, maxTokens }) {
+      const completion = await client.chat.completions.create({
+        model: config.model,
+        messages,
+        ...(temperature !== undefined && { temperature }),
+        ...(maxTokens && { max_tokens: maxTokens })
+      });
+
+      return {
+        content: completion.choices[0]?.message?.content || '',
+        model: completion.model || config.model,
+        usage: {
+          prompt_tokens: completion.usage?.prompt_tokens || 0,
+          completion_tokens: completion.usage?.completion_tokens || 0
+        }
+      };
+    }
+  };
+}
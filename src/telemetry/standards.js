@@ -81,26 +81,45 @@ export const OTEL = {
       gather: () => 'context.gather_for_commit',
       filter: () => 'context.filter_messages',
       extract_text: () => 'context.extract_text_from_messages',
-      calculate_metadata: () => 'context.calculate_chat_metadata'
+      calculate_metadata: () => 'context.calculate_chat_metadata',
+      tool_activity: () => 'context.build_tool_activity',
+      chat_window: () => 'context.resolve_chat_window'
     },
 
     // Journal generation operations
     journal: {
       generate: () => 'journal.generate_entry',
       save: () => 'journal.save_entry',
+      save_record: () => 'journal.save_record',
+      rewrite: () => 'journal.rewrite_entry',
+      remove: () => 'journal.remove_entry',
       format: () => 'journal.format_entry',
       discover_reflections: () => 'journal.discover_reflections',
       parse_reflection_file: () => 'journal.parse_reflection_file',
       parse_timestamp: () => 'journal.parse_timestamp',
       timezone_offset: () => 'journal.timezone_offset',
-      get_file_path: () => 'journal.get_file_path'
+      get_file_path: () => 'journal.get_file_path',
+      parse_file: () => 'journal.parse_file',
+      read_entries: () => 'journal.read_entries'
     },
 
     // AI generation operations
     ai: {
       summary: () => 'summary.generate',
       dialogue: () => 'dialogue.generate',
-      technical: () => 'technical_decisions.generate'
+      technical: () => 'technical_decisions.generate',
+      rollup: () => 'rollup.generate'
+    },
+
+    // Daily/weekly/monthly summary operations
+    summaries: {
+      write: () => 'summaries.write',
+      generate_missing: () => 'summaries.generate_missing'
+    },
+
+    // LLM provider operations
+    providers: {
+      create: () => 'providers.create'
     },
 
     // Prompt construction operations
@@ -113,6 +132,10 @@ export const OTEL = {
     // Data collection operations
     collectors: {
       claude: () => 'claude.collect_messages',
+      aider: () => 'aider.collect_messages',
+      codex: () => 'codex.collect_messages',
+      gemini: () => 'gemini.collect_messages',
+      chat: () => 'chat.collect_messages',
       git: () => 'git.collect_data'
     },
 
@@ -123,6 +146,28 @@ export const OTEL = {
       process_flags: () => 'cli.process_flags'
     },
 
+    // Historical backfill operations
+    backfill: {
+      plan: () => 'backfill.plan',
+      execute: () => 'backfill.execute'
+    },
+
+    // Post-commit job queue operations
+    queue: {
+      enqueue: () => 'queue.enqueue',
+      drain: () => 'queue.drain'
+    },
+
+    // Commit rewrite (amend/rebase) operations
+    rewrite: {
+      run: () => 'rewrite.run'
+    },
+
+    // Journal search operations
+    search: {
+      query: () => 'search.query'
+    },
+
     // Application initialization operations
     initialization: {
       conditional: () => 'initialization.conditional_setup',
@@ -159,6 +204,9 @@ export const OTEL = {
         format_timestamp: () => 'utils.journal_paths.format_timestamp',
         write_file: () => 'utils.journal_paths.write_file'
       },
+      fileLock: {
+        acquire: () => 'utils.file_lock.acquire'
+      },
       messageUtils: {
         contentHasContextCapture: () => 'utils.message_utils.content_has_context_capture',
         messageHasContextCapture: () => 'utils.message_utils.message_has_context_capture',
@@ -169,7 +217,9 @@ export const OTEL = {
     // Claude collector utility operations
     claude: {
       find_files: () => 'claude.find_files',
-      group_by_session: () => 'claude.group_by_session'
+      group_by_session: () => 'claude.group_by_session',
+      score_sessions: () => 'claude.score_sessions',
+      update_index: () => 'claude.update_index'
     },
 
     // MCP (Model Context Protocol) operations
@@ -177,9 +227,16 @@ export const OTEL = {
       server_startup: () => 'mcp.server_startup',
       server_shutdown: () => 'mcp.server_shutdown',
       tool_invocation: () => 'mcp.tool_invocation',
+      resource_list: () => 'mcp.resource_list',
+      resource_read: () => 'mcp.resource_read',
+      resource_notify: () => 'mcp.resource_notify',
+      prompt_get: () => 'mcp.prompt_get',
       tool: {
         journal_add_reflection: () => 'mcp.tool.journal_add_reflection',
         journal_capture_context: () => 'mcp.tool.journal_capture_context',
+        journal_get_entry: () => 'mcp.tool.journal_get_entry',
+        journal_search: () => 'mcp.tool.journal_search',
+        journal_recent: () => 'mcp.tool.journal_recent',
         session_id_detection: () => 'mcp.tool.session_id_detection'
       }
     }
@@ -198,14 +255,15 @@ export const OTEL = {
        * @param {string} model - Model name
        * @param {number} temperature - Generation temperature
        * @param {number} msgCount - Number of messages sent to AI
+       * @param {string} [provider] - Configured provider name (falls back to detection from model)
        * @returns {Object} Official GenAI request attributes
        */
-      request: (model, temperature, msgCount) => ({
+      request: (model, temperature, msgCount, provider) => ({
         'gen_ai.request.model': model,
         'gen_ai.request.temperature': temperature,
         'gen_ai.request.messages_count': msgCount, // Extension: AI-specific metric
         'gen_ai.operation.name': 'chat',
-        'gen_ai.provider.name': getProviderFromModel(model)
+        'gen_ai.provider.name': provider || getProviderFromModel(model)
       }),
 
       /**
@@ -274,6 +332,7 @@ export const OTEL = {
       summary: (params) => ({
         [`${OTEL.NAMESPACE}.prompt.has_functional_code`]: params.hasFunctionalCode,
         [`${OTEL.NAMESPACE}.prompt.has_substantial_chat`]: params.hasSubstantialChat,
+        [`${OTEL.NAMESPACE}.prompt.has_reflections`]: params.hasReflections,
         [`${OTEL.NAMESPACE}.prompt.scenario`]: params.scenario,
         [`${OTEL.NAMESPACE}.prompt.length`]: params.length
       })
@@ -290,6 +349,32 @@ export const OTEL = {
       [`${OTEL.NAMESPACE}.dialogue.total_messages`]: dialogueData.totalMessages
     }),
 
+    /**
+     * Technical decisions grounding check attributes
+     * @param {Object} groundingData - Result of groundTechnicalDecisions
+     * @returns {Object} Grounding attributes with commit_story namespace
+     */
+    decisionGrounding: (groundingData) => ({
+      [`${OTEL.NAMESPACE}.technical_decisions.decisions`]: groundingData.decisions,
+      [`${OTEL.NAMESPACE}.technical_decisions.implemented`]: groundingData.implemented,
+      [`${OTEL.NAMESPACE}.technical_decisions.downgraded`]: groundingData.downgraded,
+      [`${OTEL.NAMESPACE}.technical_decisions.files_listed`]: groundingData.filesListed,
+      [`${OTEL.NAMESPACE}.technical_decisions.files_stripped`]: groundingData.filesStripped,
+      [`${OTEL.NAMESPACE}.technical_decisions.grounding_score`]: groundingData.score
+    }),
+
+    /**
+     * Dialogue quote verification attributes
+     * @param {Object} verificationData - Result of verifyDialogueQuotes
+     * @returns {Object} Quote verification attributes with commit_story namespace
+     */
+    dialogueVerification: (verificationData) => ({
+      [`${OTEL.NAMESPACE}.dialogue.quotes`]: verificationData.total,
+      [`${OTEL.NAMESPACE}.dialogue.quotes_verified`]: verificationData.verified,
+      [`${OTEL.NAMESPACE}.dialogue.quotes_misattributed`]: verificationData.misattributed,
+      [`${OTEL.NAMESPACE}.dialogue.quotes_unmatched`]: verificationData.unmatched
+    }),
+
     /**
      * File analysis attributes
      * @param {Object} fileData - File analysis results
@@ -320,7 +405,55 @@ export const OTEL = {
       [`${OTEL.NAMESPACE}.context.total_estimated_tokens`]: contextData.totalTokens,
       [`${OTEL.NAMESPACE}.context.final_messages`]: contextData.finalMessages,
       [`${OTEL.NAMESPACE}.context.final_chat_tokens`]: contextData.finalChatTokens,
-      [`${OTEL.NAMESPACE}.context.aggressive_filtering`]: contextData.aggressiveFiltering
+      [`${OTEL.NAMESPACE}.context.aggressive_filtering`]: contextData.aggressiveFiltering,
+      [`${OTEL.NAMESPACE}.context.tokenizer`]: contextData.tokenizer,
+      [`${OTEL.NAMESPACE}.context.tokenizer_exact`]: contextData.tokenizerExact,
+      [`${OTEL.NAMESPACE}.context.context_window`]: contextData.contextWindow,
+      [`${OTEL.NAMESPACE}.context.budget_tokens`]: contextData.budgetTotal,
+      [`${OTEL.NAMESPACE}.context.reflection_tokens`]: contextData.reflectionTokens,
+      [`${OTEL.NAMESPACE}.context.context_capture_tokens`]: contextData.contextCaptureTokens,
+      [`${OTEL.NAMESPACE}.context.chat_allocation_tokens`]: contextData.chatAllocation,
+      [`${OTEL.NAMESPACE}.context.diff_allocation_tokens`]: contextData.diffAllocation,
+      [`${OTEL.NAMESPACE}.context.reflection_allocation_tokens`]: contextData.reflectionAllocation,
+      [`${OTEL.NAMESPACE}.context.context_capture_allocation_tokens`]: contextData.contextCaptureAllocation,
+      [`${OTEL.NAMESPACE}.context.diff_hunks`]: contextData.diffHunksTotal,
+      [`${OTEL.NAMESPACE}.context.diff_hunks_kept`]: contextData.diffHunksKept,
+      [`${OTEL.NAMESPACE}.context.final_diff_tokens`]: contextData.finalDiffTokens,
+      [`${OTEL.NAMESPACE}.context.final_reflections`]: contextData.finalReflections,
+      [`${OTEL.NAMESPACE}.context.final_context_captures`]: contextData.finalContextCaptures,
+      [`${OTEL.NAMESPACE}.context.tool_activity_tokens`]: contextData.toolActivityTokens,
+      [`${OTEL.NAMESPACE}.context.tool_activity_allocation_tokens`]: contextData.toolActivityAllocation,
+      [`${OTEL.NAMESPACE}.context.tool_activity_trimmed`]: contextData.toolActivityTrimmed
+    }),
+
+    /**
+     * Tool activity digest attributes
+     * @param {Object} activityData - Tool activity counts
+     * @returns {Object} Tool activity attributes
+     */
+    toolActivity: (activityData) => ({
+      [`${OTEL.NAMESPACE}.tool_activity.tool_calls`]: activityData.toolCalls,
+      [`${OTEL.NAMESPACE}.tool_activity.files_read`]: activityData.filesRead,
+      [`${OTEL.NAMESPACE}.tool_activity.files_edited`]: activityData.filesEdited,
+      [`${OTEL.NAMESPACE}.tool_activity.commands`]: activityData.commands,
+      [`${OTEL.NAMESPACE}.tool_activity.failed_commands`]: activityData.failedCommands,
+      [`${OTEL.NAMESPACE}.tool_activity.test_runs`]: activityData.testRuns,
+      [`${OTEL.NAMESPACE}.tool_activity.failed_test_runs`]: activityData.failedTestRuns,
+      [`${OTEL.NAMESPACE}.tool_activity.errors`]: activityData.errors
+    }),
+
+    /**
+     * Chat window attributes
+     * @param {Object} windowData - How the commit's chat window was resolved
+     * @returns {Object} Chat window attributes
+     */
+    chatWindow: (windowData) => ({
+      [`${OTEL.NAMESPACE}.chat_window.strategy`]: windowData.strategy,
+      [`${OTEL.NAMESPACE}.chat_window.capped`]: windowData.capped,
+      [`${OTEL.NAMESPACE}.chat_window.start`]: windowData.start,
+      [`${OTEL.NAMESPACE}.chat_window.previous_commit_hash`]: windowData.previousCommitHash,
+      [`${OTEL.NAMESPACE}.chat_window.window_minutes`]: windowData.windowMinutes,
+      [`${OTEL.NAMESPACE}.chat_window.max_lookback_hours`]: windowData.maxLookbackHours
     }),
 
     /**
@@ -357,20 +490,6 @@ export const OTEL = {
       [`${OTEL.NAMESPACE}.metadata.calculation_duration_ms`]: metadataData.calculationDuration
     }),
 
-    /**
-     * Git data collection attributes
-     * @param {Object} gitData - Git data collection metrics
-     * @returns {Object} Git attributes
-     */
-    gitCollection: (gitData) => ({
-      [`${OTEL.NAMESPACE}.git.commit_ref`]: gitData.commitRef,
-      [`${OTEL.NAMESPACE}.git.command`]: gitData.command,
-      [`${OTEL.NAMESPACE}.git.previous_commit_found`]: gitData.previousCommitFound,
-      [`${OTEL.NAMESPACE}.git.previous_commit_hash`]: gitData.previousCommitHash,
-      [`${OTEL.NAMESPACE}.git.previous_commit_timestamp`]: gitData.previousCommitTimestamp,
-      [`${OTEL.NAMESPACE}.git.execution_duration_ms`]: gitData.executionDuration
-    }),
-
     /**
      * Journal section length attributes
      * @param {Object} sectionLengths - Length of each journal section
@@ -416,7 +535,41 @@ export const OTEL = {
         [`${OTEL.NAMESPACE}.journal.file_path`]: saveData.filePath,
         [`${OTEL.NAMESPACE}.journal.entry_size`]: saveData.entrySize,
         [`${OTEL.NAMESPACE}.journal.directory_created`]: saveData.dirCreated,
-        [`${OTEL.NAMESPACE}.journal.write_duration_ms`]: saveData.writeDuration
+        [`${OTEL.NAMESPACE}.journal.write_duration_ms`]: saveData.writeDuration,
+        [`${OTEL.NAMESPACE}.journal.write_mode`]: saveData.writeMode
+      }),
+
+      /**
+       * Journal parsing attributes (entries read back from daily files)
+       * @param {Object} parseData - Parse results
+       * @returns {Object} Journal parse attributes
+       */
+      parse: (parseData) => ({
+        [`${OTEL.NAMESPACE}.journal.entries_parsed`]: parseData.entries,
+        [`${OTEL.NAMESPACE}.journal.legacy_entries`]: parseData.legacyEntries
+      }),
+
+      /**
+       * Journal JSON sidecar record attributes
+       * @param {Object} recordData - Record write data
+       * @returns {Object} Journal record attributes
+       */
+      record: (recordData) => ({
+        [`${OTEL.NAMESPACE}.journal.data_file_path`]: recordData.filePath,
+        [`${OTEL.NAMESPACE}.journal.record_size`]: recordData.recordSize,
+        [`${OTEL.NAMESPACE}.journal.records_in_file`]: recordData.recordCount
+      }),
+
+      /**
+       * Journal entry rewrite attributes (amended or rebased commits)
+       * @param {Object} rewriteData - Rewrite operation data
+       * @returns {Object} Journal rewrite attributes
+       */
+      rewrite: (rewriteData) => ({
+        [`${OTEL.NAMESPACE}.journal.rewrite_outcome`]: rewriteData.outcome,
+        [`${OTEL.NAMESPACE}.journal.file_path`]: rewriteData.filePath,
+        [`${OTEL.NAMESPACE}.journal.file_moved`]: rewriteData.fileMoved,
+        [`${OTEL.NAMESPACE}.journal.rewrite_duration_ms`]: rewriteData.rewriteDuration
       }),
 
       /**
@@ -505,6 +658,7 @@ export const OTEL = {
         [`${OTEL.NAMESPACE}.cli.total_arguments`]: parseData.totalArguments,
         [`${OTEL.NAMESPACE}.cli.processed_arguments`]: parseData.processedArguments,
         [`${OTEL.NAMESPACE}.cli.dry_run_flag`]: parseData.dryRunFlag,
+        [`${OTEL.NAMESPACE}.cli.regenerate_flag`]: parseData.regenerateFlag,
         [`${OTEL.NAMESPACE}.cli.commit_ref_provided`]: parseData.commitRefProvided,
         [`${OTEL.NAMESPACE}.cli.commit_ref`]: parseData.commitRef,
         [`${OTEL.NAMESPACE}.cli.unknown_flags`]: parseData.unknownFlags,
@@ -524,6 +678,143 @@ export const OTEL = {
       })
     },
 
+    /**
+     * LLM provider operation attributes
+     */
+    providers: {
+      /**
+       * Provider creation attributes (never includes the API key itself)
+       * @param {Object} providerData - Resolved provider data
+       * @returns {Object} Provider attributes
+       */
+      create: (providerData) => ({
+        [`${OTEL.NAMESPACE}.provider.section`]: providerData.section,
+        'gen_ai.provider.name': providerData.provider,
+        'gen_ai.request.model': providerData.model,
+        [`${OTEL.NAMESPACE}.provider.base_url_configured`]: providerData.baseURLConfigured,
+        [`${OTEL.NAMESPACE}.provider.api_key_configured`]: providerData.apiKeyConfigured
+      })
+    },
+
+    /**
+     * Historical backfill operation attributes
+     */
+    backfill: {
+      /**
+       * Backfill planning attributes
+       * @param {Object} planData - Backfill plan data
+       * @returns {Object} Backfill plan attributes
+       */
+      plan: (planData) => ({
+        [`${OTEL.NAMESPACE}.backfill.range`]: planData.range,
+        [`${OTEL.NAMESPACE}.backfill.total_commits`]: planData.totalCommits,
+        [`${OTEL.NAMESPACE}.backfill.pending_commits`]: planData.pendingCommits,
+        [`${OTEL.NAMESPACE}.backfill.skipped_commits`]: planData.skippedCommits,
+        [`${OTEL.NAMESPACE}.backfill.completed_commits`]: planData.completedCommits,
+        [`${OTEL.NAMESPACE}.backfill.estimated_input_tokens`]: planData.estimatedInputTokens,
+        [`${OTEL.NAMESPACE}.backfill.estimated_output_tokens`]: planData.estimatedOutputTokens,
+        [`${OTEL.NAMESPACE}.backfill.plan_duration_ms`]: planData.planDuration
+      }),
+
+      /**
+       * Backfill execution attributes
+       * @param {Object} executeData - Backfill execution data
+       * @returns {Object} Backfill execution attributes
+       */
+      execute: (executeData) => ({
+        [`${OTEL.NAMESPACE}.backfill.range`]: executeData.range,
+        [`${OTEL.NAMESPACE}.backfill.pending_commits`]: executeData.pendingCommits,
+        [`${OTEL.NAMESPACE}.backfill.generated_commits`]: executeData.generatedCommits,
+        [`${OTEL.NAMESPACE}.backfill.failed`]: executeData.failed,
+        [`${OTEL.NAMESPACE}.backfill.execution_duration_ms`]: executeData.executionDuration
+      })
+    },
+
+    /**
+     * Job queue drain attributes
+     * @param {Object} queueData - Queue drain result
+     * @returns {Object} Queue attributes
+     */
+    queue: (queueData) => ({
+      [`${OTEL.NAMESPACE}.queue.worker`]: queueData.worker,
+      [`${OTEL.NAMESPACE}.queue.generated_entries`]: queueData.generated,
+      [`${OTEL.NAMESPACE}.queue.failed_attempts`]: queueData.failedAttempts,
+      [`${OTEL.NAMESPACE}.queue.jobs_given_up`]: queueData.gaveUp,
+      [`${OTEL.NAMESPACE}.queue.drain_duration_ms`]: queueData.drainDuration
+    }),
+
+    /**
+     * File lock acquisition attributes
+     * @param {Object} lockData - Lock acquisition data
+     * @returns {Object} File lock attributes
+     */
+    fileLock: (lockData) => ({
+      [`${OTEL.NAMESPACE}.file_lock.wait_duration_ms`]: lockData.waitDuration,
+      [`${OTEL.NAMESPACE}.file_lock.stale_recovered`]: lockData.staleRecovered
+    }),
+
+    /**
+     * Rollup summary operation attributes
+     */
+    summaries: {
+      /**
+       * Summary write attributes
+       * @param {Object} writeData - Summary write data
+       * @returns {Object} Summary write attributes
+       */
+      write: (writeData) => ({
+        [`${OTEL.NAMESPACE}.summary.type`]: writeData.type,
+        [`${OTEL.NAMESPACE}.summary.period`]: writeData.period,
+        [`${OTEL.NAMESPACE}.summary.day_count`]: writeData.dayCount,
+        [`${OTEL.NAMESPACE}.summary.entry_count`]: writeData.entryCount,
+        [`${OTEL.NAMESPACE}.summary.source_count`]: writeData.sourceCount,
+        [`${OTEL.NAMESPACE}.summary.file_path`]: writeData.filePath,
+        [`${OTEL.NAMESPACE}.summary.write_duration_ms`]: writeData.writeDuration
+      }),
+
+      /**
+       * Missing summary detection attributes
+       * @param {Object} gapData - Gap check data
+       * @returns {Object} Gap check attributes
+       */
+      generateMissing: (gapData) => ({
+        [`${OTEL.NAMESPACE}.summary.entry_days`]: gapData.entryDays,
+        [`${OTEL.NAMESPACE}.summary.missing_count`]: gapData.missing,
+        [`${OTEL.NAMESPACE}.summary.written_count`]: gapData.written,
+        [`${OTEL.NAMESPACE}.summary.gap_check_duration_ms`]: gapData.duration
+      })
+    },
+
+    /**
+     * Commit rewrite (post-rewrite hook) attributes
+     * @param {Object} runData - Rewrite run data
+     * @returns {Object} Rewrite attributes
+     */
+    rewrite: {
+      run: (runData) => ({
+        [`${OTEL.NAMESPACE}.rewrite.kind`]: runData.kind,
+        [`${OTEL.NAMESPACE}.rewrite.mappings`]: runData.mappings,
+        [`${OTEL.NAMESPACE}.rewrite.renamed`]: runData.renamed,
+        [`${OTEL.NAMESPACE}.rewrite.regenerated`]: runData.regenerated,
+        [`${OTEL.NAMESPACE}.rewrite.removed`]: runData.removed,
+        [`${OTEL.NAMESPACE}.rewrite.failed`]: runData.failed,
+        [`${OTEL.NAMESPACE}.rewrite.duration_ms`]: runData.duration
+      })
+    },
+
+    /**
+     * Journal search attributes
+     * @param {Object} searchData - Search query data
+     * @returns {Object} Search attributes
+     */
+    search: (searchData) => ({
+      [`${OTEL.NAMESPACE}.search.terms`]: searchData.terms,
+      [`${OTEL.NAMESPACE}.search.documents`]: searchData.documents,
+      [`${OTEL.NAMESPACE}.search.files_reindexed`]: searchData.filesReindexed,
+      [`${OTEL.NAMESPACE}.search.matches`]: searchData.matches,
+      [`${OTEL.NAMESPACE}.search.duration_ms`]: searchData.duration
+    }),
+
     /**
      * Application initialization operation attributes
      */
@@ -701,7 +992,7 @@ export const OTEL = {
         isJournalEntriesOnly: (data) => ({
           [`${OTEL.NAMESPACE}.commit.ref`]: data.commitRef,
           [`${OTEL.NAMESPACE}.commit.files_changed`]: data.filesChanged,
-          [`${OTEL.NAMESPACE}.commit.journal_entries_count`]: data.journalEntriesCount,
+          [`${OTEL.NAMESPACE}.commit.ignored_files_count`]: data.ignoredFilesCount,
           [`${OTEL.NAMESPACE}.commit.is_journal_only`]: data.isJournalOnly,
           [`${OTEL.NAMESPACE}.commit.analysis_duration_ms`]: data.analysisDuration
         })
@@ -773,6 +1064,32 @@ export const OTEL = {
       }
     },
 
+    /**
+     * Per-source chat transcript collection attributes (Aider, Codex CLI, Gemini CLI)
+     * @param {Object} sourceData - Collection results for one source
+     * @returns {Object} Chat source attributes
+     */
+    chatSource: (sourceData) => ({
+      [`${OTEL.NAMESPACE}.collector.source`]: sourceData.source,
+      [`${OTEL.NAMESPACE}.collector.files_found`]: sourceData.filesFound,
+      [`${OTEL.NAMESPACE}.collector.files_skipped`]: sourceData.filesSkipped,
+      [`${OTEL.NAMESPACE}.collector.messages_collected`]: sourceData.messagesCollected,
+      [`${OTEL.NAMESPACE}.collector.sessions_found`]: sourceData.sessions
+    }),
+
+    /**
+     * Merged chat collection attributes across all sources
+     * @param {Object} collectionData - Merged collection results
+     * @returns {Object} Chat collection attributes
+     */
+    chatCollection: (collectionData) => ({
+      [`${OTEL.NAMESPACE}.chat.sources_enabled`]: collectionData.sourcesEnabled.join(','),
+      [`${OTEL.NAMESPACE}.chat.sources_with_messages`]: collectionData.sourcesWithMessages.join(','),
+      [`${OTEL.NAMESPACE}.chat.sources_with_messages_count`]: collectionData.sourcesWithMessages.length,
+      [`${OTEL.NAMESPACE}.chat.collected_sessions`]: collectionData.sessions,
+      [`${OTEL.NAMESPACE}.chat.collected_messages`]: collectionData.messages
+    }),
+
     /**
      * Claude collector utility operation attributes
      */
@@ -799,6 +1116,32 @@ export const OTEL = {
         [`${OTEL.NAMESPACE}.claude.unique_sessions`]: groupData.uniqueSessions,
         [`${OTEL.NAMESPACE}.claude.grouped_sessions`]: groupData.groupedSessions,
         [`${OTEL.NAMESPACE}.claude.grouping_duration_ms`]: groupData.groupingDuration
+      }),
+
+      /**
+       * Transcript index attributes
+       * @param {Object} indexData - Index update and file selection results
+       * @returns {Object} Transcript index attributes
+       */
+      index: (indexData) => ({
+        [`${OTEL.NAMESPACE}.claude.index_files_indexed`]: indexData.filesIndexed,
+        [`${OTEL.NAMESPACE}.claude.index_files_cached`]: indexData.filesCached,
+        [`${OTEL.NAMESPACE}.claude.index_files_relevant`]: indexData.filesRelevant,
+        [`${OTEL.NAMESPACE}.claude.index_files_skipped`]: indexData.filesSkipped,
+        [`${OTEL.NAMESPACE}.claude.index_duration_ms`]: indexData.indexDuration
+      }),
+
+      /**
+       * Session relevance filtering attributes
+       * @param {Object} filterData - Session filter results
+       * @returns {Object} Session filter attributes
+       */
+      sessionFilter: (filterData) => ({
+        [`${OTEL.NAMESPACE}.claude.session_filter_mode`]: filterData.mode,
+        [`${OTEL.NAMESPACE}.claude.sessions_scored`]: filterData.scored,
+        [`${OTEL.NAMESPACE}.claude.sessions_kept`]: filterData.kept,
+        [`${OTEL.NAMESPACE}.claude.sessions_demoted`]: filterData.demoted,
+        [`${OTEL.NAMESPACE}.claude.sessions_excluded`]: filterData.excluded
       })
     },
 
@@ -862,6 +1205,40 @@ export const OTEL = {
         [`${OTEL.NAMESPACE}.context.directory`]: contextData.directory
       }),
 
+      /**
+       * Journal query tool attributes (get entry, search, recent)
+       * @param {Object} queryData - Query tool data
+       * @returns {Object} Query attributes
+       */
+      query: (queryData) => ({
+        [`${OTEL.NAMESPACE}.mcp.query_type`]: queryData.type,
+        [`${OTEL.NAMESPACE}.mcp.query_results`]: queryData.results,
+        [`${OTEL.NAMESPACE}.mcp.query_response_size`]: queryData.responseSize
+      }),
+
+      /**
+       * Journal resource read attributes
+       * @param {Object} resourceData - Resource read data
+       * @returns {Object} Resource attributes
+       */
+      resource: (resourceData) => ({
+        [`${OTEL.NAMESPACE}.mcp.resource_uri`]: resourceData.uri,
+        [`${OTEL.NAMESPACE}.mcp.resource_type`]: resourceData.type,
+        [`${OTEL.NAMESPACE}.mcp.resource_day`]: resourceData.day,
+        [`${OTEL.NAMESPACE}.mcp.resource_content_size`]: resourceData.contentSize
+      }),
+
+      /**
+       * Journal prompt attributes
+       * @param {Object} promptData - Prompt build data
+       * @returns {Object} Prompt attributes
+       */
+      prompt: (promptData) => ({
+        [`${OTEL.NAMESPACE}.mcp.prompt_name`]: promptData.name,
+        [`${OTEL.NAMESPACE}.mcp.prompt_entries`]: promptData.entries,
+        [`${OTEL.NAMESPACE}.mcp.prompt_content_size`]: promptData.contentSize
+      }),
+
       /**
        * Session ID detection attributes
        * @param {Object} sessionData - Session detection operation data
@@ -9,6 +9,7 @@ import { execFileSync } from 'child_process';
 import { trace, SpanStatusCode } from '@opentelemetry/api';
 import { OTEL } from '../telemetry/standards.js';
 import { createNarrativeLogger } from './trace-logger.js';
+import { partitionIgnoredPaths } from './ignore-rules.js';
 
 // Get tracer instance for commit analyzer instrumentation
 const tracer = trace.getTracer('commit-story', '1.0.0');
@@ -304,8 +305,10 @@ export function isMergeCommit(commitRef) {
 /**
  * Check if a commit only touches auto-generated journal entry files
  *
- * Returns true only if ALL changed files are under journal/entries/
- * This prevents recursive journal generation when commits only add journal entries.
+ * Returns true only if ALL changed files are ignored: journal/entries/ is always ignored,
+ * plus any paths listed in .commitstoryignore (lockfiles, generated code, ...).
+ * This prevents recursive journal generation when commits only add journal entries,
+ * and skips commits that contain nothing worth journaling.
  *
  * Important: Does NOT filter manual content:
  * - journal/reflections/** (manual user reflections)
@@ -314,8 +317,9 @@ export function isMergeCommit(commitRef) {
  *
  * @param {string} commitRef - Git commit reference
  * @returns {Object} Analysis result
- * @returns {boolean} return.isJournalOnly - True if commit only touches journal/entries/**
+ * @returns {boolean} return.isJournalOnly - True if commit only touches journal/entries/** or other ignored paths
  * @returns {string[]} return.changedFiles - List of all changed files
+ * @returns {string[]} return.ignoredFiles - Changed files matched by the ignore rules
  */
 export function isJournalEntriesOnlyCommit(commitRef) {
   return tracer.startActiveSpan(OTEL.span.utils.commitAnalyzer.isJournalEntriesOnly(), {
@@ -327,7 +331,7 @@ export function isJournalEntriesOnlyCommit(commitRef) {
     const startTime = Date.now();
 
     try {
-      logger.start('Journal entries check', `Checking if commit only touches journal/entries/: ${commitRef}`);
+      logger.start('Journal entries check', `Checking if commit only touches ignored paths: ${commitRef}`);
 
       const changedFiles = getChangedFilesInCommit(commitRef);
 
@@ -343,7 +347,7 @@ export function isJournalEntriesOnlyCommit(commitRef) {
         const attrs = OTEL.attrs.utils.commitAnalyzer.isJournalEntriesOnly({
           commitRef,
           filesChanged: 0,
-          journalEntriesCount: 0,
+          ignoredFilesCount: 0,
           isJournalOnly: false,
           analysisDuration
         });
@@ -370,24 +374,23 @@ export function isJournalEntriesOnlyCommit(commitRef) {
 
         return {
           isJournalOnly: false,
-          changedFiles: []
+          changedFiles: [],
+          ignoredFiles: []
         };
       }
 
-      logger.progress('Analyzing files', `Checking ${changedFiles.length} changed files for journal/entries/ pattern`);
+      logger.progress('Analyzing files', `Checking ${changedFiles.length} changed files against ignore rules`);
 
-      // Check if ALL files are under journal/entries/
-      const journalEntriesFiles = changedFiles.filter(file =>
-        file.startsWith('journal/entries/')
-      );
-      const allAreJournalEntries = journalEntriesFiles.length === changedFiles.length;
+      // Check if ALL files are ignored (journal/entries/ or .commitstoryignore)
+      const { ignored: ignoredFiles } = partitionIgnoredPaths(changedFiles);
+      const allAreIgnored = ignoredFiles.length === changedFiles.length;
 
       const analysisDuration = Date.now() - startTime;
       const attrs = OTEL.attrs.utils.commitAnalyzer.isJournalEntriesOnly({
         commitRef,
         filesChanged: changedFiles.length,
-        journalEntriesCount: journalEntriesFiles.length,
-        isJournalOnly: allAreJournalEntries,
+        ignoredFilesCount: ignoredFiles.length,
+        isJournalOnly: allAreIgnored,
         analysisDuration
       });
 
@@ -402,33 +405,34 @@ export function isJournalEntriesOnlyCommit(commitRef) {
         }
       });
 
-      if (allAreJournalEntries) {
-        logger.decision('Journal-only commit', `All ${changedFiles.length} files are journal entries - will skip execution`, {
+      if (allAreIgnored) {
+        logger.decision('Journal-only commit', `All ${changedFiles.length} files are journal entries or ignored paths - will skip execution`, {
           files_changed: changedFiles.length,
-          journal_entries: journalEntriesFiles.length,
+          journal_entries: ignoredFiles.length,
           skip_reason: 'prevent_recursive_generation'
         });
       } else {
-        logger.decision('Mixed commit', `${journalEntriesFiles.length} of ${changedFiles.length} files are journal entries - will execute`, {
+        logger.decision('Mixed commit', `${ignoredFiles.length} of ${changedFiles.length} files are journal entries or ignored paths - will execute`, {
           files_changed: changedFiles.length,
-          journal_entries: journalEntriesFiles.length,
-          non_journal_files: changedFiles.length - journalEntriesFiles.length
+          journal_entries: ignoredFiles.length,
+          non_journal_files: changedFiles.length - ignoredFiles.length
         });
       }
 
-      logger.complete('Analysis complete', `Determined commit is ${allAreJournalEntries ? 'journal-only' : 'mixed content'} in ${analysisDuration}ms`, {
-        is_journal_only: allAreJournalEntries,
+      logger.complete('Analysis complete', `Determined commit is ${allAreIgnored ? 'journal-only' : 'mixed content'} in ${analysisDuration}ms`, {
+        is_journal_only: allAreIgnored,
         files_changed: changedFiles.length,
-        journal_entries: journalEntriesFiles.length,
+        journal_entries: ignoredFiles.length,
         duration_ms: analysisDuration
       });
 
-      span.setStatus({ code: SpanStatusCode.OK, message: `Analyzed ${changedFiles.length} files: ${allAreJournalEntries ? 'journal-only' : 'mixed'}` });
+      span.setStatus({ code: SpanStatusCode.OK, message: `Analyzed ${changedFiles.length} files: ${allAreIgnored ? 'journal-only' : 'mixed'}` });
       span.end();
 
       return {
-        isJournalOnly: allAreJournalEntries,
-        changedFiles: changedFiles
+        isJournalOnly: allAreIgnored,
+        changedFiles: changedFiles,
+        ignoredFiles
       };
 
     } catch (error) {
@@ -443,7 +447,7 @@ export function isJournalEntriesOnlyCommit(commitRef) {
       const attrs = OTEL.attrs.utils.commitAnalyzer.isJournalEntriesOnly({
         commitRef,
         filesChanged: 0,
-        journalEntriesCount: 0,
+        ignoredFilesCount: 0,
         isJournalOnly: false,
         analysisDuration
       });
@@ -456,7 +460,8 @@ export function isJournalEntriesOnlyCommit(commitRef) {
       // On error, return false to allow execution (safer)
       return {
         isJournalOnly: false,
-        changedFiles: []
+        changedFiles: [],
+        ignoredFiles: []
       };
     }
   });
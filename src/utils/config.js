@@ -6,9 +6,18 @@
 import fs from 'fs';
 import path from 'path';
 
+/**
+ * Return a config block when it's an object
+ * @param {*} block - Value from the configuration file
+ * @returns {Object} The block, or an empty object
+ */
+function objectOrEmpty(block) {
+  return block && typeof block === 'object' ? block : {};
+}
+
 /**
  * Read and parse the commit-story configuration file
- * @returns {Object} Configuration object with debug and dev flags
+ * @returns {Object} Configuration object with debug and dev flags, and the ai and chat blocks
  */
 export function getConfig() {
   try {
@@ -17,13 +26,15 @@ export function getConfig() {
       const configData = JSON.parse(fs.readFileSync(configPath, 'utf8'));
       return {
         debug: configData.debug === true,
-        dev: configData.dev === true
+        dev: configData.dev === true,
+        ai: objectOrEmpty(configData.ai),
+        chat: objectOrEmpty(configData.chat)
       };
     }
   } catch (error) {
-    // Silently ignore config file errors - both modes default to false
+    // Silently ignore config file errors - modes default to false, provider and chat defaults apply
   }
-  return { debug: false, dev: false };
+  return { debug: false, dev: false, ai: {}, chat: {} };
 }
 
 /**
@@ -33,4 +44,20 @@ export function getConfig() {
 export function getConfigPath() {
   const workingDirectory = process.cwd();
   return path.join(workingDirectory, 'commit-story.config.json');
-}
\ No newline at end of file
+}
+
+/**
+ * Read the AI provider section of the commit-story configuration file
+ * @returns {Object} The "ai" config block, or an empty object when absent/invalid
+ */
+export function getAIConfig() {
+  return getConfig().ai;
+}
+
+/**
+ * Read the chat collection section of the commit-story configuration file
+ * @returns {Object} The "chat" config block, or an empty object when absent/invalid
+ */
+export function getChatConfig() {
+  return getConfig().chat;
+}
@@ -0,0 +1,86 @@
+/**
+ * Diff Utilities
+ *
+ * Reads changed files and line counts from a diff as it appears in the commit
+ * context - which may have been reduced to fit the token budget (see
+ * generators/filters/diff-hunk-selector.js):
+ * - omitted hunks are replaced by "@@ [N hunk(s) omitted ...: +A -R lines] @@" notes
+ * - when even the file headers don't fit, the diff becomes a "File changes:" list
+ *   of "path: +A -R" lines
+ */
+
+const DIFF_HEADER_RE = /^diff --git a\/(.+) b\/.+/;
+const OMITTED_HUNKS_RE = /^@@ \[\d+ hunk\(s\) omitted[^:]*: \+(\d+) -(\d+) lines\] @@$/;
+const FILE_SUMMARY_RE = /^(.+): \+(\d+) -(\d+)$/;
+const SUMMARIZED_DIFF_PREFIX = '[Large diff summarized';
+
+/**
+ * Extract file paths from git diff headers
+ * @param {string} diff - Git diff content
+ * @returns {Array<string>} Array of file paths
+ */
+export function extractFilesFromDiff(diff) {
+  if (!diff) return [];
+
+  const files = [];
+  const lines = diff.split('\n');
+
+  if (diff.startsWith(SUMMARIZED_DIFF_PREFIX)) {
+    // Summarized diff: "path: +A -R" per file
+    for (const line of lines) {
+      const match = line.match(FILE_SUMMARY_RE);
+      if (match) {
+        files.push(match[1]);
+      }
+    }
+    return files;
+  }
+
+  for (const line of lines) {
+    // Look for diff headers: "diff --git a/path/file.js b/path/file.js"
+    const match = line.match(DIFF_HEADER_RE);
+    if (match && match[1]) {
+      files.push(match[1]);
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Count approximate lines changed from diff content
+ * @param {string} diff - Git diff content
+ * @returns {number} Approximate number of lines changed
+ */
+export function countDiffLines(diff) {
+  if (!diff) return 0;
+
+  const lines = diff.split('\n');
+  const summarized = diff.startsWith(SUMMARIZED_DIFF_PREFIX);
+  let count = 0;
+
+  for (const line of lines) {
+    if (summarized) {
+      const match = line.match(FILE_SUMMARY_RE);
+      if (match) {
+        count += Number(match[2]) + Number(match[3]);
+      }
+      continue;
+    }
+
+    // Hunks left out of a reduced diff still count
+    const omitted = line.match(OMITTED_HUNKS_RE);
+    if (omitted) {
+      count += Number(omitted[1]) + Number(omitted[2]);
+      continue;
+    }
+
+    // Count lines that start with + or - (but not +++ or ---)
+    if ((line.startsWith('+') && !line.startsWith('+++')) ||
+        (line.startsWith('-') && !line.startsWith('---'))) {
+      count++;
+    }
+  }
+
+  return count;
+}
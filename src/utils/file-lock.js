@@ -0,0 +1,175 @@
+/**
+ * File Lock Utilities
+ *
+ * Lock-file based mutual exclusion for journal writes. Two hooks (or a hook and
+ * an MCP tool) can update the same daily file at once - after a quick run of
+ * commits, or during `git rebase --exec` - so every read-modify-write of a
+ * journal file runs while holding "<file>.lock".
+ *
+ * The lock file is created exclusively and records the holder's PID. A lock is
+ * stale, and is taken over, when that process no longer exists or the lock is
+ * older than the stale timeout (a hung or recycled-PID holder).
+ */
+
+import { promises as fs } from 'fs';
+import { dirname } from 'path';
+import { trace, SpanStatusCode } from '@opentelemetry/api';
+import { OTEL } from '../telemetry/standards.js';
+import { createNarrativeLogger } from './trace-logger.js';
+
+// Get tracer instance for manual instrumentation
+const tracer = trace.getTracer('commit-story', '1.0.0');
+
+const LOCK_SUFFIX = '.lock';
+const DEFAULT_TIMEOUT_MS = 15000;
+const DEFAULT_STALE_MS = 30000;
+const RETRY_DELAY_MS = 50;
+
+/**
+ * Check whether a process is still running
+ * @param {number} pid - Process ID
+ * @returns {boolean} True if the process exists
+ */
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM: the process exists but belongs to another user
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Read a lock file's holder
+ * @param {string} lockPath - Lock file path
+ * @returns {Promise<{pid: number, acquiredAt: number}|null>} Holder, or null if the lock is gone or unreadable
+ */
+async function readLock(lockPath) {
+  try {
+    const holder = JSON.parse(await fs.readFile(lockPath, 'utf8'));
+    return Number.isInteger(holder.pid) ? holder : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Remove a lock if its holder died or it outlived the stale timeout
+ * @param {string} lockPath - Lock file path
+ * @param {number} staleMs - Age after which a lock is stale
+ * @returns {Promise<boolean>} True if a stale lock was removed
+ */
+async function removeStaleLock(lockPath, staleMs) {
+  const holder = await readLock(lockPath);
+  let age;
+  try {
+    age = Date.now() - (await fs.stat(lockPath)).mtimeMs;
+  } catch (error) {
+    // Released while we looked
+    return false;
+  }
+
+  // A lock that stays unreadable is left by a writer that died between create and write
+  if (!holder && age < staleMs) {
+    return false;
+  }
+  if (holder && isProcessAlive(holder.pid) && age < staleMs) {
+    return false;
+  }
+
+  // Only remove the lock we judged stale, not one a competing process just took over
+  const current = await readLock(lockPath);
+  if (holder && current && current.acquiredAt !== holder.acquiredAt) {
+    return false;
+  }
+
+  await fs.rm(lockPath, { force: true });
+  return true;
+}
+
+/**
+ * Run a function while holding the lock for a file
+ *
+ * @param {string} filePath - File being written (the lock is "<filePath>.lock")
+ * @param {Function} fn - Async work to run under the lock
+ * @param {Object} [options] - Lock options
+ * @param {number} [options.timeoutMs=15000] - Give up waiting after this long
+ * @param {number} [options.staleMs=30000] - Treat older locks as abandoned
+ * @returns {Promise<*>} Result of fn
+ */
+export async function withFileLock(filePath, fn, options = {}) {
+  const { timeoutMs = DEFAULT_TIMEOUT_MS, staleMs = DEFAULT_STALE_MS } = options;
+  const lockPath = `${filePath}${LOCK_SUFFIX}`;
+  const lock = { pid: process.pid, acquiredAt: Date.now() };
+
+  await tracer.startActiveSpan(OTEL.span.utils.fileLock.acquire(), {
+    attributes: {
+      'code.filepath': lockPath,
+      'code.function': 'withFileLock'
+    }
+  }, async (span) => {
+    const logger = createNarrativeLogger('utils.file_lock');
+    const startTime = Date.now();
+    let staleRecovered = 0;
+
+    try {
+      while (true) {
+        try {
+          lock.acquiredAt = Date.now();
+          await fs.writeFile(lockPath, JSON.stringify(lock), { flag: 'wx' });
+          break;
+        } catch (error) {
+          if (error.code === 'ENOENT') {
+            // First write into a new month directory
+            await fs.mkdir(dirname(lockPath), { recursive: true });
+            continue;
+          }
+          if (error.code !== 'EEXIST') {
+            throw error;
+          }
+        }
+
+        if (await removeStaleLock(lockPath, staleMs)) {
+          staleRecovered++;
+          logger.decision('file lock', `Removed stale lock ${lockPath}`);
+          continue;
+        }
+
+        if (Date.now() - startTime > timeoutMs) {
+          throw new Error(`Timed out after ${timeoutMs}ms waiting for lock ${lockPath}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, RETRY_DELAY_MS));
+      }
+
+      const attrs = OTEL.attrs.fileLock({
+        waitDuration: Date.now() - startTime,
+        staleRecovered
+      });
+      span.setAttributes(attrs);
+      OTEL.metrics.histogram('commit_story.file_lock.wait_duration_ms', attrs[`${OTEL.NAMESPACE}.file_lock.wait_duration_ms`]);
+      if (staleRecovered > 0) {
+        OTEL.metrics.counter('commit_story.file_lock.stale_recovered_total', staleRecovered);
+      }
+
+      span.setStatus({ code: SpanStatusCode.OK });
+    } catch (error) {
+      span.recordException(error);
+      span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+      logger.error('file lock', 'Failed to acquire file lock', error, { lockPath });
+      throw error;
+    } finally {
+      span.end();
+    }
+  });
+
+  try {
+    return await fn();
+  } finally {
+    // Leave the lock alone if another process took it over as stale
+    const holder = await readLock(lockPath);
+    if (holder && holder.pid === lock.pid && holder.acquiredAt === lock.acquiredAt) {
+      await fs.rm(lockPath, { force: true });
+    }
+  }
+}
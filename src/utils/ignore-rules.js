@@ -0,0 +1,198 @@
+/**
+ * Ignore Rules
+ *
+ * Reads `.commitstoryignore` from the repository root and matches paths against it.
+ * The file uses gitignore syntax:
+ *
+ *   # Lockfiles and generated code
+ *   package-lock.json
+ *   *.snap
+ *   dist/
+ *   /docs/generated/**
+ *   !docs/generated/README.md
+ *
+ * Ignored paths are left out of the diff sent to the AI and the Commit Details
+ * file list, and a commit that only touches ignored paths gets no journal entry.
+ * Generated journal entries, their JSON data records and the rollup summaries are
+ * always ignored so journal commits never trigger another generation.
+ */
+
+import fs from 'fs';
+import { join } from 'path';
+import { getRepoRoot } from './repo-identity.js';
+
+export const IGNORE_FILE_NAME = '.commitstoryignore';
+
+// Always applied before the user's rules
+export const BUILT_IN_IGNORE_PATTERNS = ['journal/entries/', 'journal/data/', 'journal/summaries/'];
+
+// Rules are cached per process, keyed by the ignore file's mtime
+let cachedRules = null;
+let cachedMtime = null;
+
+/**
+ * Escape a character for use in a regular expression
+ * @param {string} char - Single character
+ * @returns {string} Escaped character
+ */
+function escapeRegExp(char) {
+  return char.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+/**
+ * Compile one gitignore-style pattern line
+ * @param {string} line - Pattern line (already trimmed, not a comment)
+ * @returns {{pattern: string, negate: boolean, dirOnly: boolean, regex: RegExp, glob: string}} Compiled rule
+ */
+function compilePattern(line) {
+  const pattern = line;
+  let negate = false;
+
+  if (line.startsWith('!')) {
+    negate = true;
+    line = line.slice(1);
+  } else if (line.startsWith('\\!') || line.startsWith('\\#')) {
+    line = line.slice(1);
+  }
+
+  const dirOnly = line.endsWith('/');
+  if (dirOnly) {
+    line = line.slice(0, -1);
+  }
+
+  // A slash anywhere but the end anchors the pattern to the repository root
+  const anchored = line.includes('/');
+  if (line.startsWith('/')) {
+    line = line.slice(1);
+  }
+
+  let source = '';
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (char === '*' && line[i + 1] === '*') {
+      if (line[i + 2] === '/') {
+        source += '(?:.*/)?';  // "**/" - zero or more directories
+        i += 2;
+      } else {
+        source += '.*';        // trailing "/**" - everything inside
+        i += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[' && line.indexOf(']', i + 2) !== -1) {
+      const end = line.indexOf(']', i + 2);
+      const members = line.slice(i + 1, end);
+      source += `[${members.startsWith('!') ? '^' + members.slice(1) : members}]`;
+      i = end;
+    } else if (char === '\\' && i + 1 < line.length) {
+      source += escapeRegExp(line[++i]);
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+
+  return {
+    pattern,
+    negate,
+    dirOnly,
+    regex: new RegExp(`^${anchored ? '' : '(?:.*/)?'}${source}$`),
+    // The same pattern as a git glob pathspec (wildmatch shares gitignore's wildcards)
+    glob: `${anchored ? '' : '**/'}${line}`
+  };
+}
+
+/**
+ * Parse ignore file content into rules
+ * @param {string} content - File content in gitignore syntax
+ * @returns {Array<Object>} Compiled rules in file order
+ */
+export function parseIgnoreRules(content) {
+  return content
+    .split(/\r?\n/)
+    .map(line => line.replace(/(?<!\\)\s+$/, ''))
+    .filter(line => line.length > 0 && !line.startsWith('#'))
+    .map(compilePattern);
+}
+
+/**
+ * Load the built-in rules plus the repository's .commitstoryignore
+ * @returns {Array<Object>} Compiled rules, built-ins first
+ */
+export function loadIgnoreRules() {
+  let mtime = null;
+  let content = '';
+  try {
+    const ignorePath = join(getRepoRoot(), IGNORE_FILE_NAME);
+    mtime = fs.statSync(ignorePath).mtimeMs;
+    if (cachedRules && mtime === cachedMtime) {
+      return cachedRules;
+    }
+    content = fs.readFileSync(ignorePath, 'utf8');
+  } catch (error) {
+    // No ignore file - only the built-in rules apply
+    if (cachedRules && cachedMtime === null) {
+      return cachedRules;
+    }
+  }
+
+  cachedRules = parseIgnoreRules([...BUILT_IN_IGNORE_PATTERNS, content].join('\n'));
+  cachedMtime = mtime;
+  return cachedRules;
+}
+
+/**
+ * Check whether a repository-relative path is ignored
+ * Like git, a rule matching a parent directory ignores everything below it,
+ * and the last matching rule wins.
+ * @param {string} filePath - Path relative to the repository root
+ * @param {Array<Object>} [rules] - Rules from loadIgnoreRules
+ * @returns {boolean} True if the path is ignored
+ */
+export function isPathIgnored(filePath, rules = loadIgnoreRules()) {
+  const parts = filePath.split('/');
+  let ignored = false;
+
+  for (const rule of rules) {
+    for (let depth = 1; depth <= parts.length; depth++) {
+      const isDirectory = depth < parts.length;
+      if (rule.dirOnly && !isDirectory) continue;
+      if (rule.regex.test(parts.slice(0, depth).join('/'))) {
+        ignored = !rule.negate;
+        break;
+      }
+    }
+  }
+
+  return ignored;
+}
+
+/**
+ * Build git pathspecs that exclude ignored paths by pattern
+ * Only rules after the last negation are used: an earlier rule could exclude a
+ * path that a "!" rule brings back. Callers still check each path against the
+ * rules, so this only saves reading diffs that would be thrown away.
+ * @param {Array<Object>} [rules] - Rules from loadIgnoreRules
+ * @returns {string[]} ":(exclude,glob)" pathspecs
+ */
+export function getIgnorePathspecs(rules = loadIgnoreRules()) {
+  const lastNegation = rules.findLastIndex(rule => rule.negate);
+  return rules.slice(lastNegation + 1).flatMap(rule => (rule.dirOnly ? [`${rule.glob}/**`] : [rule.glob, `${rule.glob}/**`]))
+    .map(glob => `:(exclude,glob)${glob}`);
+}
+
+/**
+ * Split paths into kept and ignored
+ * @param {string[]} filePaths - Repository-relative paths
+ * @returns {{kept: string[], ignored: string[]}} Partitioned paths
+ */
+export function partitionIgnoredPaths(filePaths) {
+  const rules = loadIgnoreRules();
+  const kept = [];
+  const ignored = [];
+  for (const filePath of filePaths) {
+    (isPathIgnored(filePath, rules) ? ignored : kept).push(filePath);
+  }
+  return { kept, ignored };
+}
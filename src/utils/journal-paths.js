@@ -4,6 +4,7 @@ import { dirname, join } from 'path';
 import { trace, SpanStatusCode } from '@opentelemetry/api';
 import { OTEL } from '../telemetry/standards.js';
 import { createNarrativeLogger } from './trace-logger.js';
+import { getRepoRoot } from './repo-identity.js';
 
 // Get tracer instance for manual instrumentation
 const tracer = trace.getTracer('commit-story', '1.0.0');
@@ -94,6 +95,15 @@ export function formatDateComponents(date) {
   });
 }
 
+/**
+ * Get the journal directory
+ * The journal lives at the repository root, wherever in the repository the process runs.
+ * @returns {string} Absolute path of the journal directory
+ */
+export function getJournalRoot() {
+  return join(getRepoRoot(), 'journal');
+}
+
 /**
  * Generate journal file path for entries or reflections
  * @param {string} type - Type of journal ('entries' or 'reflections')
@@ -114,7 +124,7 @@ export function generateJournalPath(type, date) {
       logger.start('path generation', `Generating ${type} journal path for ${date.toDateString()}`);
 
       const { monthDir, fileName } = formatDateComponents(date);
-      const filePath = join(process.cwd(), 'journal', type, monthDir, fileName);
+      const filePath = join(getJournalRoot(), type, monthDir, fileName);
 
       span.setAttributes({
         [`${OTEL.NAMESPACE}.path.type`]: type,
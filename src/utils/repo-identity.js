@@ -0,0 +1,156 @@
+/**
+ * Repository Identity
+ *
+ * Works out which directories belong to the repository, so chat transcripts are
+ * matched to it wherever the assistant was started:
+ *
+ *   root        The working tree root (git rev-parse --show-toplevel)
+ *   commonDir   The git directory shared by all worktrees (git rev-parse --git-common-dir)
+ *   worktrees   Every working tree of that git directory (git worktree list), root included
+ *
+ * A directory belongs to the repository when it is one of the worktrees or inside
+ * one. Paths are compared after resolving symlinks, so a checkout reached through a
+ * symlink (or macOS /tmp vs /private/tmp) still matches.
+ *
+ * Outside a git repository the identity falls back to the directory itself.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { execFileSync } from 'child_process';
+
+const GIT_OPTIONS = { encoding: 'utf8', stdio: ['pipe', 'pipe', 'pipe'] };
+
+// Resolved once per process: transcripts repeat the same few directories thousands of times
+const canonicalPaths = new Map();
+const identities = new Map();
+
+/**
+ * Resolve a path through symlinks
+ * Paths that no longer exist (deleted worktrees, removed directories) are resolved
+ * through their nearest existing parent.
+ * @param {string} target - Absolute or relative path
+ * @returns {string} Canonical absolute path
+ */
+export function canonicalPath(target) {
+  if (canonicalPaths.has(target)) {
+    return canonicalPaths.get(target);
+  }
+
+  let existing = path.resolve(target);
+  const missing = [];
+  let resolved = null;
+  while (resolved === null) {
+    try {
+      resolved = path.join(fs.realpathSync(existing), ...missing);
+    } catch (error) {
+      const parent = path.dirname(existing);
+      if (parent === existing) {
+        resolved = path.resolve(target);
+      } else {
+        missing.unshift(path.basename(existing));
+        existing = parent;
+      }
+    }
+  }
+
+  canonicalPaths.set(target, resolved);
+  return resolved;
+}
+
+/**
+ * Run a git command in a directory
+ * @param {string[]} args - Git arguments
+ * @param {string} cwd - Directory to run in
+ * @returns {string} Trimmed output
+ */
+function git(args, cwd) {
+  return execFileSync('git', args, { ...GIT_OPTIONS, cwd }).trim();
+}
+
+/**
+ * Get the repository a directory belongs to
+ *
+ * @param {string} [dir] - Any directory inside the repository (default: current directory)
+ * @returns {{root: string, commonDir: string|null, worktrees: string[]}} Canonical paths; worktrees longest first
+ */
+export function getRepoIdentity(dir = process.cwd()) {
+  const key = canonicalPath(dir);
+  if (identities.has(key)) {
+    return identities.get(key);
+  }
+
+  let identity;
+  try {
+    const root = canonicalPath(git(['rev-parse', '--show-toplevel'], key));
+    const commonDir = canonicalPath(path.resolve(key, git(['rev-parse', '--git-common-dir'], key)));
+
+    const worktrees = new Set([root]);
+    try {
+      for (const line of git(['worktree', 'list', '--porcelain'], key).split('\n')) {
+        if (line.startsWith('worktree ')) {
+          worktrees.add(canonicalPath(line.slice('worktree '.length)));
+        }
+      }
+    } catch (error) {
+      // Git without worktree support - the root alone
+    }
+
+    // Longest first, so a worktree nested inside the main checkout wins
+    identity = { root, commonDir, worktrees: [...worktrees].sort((a, b) => b.length - a.length) };
+  } catch (error) {
+    identity = { root: key, commonDir: null, worktrees: [key] };
+  }
+
+  identities.set(key, identity);
+  return identity;
+}
+
+/**
+ * Get the working tree root of the current repository
+ * @returns {string} Repository root (the current directory outside a repository)
+ */
+export function getRepoRoot() {
+  return getRepoIdentity().root;
+}
+
+/**
+ * Find the worktree a path is in
+ * @param {string} canonical - Canonical absolute path
+ * @param {string[]} worktrees - Canonical worktree roots, longest first
+ * @returns {string|null} Worktree root
+ */
+function findWorktree(canonical, worktrees) {
+  return worktrees.find(root => canonical === root || canonical.startsWith(root.endsWith(path.sep) ? root : root + path.sep)) || null;
+}
+
+/**
+ * Check whether a directory is inside the repository or one of its worktrees
+ * @param {string} dir - Directory to check (e.g. a transcript's cwd)
+ * @param {string} [repoPath] - Any directory of the repository (default: current directory)
+ * @returns {boolean} True when the directory belongs to the repository
+ */
+export function isInRepository(dir, repoPath = process.cwd()) {
+  if (typeof dir !== 'string' || !dir) return false;
+  return findWorktree(canonicalPath(dir), getRepoIdentity(repoPath).worktrees) !== null;
+}
+
+/**
+ * Convert a file path from a transcript to a path relative to its worktree root
+ * Lets a file edited in a worktree or from a subdirectory match the same file in
+ * the commit's diff.
+ * @param {string} filePath - Absolute path, or relative to baseDir
+ * @param {string} [repoPath] - Any directory of the repository (default: current directory)
+ * @param {string} [baseDir] - Directory relative paths start from (default: repository root)
+ * @returns {string|null} Repository-relative path, or null when outside the repository
+ */
+export function toRepoRelativePath(filePath, repoPath = process.cwd(), baseDir = null) {
+  if (typeof filePath !== 'string' || !filePath) return null;
+
+  const { root, worktrees } = getRepoIdentity(repoPath);
+  const canonical = canonicalPath(path.resolve(baseDir || root, filePath));
+  const worktree = findWorktree(canonical, worktrees);
+  if (!worktree || canonical === worktree) return null;
+
+  return path.relative(worktree, canonical);
+}
@@ -14,7 +14,7 @@ const tracer = trace.getTracer('commit-story-session-formatter', '1.0.0');
 /**
  * Formats session groups for AI consumption with consistent structure
  * @param {Array} sessions - Array of session objects with messages
- * @returns {Array} Formatted sessions with session_id, session_start, message_count, and messages
+ * @returns {Array} Formatted sessions with session_id, session_start, message_count, messages, and relevance for demoted sessions
  */
 export function formatSessionsForAI(sessions) {
   return tracer.startActiveSpan(OTEL.span.utils.sessionFormat(), {
@@ -35,6 +35,7 @@ export function formatSessionsForAI(sessions) {
         session_id: `Session ${index + 1}`,
         session_start: session.startTime,
         message_count: session.messageCount,
+        ...(session.relevance && { relevance: session.relevance }),
         messages: session.messages.map(msg => ({
           type: msg.type,
           content: msg.message?.content,
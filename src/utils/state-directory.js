@@ -0,0 +1,38 @@
+/**
+ * State Directory Utilities
+ *
+ * Resolves the private per-repository state directory (.git/commit-story/)
+ * used for bookkeeping files that should never be committed alongside
+ * journal content (backfill progress, caches, queues).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { execFileSync } from 'child_process';
+
+const STATE_DIRECTORY_NAME = 'commit-story';
+
+/**
+ * Get the commit-story state directory inside the repository's git directory,
+ * creating it if needed
+ * @returns {string} Absolute path to .git/commit-story/
+ */
+export function getStateDirectory() {
+  const gitDir = execFileSync('git', ['rev-parse', '--git-dir'], {
+    encoding: 'utf8',
+    stdio: ['pipe', 'pipe', 'pipe']
+  }).trim();
+
+  const stateDir = path.join(path.resolve(gitDir), STATE_DIRECTORY_NAME);
+  fs.mkdirSync(stateDir, { recursive: true });
+  return stateDir;
+}
+
+/**
+ * Get the absolute path of a file inside the state directory
+ * @param {string} fileName - File name relative to the state directory
+ * @returns {string} Absolute file path
+ */
+export function getStateFilePath(fileName) {
+  return path.join(getStateDirectory(), fileName);
+}
@@ -0,0 +1,79 @@
+/**
+ * Token Counter
+ *
+ * Counts tokens with the configured model's tokenizer (via gpt-tokenizer) so the
+ * context filter can budget prompts precisely.
+ *
+ * OpenAI models are counted exactly. Other models (Claude, Llama, Qwen, ...) have no
+ * tokenizer available offline, so they are counted with o200k_base plus a safety
+ * margin - their tokenizers typically produce more tokens for the same text.
+ * If gpt-tokenizer can't be loaded, counting falls back to a 4-characters-per-token estimate.
+ */
+
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+
+const AVG_CHARS_PER_TOKEN = 4;
+const APPROXIMATION_MARGIN = 1.2;
+
+// Encodings by model name, first match wins
+const MODEL_ENCODINGS = [
+  [/^(gpt-4o|chatgpt-4o|gpt-4\.1|gpt-4\.5|gpt-5|gpt-oss|o\d)/, 'o200k_base'],
+  [/^(gpt-4|gpt-3\.5)/, 'cl100k_base']
+];
+
+// Loaded encoders, keyed by encoding name (null when gpt-tokenizer is unavailable)
+const encoders = new Map();
+
+/**
+ * Load a gpt-tokenizer encoding on first use
+ * @param {string} encoding - Encoding name (o200k_base, cl100k_base)
+ * @returns {Object|null} Encoder with encode/decode/countTokens, or null if unavailable
+ */
+function loadEncoder(encoding) {
+  if (!encoders.has(encoding)) {
+    try {
+      encoders.set(encoding, require(`gpt-tokenizer/encoding/${encoding}`));
+    } catch (error) {
+      encoders.set(encoding, null);
+    }
+  }
+  return encoders.get(encoding);
+}
+
+/**
+ * Create a token counter for a provider and model
+ * @param {string} provider - Provider name (openai, anthropic, ollama, openai-compatible)
+ * @param {string|null} model - Model name
+ * @returns {{encoding: string, exact: boolean, count: (text: string) => number, truncate: (text: string, maxTokens: number) => string}} Token counter
+ */
+export function createTokenCounter(provider, model) {
+  const name = (model || '').toLowerCase();
+  const matched = provider !== 'anthropic' && provider !== 'ollama'
+    ? MODEL_ENCODINGS.find(([pattern]) => pattern.test(name))
+    : undefined;
+  const encoding = matched ? matched[1] : 'o200k_base';
+  const encoder = loadEncoder(encoding);
+
+  if (!encoder) {
+    return {
+      encoding: 'estimate',
+      exact: false,
+      count: (text) => (text ? Math.ceil(text.length / AVG_CHARS_PER_TOKEN) : 0),
+      truncate: (text, maxTokens) => text.slice(0, Math.max(0, maxTokens) * AVG_CHARS_PER_TOKEN)
+    };
+  }
+
+  const margin = matched ? 1 : APPROXIMATION_MARGIN;
+  return {
+    encoding,
+    exact: !!matched,
+    count: (text) => (text ? Math.ceil(encoder.countTokens(text) * margin) : 0),
+    truncate: (text, maxTokens) => {
+      const limit = Math.max(0, Math.floor(maxTokens / margin));
+      const tokens = encoder.encode(text);
+      return tokens.length <= limit ? text : encoder.decode(tokens.slice(0, limit));
+    }
+  };
+}
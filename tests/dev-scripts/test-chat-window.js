@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the chat window of a rebased commit
+ * Run with: node tests/dev-scripts/test-chat-window.js
+ *
+ * Rebases a commit onto a newer base in a throwaway git repository, so its author
+ * and commit dates differ, and checks the window still runs forward in time.
+ */
+
+import { promises as fs } from 'fs';
+import { execFileSync } from 'child_process';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+const OLD_BASE = '2026-08-31T12:00:00Z';
+const FEATURE = '2026-09-01T12:00:00Z';
+const NEW_BASE = '2026-10-19T10:00:00Z';
+const REBASED = '2026-10-19T11:00:00Z';
+
+function git(args, date = REBASED, authorDate = date) {
+  return execFileSync('git', ['-c', 'commit.gpgsign=false', ...args], {
+    encoding: 'utf8',
+    stdio: ['pipe', 'pipe', 'pipe'],
+    env: {
+      ...process.env,
+      GIT_AUTHOR_NAME: 'Dev',
+      GIT_AUTHOR_EMAIL: 'dev@example.com',
+      GIT_COMMITTER_NAME: 'Dev',
+      GIT_COMMITTER_EMAIL: 'dev@example.com',
+      GIT_AUTHOR_DATE: authorDate,
+      GIT_COMMITTER_DATE: date
+    }
+  }).trim();
+}
+
+async function commitFile(name, date) {
+  await fs.writeFile(name, `${name}\n`, 'utf8');
+  git(['add', name], date);
+  git(['commit', '-q', '-m', name], date);
+  return git(['rev-parse', 'HEAD'], date);
+}
+
+async function testRebasedChatWindow() {
+  console.log('🧪 Testing the chat window of a rebased commit...\n');
+
+  const repo = await fs.mkdtemp(join(tmpdir(), 'commit-story-window-'));
+  process.chdir(repo);
+
+  try {
+    git(['init', '-q', '-b', 'main']);
+    const oldBase = await commitFile('base.txt', OLD_BASE);
+    git(['checkout', '-q', '-b', 'feature']);
+    await commitFile('feature.txt', FEATURE);
+    git(['checkout', '-q', 'main']);
+    await commitFile('main.txt', NEW_BASE);
+    git(['checkout', '-q', 'feature']);
+    git(['rebase', '-q', 'main'], REBASED);
+
+    const authorDate = git(['log', '-1', '--format=%aI']);
+    const commitDate = git(['log', '-1', '--format=%cI']);
+    console.log(`Rebased commit: authored ${authorDate}, committed ${commitDate}`);
+
+    const { resolveChatWindow } = await import('../../src/integrators/chat-window.js');
+    const window = await resolveChatWindow('HEAD');
+    console.log(`Window: ${window.start.toISOString()} to ${window.end.toISOString()} (${window.strategy})`);
+
+    if (window.start.getTime() > window.end.getTime()) {
+      throw new Error('window starts after it ends');
+    }
+    if (window.end.toISOString() !== new Date(FEATURE).toISOString()) {
+      throw new Error(`expected the window to end at the author date ${FEATURE}`);
+    }
+    if (window.previousCommit?.hash !== oldBase) {
+      throw new Error('expected the window to start at the commit before the feature work');
+    }
+
+    console.log('\n🎉 All tests passed! The rebased commit keeps the window of its work.');
+  } catch (error) {
+    console.error('❌ Test failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await fs.rm(repo, { recursive: true, force: true });
+  }
+}
+
+// Run the test
+testRebasedChatWindow();
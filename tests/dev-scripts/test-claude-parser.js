@@ -21,7 +21,7 @@ console.log(`  Time window: ${Math.round((commitTime - previousCommitTime) / (10
 console.log('⏳ Extracting messages...\n');
 
 try {
-  const messages = extractChatForCommit(commitTime, previousCommitTime, repoPath);
+  const messages = await extractChatForCommit(commitTime, previousCommitTime, repoPath);
   
   console.log('✅ Extraction Results:');
   console.log(`  Messages found: ${messages.length}`);